@@ -1,11 +1,21 @@
-// Backend Controllers  
-// This directory will contain request/response logic for API endpoints
+// Backend Controllers
+// Request/response logic for API endpoints
 //
-// Planned controllers based on PRD:
 // - solverController.js - Handles request/response logic for all cube endpoints
 //   - Routes to appropriate solver based on cube type
-//   - Input validation and sanitization  
-//   - Response formatting and error handling
-//   - Logging and debugging support
+//   - Input validation and solvability checks before solving
+//   - Response formatting and typed error reporting
+// - scrambleController.js - Handles the random-state scramble endpoint
+// - validationController.js - Handles the validation endpoints: solvability diagnostics and sticker completion
 
-export default {};
\ No newline at end of file
+import solverController from './solverController.js';
+import scrambleController from './scrambleController.js';
+import validationController from './validationController.js';
+
+export { solverController, scrambleController, validationController };
+
+export default {
+    solverController,
+    scrambleController,
+    validationController
+};
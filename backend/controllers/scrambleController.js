@@ -0,0 +1,74 @@
+/**
+ * Scramble Controller
+ *
+ * Request/response logic for the scramble endpoints. Scrambles are
+ * WCA-style random-state scrambles from services/scrambler.js; the response
+ * carries the seed, so any scramble can be requested again.
+ * Any failure is thrown as an ApiError and rendered by the error middleware.
+ */
+
+import { VALIDATION_ERRORS } from '../utils/validator.js';
+import { ApiError, API_ERRORS } from '../utils/errorHandlers.js';
+import { generateRandomStateScramble, RANDOM_STATE_CUBE_TYPES } from '../services/scrambler.js';
+
+// ========================= REQUEST HELPERS =========================
+
+/**
+ * Read the `seed` query option
+ * Whole numbers are read as numbers, so ?seed=42 repeats a scramble whose
+ * response reported seed 42; anything else is used as a string seed.
+ * @param {Object} req - Express request
+ * @returns {number|string|undefined} Seed, or undefined for a fresh one
+ */
+function getSeedOption(req) {
+    const value = req.query?.seed;
+    if (value === undefined) {
+        return undefined;
+    }
+
+    if (typeof value !== 'string' || value.length === 0) {
+        throw new ApiError(API_ERRORS.INVALID_PARAMETER, 'Seed must be a number or a non-empty string', {
+            parameter: 'seed',
+            received: value
+        });
+    }
+    return /^\d+$/.test(value) && Number.isSafeInteger(Number(value)) ? Number(value) : value;
+}
+
+// ========================= SCRAMBLE HANDLERS =========================
+
+/**
+ * GET /api/scramble/:cubeType - Random-state scramble for a 2x2x2 or 3x3x3
+ * Options (query string):
+ *   - seed: number or string; the same seed always gives the same scramble
+ * @param {Object} req - Express request (params: cubeType)
+ * @param {Object} res - Express response
+ */
+export function getScramble(req, res) {
+    const { cubeType } = req.params;
+    if (!RANDOM_STATE_CUBE_TYPES.includes(cubeType)) {
+        throw new ApiError(VALIDATION_ERRORS.INVALID_CUBE_TYPE, `No random-state scrambler for ${cubeType}`, {
+            expected: RANDOM_STATE_CUBE_TYPES,
+            received: cubeType
+        });
+    }
+
+    const scramble = generateRandomStateScramble(cubeType, { seed: getSeedOption(req) });
+
+    res.json({
+        success: true,
+        cubeType,
+        scramble: scramble.scramble,
+        moveSequence: scramble.moveSequence,
+        length: scramble.moveSequence.length,
+        seed: scramble.seed,
+        cubeState: scramble.cubeState
+    });
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Scramble handlers
+    getScramble
+};
@@ -0,0 +1,666 @@
+/**
+ * Solver Controller
+ *
+ * Request/response logic for the cube solving endpoints. Each handler:
+ *   1. Extracts the cube state from the request body
+ *   2. Validates structure and colors, turns the cube white up, green front in
+ *      the western scheme, then checks mathematical solvability
+ *   3. Runs the matching solver, re-expresses its moves in the orientation
+ *      the cube was sent in, and verifies them on the original cube
+ *   4. Formats the phase breakdown for the response
+ * Any failure is thrown as an ApiError and rendered by the error middleware.
+ */
+
+import { cloneCubeState, VALID_COLORS } from '../utils/cubeStructures.js';
+import { validate2x2x2, validate3x3x3, validate4x4x4, VALIDATION_ERRORS } from '../utils/validator.js';
+import { checkSolvability2x2x2, checkSolvability3x3x3, checkSolvability4x4x4 } from '../utils/solvability.js';
+import { ApiError, API_ERRORS, createValidationError } from '../utils/errorHandlers.js';
+import {
+    solveCube3x3,
+    applyMoveSequence3x3,
+    isCubeSolved3x3
+} from '../services/solver3x3x3.js';
+import {
+    solve2x2x2 as solve2x2x2Cube,
+    analyzeSolution,
+    compareSolvingMethods,
+    applyMoveSequence as applyMoveSequence2x2,
+    isCubeSolved as isCubeSolved2x2,
+    parseMoveNotation as parseMoveNotation2x2
+} from '../services/solver2x2x2.js';
+import { solveKociemba } from '../services/solverKociemba.js';
+import { METRICS } from '../services/solverOptimal2x2x2.js';
+import { DEFAULT_STYLE, OPTIMIZER_STYLES } from '../utils/moveOptimizer.js';
+import { getMoveMetrics, MOVE_METRICS } from '../utils/moveMetrics.js';
+import { CUBE_FORMAT_DESCRIPTIONS, CUBE_FORMATS, importCubeState } from '../utils/cubeFormats.js';
+import { normalizeOrientation, reorientMoves } from '../utils/cubeOrientation.js';
+import {
+    solveCube4x4,
+    applyMoveSequence4x4,
+    isCubeSolved4x4
+} from '../services/solver4x4x4.js';
+
+/**
+ * Methods accepted by POST /api/solve/2x2x2
+ */
+export const METHODS_2x2x2 = ['ortega', 'cll', 'auto', 'optimal'];
+
+/**
+ * Move metrics accepted by POST /api/solve/2x2x2 for the optimal method
+ */
+export const METRICS_2x2x2 = METRICS;
+
+/**
+ * Solvers behind each method accepted by POST /api/solve/3x3x3
+ */
+const SOLVERS_3x3x3 = {
+    cfop: (cubeState, options) => solveCube3x3(cubeState, { ...options, method: 'cfop' }),
+    beginner: (cubeState, options) => solveCube3x3(cubeState, { ...options, method: 'beginner' }),
+    roux: (cubeState, options) => solveCube3x3(cubeState, { ...options, method: 'roux' }),
+    zz: (cubeState, options) => solveCube3x3(cubeState, { ...options, method: 'zz' }),
+    kociemba: cubeState => solveKociemba(cubeState)
+};
+
+/**
+ * Methods accepted by POST /api/solve/3x3x3
+ */
+export const METHODS_3x3x3 = Object.keys(SOLVERS_3x3x3);
+
+/**
+ * Options a 3x3x3 method cannot honour, rejected instead of dropped
+ * Kociemba solves the whole cube at once, so it has no cross color to choose
+ * and no phase boundaries to optimize across.
+ */
+const UNSUPPORTED_OPTIONS_3x3x3 = { kociemba: ['colorNeutral', 'optimize'] };
+
+// ========================= REQUEST HELPERS =========================
+
+/**
+ * Extract the cube state from a request body
+ * Accepts either the cube state itself or `{ cubeState: {...} }`.
+ * A missing cubeType defaults to the endpoint's cube type.
+ * With a `format` other than 'state', `cubeState` holds the cube in that
+ * format (e.g. `{ format: 'kociemba', cubeState: 'UUUUUUUUURRR...' }`).
+ * @param {Object} body - Parsed JSON request body
+ * @param {string} cubeType - Cube type served by the endpoint
+ * @returns {Object} Cube state to validate
+ */
+export function extractCubeState(body, cubeType) {
+    const format = body && typeof body === 'object' && body.format !== undefined ? body.format : 'state';
+
+    if (!CUBE_FORMATS.includes(format)) {
+        throw new ApiError(API_ERRORS.INVALID_PARAMETER, `Unknown cube format: ${format}`, {
+            parameter: 'format',
+            received: format,
+            allowed: CUBE_FORMATS
+        });
+    }
+
+    if (format !== 'state') {
+        try {
+            return importCubeState(body.cubeState, format, cubeType);
+        } catch (error) {
+            throw new ApiError(VALIDATION_ERRORS.INVALID_STRUCTURE, `Cannot read the ${format} cube: ${error.message}`, {
+                format,
+                expected: CUBE_FORMAT_DESCRIPTIONS[format]
+            });
+        }
+    }
+
+    const source = body && typeof body === 'object' && body.cubeState ? body.cubeState : body;
+
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        throw new ApiError(VALIDATION_ERRORS.INVALID_STRUCTURE, 'Request body must contain a cube state object', {
+            expected: '{ cubeType, faces: { U, L, F, R, B, D } }'
+        });
+    }
+
+    if (source.cubeType !== undefined && source.cubeType !== cubeType) {
+        throw new ApiError(VALIDATION_ERRORS.INVALID_CUBE_TYPE, `Expected ${cubeType} cube type`, {
+            expected: cubeType,
+            received: source.cubeType
+        });
+    }
+
+    return { cubeType, faces: source.faces };
+}
+
+/**
+ * Read an option from the JSON body, falling back to the query string
+ * @param {Object} req - Express request
+ * @param {string} name - Option name
+ * @returns {any} Option value or undefined
+ */
+function getRequestOption(req, name) {
+    const bodyValue = req.body && typeof req.body === 'object' ? req.body[name] : undefined;
+    return bodyValue !== undefined ? bodyValue : req.query?.[name];
+}
+
+/**
+ * Read an option that must be one of a fixed set of values
+ * @param {Object} req - Express request
+ * @param {string} name - Option name
+ * @param {string[]} allowed - Accepted values
+ * @param {string} defaultValue - Value used when none is given
+ * @param {string} label - Option description for the error message
+ * @returns {string} Requested value
+ */
+function getChoiceOption(req, name, allowed, defaultValue, label) {
+    const value = getRequestOption(req, name) ?? defaultValue;
+
+    if (!allowed.includes(value)) {
+        throw new ApiError(API_ERRORS.INVALID_PARAMETER, `Unknown ${label}: ${value}`, {
+            parameter: name,
+            received: value,
+            allowed
+        });
+    }
+
+    return value;
+}
+
+/**
+ * Read the `method` option and check it against the allowed methods
+ * @param {Object} req - Express request
+ * @param {string} cubeType - Cube type served by the endpoint
+ * @param {string[]} allowed - Accepted methods
+ * @param {string} defaultMethod - Method used when none is given
+ * @returns {string} Requested method
+ */
+function getMethodOption(req, cubeType, allowed, defaultMethod) {
+    return getChoiceOption(req, 'method', allowed, defaultMethod, `${cubeType} method`);
+}
+
+/**
+ * Read the `colorNeutral` option: true for every cross color, or a list of
+ * colors (array or comma separated string)
+ * @param {Object} req - Express request
+ * @returns {boolean|string[]} false when not requested
+ */
+function getColorNeutralOption(req) {
+    const value = getRequestOption(req, 'colorNeutral');
+    if (value === undefined || [false, 'false'].includes(value)) {
+        return false;
+    }
+    if ([true, 'true'].includes(value)) {
+        return true;
+    }
+
+    const colors = Array.isArray(value) ? value : String(value).split(',').map(color => color.trim());
+    const invalid = colors.filter(color => !VALID_COLORS.includes(color));
+    if (colors.length === 0 || invalid.length > 0) {
+        throw new ApiError(API_ERRORS.INVALID_PARAMETER, `Unknown cross colors: ${invalid.join(', ') || 'none given'}`, {
+            parameter: 'colorNeutral',
+            received: value,
+            allowed: [true, ...VALID_COLORS]
+        });
+    }
+    return colors;
+}
+
+/**
+ * Read the `optimize` option: an optimizer style, true for the default style,
+ * or false for the raw phase moves
+ * @param {Object} req - Express request
+ * @returns {string|boolean} Optimizer style, or false
+ */
+function getOptimizeOption(req) {
+    const value = getRequestOption(req, 'optimize');
+    if ([false, 'false'].includes(value)) {
+        return false;
+    }
+    if (value === undefined || [true, 'true'].includes(value)) {
+        return DEFAULT_STYLE;
+    }
+    return getChoiceOption(req, 'optimize', OPTIMIZER_STYLES, DEFAULT_STYLE, 'optimizer style');
+}
+
+/**
+ * Reject options that were asked for but the method cannot honour
+ * @param {string} method - Chosen method
+ * @param {Object<string, boolean>} requested - Whether each option was asked for
+ * @param {Object<string, string[]>} unsupportedOptions - Options each method cannot honour
+ */
+function checkMethodOptions(method, requested, unsupportedOptions) {
+    const unsupported = (unsupportedOptions[method] || []).filter(name => requested[name]);
+    if (unsupported.length > 0) {
+        throw new ApiError(API_ERRORS.INVALID_PARAMETER, `Method ${method} does not support ${unsupported.join(' or ')}`, {
+            parameter: unsupported[0],
+            method,
+            unsupported
+        });
+    }
+}
+
+/**
+ * Validate a cube state and normalize its orientation, throwing a typed
+ * ApiError on failure
+ * Structural problems are reported before solvability so that a malformed
+ * cube gets a 400 rather than a parity error. Solvability is checked on the
+ * normalized cube, whose colors are where the checks expect them.
+ * @param {Object} cubeState - Cube state to validate
+ * @param {Function} validate - Cube specific validator (e.g. validate3x3x3)
+ * @param {Function} checkSolvability - Cube specific solvability check
+ * @returns {import('../utils/cubeOrientation.js').NormalizedCube} Normalized cube for the solvers
+ */
+function prepareCube(cubeState, validate, checkSolvability) {
+    const validation = validate(cubeState);
+    const structuralErrors = validation.errors.filter(
+        error => error.type !== VALIDATION_ERRORS.UNSOLVABLE_STATE
+    );
+
+    if (structuralErrors.length > 0) {
+        throw createValidationError({ errors: structuralErrors }, cubeState.cubeType);
+    }
+
+    let normalized;
+    try {
+        normalized = normalizeOrientation(cubeState);
+    } catch (error) {
+        throw new ApiError(VALIDATION_ERRORS.INVALID_COLOR_SCHEME, `Cannot tell the face colors apart: ${error.message}`, {
+            cubeType: cubeState.cubeType
+        });
+    }
+
+    const solvability = checkSolvability(normalized.cubeState);
+    if (!solvability.isSolvable) {
+        throw createValidationError(solvability, cubeState.cubeType);
+    }
+
+    return normalized;
+}
+
+/**
+ * Colors of the normalized cube for colors of the cube as it was sent
+ * @param {string[]|boolean} colors - Requested cross colors, or true/false
+ * @param {Object} normalized - Result of prepareCube
+ * @returns {string[]|boolean} Same colors on the normalized cube
+ */
+function toNormalizedColors(colors, normalized) {
+    return Array.isArray(colors) ? colors.map(color => normalized.colorMap[color] ?? color) : colors;
+}
+
+/**
+ * Re-express a solver phase (and its sub-phases) in the orientation the cube was sent in
+ * @param {Object} phase - Phase entry produced by a solver
+ * @param {string} rotation - Rotation that normalized the cube
+ * @returns {Object} Phase with re-expressed moves
+ */
+function reorientPhase(phase, rotation) {
+    return {
+        ...phase,
+        ...(phase.moveSequence && { moveSequence: reorientMoves(phase.moveSequence, rotation) }),
+        ...(phase.subPhases && { subPhases: phase.subPhases.map(subPhase => reorientPhase(subPhase, rotation)) })
+    };
+}
+
+/**
+ * Re-express a 3x3x3 or 4x4x4 solution in the orientation and colors the cube was sent in
+ * @param {Object} solution - Solution for the normalized cube
+ * @param {Object} normalized - Result of prepareCube
+ * @returns {Object} Solution for the cube as it was sent
+ */
+function reorientSolution(solution, { rotation, colorMap }) {
+    const sentColor = Object.fromEntries(Object.entries(colorMap).map(([sent, color]) => [color, sent]));
+    const reorientAttempt = attempt => ({
+        ...attempt,
+        color: sentColor[attempt.color],
+        inspection: reorientMoves(attempt.inspection, rotation).join(' ')
+    });
+
+    return {
+        ...solution,
+        moveSequence: reorientMoves(solution.moveSequence || [], rotation),
+        phases: (solution.phases || []).map(phase => reorientPhase(phase, rotation)),
+        ...(solution.colorNeutral && {
+            inspection: reorientMoves(solution.inspection, rotation).join(' '),
+            crossColor: sentColor[solution.crossColor],
+            colorNeutral: solution.colorNeutral.map(reorientAttempt)
+        })
+    };
+}
+
+/**
+ * Re-express a 2x2x2 solution in the orientation the cube was sent in
+ * @param {Object} solution - Solution from solve2x2x2 for the normalized cube
+ * @param {string} rotation - Rotation that normalized the cube
+ * @returns {Object} Solution for the cube as it was sent
+ */
+function reorient2x2x2Solution(solution, rotation) {
+    if (!rotation) {
+        return solution;
+    }
+
+    const moveSequence = reorientMoves(solution.moveSequence, rotation).join(' ');
+    return {
+        ...solution,
+        moveSequence,
+        parsedMoves: parseMoveNotation2x2(moveSequence),
+        solutionSteps: solution.solutionSteps.map(step => ({
+            ...step,
+            moveSequence: reorientMoves(step.moveSequence, rotation).join(' ')
+        }))
+    };
+}
+
+/**
+ * Describe how a cube was normalized, for the response
+ * @param {Object} normalized - Result of prepareCube
+ * @returns {Object} Color scheme, face colors and the rotation applied
+ */
+function formatOrientation({ colorScheme, faceColors, rotation }) {
+    return { colorScheme, faceColors, rotation };
+}
+
+// ========================= RESPONSE FORMATTING =========================
+
+/**
+ * Format a solver phase for the response
+ * Nested sub-phases (e.g. the 3x3x3 stage of a 4x4x4 solve) are formatted
+ * the same way.
+ * @param {Object} phase - Phase entry produced by a solver
+ * @returns {Object} Phase with its exact moves
+ */
+function formatPhase(phase) {
+    const moveSequence = phase.moveSequence || [];
+    return {
+        name: phase.name,
+        success: phase.success,
+        moveCount: moveSequence.length,
+        moves: moveSequence.join(' '),
+        moveSequence,
+        algorithms: phase.algorithms,
+        casesUsed: phase.casesUsed,
+        movesSaved: phase.movesSaved,
+        explanation: phase.explanation,
+        detected: phase.detected,
+        stages: phase.stages,
+        subPhases: phase.subPhases?.map(formatPhase),
+        error: phase.success ? undefined : phase.error
+    };
+}
+
+/**
+ * Format a 2x2x2 solution, verifying that its moves solve the original cube
+ * @param {Object} cubeState - Original cube state
+ * @param {Object} solution - Solution from solve2x2x2
+ * @returns {Object} Response fields for the solution
+ */
+function format2x2x2Solution(cubeState, solution) {
+    const verified = solution.isSolved &&
+        isCubeSolved2x2(applyMoveSequence2x2(cubeState, solution.parsedMoves));
+
+    if (!verified) {
+        throw new ApiError(API_ERRORS.SOLVE_FAILED, `2x2x2 ${solution.method} solver could not solve this cube`, {
+            cubeType: '2x2x2',
+            method: solution.method,
+            reason: 'Reported moves do not solve the cube'
+        });
+    }
+
+    const moveSequence = solution.moveSequence ? solution.moveSequence.split(' ') : [];
+    return {
+        cubeType: '2x2x2',
+        method: solution.method,
+        totalMoves: solution.totalMoves,
+        ...(solution.metric && { metric: solution.metric, optimalDistance: solution.optimalDistance }),
+        moveMetrics: getMoveMetrics(solution.parsedMoves, 2),
+        solution: solution.moveSequence,
+        moveSequence,
+        phases: solution.solutionSteps.map(step => ({
+            name: step.phase,
+            case: step.case,
+            algorithm: step.algorithm,
+            moveCount: step.moves,
+            moves: step.moveSequence,
+            moveSequence: step.moveSequence.split(' ')
+        }))
+    };
+}
+
+// ========================= SOLVER HANDLERS =========================
+
+/**
+ * POST /api/solve/3x3x3 - Solve a 3x3x3 cube
+ * Options (JSON body or query string):
+ *   - method: 'cfop' | 'beginner' | 'roux' | 'zz' | 'kociemba' (default 'cfop')
+ *   - colorNeutral: true, or the cross colors to try (e.g. ['W', 'Y'] or 'W,Y');
+ *     the inspection rotation starts the solution
+ *   - optimize: 'preserve' | 'outer' | 'compact' | false (default 'preserve'); moves
+ *     cancelled across phases are reported per phase
+ * kociemba rejects colorNeutral and an explicit optimize style with 400.
+ * @param {Object} req - Express request (body: cube state and options)
+ * @param {Object} res - Express response
+ */
+export function solve3x3x3(req, res) {
+    const method = getMethodOption(req, '3x3x3', METHODS_3x3x3, 'cfop');
+    const colorNeutral = getColorNeutralOption(req);
+    const optimize = getOptimizeOption(req);
+    checkMethodOptions(method, {
+        colorNeutral: colorNeutral !== false,
+        optimize: getRequestOption(req, 'optimize') !== undefined && optimize !== false
+    }, UNSUPPORTED_OPTIONS_3x3x3);
+    const cubeState = extractCubeState(req.body, '3x3x3');
+    const normalized = prepareCube(cubeState, validate3x3x3, checkSolvability3x3x3);
+
+    let solution;
+    try {
+        solution = reorientSolution(SOLVERS_3x3x3[method](normalized.cubeState, {
+            colorNeutral: toNormalizedColors(colorNeutral, normalized),
+            optimize
+        }), normalized);
+    } catch (error) {
+        throw new ApiError(API_ERRORS.SOLVE_FAILED, `3x3x3 ${method} solver could not solve this cube`, {
+            cubeType: '3x3x3',
+            method,
+            reason: error.message
+        });
+    }
+
+    // Replay the reported moves on the original state so the response never
+    // contains a move list that does not actually solve the cube
+    const replayState = cloneCubeState(cubeState);
+    applyMoveSequence3x3(replayState, solution.moveSequence.join(' '));
+    const verified = solution.success && isCubeSolved3x3(replayState);
+
+    if (!verified) {
+        throw new ApiError(API_ERRORS.SOLVE_FAILED, `${solution.method} solver could not solve this cube`, {
+            cubeType: '3x3x3',
+            method: solution.method,
+            reason: solution.error || solution.phases.find(phase => !phase.success)?.error
+                || 'Reported moves do not solve the cube',
+            phases: solution.phases.map(formatPhase)
+        });
+    }
+
+    res.json({
+        success: true,
+        cubeType: '3x3x3',
+        method: solution.method,
+        totalMoves: solution.totalMoves,
+        moveMetrics: getMoveMetrics(solution.moveSequence),
+        solution: solution.moveSequence.join(' '),
+        moveSequence: solution.moveSequence,
+        ...(solution.colorNeutral && {
+            inspection: solution.inspection,
+            crossColor: solution.crossColor,
+            colorNeutral: solution.colorNeutral
+        }),
+        optimization: solution.optimization,
+        orientation: formatOrientation(normalized),
+        phases: solution.phases.map(formatPhase),
+        executionTime: solution.executionTime
+    });
+}
+
+/**
+ * POST /api/solve/2x2x2 - Solve a 2x2x2 cube with Ortega, CLL or optimally
+ * Options (JSON body or query string):
+ *   - method: 'ortega' | 'cll' | 'auto' (the shorter of Ortega and CLL) | 'optimal' (default 'auto')
+ *   - metric: 'htm' | 'qtm' (default 'htm'), the move count minimized by 'optimal'
+ *   - compare: true to run every method and return them side by side
+ *   - sortBy: 'htm' | 'qtm' | 'stm' | 'etm' (default: the metric), the move count
+ *     compared methods are ranked by
+ * @param {Object} req - Express request (body: cube state and options)
+ * @param {Object} res - Express response
+ */
+export function solve2x2x2(req, res) {
+    const method = getMethodOption(req, '2x2x2', METHODS_2x2x2, 'auto');
+    const metric = getChoiceOption(req, 'metric', METRICS_2x2x2, 'htm', 'metric');
+    const compare = [true, 'true'].includes(getRequestOption(req, 'compare'));
+    const sortBy = getChoiceOption(req, 'sortBy', MOVE_METRICS, metric, 'move metric');
+
+    const cubeState = extractCubeState(req.body, '2x2x2');
+    const normalized = prepareCube(cubeState, validate2x2x2, checkSolvability2x2x2);
+
+    if (compare) {
+        const comparison = compareSolvingMethods(normalized.cubeState, sortBy);
+        const { recommendation, ...results } = comparison;
+
+        res.json({
+            success: true,
+            cubeType: '2x2x2',
+            comparison: Object.fromEntries(Object.entries(results).map(([name, result]) => [
+                name,
+                result.success
+                    ? {
+                        success: true,
+                        ...format2x2x2Solution(cubeState, reorient2x2x2Solution(result.solution, normalized.rotation)),
+                        analysis: result.analysis
+                    }
+                    : { success: false, error: result.error }
+            ])),
+            recommendation: recommendation || null,
+            orientation: formatOrientation(normalized)
+        });
+        return;
+    }
+
+    let solution;
+    try {
+        solution = reorient2x2x2Solution(solve2x2x2Cube(normalized.cubeState, { method, metric }), normalized.rotation);
+    } catch (error) {
+        throw new ApiError(API_ERRORS.SOLVE_FAILED, `2x2x2 ${method} solver could not solve this cube`, {
+            cubeType: '2x2x2',
+            method,
+            reason: error.message
+        });
+    }
+
+    res.json({
+        success: true,
+        requestedMethod: method,
+        ...format2x2x2Solution(cubeState, solution),
+        analysis: analyzeSolution(solution),
+        orientation: formatOrientation(normalized)
+    });
+}
+
+/**
+ * POST /api/solve/4x4x4 - Solve a 4x4x4 cube by reduction
+ * Centers, edge pairing and parity fixes reduce the cube to a 3x3x3, which
+ * is then solved with the 3x3x3 solver.
+ * @param {Object} req - Express request (body: cube state)
+ * @param {Object} res - Express response
+ */
+export function solve4x4x4(req, res) {
+    const cubeState = extractCubeState(req.body, '4x4x4');
+    const normalized = prepareCube(cubeState, validate4x4x4, checkSolvability4x4x4);
+
+    let solution;
+    try {
+        solution = reorientSolution(solveCube4x4(normalized.cubeState), normalized);
+    } catch (error) {
+        throw new ApiError(API_ERRORS.SOLVE_FAILED, 'Reduction solver could not solve this cube', {
+            cubeType: '4x4x4',
+            method: 'Reduction',
+            reason: error.message
+        });
+    }
+
+    const replayState = cloneCubeState(cubeState);
+    applyMoveSequence4x4(replayState, solution.moveSequence.join(' '));
+    const verified = solution.success && isCubeSolved4x4(replayState);
+
+    if (!verified) {
+        throw new ApiError(API_ERRORS.SOLVE_FAILED, 'Reduction solver could not solve this cube', {
+            cubeType: '4x4x4',
+            method: solution.method,
+            reason: solution.error || solution.phases.find(phase => !phase.success)?.error
+                || 'Reported moves do not solve the cube',
+            phases: solution.phases.map(formatPhase),
+            parity: solution.parity
+        });
+    }
+
+    res.json({
+        success: true,
+        cubeType: '4x4x4',
+        method: solution.method,
+        totalMoves: solution.moveSequence.length,
+        moveMetrics: getMoveMetrics(solution.moveSequence, 4),
+        solution: solution.moveSequence.join(' '),
+        moveSequence: solution.moveSequence,
+        phases: solution.phases.map(formatPhase),
+        parity: solution.parity,
+        orientation: formatOrientation(normalized),
+        executionTime: solution.executionTime
+    });
+}
+
+// ========================= INFO HANDLERS =========================
+
+/**
+ * GET /health - Health check
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export function getHealth(req, res) {
+    res.json({
+        status: 'OK',
+        message: 'Rubiks Cube Solver Backend is running',
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * GET /api - API information
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export function getApiInfo(req, res) {
+    res.json({
+        message: 'Rubiks Cube Solver API',
+        endpoints: {
+            health: '/health',
+            solve2x2x2: '/api/solve/2x2x2 (method: ortega | cll | auto | optimal, metric: htm | qtm, compare: true, sortBy: htm | qtm | stm | etm)',
+            solve3x3x3: '/api/solve/3x3x3 (method: cfop | beginner | roux | zz | kociemba, colorNeutral: true | colors, optimize: preserve | outer | compact | false; kociemba takes neither)',
+            solve4x4x4: '/api/solve/4x4x4 (reduction)',
+            scramble: 'GET /api/scramble/:cubeType (2x2x2 | 3x3x3, seed: number | string)',
+            validate: 'POST /api/validate/:cubeType (2x2x2 | 3x3x3 | 4x4x4, diagnoses unsolvable cubes and suggests sticker fixes)',
+            complete: 'POST /api/validate/:cubeType/complete (null stickers are unknown; forced | ambiguous | impossible)'
+        },
+        cubeFormats: `Solve request bodies may send { format: ${CUBE_FORMATS.join(' | ')}, cubeState } with the cube in that format`
+    });
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Supported options
+    METHODS_2x2x2,
+    METRICS_2x2x2,
+    METHODS_3x3x3,
+    
+    // Request helpers
+    extractCubeState,
+
+    // Solver handlers
+    solve2x2x2,
+    solve3x3x3,
+    solve4x4x4,
+
+    // Info handlers
+    getHealth,
+    getApiInfo
+};
@@ -0,0 +1,145 @@
+/**
+ * Validation Controller
+ *
+ * Request/response logic for the validation endpoint. Unlike the solve
+ * endpoints, a cube that cannot be solved is a normal answer here: the
+ * response lists what is wrong with it and the sticker changes that would
+ * fix it (utils/solvabilityDiagnostics.js), for the frontend to highlight.
+ * The completion endpoint fills in stickers left unknown
+ * (utils/cubeCompletion.js). Only a request that holds no readable cube is
+ * thrown as an ApiError and rendered by the error middleware.
+ */
+
+import { validate2x2x2, validate3x3x3, validate4x4x4, validateColors, VALIDATION_ERRORS } from '../utils/validator.js';
+import { API_ERRORS, ApiError, createValidationError } from '../utils/errorHandlers.js';
+import { diagnoseCube } from '../utils/solvabilityDiagnostics.js';
+import { CompletionLimitError, completeCubeState } from '../utils/cubeCompletion.js';
+import { extractCubeState } from './solverController.js';
+
+/**
+ * Validator for every cube type the endpoint accepts
+ */
+const VALIDATORS = {
+    '2x2x2': validate2x2x2,
+    '3x3x3': validate3x3x3,
+    '4x4x4': validate4x4x4
+};
+
+/**
+ * Cube types accepted by POST /api/validate/:cubeType
+ */
+export const VALIDATION_CUBE_TYPES = Object.keys(VALIDATORS);
+
+/**
+ * Errors that leave no cube to report on
+ */
+const SHAPE_ERRORS = [
+    VALIDATION_ERRORS.INVALID_CUBE_TYPE,
+    VALIDATION_ERRORS.INVALID_STRUCTURE,
+    VALIDATION_ERRORS.INVALID_FACELET_COUNT,
+    VALIDATION_ERRORS.MISSING_FACES
+];
+
+/**
+ * Errors that leave stickers without a color to read pieces from
+ */
+const UNREADABLE_ERRORS = [VALIDATION_ERRORS.EMPTY_FACELETS, VALIDATION_ERRORS.INVALID_COLOR];
+
+// ========================= VALIDATION HANDLERS =========================
+
+/**
+ * Reject cube types the validation endpoints do not serve
+ * @param {string} cubeType - Cube type from the route
+ * @throws {ApiError} INVALID_CUBE_TYPE for other cube types
+ */
+function checkCubeType(cubeType) {
+    if (!VALIDATION_CUBE_TYPES.includes(cubeType)) {
+        throw new ApiError(VALIDATION_ERRORS.INVALID_CUBE_TYPE, `Cannot validate ${cubeType} cubes`, {
+            expected: VALIDATION_CUBE_TYPES,
+            received: cubeType
+        });
+    }
+}
+
+/**
+ * POST /api/validate/:cubeType - Check a cube and explain why it cannot be solved
+ * Accepts the same bodies as the solve endpoints, in any interchange format.
+ * Color and count errors are listed in `errors`; the diagnosis names the
+ * pieces to blame and suggests the fewest sticker changes that make the cube
+ * solvable. Stickers are read as sent, in any orientation and color scheme.
+ * @param {Object} req - Express request (params: cubeType)
+ * @param {Object} res - Express response
+ */
+export function validateCube(req, res) {
+    const { cubeType } = req.params;
+    checkCubeType(cubeType);
+
+    const cubeState = extractCubeState(req.body, cubeType);
+    const validation = VALIDATORS[cubeType](cubeState);
+
+    const shapeErrors = validation.errors.filter(error => SHAPE_ERRORS.includes(error.type));
+    if (shapeErrors.length > 0) {
+        throw createValidationError({ errors: shapeErrors }, cubeType);
+    }
+
+    // Solvability is judged by the diagnosis, which reads the cube in its own
+    // orientation and color scheme rather than against the standard one
+    const errors = validation.errors.filter(error => error.type !== VALIDATION_ERRORS.UNSOLVABLE_STATE);
+    const readable = !errors.some(error => UNREADABLE_ERRORS.includes(error.type));
+    const diagnosis = readable ? diagnoseCube(cubeState) : null;
+
+    res.json({
+        success: true,
+        cubeType,
+        isValid: errors.length === 0 && diagnosis.isSolvable,
+        isSolvable: diagnosis?.isSolvable ?? false,
+        errors,
+        diagnosis
+    });
+}
+
+/**
+ * POST /api/validate/:cubeType/complete - Fill in unknown stickers
+ * Stickers sent as null (or '') are unknown. The response says whether the
+ * known stickers force one completion, allow several (listed, up to ten) or
+ * allow none, with the colors every unknown sticker can take.
+ * @param {Object} req - Express request (params: cubeType)
+ * @param {Object} res - Express response
+ */
+export function completeCube(req, res) {
+    const { cubeType } = req.params;
+    checkCubeType(cubeType);
+
+    const cubeState = extractCubeState(req.body, cubeType);
+    const errors = validateColors(cubeState).filter(error => error.type !== VALIDATION_ERRORS.EMPTY_FACELETS);
+    if (errors.length > 0) {
+        throw createValidationError({ errors }, cubeType);
+    }
+
+    let completion;
+    try {
+        completion = completeCubeState(cubeState);
+    } catch (error) {
+        if (!(error instanceof CompletionLimitError)) throw error;
+        throw new ApiError(API_ERRORS.INVALID_PARAMETER, `Too many unknown stickers to complete: ${error.message}`, {
+            cubeType,
+            unknownStickers: error.unknownStickers
+        });
+    }
+
+    res.json({
+        success: true,
+        ...completion
+    });
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Supported cube types
+    VALIDATION_CUBE_TYPES,
+
+    // Validation handlers
+    validateCube,
+    completeCube
+};
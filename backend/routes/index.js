@@ -1,12 +1,26 @@
 // Backend Routes
-// This directory will contain Express route definitions for all API endpoints
+// Express route definitions for all API endpoints
 //
-// Planned routes based on PRD:
 // - solverRoutes.js - Defines cube-specific routes:
-//   - POST /solve/2x2x2 - 2x2x2 cube solver endpoint
-//   - POST /solve/3x3x3 - 3x3x3 cube solver endpoint  
-//   - POST /solve/4x4x4 - 4x4x4 cube solver endpoint
+//   - POST /api/solve/2x2x2 - 2x2x2 cube solver endpoint
+//   - POST /api/solve/3x3x3 - 3x3x3 cube solver endpoint
+//   - POST /api/solve/4x4x4 - 4x4x4 cube solver endpoint
 //   - GET /health - Health check endpoint
 //   - GET /api - API information endpoint
+// - scrambleRoutes.js - Defines scramble routes:
+//   - GET /api/scramble/:cubeType - Random-state scramble (2x2x2, 3x3x3)
+// - validationRoutes.js - Defines validation routes:
+//   - POST /api/validate/:cubeType - Solvability diagnostics (2x2x2, 3x3x3, 4x4x4)
+//   - POST /api/validate/:cubeType/complete - Completion of cubes with unknown stickers
 
-export default {};
\ No newline at end of file
+import solverRoutes from './solverRoutes.js';
+import scrambleRoutes from './scrambleRoutes.js';
+import validationRoutes from './validationRoutes.js';
+
+export { solverRoutes, scrambleRoutes, validationRoutes };
+
+export default {
+    solverRoutes,
+    scrambleRoutes,
+    validationRoutes
+};
@@ -0,0 +1,17 @@
+/**
+ * Scramble Routes
+ *
+ * Express route definitions for the scramble API. Handlers live in
+ * controllers/scrambleController.js; errors they throw are rendered by the
+ * error middleware registered in server.js.
+ */
+
+import { Router } from 'express';
+import { getScramble } from '../controllers/scrambleController.js';
+
+const router = Router();
+
+// Random-state scrambles
+router.get('/api/scramble/:cubeType', getScramble);
+
+export default router;
@@ -0,0 +1,29 @@
+/**
+ * Solver Routes
+ *
+ * Express route definitions for the cube solver API. Handlers live in
+ * controllers/solverController.js; errors they throw are rendered by the
+ * error middleware registered in server.js.
+ */
+
+import { Router } from 'express';
+import {
+    getHealth,
+    getApiInfo,
+    solve2x2x2,
+    solve3x3x3,
+    solve4x4x4
+} from '../controllers/solverController.js';
+
+const router = Router();
+
+// Service information
+router.get('/health', getHealth);
+router.get('/api', getApiInfo);
+
+// Cube solvers
+router.post('/api/solve/2x2x2', solve2x2x2);
+router.post('/api/solve/3x3x3', solve3x3x3);
+router.post('/api/solve/4x4x4', solve4x4x4);
+
+export default router;
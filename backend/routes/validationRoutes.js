@@ -0,0 +1,20 @@
+/**
+ * Validation Routes
+ *
+ * Express route definitions for the validation API. Handlers live in
+ * controllers/validationController.js; errors they throw are rendered by the
+ * error middleware registered in server.js.
+ */
+
+import { Router } from 'express';
+import { completeCube, validateCube } from '../controllers/validationController.js';
+
+const router = Router();
+
+// Solvability diagnostics
+router.post('/api/validate/:cubeType', validateCube);
+
+// Completion of partially entered cubes
+router.post('/api/validate/:cubeType/complete', completeCube);
+
+export default router;
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Backend Test Runner
+ * Runs every backend/test-*.js that uses the shared harness (testHelpers.js),
+ * one node process at a time, and exits with 1 if any of them failed. The
+ * other test-*.js files are exploratory scripts that only print. Every file
+ * draws its random scrambles from the same seed, TEST_SEED or a fresh one.
+ * Usage: [TEST_SEED=<seed>] npm test [-- <name filter>...]   e.g. npm test -- scrambler kociemba
+ */
+import { readdirSync, readFileSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { createSeed } from '../utils/random.js';
+
+const backendDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+const filters = process.argv.slice(2);
+const seed = process.env.TEST_SEED || String(createSeed());
+
+const suite = readdirSync(backendDir)
+  .filter(file => /^test-.*\.js$/.test(file))
+  .filter(file => readFileSync(join(backendDir, file), 'utf8').includes("from './testHelpers.js'"))
+  .filter(file => filters.length === 0 || filters.some(filter => file.includes(filter)))
+  .sort();
+
+if (suite.length === 0) {
+  console.error(`No test files match ${filters.join(', ')}`);
+  process.exit(1);
+}
+
+console.log(`🌱 TEST_SEED=${seed}`);
+const failed = [];
+for (const file of suite) {
+  console.log(`\n▶ ${file}`);
+  const { status } = spawnSync(process.execPath, [file], { cwd: backendDir, stdio: 'inherit', env: { ...process.env, TEST_SEED: seed } });
+  if (status !== 0) failed.push(file);
+}
+
+console.log(`\n📊 ${suite.length - failed.length}/${suite.length} test files passed`);
+if (failed.length > 0) {
+  console.log(`❌ Failed: ${failed.join(', ')} (replay with TEST_SEED=${seed})`);
+  process.exit(1);
+}
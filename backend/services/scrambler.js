@@ -0,0 +1,366 @@
+/**
+ * Random-State Scrambler (WCA style)
+ *
+ * Random-move scrambles do not reach every state equally often. A random-state
+ * scramble instead:
+ *   1. Draws a uniformly random solvable state, piece by piece
+ *   2. Solves it with a short solver (the optimal 2x2x2 solver, or Kociemba's
+ *      two-phase solver within 21 moves on a 3x3x3)
+ *   3. Returns the inverse of that solution, which takes a solved cube there
+ * States closer to solved than the WCA minimum are drawn again. A 2x2x2 keeps
+ * its DBL corner fixed, so its scrambles only turn R, U and F.
+ *
+ * Random-move scrambles are the cheap alternative for every size from 2x2x2 to
+ * 7x7x7: random outer and wide turns that never repeat a move on the axis
+ * being turned (no R R or R L R), or only R and U turns.
+ *
+ * Both can be limited to a subset of the cube: only the last layer scrambled
+ * over solved first two layers, or everything but the cross. Random-move
+ * subset scrambles are strung together from OLL algorithms or cross-keeping
+ * inserts with U turns between them.
+ *
+ * Every scramble reports its seed; the same seed gives the same scramble.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { applyMoves, generateScramble, invertMoveSequence } from '../utils/moveEngine.js';
+import { createSolvedCube, getCubeConfig } from '../utils/cubeStructures.js';
+import {
+    CORNER_NAMES,
+    EDGE_NAMES,
+    REFERENCE_CORNER,
+    createSolvedCubie,
+    cubieToStickers,
+    permutationParity
+} from '../utils/cubieModel.js';
+import { createRandom, createSeed, randomInt, shuffle } from '../utils/random.js';
+import { findOptimalSolution } from './solverOptimal2x2x2.js';
+import { solveKociemba } from './solverKociemba.js';
+
+// ========================= RANDOM STATES =========================
+
+/**
+ * Cube types with random-state scrambles
+ */
+export const RANDOM_STATE_CUBE_TYPES = ['2x2x2', '3x3x3'];
+
+/**
+ * Fewest moves a scrambled state may be from solved (WCA regulation 4b3)
+ */
+const MIN_SCRAMBLE_DISTANCE = { '2x2x2': 4, '3x3x3': 2 };
+
+/**
+ * Slots each random-state subset scrambles; every other piece stays solved
+ *   - full: the whole cube
+ *   - last-layer: the U layer, over solved first two layers
+ *   - f2l: everything but the D cross, for first-two-layers practice
+ */
+const SUBSET_SLOTS = {
+    full: {
+        corners: CORNER_NAMES.map((_, slot) => slot),
+        edges: EDGE_NAMES.map((_, slot) => slot)
+    },
+    'last-layer': {
+        corners: ['URF', 'UFL', 'ULB', 'UBR'].map(name => CORNER_NAMES.indexOf(name)),
+        edges: ['UR', 'UF', 'UL', 'UB'].map(name => EDGE_NAMES.indexOf(name))
+    },
+    f2l: {
+        corners: CORNER_NAMES.map((_, slot) => slot),
+        edges: ['UR', 'UF', 'UL', 'UB', 'FR', 'FL', 'BL', 'BR'].map(name => EDGE_NAMES.indexOf(name))
+    }
+};
+
+/**
+ * Longest solution the 3x3x3 search aims for, and the time it may spend
+ */
+const KOCIEMBA_OPTIONS = { maxLength: 21, timeLimit: 5000 };
+
+/**
+ * Random orientations whose sum is a multiple of the piece's number of orientations
+ * @param {number} count - Number of pieces
+ * @param {number} orientations - 3 for corners, 2 for edges
+ * @param {function(): number} random - Generator returning numbers in [0, 1)
+ * @returns {number[]} Orientation of every piece
+ */
+function randomOrientations(count, orientations, random) {
+    const twists = Array.from({ length: count - 1 }, () => randomInt(random, orientations));
+    const sum = twists.reduce((total, twist) => total + twist, 0);
+    return [...twists, (orientations - sum % orientations) % orientations];
+}
+
+/**
+ * Shuffle and twist the pieces in some slots of a cubie cube, in place
+ * The pieces stay within those slots. When edges are given, two of them are
+ * swapped if needed so corner and edge permutations have equal parity.
+ * @param {CubieCube} cubie - Cube to scramble
+ * @param {number[]} cornerSlots - Corner slots to scramble
+ * @param {number[]} edgeSlots - Edge slots to scramble
+ * @param {function(): number} random - Generator returning numbers in [0, 1)
+ */
+function randomizeSlots(cubie, cornerSlots, edgeSlots, random) {
+    const corners = shuffle(cornerSlots.map(slot => cubie.cp[slot]), random);
+    const twists = randomOrientations(cornerSlots.length, 3, random);
+    cornerSlots.forEach((slot, i) => {
+        cubie.cp[slot] = corners[i];
+        cubie.co[slot] = twists[i];
+    });
+
+    if (edgeSlots.length === 0) {
+        return;
+    }
+    const edges = shuffle(edgeSlots.map(slot => cubie.ep[slot]), random);
+    const flips = randomOrientations(edgeSlots.length, 2, random);
+    edgeSlots.forEach((slot, i) => {
+        cubie.ep[slot] = edges[i];
+        cubie.eo[slot] = flips[i];
+    });
+    if (permutationParity(cubie.cp) !== permutationParity(cubie.ep)) {
+        const [first, second] = edgeSlots;
+        [cubie.ep[first], cubie.ep[second]] = [cubie.ep[second], cubie.ep[first]];
+    }
+}
+
+/**
+ * Draw a uniformly random solvable cubie cube
+ * A 3x3x3 gets any corner and edge permutation of equal parity within its
+ * subset; a 2x2x2 keeps its DBL corner home and unturned, since the whole
+ * cube can turn.
+ * @param {string} cubeType - '2x2x2' or '3x3x3'
+ * @param {function(): number} random - Generator returning numbers in [0, 1)
+ * @param {string} [subset='full'] - Pieces to scramble on a 3x3x3 (full, last-layer or f2l)
+ * @returns {CubieCube} Random cube in the standard color scheme
+ */
+export function getRandomCubie(cubeType, random, subset = 'full') {
+    const cubie = createSolvedCubie(cubeType);
+
+    if (cubeType === '2x2x2') {
+        const freeSlots = CORNER_NAMES.map((_, slot) => slot).filter(slot => slot !== REFERENCE_CORNER);
+        randomizeSlots(cubie, freeSlots, [], random);
+        return cubie;
+    }
+
+    const { corners, edges } = SUBSET_SLOTS[subset];
+    randomizeSlots(cubie, corners, edges, random);
+    return cubie;
+}
+
+/**
+ * Solve a random state with the short solver of its cube type
+ * @param {Object} cubeState - 2x2x2 or 3x3x3 cube state
+ * @returns {string[]} Solution moves
+ * @throws {Error} If the 3x3x3 search finds no solution in time
+ */
+function solveRandomState(cubeState) {
+    if (cubeState.cubeType === '2x2x2') {
+        return findOptimalSolution(cubeState, 'htm').moves;
+    }
+
+    const solution = solveKociemba(cubeState, KOCIEMBA_OPTIONS);
+    if (!solution.success) {
+        throw new Error(`Could not solve the random state: ${solution.error}`);
+    }
+    return solution.moveSequence;
+}
+
+// ========================= SCRAMBLES =========================
+
+/**
+ * Scramble subsets: the random-state subsets, plus R and U turns only
+ */
+export const SCRAMBLE_SUBSETS = [...Object.keys(SUBSET_SLOTS), 'ru'];
+
+/**
+ * Random-move scramble length of each cube size
+ */
+export const RANDOM_MOVE_LENGTHS = { 2: 11, 3: 25, 4: 40, 5: 60, 6: 80, 7: 100 };
+
+/**
+ * Moves random-move scrambles of a subset draw from, instead of the size's full set
+ */
+const SUBSET_MOVES = { ru: ['R', 'U'] };
+
+/**
+ * Turns of the U layer placed between the pieces of a subset scramble
+ */
+const U_TURNS = ['U', "U'", 'U2'];
+
+/**
+ * OLL algorithms that only turn outer faces, so they keep the first two layers
+ * of every size, and that neither start nor end on the U/D axis, so the U turns
+ * placed around them never cancel or repeat that axis
+ */
+const LAST_LAYER_ALGORITHMS = JSON.parse(readFileSync(fileURLToPath(new URL('../data/oll-cases.json', import.meta.url)), 'utf8'))
+    .cases.flatMap(({ algorithms }) => algorithms)
+    .map(algorithm => algorithm.split(' '))
+    .filter(moves => moves.every(move => /^[RLUDFB]['2]?$/.test(move)) &&
+        !/^[UD]/.test(moves[0]) && !/^[UD]/.test(moves[moves.length - 1]));
+
+/**
+ * Inserts that keep the D cross: a side face turned, the U layer turned, and
+ * the side face turned back (R U' R'), alone or two on different faces
+ */
+const CROSS_INSERTS = (() => {
+    const inserts = ['R', 'L', 'F', 'B'].flatMap(face => [face, `${face}'`].flatMap(turn =>
+        U_TURNS.map(uTurn => [turn, uTurn, invertMoveSequence(turn)])));
+    const pairs = inserts.flatMap(first => inserts
+        .filter(second => second[0][0] !== first[0][0])
+        .map(second => [...first, ...second]));
+    return [...inserts, ...pairs];
+})();
+
+/**
+ * Pieces random-move scrambles of a subset are strung together from
+ */
+const SUBSET_PIECES = { 'last-layer': LAST_LAYER_ALGORITHMS, f2l: CROSS_INSERTS };
+
+/**
+ * @typedef {Object} ScrambleResult
+ * @property {string} cubeType - Cube type
+ * @property {string} subset - Scramble subset
+ * @property {string} scramble - Space separated scramble
+ * @property {string[]} moveSequence - Scramble moves
+ * @property {number|string} seed - Seed that reproduces the scramble
+ * @property {Object} cubeState - State the scramble leads to from solved
+ */
+
+/**
+ * Describe a scramble and the state it leads to from solved
+ * @param {string} cubeType - Cube type
+ * @param {string} subset - Scramble subset
+ * @param {string} scramble - Space separated scramble
+ * @param {number|string} seed - Seed the scramble was drawn from
+ * @returns {ScrambleResult} Scramble result
+ */
+function describeScramble(cubeType, subset, scramble, seed) {
+    return {
+        cubeType,
+        subset,
+        scramble,
+        moveSequence: scramble ? scramble.split(' ') : [],
+        seed,
+        cubeState: applyMoves(createSolvedCube(cubeType), scramble)
+    };
+}
+
+/**
+ * Generate a WCA-style random-state scramble
+ * @param {string} cubeType - '2x2x2' or '3x3x3'
+ * @param {Object} [options] - Scramble options
+ * @param {number|string} [options.seed] - Seed (default: a fresh random seed)
+ * @param {string} [options.subset='full'] - full, or on a 3x3x3 last-layer or f2l
+ * @returns {ScrambleResult} Scramble and the state it leads to
+ * @throws {Error} If the cube type has no random-state scrambler, or not for this subset
+ */
+export function generateRandomStateScramble(cubeType, { seed = createSeed(), subset = 'full' } = {}) {
+    if (!Object.hasOwn(SUBSET_SLOTS, subset) || (subset !== 'full' && cubeType !== '3x3x3')) {
+        throw new Error(`No ${subset} random-state scrambles for ${cubeType}`);
+    }
+    if (!RANDOM_STATE_CUBE_TYPES.includes(cubeType)) {
+        throw new Error(`Random-state scrambles support ${RANDOM_STATE_CUBE_TYPES.join(' and ')}, got ${cubeType}`);
+    }
+
+    const random = createRandom(seed);
+    let solution;
+    do {
+        solution = solveRandomState(cubieToStickers(getRandomCubie(cubeType, random, subset)));
+    } while (solution.length < MIN_SCRAMBLE_DISTANCE[cubeType]);
+
+    return describeScramble(cubeType, subset, invertMoveSequence(solution), seed);
+}
+
+/**
+ * String pieces together with a U turn between each, to an exact length
+ * Up to two more U turns go before the first and after the last piece. Lengths
+ * are drawn first, only among those the rest of the scramble can still be made
+ * of, then a piece of that length.
+ * @param {string[][]} pieces - Move lists that keep the subset's solved part
+ * @param {number} moveCount - Number of moves
+ * @param {function(): number} random - Generator returning numbers in [0, 1)
+ * @param {string} subset - Subset name, for the error message
+ * @returns {string} Space separated scramble
+ * @throws {Error} If no scramble of the pieces has exactly that many moves
+ */
+function generatePieceScramble(pieces, moveCount, random, subset) {
+    const lengths = [...new Set(pieces.map(piece => piece.length))];
+
+    // fits[n]: pieces plus one U turn after each can add up to n moves
+    const fits = [true];
+    for (let n = 1; n <= moveCount + 1; n++) {
+        fits[n] = lengths.some(length => n > length && fits[n - length - 1]);
+    }
+
+    const outerTurnCounts = [0, 1, 2].filter(count => moveCount - count > 0 && fits[moveCount - count + 1]);
+    if (outerTurnCounts.length === 0) {
+        throw new Error(`No ${subset} scramble has exactly ${moveCount} moves`);
+    }
+
+    const uTurn = () => U_TURNS[randomInt(random, U_TURNS.length)];
+    const outerTurns = outerTurnCounts[randomInt(random, outerTurnCounts.length)];
+    const leading = outerTurns === 2 || (outerTurns === 1 && randomInt(random, 2) === 0);
+    const scramble = leading ? [uTurn()] : [];
+
+    let remaining = moveCount - outerTurns + 1;
+    while (remaining > 0) {
+        const fitting = lengths.filter(length => remaining > length && fits[remaining - length - 1]);
+        const length = fitting[randomInt(random, fitting.length)];
+        const candidates = pieces.filter(piece => piece.length === length);
+        scramble.push(...candidates[randomInt(random, candidates.length)]);
+        remaining -= length + 1;
+        if (remaining > 0) {
+            scramble.push(uTurn());
+        }
+    }
+
+    if (scramble.length < moveCount) {
+        scramble.push(uTurn());
+    }
+    return scramble.join(' ');
+}
+
+/**
+ * Generate a random-move scramble for any cube from 2x2x2 to 7x7x7
+ * Big cubes get wide turns, and no move repeats on the axis being turned.
+ * The ru subset turns only R and U. The last-layer subset strings OLL
+ * algorithms together and the f2l subset cross-keeping inserts (R U' R'),
+ * with U turns between them; both only turn outer faces, so they work on every
+ * size, and are exactly `length` moves (last-layer needs at least 6, f2l 3).
+ * @param {string} cubeType - Cube type (2x2x2 to 7x7x7)
+ * @param {Object} [options] - Scramble options
+ * @param {number|string} [options.seed] - Seed (default: a fresh random seed)
+ * @param {number} [options.length] - Number of moves (default: RANDOM_MOVE_LENGTHS of the size)
+ * @param {string} [options.subset='full'] - One of SCRAMBLE_SUBSETS
+ * @returns {ScrambleResult} Scramble and the state it leads to
+ * @throws {Error} On an unknown cube type or subset, or a length that is not a positive integer or too short for the subset
+ */
+export function generateRandomMoveScramble(cubeType, { seed = createSeed(), length, subset = 'full' } = {}) {
+    const { size } = getCubeConfig(cubeType);
+    if (!SCRAMBLE_SUBSETS.includes(subset)) {
+        throw new Error(`Unknown scramble subset ${subset}, expected one of ${SCRAMBLE_SUBSETS.join(', ')}`);
+    }
+
+    const moveCount = length ?? RANDOM_MOVE_LENGTHS[size];
+    if (!Number.isInteger(moveCount) || moveCount < 1) {
+        throw new Error(`Scramble length must be a positive integer, got ${moveCount}`);
+    }
+
+    const random = createRandom(seed);
+    const scramble = Object.hasOwn(SUBSET_PIECES, subset)
+        ? generatePieceScramble(SUBSET_PIECES[subset], moveCount, random, subset)
+        : generateScramble(size, moveCount, random, SUBSET_MOVES[subset]);
+    return describeScramble(cubeType, subset, scramble, seed);
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Random states
+    RANDOM_STATE_CUBE_TYPES,
+    getRandomCubie,
+
+    // Scrambles
+    SCRAMBLE_SUBSETS,
+    RANDOM_MOVE_LENGTHS,
+    generateRandomStateScramble,
+    generateRandomMoveScramble
+};
@@ -2,18 +2,28 @@
  * 2x2x2 Cube Solver - Ortega Method Implementation
  * 
  * This module implements the Ortega method for solving 2x2x2 cubes:
- * Phase 1: Orient Last Layer (OLL) - Get all pieces of one color facing up
- * Phase 2: Permute Both Layers (PBL) - Position all pieces correctly
+ * Phase 1: First Face - Get all pieces of one color facing down
+ * Phase 2: Orient Last Layer (OLL) - Get all pieces of the opposite color facing up
+ * Phase 3: Permute Both Layers (PBL) - Position all pieces correctly
  * 
- * Also includes CLL (Corners of Last Layer) method as fallback for advanced cases
+ * Also includes the CLL (Corners of Last Layer) method: first layer, then one
+ * algorithm that solves the last layer, and an optimal solver backed by a
+ * complete distance table (see solverOptimal2x2x2.js)
  */
 
 import { 
     cloneCubeState, 
     getCubeConfig, 
     FACE_NAMES,
-    createSolvedCube 
+    FACE_RELATIONSHIPS,
+    createSolvedCube,
+    extractCornerPieces
 } from '../utils/cubeStructures.js';
+import { applyMove as applyEngineMove } from '../utils/moveEngine.js';
+import { findOptimalSolution, getOptimalDistance, METRICS as OPTIMAL_METRICS } from './solverOptimal2x2x2.js';
+import { DEFAULT_METRIC, getMoveMetrics, sortByMetric } from '../utils/moveMetrics.js';
+import { NotationError, parseAlgorithm } from '../utils/notationParser.js';
+import { generateRandomStateScramble } from './scrambler.js';
 
 // ========================= MOVE NOTATION PARSER =========================
 
@@ -21,63 +31,45 @@ import {
  * @typedef {Object} ParsedMove
  * @property {string} face - Face to rotate (R, L, U, D, F, B)
  * @property {number} turns - Number of 90° clockwise turns (1, 2, -1 for prime)
- * @property {string} notation - Original notation string
+ * @property {string} notation - Move written with a plain modifier (R, R2 or R')
  */
 
 /**
  * Parse a move string into an array of move objects
- * Supports standard 2x2x2 notation: R, L, U, D, F, B with optional ' (prime) and 2 (double)
- * @param {string} moveString - Move sequence string (e.g., "R U R' U2")
+ * Supports standard 2x2x2 notation: R, L, U, D, F, B with optional ' (prime),
+ * 2 (double) or 2', plus the grouping, repetition, commutator, conjugate and
+ * comment syntax of the shared notation parser. Moves come back expanded.
+ * @param {string} moveString - Move sequence string (e.g., "R U R' U2" or "[R, U]")
  * @returns {ParsedMove[]} Array of parsed move objects
+ * @throws {NotationError} If the notation is invalid or is not a face turn, with the position of the mistake
  */
 export function parseMoveNotation(moveString) {
     if (!moveString || typeof moveString !== 'string') {
         return [];
     }
 
-    // Split by whitespace and filter out empty strings
-    const moves = moveString.trim().split(/\s+/).filter(move => move.length > 0);
-    const parsedMoves = [];
-
-    for (const move of moves) {
-        const parsed = parseSingleMove(move);
-        if (parsed) {
-            parsedMoves.push(parsed);
+    return parseAlgorithm(moveString, 2).map(({ face, layers, turns, notation, position }) => {
+        // The 2x2x2 solver turns single faces; wide turns and rotations move the whole cube
+        if (layers.length !== 1 || layers[0] !== 0) {
+            throw new NotationError(`${notation} is not a face turn`, moveString, position);
         }
-    }
-
-    return parsedMoves;
+        return { face, turns, notation };
+    });
 }
 
 /**
  * Parse a single move notation
  * @param {string} move - Single move notation (e.g., "R", "U'", "F2")
- * @returns {ParsedMove|null} Parsed move object or null if invalid
+ * @returns {ParsedMove} Parsed move object
+ * @throws {NotationError} If the notation is invalid or is not exactly one face turn
  */
 export function parseSingleMove(move) {
-    // Validate move format with regex
-    const moveRegex = /^([RLUFDB])([']|[2])?$/;
-    const match = move.match(moveRegex);
-    
-    if (!match) {
-        console.warn(`Invalid move notation: ${move}`);
-        return null;
-    }
-
-    const [, face, modifier] = match;
-    let turns = 1;
-
-    if (modifier === "'") {
-        turns = -1; // Counter-clockwise
-    } else if (modifier === "2") {
-        turns = 2; // 180-degree turn
+    const parsedMoves = parseMoveNotation(move);
+    if (parsedMoves.length !== 1) {
+        throw new NotationError(`Expected a single move, got ${parsedMoves.length}`, String(move ?? ''), 0);
     }
 
-    return {
-        face,
-        turns,
-        notation: move
-    };
+    return parsedMoves[0];
 }
 
 /**
@@ -112,65 +104,9 @@ export function movesToNotation(moves) {
 
 // ========================= CUBE STATE MANIPULATION =========================
 
-/**
- * 2x2x2 cube face rotation and sticker cycling definitions
- * Each move rotates a face and cycles adjacent stickers
- */
-
-// Face rotation mappings for 2x2x2 (4 stickers per face, clockwise)
-const FACE_ROTATIONS = {
-    // Clockwise rotation: [0,1,2,3] -> [2,0,3,1]
-    clockwise: [2, 0, 3, 1],
-    // Counter-clockwise rotation: [0,1,2,3] -> [1,3,0,2]  
-    counterclockwise: [1, 3, 0, 2]
-};
-
-/**
- * Adjacent sticker cycling for each face move on 2x2x2
- * Format: { face: [[face1, indices], [face2, indices], [face3, indices], [face4, indices]] }
- * Indices represent the stickers that get cycled between adjacent faces
- */
-const ADJACENT_CYCLES = {
-    R: [
-        ['U', [1, 3]], // Right side of U face
-        ['F', [1, 3]], // Right side of F face  
-        ['D', [1, 3]], // Right side of D face
-        ['B', [0, 2]]  // Left side of B face (opposite orientation)
-    ],
-    L: [
-        ['U', [0, 2]], // Left side of U face
-        ['B', [1, 3]], // Right side of B face (opposite orientation)
-        ['D', [0, 2]], // Left side of D face
-        ['F', [0, 2]]  // Left side of F face
-    ],
-    U: [
-        ['B', [0, 1]], // Top edge of B face
-        ['R', [0, 1]], // Top edge of R face
-        ['F', [0, 1]], // Top edge of F face
-        ['L', [0, 1]]  // Top edge of L face
-    ],
-    D: [
-        ['F', [2, 3]], // Bottom edge of F face
-        ['R', [2, 3]], // Bottom edge of R face
-        ['B', [2, 3]], // Bottom edge of B face
-        ['L', [2, 3]]  // Bottom edge of L face
-    ],
-    F: [
-        ['U', [2, 3]], // Bottom edge of U face
-        ['R', [0, 2]], // Left side of R face
-        ['D', [0, 1]], // Top edge of D face
-        ['L', [1, 3]]  // Right side of L face
-    ],
-    B: [
-        ['U', [0, 1]], // Top edge of U face
-        ['L', [0, 2]], // Left side of L face
-        ['D', [2, 3]], // Bottom edge of D face
-        ['R', [1, 3]]  // Right side of R face
-    ]
-};
-
 /**
  * Apply a single face rotation to a cube state
+ * Sticker cycling comes from the shared NxN move engine.
  * @param {Object} cubeState - Current cube state
  * @param {string} face - Face to rotate (R, L, U, D, F, B)
  * @param {number} turns - Number of 90° clockwise turns
@@ -182,64 +118,7 @@ export function rotateFace(cubeState, face, turns) {
         throw new Error(`Invalid face: ${face}`);
     }
 
-    const newState = cloneCubeState(cubeState);
-    const normalizedTurns = ((turns % 4) + 4) % 4; // Normalize to 0-3 range
-
-    if (normalizedTurns === 0) {
-        return newState; // No rotation needed
-    }
-
-    // Apply face rotation (internal stickers)
-    const faceStickers = newState.faces[face];
-    const originalStickers = [...faceStickers];
-
-    for (let i = 0; i < normalizedTurns; i++) {
-        const rotationMap = FACE_ROTATIONS.clockwise;
-        for (let j = 0; j < 4; j++) {
-            faceStickers[j] = originalStickers[rotationMap[j]];
-        }
-        // Update original for next iteration
-        Object.assign(originalStickers, faceStickers);
-    }
-
-    // Apply adjacent sticker cycling
-    const cycle = ADJACENT_CYCLES[face];
-    if (cycle) {
-        applyAdjacentCycle(newState, cycle, normalizedTurns);
-    }
-
-    return newState;
-}
-
-/**
- * Apply adjacent sticker cycling for face rotations
- * @param {Object} cubeState - Cube state to modify (mutated)
- * @param {Array} cycle - Cycle definition for the face
- * @param {number} turns - Number of clockwise turns
- */
-function applyAdjacentCycle(cubeState, cycle, turns) {
-    // Store original values for all positions in the cycle
-    const originalValues = cycle.map(([face, indices]) => 
-        indices.map(index => cubeState.faces[face][index])
-    );
-
-    // Apply the cycle 'turns' number of times
-    for (let turn = 0; turn < turns; turn++) {
-        for (let i = 0; i < cycle.length; i++) {
-            const [currentFace, currentIndices] = cycle[i];
-            const [sourceFace, sourceIndices] = cycle[(i + cycle.length - 1) % cycle.length];
-            
-            // Get source values (from previous turn or original)
-            const sourceValues = turn === 0 
-                ? originalValues[(i + cycle.length - 1) % cycle.length]
-                : sourceIndices.map(index => cubeState.faces[sourceFace][index]);
-
-            // Set current values
-            currentIndices.forEach((index, j) => {
-                cubeState.faces[currentFace][index] = sourceValues[j];
-            });
-        }
-    }
+    return applyEngineMove(cubeState, { face, layers: [0], turns });
 }
 
 /**
@@ -339,29 +218,19 @@ export function isCubeSolved(cubeState) {
 
 /**
  * Create a scrambled 2x2x2 cube for testing
- * @param {number} scrambleLength - Number of random moves (default: 10)
- * @returns {Object} Scrambled cube state
+ * The state is drawn uniformly at random and reached by a WCA-style
+ * random-state scramble (see scrambler.js).
+ * @param {Object} [options] - Scramble options
+ * @param {number|string} [options.seed] - Seed that reproduces the scramble (default: random)
+ * @returns {Object} Scrambled cube state, its scramble moves and seed
  */
-export function createScrambledCube(scrambleLength = 10) {
-    const solvedCube = createSolvedCube('2x2x2');
-    const faces = ['R', 'L', 'U', 'D', 'F', 'B'];
-    const modifiers = ['', "'", '2'];
-    
-    let scrambledCube = solvedCube;
-    const scrambleMoves = [];
-
-    for (let i = 0; i < scrambleLength; i++) {
-        const face = faces[Math.floor(Math.random() * faces.length)];
-        const modifier = modifiers[Math.floor(Math.random() * modifiers.length)];
-        const moveNotation = face + modifier;
-        
-        scrambleMoves.push(moveNotation);
-        scrambledCube = applyMoveSequence(scrambledCube, moveNotation);
-    }
+export function createScrambledCube({ seed } = {}) {
+    const { cubeState, scramble, seed: usedSeed } = generateRandomStateScramble('2x2x2', { seed });
 
     return {
-        cubeState: scrambledCube,
-        scrambleMoves: scrambleMoves.join(' ')
+        cubeState,
+        scrambleMoves: scramble,
+        seed: usedSeed
     };
 }
 
@@ -411,151 +280,346 @@ export function optimizeMoveSequence(moves) {
     return optimized;
 }
 
-// ========================= ORTEGA METHOD - OLL PHASE =========================
+// ========================= STICKER-LEVEL SEARCH HELPERS =========================
 
 /**
- * OLL (Orient Last Layer) algorithm lookup table
- * Contains all 8 possible OLL cases for 2x2x2 cubes in Ortega method
+ * All 18 face turns, used to derive flat sticker permutations
  */
-const OLL_ALGORITHMS = {
-    solved: '',  // Already oriented - no moves needed
-    sune: "R U R' U R U2 R'",
-    antisune: "L' U' L U' L' U2 L",
-    t: "R U R' U' R' F R F'",
-    l: "F R U R' U' R U R' U' F'",
-    pi: "F R U R' U' F'",
-    h: "R2 U2 R' U2 R2",
-    u: "R U2 R2 U' R2 U' R2 U2 R"
-};
+const ALL_FACE_MOVES = ['U', 'L', 'F', 'R', 'B', 'D'].flatMap(face => [face, `${face}'`, `${face}2`]);
 
 /**
- * Recognize the OLL case from cube state
- * @param {Object} cubeState - Current cube state (assumes D face needs to be oriented)
- * @returns {string} OLL case identifier
+ * Moves used for the first step. None of them touches the DBL corner, so the
+ * first face/layer is always built relative to that fixed reference piece.
  */
-export function recognizeOLLCase(cubeState) {
-    // For Ortega method, we orient the bottom (D) face
-    // Count oriented stickers (should be yellow 'Y' facing down)
-    const dFace = cubeState.faces.D;
-    const targetColor = 'Y'; // Yellow is the standard bottom color
-    
-    // Find which stickers are correctly oriented (yellow facing down)
-    const orientedPositions = [];
-    for (let i = 0; i < 4; i++) {
-        if (dFace[i] === targetColor) {
-            orientedPositions.push(i);
+const FIRST_STEP_MOVES = ['R', "R'", 'R2', 'U', "U'", 'U2', 'F', "F'", 'F2'];
+
+/**
+ * Standard color of each face on a solved cube
+ */
+const SOLVED_FACE_COLORS = Object.fromEntries(
+    FACE_NAMES.map(face => [face, createSolvedCube('2x2x2').faces[face][0]])
+);
+
+/**
+ * Opposite color for each color of the standard scheme
+ */
+const OPPOSITE_COLORS = Object.fromEntries(
+    FACE_NAMES.map(face => [SOLVED_FACE_COLORS[face], SOLVED_FACE_COLORS[FACE_RELATIONSHIPS.opposites[face]]])
+);
+
+/**
+ * Flat sticker indices (FACE_NAMES order, 4 per face) of each corner slot
+ */
+const CORNER_SLOT_STICKERS = Object.values(extractCornerPieces(createSolvedCube('2x2x2')))
+    .map(corner => corner.map(facelet => FACE_NAMES.indexOf(facelet.face) * 4 + facelet.index));
+
+let stickerPermutations = null;
+
+/**
+ * Get flat sticker permutations for every face turn (derived once from rotateFace)
+ * @returns {Object} Map of move notation to permutation (new[i] = old[perm[i]])
+ */
+function getStickerPermutations() {
+    if (!stickerPermutations) {
+        const labeled = createSolvedCube('2x2x2');
+        FACE_NAMES.forEach((face, faceIndex) => {
+            labeled.faces[face] = [0, 1, 2, 3].map(i => faceIndex * 4 + i);
+        });
+
+        stickerPermutations = {};
+        for (const move of ALL_FACE_MOVES) {
+            stickerPermutations[move] = toStickerArray(applyMoveSequence(labeled, move));
         }
     }
-    
-    const orientedCount = orientedPositions.length;
-    
-    // Determine OLL case based on oriented sticker count and positions
-    switch (orientedCount) {
-        case 4:
-            return 'solved'; // All oriented
-            
-        case 0:
-            return 'h'; // No oriented stickers (H case)
-            
-        case 1:
-            // One oriented sticker - Sune or Anti-Sune
-            return determineSuneCase(cubeState, orientedPositions[0]);
-            
-        case 2:
-            // Two oriented stickers - T, L, Pi, or U case
-            return determineTwoOrientedCase(orientedPositions);
-            
-        default:
-            throw new Error(`Invalid OLL state: ${orientedCount} oriented stickers`);
+    return stickerPermutations;
+}
+
+/**
+ * Flatten a cube state into a 24 sticker array
+ * @param {Object} cubeState - 2x2x2 cube state
+ * @returns {string[]} Stickers in FACE_NAMES order
+ */
+function toStickerArray(cubeState) {
+    return FACE_NAMES.flatMap(face => cubeState.faces[face]);
+}
+
+/**
+ * Apply a move sequence to a flat sticker array
+ * @param {string[]} stickers - Flat sticker array
+ * @param {string} sequence - Space separated face turns
+ * @returns {string[]} New sticker array
+ */
+function applyStickerSequence(stickers, sequence) {
+    const permutations = getStickerPermutations();
+    return sequence.split(/\s+/).filter(Boolean).reduce(
+        (current, move) => permutations[move].map(index => current[index]),
+        stickers
+    );
+}
+
+/**
+ * Recolor a cube so that its DBL corner shows the standard D/B/L colors
+ * A 2x2x2 has no centers, so the solvers treat the DBL corner as the reference
+ * piece: the first step never moves it, and recognition can then assume the
+ * standard scheme (yellow first face on D, white last layer on U) however the
+ * cube is held. Moves found on the recolored cube apply unchanged to the original.
+ * @param {Object} cubeState - 2x2x2 cube state
+ * @returns {Object} Recolored cube state
+ */
+export function normalizeToReferenceCorner(cubeState) {
+    const referenceColors = [cubeState.faces.D[2], cubeState.faces.B[3], cubeState.faces.L[2]];
+    const standardColors = ['D', 'B', 'L'].map(face => SOLVED_FACE_COLORS[face]);
+    const colorMap = {};
+
+    referenceColors.forEach((color, i) => {
+        colorMap[color] = standardColors[i];
+        colorMap[OPPOSITE_COLORS[color]] = OPPOSITE_COLORS[standardColors[i]];
+    });
+
+    if (Object.keys(colorMap).length !== 6 || Object.keys(colorMap).some(color => !OPPOSITE_COLORS[color])) {
+        throw new Error(`Reference corner DBL has an invalid color combination: ${referenceColors.join('')}`);
+    }
+
+    const normalized = cloneCubeState(cubeState);
+    for (const face of FACE_NAMES) {
+        normalized.faces[face] = cubeState.faces[face].map(color => colorMap[color]);
     }
+    return normalized;
 }
 
+// ========================= FIRST FACE / FIRST LAYER =========================
+
 /**
- * Determine if one-oriented case is Sune or Anti-Sune
- * @param {Object} cubeState - Current cube state
- * @param {number} orientedPosition - Position of the single oriented sticker
- * @returns {string} 'sune' or 'antisune'
+ * Sticker masks describing the goal of each first step
+ * - firstFace: only where the yellow stickers are (Ortega)
+ * - firstLayer: every sticker of the four yellow corners (CLL)
  */
-function determineSuneCase(cubeState, orientedPosition) {
-    // Check adjacent faces to determine orientation pattern
-    // This is a simplified heuristic - in practice, you might need more sophisticated pattern matching
-    
-    // For now, alternate based on position to distinguish cases
-    // Position 0 or 2 (diagonal) -> sune, Position 1 or 3 -> antisune
-    return (orientedPosition % 2 === 0) ? 'sune' : 'antisune';
+const FIRST_STEP_MASKS = {
+    firstFace: stickers => stickers.map(color => color === SOLVED_FACE_COLORS.D ? color : '.').join(''),
+    firstLayer: stickers => {
+        const mask = new Array(stickers.length).fill('.');
+        for (const slot of CORNER_SLOT_STICKERS) {
+            if (slot.some(index => stickers[index] === SOLVED_FACE_COLORS.D)) {
+                slot.forEach(index => { mask[index] = stickers[index]; });
+            }
+        }
+        return mask.join('');
+    }
+};
+
+const firstStepTables = {};
+
+/**
+ * Get the exact distance table for a first step (built once by BFS from the goal)
+ * The masked state spaces are tiny (945 first faces, 5670 first layers).
+ * @param {string} step - 'firstFace' or 'firstLayer'
+ * @returns {Map<string, number>} Masked state -> moves to goal
+ */
+function getFirstStepTable(step) {
+    if (!firstStepTables[step]) {
+        const maskFn = FIRST_STEP_MASKS[step];
+        const goal = toStickerArray(createSolvedCube('2x2x2'));
+        const table = new Map([[maskFn(goal), 0]]);
+        let frontier = [goal];
+
+        for (let depth = 1; frontier.length > 0; depth++) {
+            const next = [];
+            for (const stickers of frontier) {
+                for (const move of FIRST_STEP_MOVES) {
+                    const moved = applyStickerSequence(stickers, move);
+                    const key = maskFn(moved);
+                    if (!table.has(key)) {
+                        table.set(key, depth);
+                        next.push(moved);
+                    }
+                }
+            }
+            frontier = next;
+        }
+        firstStepTables[step] = table;
+    }
+    return firstStepTables[step];
 }
 
 /**
- * Determine OLL case when two stickers are oriented
- * @param {number[]} orientedPositions - Positions of oriented stickers [0,1,2,3]
- * @returns {string} OLL case identifier
+ * Find an optimal <R, U, F> sequence for the first face or first layer
+ * @param {Object} cubeState - Cube state normalized with normalizeToReferenceCorner
+ * @param {string} step - 'firstFace' or 'firstLayer'
+ * @returns {string[]} Move notations (empty if already done)
  */
-function determineTwoOrientedCase(orientedPositions) {
-    const [pos1, pos2] = orientedPositions.sort((a, b) => a - b);
-    
-    // Adjacent positions (side by side)
-    if (Math.abs(pos2 - pos1) === 1 || (pos1 === 0 && pos2 === 3)) {
-        // Adjacent stickers - could be T or U case
-        // Use position pattern to distinguish
-        if ((pos1 === 0 && pos2 === 1) || (pos1 === 2 && pos2 === 3)) {
-            return 't'; // Top or bottom edge
-        } else {
-            return 'u'; // Left or right edge
+export function solveFirstStep(cubeState, step = 'firstFace') {
+    const maskFn = FIRST_STEP_MASKS[step];
+    if (!maskFn) {
+        throw new Error(`Unknown first step: ${step}`);
+    }
+
+    const table = getFirstStepTable(step);
+    let stickers = toStickerArray(cubeState);
+    let distance = table.get(maskFn(stickers));
+
+    if (distance === undefined) {
+        throw new Error(`${step} cannot be reached from this state`);
+    }
+
+    const moves = [];
+    while (distance > 0) {
+        for (const move of FIRST_STEP_MOVES) {
+            const moved = applyStickerSequence(stickers, move);
+            if (table.get(maskFn(moved)) === distance - 1) {
+                moves.push(move);
+                stickers = moved;
+                distance--;
+                break;
+            }
         }
-    } 
-    // Diagonal positions (opposite corners)
-    else if (Math.abs(pos2 - pos1) === 2) {
-        return 'pi'; // Diagonal - Pi case
     }
-    // This should cover all 2-sticker cases, but fallback
-    else {
-        return 'l'; // Default to L case for other patterns
+    return moves;
+}
+
+// ========================= CASE RECOGNITION =========================
+
+/**
+ * Pre-algorithm adjustments: U turns, and U+D turns for PBL
+ */
+const U_ADJUSTMENTS = ['', 'U', "U'", 'U2'];
+const UD_ADJUSTMENTS = U_ADJUSTMENTS.flatMap(u => ['', 'D', "D'", 'D2'].map(d => `${u} ${d}`.trim()));
+
+/**
+ * Build a recognition table for an algorithm set
+ * Each case state is derived by undoing the algorithm (and any post adjustment)
+ * from a solved cube, so recognition is always consistent with the algorithms.
+ * @param {Object} algorithms - Case name -> algorithm (empty string for solved)
+ * @param {Function} keyFn - Sticker array -> recognition key
+ * @param {string[]} postAdjustments - Adjustments allowed after the algorithm
+ * @returns {Map<string, Object>} Key -> { case, algorithm, postAdjustment }
+ */
+function buildCaseTable(algorithms, keyFn, postAdjustments) {
+    const table = new Map();
+    const solved = toStickerArray(createSolvedCube('2x2x2'));
+
+    for (const [caseName, algorithm] of Object.entries(algorithms)) {
+        for (const postAdjustment of postAdjustments) {
+            const undo = [postAdjustment, algorithm]
+                .map(sequence => movesToNotation(getInverseMoveSequence(sequence)))
+                .join(' ');
+            const key = keyFn(applyStickerSequence(solved, undo));
+            if (!table.has(key)) {
+                table.set(key, { case: caseName, algorithm, postAdjustment });
+            }
+        }
     }
+    return table;
 }
 
 /**
- * Apply OLL algorithm to orient the last layer
- * @param {Object} cubeState - Current cube state
- * @returns {Object} Result object with new state and moves applied
+ * Recognize a case by trying each pre adjustment against a case table
+ * @param {Object} cubeState - Normalized cube state
+ * @param {Map} table - Table from buildCaseTable
+ * @param {Function} keyFn - Same key function used to build the table
+ * @param {string[]} preAdjustments - Adjustments to try before the algorithm
+ * @returns {Object|null} { case, algorithm, preAdjustment, postAdjustment, moveSequence }
  */
-export function applyOLL(cubeState) {
-    const ollCase = recognizeOLLCase(cubeState);
-    
-    if (ollCase === 'solved') {
-        return {
-            cubeState: cloneCubeState(cubeState),
-            algorithm: '',
-            moves: [],
-            case: ollCase
-        };
+function matchCase(cubeState, table, keyFn, preAdjustments) {
+    const stickers = toStickerArray(cubeState);
+
+    for (const preAdjustment of preAdjustments) {
+        const entry = table.get(keyFn(applyStickerSequence(stickers, preAdjustment)));
+        if (entry) {
+            return {
+                ...entry,
+                preAdjustment,
+                moveSequence: [preAdjustment, entry.algorithm, entry.postAdjustment].filter(Boolean).join(' ')
+            };
+        }
     }
-    
-    const algorithm = OLL_ALGORITHMS[ollCase];
-    if (!algorithm) {
-        throw new Error(`Unknown OLL case: ${ollCase}`);
+    return null;
+}
+
+/**
+ * Apply a recognized case to a cube state
+ * @param {Object} cubeState - Cube state
+ * @param {Object|null} match - Result of matchCase
+ * @param {string} stepName - Step name used in error messages
+ * @returns {Object} Result object with new state and moves applied
+ */
+function applyMatchedCase(cubeState, match, stepName) {
+    if (!match) {
+        throw new Error(`${stepName} case not recognized`);
     }
-    
-    const moves = parseMoveNotation(algorithm);
-    const newState = applyMoveSequence(cubeState, moves);
-    
+
+    const moves = parseMoveNotation(match.moveSequence);
     return {
-        cubeState: newState,
-        algorithm,
+        cubeState: applyMoveSequence(cubeState, moves),
+        algorithm: match.algorithm,
         moves,
-        case: ollCase
+        case: match.case,
+        preAdjustment: match.preAdjustment,
+        postAdjustment: match.postAdjustment
     };
 }
 
+// ========================= ORTEGA METHOD - OLL PHASE =========================
+
+/**
+ * OLL (Orient Last Layer) algorithm lookup table
+ * Contains all 8 possible OLL cases for 2x2x2 cubes in Ortega method
+ */
+const OLL_ALGORITHMS = {
+    solved: '',  // Already oriented - no moves needed
+    sune: "R U R' U R U2 R'",
+    antisune: "R' U' R U' R' U2 R",
+    t: "R U R' U' R' F R F'",
+    l: "F R' F' R U R U' R'",
+    pi: "F R U R' U' R U R' U' F'",
+    h: "R2 U2 R U2 R2",
+    u: "F R U R' U' F'"
+};
+
 /**
- * Check if the last layer is oriented (all target color facing down)
+ * OLL key: where the last layer (white) stickers are
+ * @param {string[]} stickers - Flat sticker array
+ * @returns {string} Recognition key
+ */
+const ollKey = stickers => stickers.map(color => color === SOLVED_FACE_COLORS.U ? 'U' : '.').join('');
+
+let ollTable = null;
+
+/**
+ * Find the OLL case and AUF for a state with the first face done
+ * @param {Object} cubeState - Cube state in standard orientation (yellow face on D)
+ * @returns {Object|null} Matched case
+ */
+function matchOLLCase(cubeState) {
+    ollTable = ollTable || buildCaseTable(OLL_ALGORITHMS, ollKey, ['']);
+    return matchCase(cubeState, ollTable, ollKey, U_ADJUSTMENTS);
+}
+
+/**
+ * Recognize the OLL case from cube state
+ * @param {Object} cubeState - Current cube state (first face on D, white last layer)
+ * @returns {string|null} OLL case identifier, or null if the first face is not done
+ */
+export function recognizeOLLCase(cubeState) {
+    return matchOLLCase(cubeState)?.case || null;
+}
+
+/**
+ * Apply OLL algorithm (with the AUF it needs) to orient the last layer
+ * @param {Object} cubeState - Current cube state
+ * @returns {Object} Result object with new state and moves applied
+ */
+export function applyOLL(cubeState) {
+    return applyMatchedCase(cubeState, matchOLLCase(cubeState), 'OLL');
+}
+
+/**
+ * Check if the last layer is oriented (U face all white, D face all yellow)
  * @param {Object} cubeState - Cube state to check
- * @returns {boolean} True if D face is completely oriented
+ * @returns {boolean} True if both U and D faces are a single color
  */
 export function isLastLayerOriented(cubeState) {
-    const dFace = cubeState.faces.D;
-    const targetColor = 'Y'; // Yellow
-    
-    return dFace.every(sticker => sticker === targetColor);
+    return cubeState.faces.U.every(sticker => sticker === SOLVED_FACE_COLORS.U) &&
+        cubeState.faces.D.every(sticker => sticker === SOLVED_FACE_COLORS.D);
 }
 
 /**
@@ -575,30 +639,19 @@ export function testOLLCase(ollCase) {
     if (!OLL_ALGORITHMS.hasOwnProperty(ollCase)) {
         throw new Error(`Invalid OLL case: ${ollCase}`);
     }
-    
+
     // Create a solved cube and apply the inverse of the OLL algorithm
     const solvedCube = createSolvedCube('2x2x2');
     const algorithm = OLL_ALGORITHMS[ollCase];
-    
-    if (!algorithm) {
-        return {
-            case: ollCase,
-            scramble: '',
-            solution: '',
-            testState: solvedCube
-        };
-    }
-    
-    // Apply inverse to create test scramble
     const inverseMoves = getInverseMoveSequence(algorithm);
     const scrambledState = applyMoveSequence(solvedCube, inverseMoves);
-    
+
     // Test recognition
     const recognizedCase = recognizeOLLCase(scrambledState);
-    
+
     // Test solution
     const ollResult = applyOLL(scrambledState);
-    
+
     return {
         case: ollCase,
         recognizedCase,
@@ -614,113 +667,48 @@ export function testOLLCase(ollCase) {
 
 /**
  * PBL (Permute Both Layers) algorithm lookup table
- * Contains all 5 possible PBL cases for 2x2x2 cubes in Ortega method
+ * Each layer is either solved, has an adjacent swap or a diagonal swap,
+ * giving 8 cases besides the solved one. D layer algorithms are the U layer
+ * ones conjugated by x2.
  */
 const PBL_ALGORITHMS = {
-    solved: '',  // Already solved - no moves needed
+    solved: '',  // Already solved - only AUF/ADF needed
+    top_adjacent: "R U2 R' U' R U2 L' U R' U' L",
+    top_diagonal: "F R U' R' U' R U R' F' R U R' U' R' F R F'",
+    bottom_adjacent: "R D2 R' D' R D2 L' D R' D' L",
+    bottom_diagonal: "B R D' R' D' R D R' B' R D R' D' R' B R B'",
+    double_adjacent: "R2 U' B2 U2 R2 U' R2",
     double_diagonal: "R2 F2 R2",
-    double_adjacent: "R2 U' B2 U2 R2 U' R2", 
-    opposite_swap: "R U' R' U' F2 U' R U R' D R2",
-    opposite_adjacent: "R U2 R' U' R U2 L' U R' U' L"
+    top_adjacent_bottom_diagonal: "R U' R F2 R' U R'",
+    top_diagonal_bottom_adjacent: "R D' R B2 R' D R'"
 };
 
 /**
- * Detect if a face has a "bar" (two adjacent stickers of the same color)
- * @param {string[]} face - Array of 4 face stickers
- * @returns {Object} Bar detection result with position info
+ * PBL key: the full sticker state
+ * @param {string[]} stickers - Flat sticker array
+ * @returns {string} Recognition key
  */
-function detectBar(face) {
-    // Check all adjacent pairs in 2x2 face (positions 0-1, 1-3, 3-2, 2-0)
-    const adjacentPairs = [
-        [0, 1], // Top edge
-        [1, 3], // Right edge  
-        [3, 2], // Bottom edge
-        [2, 0]  // Left edge
-    ];
-    
-    for (let i = 0; i < adjacentPairs.length; i++) {
-        const [pos1, pos2] = adjacentPairs[i];
-        if (face[pos1] === face[pos2] && face[pos1] !== '') {
-            return {
-                hasBar: true,
-                position: i, // 0=top, 1=right, 2=bottom, 3=left
-                color: face[pos1],
-                stickers: [pos1, pos2]
-            };
-        }
-    }
-    
-    return { hasBar: false };
-}
+const fullKey = stickers => stickers.join('');
+
+let pblTable = null;
 
 /**
- * Recognize the PBL case from cube state after OLL completion
- * @param {Object} cubeState - Current cube state (OLL should be complete)
- * @returns {string} PBL case identifier
+ * Find the PBL case and the U/D adjustments for an oriented cube
+ * @param {Object} cubeState - Cube state with U and D faces oriented
+ * @returns {Object|null} Matched case
  */
-export function recognizePBLCase(cubeState) {
-    // First check if already solved
-    if (isCubeSolved(cubeState)) {
-        return 'solved';
-    }
-    
-    // Analyze U and D faces for bars
-    const uBar = detectBar(cubeState.faces.U);
-    const dBar = detectBar(cubeState.faces.D);
-    
-    // Determine case based on bar presence
-    if (uBar.hasBar && dBar.hasBar) {
-        return 'double_adjacent';
-    } else if (!uBar.hasBar && !dBar.hasBar) {
-        return 'double_diagonal';
-    } else if (uBar.hasBar && !dBar.hasBar) {
-        return 'opposite_swap';
-    } else if (!uBar.hasBar && dBar.hasBar) {
-        return 'opposite_adjacent';
-    }
-    
-    // Fallback - should not reach here with valid cube state
-    throw new Error('Unable to determine PBL case');
+function matchPBLCase(cubeState) {
+    pblTable = pblTable || buildCaseTable(PBL_ALGORITHMS, fullKey, UD_ADJUSTMENTS);
+    return matchCase(cubeState, pblTable, fullKey, UD_ADJUSTMENTS);
 }
 
 /**
- * Check if two faces need adjacent or diagonal corner swaps
- * @param {string[]} face - Face stickers array
- * @returns {string} 'none', 'adjacent', or 'diagonal'
+ * Recognize the PBL case from cube state after OLL completion
+ * @param {Object} cubeState - Current cube state (OLL should be complete)
+ * @returns {string|null} PBL case identifier
  */
-function analyzeCornerSwapType(face) {
-    // Create array of unique positions for each color
-    const colorPositions = {};
-    
-    for (let i = 0; i < 4; i++) {
-        const color = face[i];
-        if (!colorPositions[color]) {
-            colorPositions[color] = [];
-        }
-        colorPositions[color].push(i);
-    }
-    
-    // Check swap patterns
-    const colors = Object.keys(colorPositions);
-    
-    if (colors.length === 1) {
-        return 'none'; // Already solved
-    }
-    
-    if (colors.length === 2) {
-        // Two colors - check if adjacent or diagonal
-        const color1Positions = colorPositions[colors[0]];
-        const color2Positions = colorPositions[colors[1]];
-        
-        if (color1Positions.length === 2 && color2Positions.length === 2) {
-            // Check if positions are adjacent or diagonal
-            const [pos1, pos2] = color1Positions;
-            const isDiagonal = Math.abs(pos1 - pos2) === 2;
-            return isDiagonal ? 'diagonal' : 'adjacent';
-        }
-    }
-    
-    return 'diagonal'; // Default case for complex patterns
+export function recognizePBLCase(cubeState) {
+    return matchPBLCase(cubeState)?.case || null;
 }
 
 /**
@@ -729,31 +717,7 @@ function analyzeCornerSwapType(face) {
  * @returns {Object} Result object with new state and moves applied
  */
 export function applyPBL(cubeState) {
-    const pblCase = recognizePBLCase(cubeState);
-    
-    if (pblCase === 'solved') {
-        return {
-            cubeState: cloneCubeState(cubeState),
-            algorithm: '',
-            moves: [],
-            case: pblCase
-        };
-    }
-    
-    const algorithm = PBL_ALGORITHMS[pblCase];
-    if (!algorithm) {
-        throw new Error(`Unknown PBL case: ${pblCase}`);
-    }
-    
-    const moves = parseMoveNotation(algorithm);
-    const newState = applyMoveSequence(cubeState, moves);
-    
-    return {
-        cubeState: newState,
-        algorithm,
-        moves,
-        case: pblCase
-    };
+    return applyMatchedCase(cubeState, matchPBLCase(cubeState), 'PBL');
 }
 
 /**
@@ -773,30 +737,19 @@ export function testPBLCase(pblCase) {
     if (!PBL_ALGORITHMS.hasOwnProperty(pblCase)) {
         throw new Error(`Invalid PBL case: ${pblCase}`);
     }
-    
+
     // Create a cube with completed OLL but requiring PBL
     const solvedCube = createSolvedCube('2x2x2');
     const algorithm = PBL_ALGORITHMS[pblCase];
-    
-    if (!algorithm) {
-        return {
-            case: pblCase,
-            scramble: '',
-            solution: '',
-            testState: solvedCube
-        };
-    }
-    
-    // Apply inverse to create test scramble
     const inverseMoves = getInverseMoveSequence(algorithm);
     const scrambledState = applyMoveSequence(solvedCube, inverseMoves);
-    
+
     // Test recognition
     const recognizedCase = recognizePBLCase(scrambledState);
-    
+
     // Test solution
     const pblResult = applyPBL(scrambledState);
-    
+
     return {
         case: pblCase,
         recognizedCase,
@@ -808,118 +761,112 @@ export function testPBLCase(pblCase) {
     };
 }
 
-// ========================= CLL METHOD - ADVANCED FALLBACK =========================
+// ========================= CLL METHOD =========================
 
 /**
  * CLL (Corners of Last Layer) algorithm lookup table
- * This is a subset of the full 42 CLL algorithms - implementing most common cases
- * Full CLL implementation would require all 42 cases for complete coverage
+ * All 42 cases, grouped by the orientation case of the last layer. Each
+ * algorithm is an optimal <R, U, F> solution for its case.
  */
 const CLL_ALGORITHMS = {
-    // Common T-shaped cases
-    't_1': "F R U R' U' R U' R' U' R U R' F'",
-    't_2': "R U R' U R U2 R'", // Sune variation
-    
-    // L-shaped cases  
-    'l_1': "R2 U2 R' U2 R2",
-    'l_2': "F R U R' U' F'",
-    
+    solved: '', // No algorithm needed if already solved
+
+    // All corners oriented - permutation only
+    oriented_1: "F2 R2 F R U' R2 U R' F",
+    oriented_2: "R U' R' U' F2 U' R U R' U F2",
+
+    // Sune cases
+    sune_1: "F' R2 F R U' R F",
+    sune_2: "R2 F' U F2 R' F2 U' F R2",
+    sune_3: "R' F2 R U2 R U' R' F",
+    sune_4: "R U F R' F2 U' R' U' R F",
+    sune_5: "F U' F' R U' R' F",
+    sune_6: "F' U F2 U' R U2 R' U' F2",
+
+    // Anti-Sune cases
+    antisune_1: "R' F' R2 F U2 F' R'",
+    antisune_2: "F2 R U2 F U F' U' R'",
+    antisune_3: "F U R' U2 R' U2 R U F'",
+    antisune_4: "F R2 F' U2 F' U F R'",
+    antisune_5: "R2 F' U R2 F R2 U' F R2",
+    antisune_6: "R2 U R' F' R2 F2 U2 F' U R",
+
     // Pi cases
-    'pi_1': "R U2 R2 U' R2 U' R2 U2 R",
-    'pi_2': "F R U R' U' R U R' U' F'",
-    
+    pi_1: "F R' F2 R U2 R U2 R' F",
+    pi_2: "R2 U2 F' U' R2 U' R2 U' F'",
+    pi_3: "R U2 R' F2 U2 R U' R' U' F2",
+    pi_4: "R' F2 R F' U2 R U' R' U' F",
+    pi_5: "F R' F R F2 U2 R U' R' F",
+    pi_6: "R U2 F2 U R' U F' U2 F2 R'",
+
     // H cases
-    'h_1': "R2 U2 R U2 R2",
-    'h_2': "F2 R2 U2 R2 F2",
-    
+    h_1: "F2 U2 F U2 F2",
+    h_2: "F R2 U' R2 U' R2 U R2 F'",
+    h_3: "F2 U R2 U F' R U2 F2 U' R",
+    h_4: "R2 F R2 F2 U2 F R2",
+
     // U cases
-    'u_1': "R U R' U R U' R' U R U2 R'",
-    'u_2': "R2 U R U R' U' R' U' R' U R'",
-    
-    // Additional common cases
-    'bar_1': "R U2 R' U' R U' R'",
-    'diag_1': "R2 F2 R2",
-    
-    // Placeholder for additional algorithms
-    // In a full implementation, this would contain all 42 CLL cases
-    solved: '' // No algorithm needed if already solved
+    u_1: "R U R' F U' R U' R' U2 F2",
+    u_2: "R U' R' U' F2 R U R' U F",
+    u_3: "R' F U' R F R' U R F'",
+    u_4: "R2 F2 R F U2 F U F' U2 R",
+    u_5: "R U F' R2 F' U' R' U R2 F",
+    u_6: "F R U R' U' F'",
+
+    // T cases
+    t_1: "F' U2 R2 F R U' R U' F",
+    t_2: "F R2 F2 U2 F U2 F' U2 F R2",
+    t_3: "F R2 U R U' R2 F'",
+    t_4: "R F' U R2 U' R U R2 U2 F",
+    t_5: "R2 U R U' F' U' F R'",
+    t_6: "R F' U' F2 R U R2 U' R F'",
+
+    // L cases
+    l_1: "R U' R' F2 U2 R U R' U F'",
+    l_2: "F U2 F' U' R2 U' F' U R2",
+    l_3: "R F' U' R' U' R F",
+    l_4: "R U2 R U F' U2 F U' R2",
+    l_5: "F U2 R U' R' U2 F'",
+    l_6: "F' R' U' F R2 F' U' F2 U' R'"
 };
 
+let cllTable = null;
+
+/**
+ * Find the CLL case and AUFs for a state with the first layer solved
+ * @param {Object} cubeState - Cube state in standard orientation (yellow layer on D)
+ * @returns {Object|null} Matched case
+ */
+function matchCLLCase(cubeState) {
+    cllTable = cllTable || buildCaseTable(CLL_ALGORITHMS, fullKey, U_ADJUSTMENTS);
+    return matchCase(cubeState, cllTable, fullKey, U_ADJUSTMENTS);
+}
+
 /**
  * Check if cube state is suitable for CLL method
- * CLL requires first layer to be completely solved
+ * CLL requires the first layer (D face and the bottom row of each side) to be solved
  * @param {Object} cubeState - Current cube state
  * @returns {boolean} True if suitable for CLL
  */
 export function isSuitableForCLL(cubeState) {
-    // Check if first layer (U face) is completely solved
-    const uFace = cubeState.faces.U;
-    const firstColor = uFace[0];
-    
-    // All U face stickers should be the same color
-    const isUFaceSolved = uFace.every(sticker => sticker === firstColor);
-    
-    if (!isUFaceSolved) {
-        return false;
-    }
-    
-    // Check adjacent faces to ensure first layer is complete
-    // For simplicity, we'll assume if U face is monochromatic, first layer is solved
-    // A full implementation would check the top row of F, R, B, L faces
-    
-    return true;
+    const { faces } = cubeState;
+    const isDFaceSolved = faces.D.every(sticker => sticker === faces.D[0]);
+    const sideRowsSolved = ['F', 'R', 'B', 'L'].every(face => faces[face][2] === faces[face][3]);
+
+    return isDFaceSolved && sideRowsSolved;
 }
 
 /**
- * Basic CLL case recognition (simplified implementation)
- * Full CLL would require complex pattern recognition for all 42 cases
+ * CLL case recognition
  * @param {Object} cubeState - Current cube state (first layer should be solved)
- * @returns {string} CLL case identifier or null if not recognized
+ * @returns {string|null} CLL case identifier or null if not recognized
  */
 export function recognizeCLLCase(cubeState) {
     if (!isSuitableForCLL(cubeState)) {
         return null;
     }
-    
-    if (isCubeSolved(cubeState)) {
-        return 'solved';
-    }
-    
-    // Analyze the last layer (D face) for pattern recognition
-    const dFace = cubeState.faces.D;
-    
-    // Basic pattern matching - this is a simplified implementation
-    // Full CLL would analyze orientation and permutation patterns more thoroughly
-    
-    // Count oriented stickers (target color facing down)
-    const targetColor = 'Y'; // Yellow
-    const orientedCount = dFace.filter(sticker => sticker === targetColor).length;
-    
-    // Simple heuristics for common cases
-    switch (orientedCount) {
-        case 0:
-            return 'h_1'; // No oriented corners
-        case 1:
-            return 't_1'; // One oriented corner
-        case 2:
-            // Check if diagonal or adjacent
-            const positions = dFace.map((sticker, index) => 
-                sticker === targetColor ? index : -1
-            ).filter(pos => pos !== -1);
-            
-            if (positions.length === 2) {
-                const [pos1, pos2] = positions;
-                const isDiagonal = Math.abs(pos1 - pos2) === 2;
-                return isDiagonal ? 'diag_1' : 'bar_1';
-            }
-            return 'l_1';
-        case 3:
-            return 'u_1'; // Three oriented corners
-        case 4:
-            return 'solved'; // All oriented (should be caught earlier)
-        default:
-            return null; // Unrecognized pattern
-    }
+
+    return matchCLLCase(cubeState)?.case || null;
 }
 
 /**
@@ -928,95 +875,128 @@ export function recognizeCLLCase(cubeState) {
  * @returns {Object} Result object with new state and moves applied
  */
 export function applyCLL(cubeState) {
-    const cllCase = recognizeCLLCase(cubeState);
-    
-    if (!cllCase) {
-        throw new Error('Cube state not suitable for CLL or case not recognized');
-    }
-    
-    if (cllCase === 'solved') {
-        return {
-            cubeState: cloneCubeState(cubeState),
-            algorithm: '',
-            moves: [],
-            case: cllCase,
-            method: 'CLL'
-        };
-    }
-    
-    const algorithm = CLL_ALGORITHMS[cllCase];
-    if (!algorithm) {
-        throw new Error(`CLL case '${cllCase}' not implemented in algorithm set`);
+    if (!isSuitableForCLL(cubeState)) {
+        throw new Error('Cube state not suitable for CLL - first layer is not solved');
     }
-    
-    const moves = parseMoveNotation(algorithm);
-    const newState = applyMoveSequence(cubeState, moves);
-    
+
     return {
-        cubeState: newState,
-        algorithm,
-        moves,
-        case: cllCase,
+        ...applyMatchedCase(cubeState, matchCLLCase(cubeState), 'CLL'),
         method: 'CLL'
     };
 }
 
 /**
  * Get available CLL algorithms
- * @returns {Object} Available CLL algorithms (subset of full 42)
+ * @returns {Object} All 42 CLL algorithms
  */
 export function getCLLAlgorithms() {
     return { ...CLL_ALGORITHMS };
 }
 
+// ========================= COMPLETE SOLVERS =========================
+
+/**
+ * Build a solution step entry
+ * @param {string} phase - Phase name
+ * @param {string|null} caseName - Recognized case
+ * @param {string} algorithm - Case algorithm (without adjustments)
+ * @param {ParsedMove[]} moves - Exact moves of the step
+ * @returns {Object} Solution step
+ */
+function createSolutionStep(phase, caseName, algorithm, moves) {
+    return {
+        phase,
+        case: caseName,
+        algorithm,
+        moves: moves.length,
+        moveSequence: movesToNotation(moves)
+    };
+}
+
 /**
- * Solve using CLL method (if suitable) or fallback to Ortega
+ * Assemble a solution object from its steps
+ * @param {Object} cubeState - Original cube state
+ * @param {Object[]} steps - Steps with a `parsedMoves` array
+ * @param {string} method - Method name
+ * @returns {Object} Complete solution
+ */
+function assembleSolution(cubeState, steps, method) {
+    const parsedMoves = steps.flatMap(step => step.parsedMoves);
+    const solvedState = applyMoveSequence(cubeState, parsedMoves);
+    const solutionSteps = steps
+        .filter(step => step.parsedMoves.length > 0)
+        .map(step => createSolutionStep(step.phase, step.case, step.algorithm, step.parsedMoves));
+
+    return {
+        originalState: cubeState,
+        solvedState,
+        solutionSteps,
+        totalMoves: parsedMoves.length,
+        moveSequence: movesToNotation(parsedMoves),
+        parsedMoves,
+        isSolved: isCubeSolved(solvedState),
+        method,
+        phases: solutionSteps.map(step => step.phase)
+    };
+}
+
+/**
+ * Solve a 2x2x2 cube using the CLL method: first layer, then one CLL algorithm
+ * @param {Object} cubeState - Scrambled cube state to solve
+ * @returns {Object} Complete solution with steps and total moves
+ */
+export function solveCLL(cubeState) {
+    if (cubeState.cubeType !== '2x2x2') {
+        throw new Error(`CLL solver only supports 2x2x2 cubes, got ${cubeState.cubeType}`);
+    }
+
+    const normalized = normalizeToReferenceCorner(cubeState);
+    const layerMoves = parseMoveNotation(solveFirstStep(normalized, 'firstLayer').join(' '));
+    const cllResult = applyCLL(applyMoveSequence(normalized, layerMoves));
+
+    return assembleSolution(cubeState, [
+        { phase: 'First Layer', case: null, algorithm: movesToNotation(layerMoves), parsedMoves: layerMoves },
+        { phase: 'CLL', case: cllResult.case, algorithm: cllResult.algorithm, parsedMoves: cllResult.moves }
+    ], 'CLL');
+}
+
+/**
+ * Solve with CLL, Ortega or whichever of the two is shorter
  * @param {Object} cubeState - Scrambled cube state
  * @param {Object} options - Solving options
- * @returns {Object} Complete solution
+ * @param {boolean} options.preferCLL - Use CLL whenever it solves the cube, Ortega otherwise
+ * @param {boolean} options.forceCLL - Use CLL or fail
+ * @returns {Object} Complete solution (by default the shorter of the CLL and Ortega solutions)
+ * @throws {Error} If CLL is forced and does not solve the cube
  */
 export function solveCLLOrOrtega(cubeState, options = {}) {
     const { preferCLL = false, forceCLL = false } = options;
-    
-    // Check if CLL is suitable and preferred
-    if ((preferCLL || forceCLL) && isSuitableForCLL(cubeState)) {
-        try {
-            const cllResult = applyCLL(cubeState);
-            
-            if (isCubeSolved(cllResult.cubeState)) {
-                return {
-                    originalState: cubeState,
-                    solvedState: cllResult.cubeState,
-                    solutionSteps: [{
-                        phase: 'CLL',
-                        case: cllResult.case,
-                        algorithm: cllResult.algorithm,
-                        moves: cllResult.moves.length
-                    }],
-                    totalMoves: cllResult.moves.length,
-                    moveSequence: movesToNotation(cllResult.moves),
-                    parsedMoves: cllResult.moves,
-                    isSolved: true,
-                    method: 'CLL',
-                    phases: ['CLL']
-                };
-            }
-        } catch (error) {
-            if (forceCLL) {
-                throw new Error(`CLL forced but failed: ${error.message}`);
-            }
-            // Fall back to Ortega if CLL fails and not forced
+
+    let cllSolution = null;
+    try {
+        cllSolution = solveCLL(cubeState);
+        if (!cllSolution.isSolved) {
+            throw new Error('CLL solution did not solve the cube');
         }
+    } catch (error) {
+        if (forceCLL) {
+            throw new Error(`CLL forced but failed: ${error.message}`);
+        }
+        // Fall back to Ortega if CLL fails and not forced
+        cllSolution = null;
     }
-    
-    // Use Ortega method as default/fallback
-    return solveOrtega(cubeState);
-}
 
-// ========================= COMPLETE ORTEGA METHOD SOLVER =========================
+    if (cllSolution && (preferCLL || forceCLL)) {
+        return cllSolution;
+    }
+
+    // Without a preference, keep whichever method found the shorter solution
+    const ortegaSolution = solveOrtega(cubeState);
+    return cllSolution && cllSolution.totalMoves <= ortegaSolution.totalMoves ? cllSolution : ortegaSolution;
+}
 
 /**
- * Solve a 2x2x2 cube using the Ortega method
+ * Solve a 2x2x2 cube using the Ortega method: first face, OLL, PBL
  * @param {Object} cubeState - Scrambled cube state to solve
  * @returns {Object} Complete solution with steps and total moves
  */
@@ -1024,50 +1004,47 @@ export function solveOrtega(cubeState) {
     if (cubeState.cubeType !== '2x2x2') {
         throw new Error(`Ortega solver only supports 2x2x2 cubes, got ${cubeState.cubeType}`);
     }
-    
-    let currentState = cloneCubeState(cubeState);
-    const solutionSteps = [];
-    let totalMoves = [];
-    
-    // Step 1: OLL (Orient Last Layer)
+
+    // Step 1: First face (any permutation) on D
+    const normalized = normalizeToReferenceCorner(cubeState);
+    const faceMoves = parseMoveNotation(solveFirstStep(normalized, 'firstFace').join(' '));
+    let currentState = applyMoveSequence(normalized, faceMoves);
+
+    // Step 2: OLL (Orient Last Layer)
     const ollResult = applyOLL(currentState);
-    if (ollResult.moves.length > 0) {
-        solutionSteps.push({
-            phase: 'OLL',
-            case: ollResult.case,
-            algorithm: ollResult.algorithm,
-            moves: ollResult.moves.length
-        });
-        totalMoves = totalMoves.concat(ollResult.moves);
-        currentState = ollResult.cubeState;
-    }
-    
-    // Step 2: PBL (Permute Both Layers)
+    currentState = ollResult.cubeState;
+
+    // Step 3: PBL (Permute Both Layers)
     const pblResult = applyPBL(currentState);
-    if (pblResult.moves.length > 0) {
-        solutionSteps.push({
-            phase: 'PBL',
-            case: pblResult.case,
-            algorithm: pblResult.algorithm,
-            moves: pblResult.moves.length
-        });
-        totalMoves = totalMoves.concat(pblResult.moves);
-        currentState = pblResult.cubeState;
+
+    return assembleSolution(cubeState, [
+        { phase: 'First Face', case: null, algorithm: movesToNotation(faceMoves), parsedMoves: faceMoves },
+        { phase: 'OLL', case: ollResult.case, algorithm: ollResult.algorithm, parsedMoves: ollResult.moves },
+        { phase: 'PBL', case: pblResult.case, algorithm: pblResult.algorithm, parsedMoves: pblResult.moves }
+    ], 'Ortega');
+}
+
+/**
+ * Solve a 2x2x2 cube in the fewest possible moves
+ * @param {Object} cubeState - Scrambled cube state to solve
+ * @param {Object} options - Solver options
+ * @param {string} options.metric - 'htm' (default) or 'qtm'
+ * @returns {Object} Complete solution, with `metric` and `optimalDistance` in that metric
+ */
+export function solveOptimal(cubeState, { metric = 'htm' } = {}) {
+    if (cubeState.cubeType !== '2x2x2') {
+        throw new Error(`Optimal solver only supports 2x2x2 cubes, got ${cubeState.cubeType}`);
     }
-    
-    // Verify solution
-    const isSolved = isCubeSolved(currentState);
-    
+
+    const optimal = findOptimalSolution(cubeState, metric);
+    const moves = parseMoveNotation(optimal.moves.join(' '));
+
     return {
-        originalState: cubeState,
-        solvedState: currentState,
-        solutionSteps,
-        totalMoves: totalMoves.length,
-        moveSequence: movesToNotation(totalMoves),
-        parsedMoves: totalMoves,
-        isSolved,
-        method: 'Ortega',
-        phases: solutionSteps.map(step => step.phase)
+        ...assembleSolution(cubeState, [
+            { phase: 'Optimal', case: null, algorithm: movesToNotation(moves), parsedMoves: moves }
+        ], 'Optimal'),
+        metric,
+        optimalDistance: optimal.distance
     };
 }
 
@@ -1090,19 +1067,22 @@ export function getOrtegaAlgorithms() {
  * @returns {Object} Complete solution
  */
 export function solve2x2x2(cubeState, options = {}) {
-    const { method = 'auto', preferCLL = false } = options;
-    
+    const { method = 'auto', preferCLL = false, metric = 'htm' } = options;
+
     if (cubeState.cubeType !== '2x2x2') {
         throw new Error(`2x2x2 solver only supports 2x2x2 cubes, got ${cubeState.cubeType}`);
     }
-    
+
     switch (method) {
         case 'ortega':
             return solveOrtega(cubeState);
-            
+
         case 'cll':
             return solveCLLOrOrtega(cubeState, { forceCLL: true });
-            
+
+        case 'optimal':
+            return solveOptimal(cubeState, { metric });
+
         case 'auto':
         default:
             return solveCLLOrOrtega(cubeState, { preferCLL });
@@ -1130,7 +1110,7 @@ export function getAllAlgorithms() {
 /**
  * Analyze solution quality and provide optimization metrics
  * @param {Object} solution - Solution object from solve2x2x2
- * @returns {Object} Analysis with metrics and recommendations
+ * @returns {Object} Analysis with metrics, HTM/QTM/STM/ETM move counts and recommendations
  */
 export function analyzeSolution(solution) {
     const { totalMoves, method, solutionSteps, parsedMoves } = solution;
@@ -1155,13 +1135,18 @@ export function analyzeSolution(solution) {
     // Generate optimization suggestions
     const optimizations = generateOptimizationSuggestions(solution);
     
+    // Solutions are counted in HTM, so compare them with the HTM optimum
+    const optimalMoves = getOptimalDistance(solution.originalState, 'htm');
+    
     return {
         analysis: moveAnalysis,
         quality,
         optimizations,
+        moveMetrics: getMoveMetrics(parsedMoves, 2),
         metrics: {
             movesPerSecond: estimateMovesPerSecond(totalMoves, method),
-            theoreticalMinimum: getTheoreticalMinimum(method),
+            optimalMoves,
+            movesAboveOptimal: totalMoves - optimalMoves,
             efficiencyRating: quality.rating
         }
     };
@@ -1176,9 +1161,9 @@ export function analyzeSolution(solution) {
 function calculateMoveEfficiency(totalMoves, method) {
     // Typical move ranges for each method
     const ranges = {
-        'Ortega': { min: 8, typical: 12, max: 18 },
-        'CLL': { min: 6, typical: 10, max: 15 },
-        'auto': { min: 6, typical: 11, max: 18 }
+        'Ortega': { min: 10, typical: 20, max: 28 },
+        'CLL': { min: 7, typical: 13, max: 19 },
+        'auto': { min: 7, typical: 16, max: 28 }
     };
     
     const range = ranges[method] || ranges['auto'];
@@ -1238,16 +1223,16 @@ function generateOptimizationSuggestions(solution) {
     const { totalMoves, method, solutionSteps } = solution;
     
     // Method-specific suggestions
-    if (method === 'Ortega' && totalMoves > 15) {
+    if (method === 'Ortega' && totalMoves > 22) {
         suggestions.push({
             type: 'method',
             suggestion: 'Consider using CLL method for more advanced solving',
-            impact: 'Could reduce moves by 2-4 on average',
+            impact: 'Could reduce moves by about 6 on average',
             difficulty: 'advanced'
         });
     }
     
-    if (method === 'CLL' && totalMoves > 12) {
+    if (method === 'CLL' && totalMoves > 16) {
         suggestions.push({
             type: 'recognition',
             suggestion: 'Review CLL case recognition for faster identification',
@@ -1278,7 +1263,7 @@ function generateOptimizationSuggestions(solution) {
     });
     
     // General optimization tips
-    if (totalMoves > 16) {
+    if (totalMoves > 24) {
         suggestions.push({
             type: 'general',
             suggestion: 'Solution exceeded typical range - review cube state and algorithm choice',
@@ -1307,38 +1292,29 @@ function estimateMovesPerSecond(totalMoves, method) {
     return methodSpeeds[method] || methodSpeeds['auto'];
 }
 
-/**
- * Get theoretical minimum moves for each method
- * @param {string} method - Solving method
- * @returns {number} Theoretical minimum moves
- */
-function getTheoreticalMinimum(method) {
-    const minimums = {
-        'Ortega': 6,  // Theoretical minimum with perfect case recognition
-        'CLL': 4,     // Single algorithm if first layer solved
-        'auto': 4     // Best case scenario
-    };
-    
-    return minimums[method] || minimums['auto'];
-}
-
 /**
  * Compare multiple solving approaches for the same scramble
+ * The optimal solution is searched in the ranking metric when the distance
+ * tables have it (htm, qtm) and in HTM otherwise.
  * @param {Object} cubeState - Scrambled cube state
- * @returns {Object} Comparison of different methods
+ * @param {string} [metric='htm'] - Move metric the methods are ranked by (htm, qtm, stm or etm)
+ * @returns {Object} Comparison of different methods, with a ranking and recommendation by the metric
+ * @throws {Error} If the metric is not supported
  */
-export function compareSolvingMethods(cubeState) {
+export function compareSolvingMethods(cubeState, metric = DEFAULT_METRIC) {
     const results = {};
-    const methods = ['ortega', 'cll', 'auto'];
+    const methods = ['ortega', 'cll', 'auto', 'optimal'];
+    const optimalMetric = OPTIMAL_METRICS.includes(metric) ? metric : 'htm';
     
     methods.forEach(method => {
         try {
-            const solution = solve2x2x2(cubeState, { method });
+            const solution = solve2x2x2(cubeState, { method, metric: optimalMetric });
             const analysis = analyzeSolution(solution);
             
             results[method] = {
                 solution,
                 analysis,
+                moveMetrics: analysis.moveMetrics,
                 success: true
             };
         } catch (error) {
@@ -1349,18 +1325,21 @@ export function compareSolvingMethods(cubeState) {
         }
     });
     
-    // Find the most efficient method for this specific scramble
-    const successful = Object.entries(results).filter(([_, result]) => result.success);
+    // Rank the methods by the chosen metric, failed ones last
+    const ranking = sortByMetric(methods.map(method => ({ method, ...results[method] })), metric);
+    const successful = ranking.filter(result => result.success);
     if (successful.length > 0) {
-        const bestMethod = successful.reduce((best, [method, result]) => 
-            result.solution.totalMoves < best.solution.totalMoves ? result : best
-        );
+        const [best] = successful;
+        const first = results[methods.find(method => results[method].success)];
+        const counts = successful.map(result => result.moveMetrics[metric]);
         
         results.recommendation = {
-            bestMethod: successful.find(([_, result]) => result === bestMethod)[0],
-            movesSaved: successful[0][1].solution.totalMoves - bestMethod.solution.totalMoves,
-            reasoning: `${bestMethod.solution.method} method used ${bestMethod.solution.totalMoves} moves vs average of ${
-                Math.round(successful.reduce((sum, [_, r]) => sum + r.solution.totalMoves, 0) / successful.length)
+            bestMethod: best.method,
+            metric,
+            ranking: ranking.map(result => result.method),
+            movesSaved: first.moveMetrics[metric] - best.moveMetrics[metric],
+            reasoning: `${best.solution.method} method used ${best.moveMetrics[metric]} moves (${metric.toUpperCase()}) vs average of ${
+                Math.round(counts.reduce((sum, count) => sum + count, 0) / counts.length)
             }`
         };
     }
@@ -1371,18 +1350,23 @@ export function compareSolvingMethods(cubeState) {
 /**
  * Generate detailed solving statistics
  * @param {Array} solutions - Array of solution objects from multiple solves
+ * @param {string} [metric='htm'] - Move metric the statistics are counted in (htm, qtm, stm or etm)
  * @returns {Object} Comprehensive statistics
+ * @throws {Error} If the metric is not supported
  */
-export function generateSolvingStatistics(solutions) {
+export function generateSolvingStatistics(solutions, metric = DEFAULT_METRIC) {
     if (!solutions || solutions.length === 0) {
         return { error: 'No solutions provided for analysis' };
     }
     
-    const moves = solutions.map(s => s.totalMoves);
+    const measured = solutions.map(s => ({ ...s, moveMetrics: getMoveMetrics(s.parsedMoves, 2) }));
+    const ranked = sortByMetric(measured, metric);
+    const moves = measured.map(s => s.moveMetrics[metric]);
     const methods = solutions.map(s => s.method);
     
     return {
         totalSolves: solutions.length,
+        metric,
         moveStatistics: {
             average: Math.round((moves.reduce((a, b) => a + b, 0) / moves.length) * 100) / 100,
             minimum: Math.min(...moves),
@@ -1400,7 +1384,7 @@ export function generateSolvingStatistics(solutions) {
             return dist;
         }, {}),
         recommendations: {
-            mostEfficient: methods[moves.indexOf(Math.min(...moves))],
+            mostEfficient: ranked[0].method,
             averageEfficiency: Math.round(solutions.reduce((sum, sol) => 
                 sum + calculateMoveEfficiency(sol.totalMoves, sol.method).efficiencyPercent, 0
             ) / solutions.length),
@@ -1480,8 +1464,14 @@ export default {
     getCLLAlgorithms,
     solveCLLOrOrtega,
     
+    // First step search
+    normalizeToReferenceCorner,
+    solveFirstStep,
+    
     // Complete solvers
     solveOrtega,
+    solveCLL,
+    solveOptimal,
     solve2x2x2,
     getOrtegaAlgorithms,
     getAllAlgorithms,
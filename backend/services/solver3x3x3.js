@@ -6,246 +6,91 @@
  * Phase 2: F2L (First Two Layers) - Solve corner-edge pairs simultaneously  
  * Phase 3: OLL (Orientation of Last Layer) - Orient all last layer pieces
  * Phase 4: PLL (Permutation of Last Layer) - Permute all last layer pieces
+ *
+ * It also implements the beginner layer-by-layer method (solveCube3x3 with
+ * method 'beginner'): the same cross, then the bottom corners, the middle
+ * edges and the top layer in five small steps, using only simple triggers.
+ * The Roux (method 'roux') and ZZ (method 'zz') methods live in solverRoux.js
+ * and solverZZ.js.
+ * Any method can be solved color neutral (option colorNeutral): the cube is
+ * rotated so each chosen color is on D, and the shortest solution is kept.
  */
 
 import { 
     cloneCubeState, 
-    getCubeConfig, 
     FACE_NAMES,
     createSolvedCube,
-    extractEdgePieces,
-    extractCornerPieces,
-    extractCenterPieces
+    CUBE_COLORS
 } from '../utils/cubeStructures.js';
-import { recordUnknownOLL } from '../utils/ollUnknownLogger.js';
-import { createRequire } from 'module';
-import { readFileSync, existsSync, appendFileSync, mkdirSync, writeFileSync } from 'fs';
-import { resolve } from 'path';
-const require = createRequire(import.meta.url);
-
-// ========================= OLL METRICS & DYNAMIC CLASSIFICATION =========================
-// Centralized data directory
-const DATA_DIR = resolve(process.cwd(), 'backend', 'data');
-// Metrics file (JSON Lines) for empirical evaluation of algorithms during OLL
-const OLL_METRICS_PATH = resolve(DATA_DIR, 'oll-alg-metrics.jsonl');
-// Runtime learned finishers (persist across runs)
-const RUNTIME_FINISHERS_PATH = resolve(DATA_DIR, 'oll-runtime-finishers.json');
-function ensureMetricsPath(){
-    try {
-        if(!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
-    } catch(e) {}
-}
-ensureMetricsPath();
-
-// Load persisted runtime finisher algorithms (canonicalPattern -> algorithm)
-function loadRuntimeFinishers(){
-    if(global.__OLL_RUNTIME_FINISHERS) return;
-    try {
-        if(existsSync(RUNTIME_FINISHERS_PATH)){
-            global.__OLL_RUNTIME_FINISHERS = JSON.parse(readFileSync(RUNTIME_FINISHERS_PATH,'utf8'));
-            console.log(`[OLL] Loaded runtime finisher table (${Object.keys(global.__OLL_RUNTIME_FINISHERS).length})`);
-        } else {
-            global.__OLL_RUNTIME_FINISHERS = {};
-        }
-    } catch(e){ global.__OLL_RUNTIME_FINISHERS = {}; }
-}
-loadRuntimeFinishers();
-
-function recordOLLMetric(entry){
-    try {
-        appendFileSync(OLL_METRICS_PATH, JSON.stringify({ ts: Date.now(), ...entry }) + '\n');
-    } catch(e){ /* silent */ }
-}
-
-// Finisher failure counting to downgrade misclassified finishers → setup
-const finisherFailureCounts = Object.create(null); // key: caseId or canonicalKey
-const FINISHER_DOWNGRADE_THRESHOLD = 3;
-function downgradeFinisher(caseId){
-    try {
-        if(!caseId) return;
-        const cls = ALG_CLASS?.[caseId];
-        if(cls && cls.classification === 'finisher'){
-            cls.classification = 'setup';
-            console.log(`🔻 Downgrading finisher case ${caseId} to setup after repeated non-completions`);
-        }
-    } catch(e) {}
-}
-
-// Planner BFS (shallow multi-step completion attempt) – targets plateau patterns
-function plannerSearchCompletion(startState, { maxDepth=5, composite=false } = {}){
-    const baseMoves = ['R','R\'','U','U\'','F','F\'','r','r\'','f','f\'','U2','R2','F2'];
-    // Optional composite (2-move) seeds to widen frontier early
-    const compositeSeeds = !composite ? [] : [
-        ['R','U'],['R','U\''],['U','R'],['U\'','R'],
-        ['F','R'],['R','F\''],['r','U'],['r','U\''],
-        ['f','R'],['R','f\''],['R','F'],['F','U'],['U','F'],
-        ['R','U2'],['U2','R'],['R2','U'],['U','R2']
-    ];
-    const queue = [{ seq: [], state: cloneCubeState(startState) }];
-    const seen = new Set();
-    const startPattern = getOLLPattern(startState);
-    seen.add(startPattern + '|');
-    const LIMIT = 2000;
-    let explored = 0;
-    if(compositeSeeds.length){
-        for(const seed of compositeSeeds){
-            const seeded = cloneCubeState(startState);
-            applyMoveSequence3x3(seeded, parseMoveNotation3x3(seed.join(' ')));
-            const patt = getOLLPattern(seeded);
-            const key = patt + '|' + seed.length;
-            if(seen.has(key)) continue;
-            seen.add(key);
-            queue.push({ seq:[...seed], state: seeded });
-        }
-    }
-    while(queue.length){
-        const { seq, state } = queue.shift();
-        if(seq.length > 0){
-            const a = analyzeOLLState(state);
-            if(a.isComplete){
-                return { success:true, algorithm: seq.join(' ') };
-        }
-        }
-        if(seq.length === maxDepth) continue;
-        for(const mv of baseMoves){
-            const nextState = cloneCubeState(state);
-            applyMoveSequence3x3(nextState, parseMoveNotation3x3(mv));
-            const patt = getOLLPattern(nextState);
-            const key = patt + '|' + seq.length;
-            if(seen.has(key)) continue;
-            seen.add(key);
-            queue.push({ seq: [...seq, mv], state: nextState });
-            explored++;
-            if(explored > LIMIT) return { success:false };
-        }
-    }
-    return { success:false };
-}
+import { applyMove as applyEngineMove, applyMoves, invertMoveSequence } from '../utils/moveEngine.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { solveRoux } from './solverRoux.js';
+import { solveZZ } from './solverZZ.js';
+import {
+    locatePieces,
+    PIECE_SLOTS,
+    searchPieces,
+    trackPiece,
+    withTurns
+} from '../utils/pieceTracking.js';
+import { DEFAULT_STYLE, OPTIMIZER_STYLES, optimizePhases } from '../utils/moveOptimizer.js';
+import { DEFAULT_METRIC, getMoveMetrics, sortByMetric } from '../utils/moveMetrics.js';
+import { NotationError, parseAlgorithm } from '../utils/notationParser.js';
 
 // ========================= MOVE NOTATION PARSER =========================
 
 /**
  * @typedef {Object} ParsedMove3x3
- * @property {string} face - Face to rotate (R, L, U, D, F, B)
+ * @property {string} face - Move without its modifier (R, M, x, r, Rw, ...)
  * @property {number} turns - Number of 90° clockwise turns (1, 2, -1 for prime)
- * @property {string} notation - Original notation string
- * @property {boolean} wide - Whether this is a wide turn (for 4x4x4 compatibility)
+ * @property {string} notation - Move written with a plain modifier (R, R2 or R')
+ * @property {boolean} wide - Whether this is a wide turn (r, Rw)
  */
 
 /**
  * Parse move notation for 3x3x3 cubes
- * Supports: R, L, U, D, F, B, with ', 2 modifiers
- * Also supports slice moves: M, E, S and rotations: x, y, z
- * @param {string} moveString - Move sequence string
+ * Supports face turns (R, L, U, D, F, B), slice moves (M, E, S), wide moves
+ * (r, Rw) and rotations (x, y, z) with ', 2 or 2' modifiers, plus the
+ * grouping, repetition, commutator, conjugate and comment syntax of the
+ * shared notation parser. Moves come back expanded.
+ * @param {string} moveString - Move sequence string (e.g. "[F: (R U R' U')2]")
  * @returns {ParsedMove3x3[]} Array of parsed move objects
+ * @throws {NotationError} If the notation is invalid, with the position of the mistake
  */
 export function parseMoveNotation3x3(moveString) {
     if (!moveString || typeof moveString !== 'string') {
         return [];
     }
 
-    const moves = moveString.trim().split(/\s+/).filter(move => move.length > 0);
-    const parsedMoves = [];
-
-    for (const move of moves) {
-        const parsed = parseSingleMove3x3(move);
-        if (parsed) {
-            parsedMoves.push(parsed);
-        }
-    }
-
-    return parsedMoves;
+    return parseAlgorithm(moveString, 3).map(({ notation, turns, layers }) => ({
+        face: notation.replace(/['2]$/, ''),
+        turns,
+        notation,
+        wide: layers.length > 1 && layers.length < 3
+    }));
 }
 
 /**
  * Parse a single move notation for 3x3x3
  * @param {string} move - Single move notation
- * @returns {ParsedMove3x3|null} Parsed move object or null if invalid
+ * @returns {ParsedMove3x3} Parsed move object
+ * @throws {NotationError} If the notation is invalid or is not exactly one move
  */
 export function parseSingleMove3x3(move) {
-    // Regex for 3x3x3 moves including slice moves, rotations, and wide moves (lowercase)
-    const moveRegex = /^([RLUDFBMESxyzrludfb])([']|[2])?$/;
-    const match = move.match(moveRegex);
-    
-    if (!match) {
-        console.warn(`Invalid 3x3x3 move notation: ${move}`);
-        return null;
-    }
-
-    const [, face, modifier] = match;
-    let turns = 1;
-
-    if (modifier === "'") {
-        turns = -1;
-    } else if (modifier === "2") {
-        turns = 2;
+    const parsedMoves = parseMoveNotation3x3(move);
+    if (parsedMoves.length !== 1) {
+        throw new NotationError(`Expected a single move, got ${parsedMoves.length}`, String(move ?? ''), 0);
     }
 
-    return {
-        face,
-        turns,
-        notation: move,
-        wide: false // 3x3x3 doesn't use wide moves
-    };
+    return parsedMoves[0];
 }
 
 // ========================= 3x3x3 CUBE STATE MANIPULATION =========================
 
-/**
- * 3x3x3 face rotation mappings (9 stickers per face)
- * Clockwise rotation for 3x3x3: 
- * [0,1,2,3,4,5,6,7,8] -> [6,3,0,7,4,1,8,5,2]
- */
-const FACE_ROTATIONS_3x3 = {
-    clockwise: [6, 3, 0, 7, 4, 1, 8, 5, 2],
-    counterclockwise: [2, 5, 8, 1, 4, 7, 0, 3, 6]
-};
-
-/**
- * Adjacent sticker cycling for 3x3x3 face moves
- * Each face move cycles 12 adjacent stickers (3 stickers per adjacent face)
- */
-const ADJACENT_CYCLES_3x3 = {
-    R: [
-        ['U', [2, 5, 8]], // Right column of U face
-        ['F', [2, 5, 8]], // Right column of F face
-        ['D', [2, 5, 8]], // Right column of D face
-        ['B', [0, 3, 6]]  // Left column of B face (reverse order)
-    ],
-    L: [
-        ['U', [0, 3, 6]], // Left column of U face
-        ['B', [8, 5, 2]], // Right column of B face (reverse order)
-        ['D', [0, 3, 6]], // Left column of D face
-        ['F', [0, 3, 6]]  // Left column of F face
-    ],
-    U: [
-        ['B', [0, 1, 2]], // Top row of B face
-        ['R', [0, 1, 2]], // Top row of R face
-        ['F', [0, 1, 2]], // Top row of F face
-        ['L', [0, 1, 2]]  // Top row of L face
-    ],
-    D: [
-        ['F', [6, 7, 8]], // Bottom row of F face
-        ['R', [6, 7, 8]], // Bottom row of R face
-        ['B', [6, 7, 8]], // Bottom row of B face
-        ['L', [6, 7, 8]]  // Bottom row of L face
-    ],
-    F: [
-        ['U', [6, 7, 8]], // Bottom row of U face
-        ['R', [0, 3, 6]], // Left column of R face
-        ['D', [2, 1, 0]], // Top row of D face (reverse order)
-        ['L', [8, 5, 2]]  // Right column of L face (reverse order)
-    ],
-    B: [
-        ['U', [2, 1, 0]], // Top row of U face (reverse order)
-        ['L', [0, 3, 6]], // Left column of L face
-        ['D', [6, 7, 8]], // Bottom row of D face
-        ['R', [8, 5, 2]]  // Right column of R face (reverse order)
-    ]
-};
-
 /**
  * Apply a single face rotation to a 3x3x3 cube state
+ * Sticker cycling comes from the shared NxN move engine.
  * @param {Object} cubeState - Current cube state
  * @param {string} face - Face to rotate
  * @param {number} turns - Number of 90° clockwise turns
@@ -256,171 +101,27 @@ export function rotateFace3x3(cubeState, face, turns) {
         throw new Error(`Invalid face for 3x3x3: ${face}`);
     }
 
-    const newState = cloneCubeState(cubeState);
-    const normalizedTurns = ((turns % 4) + 4) % 4;
-
-    if (normalizedTurns === 0) {
-        return newState;
-    }
-
-    // Apply face rotation (internal stickers)
-    const faceStickers = newState.faces[face];
-    
-    for (let i = 0; i < normalizedTurns; i++) {
-        const currentStickers = [...faceStickers];
-        const rotationMap = FACE_ROTATIONS_3x3.clockwise;
-        for (let j = 0; j < 9; j++) {
-            faceStickers[j] = currentStickers[rotationMap[j]];
-        }
-    }
-
-    // Apply adjacent sticker cycling
-    const cycle = ADJACENT_CYCLES_3x3[face];
-    if (cycle) {
-        applyAdjacentCycle3x3(newState, cycle, normalizedTurns);
-    }
-
-    return newState;
-}
-
-/**
- * Apply adjacent sticker cycling for 3x3x3 face rotations
- * @param {Object} cubeState - Cube state to modify
- * @param {Array} cycle - Cycle definition
- * @param {number} turns - Number of clockwise turns
- */
-function applyAdjacentCycle3x3(cubeState, cycle, turns) {
-    for (let turn = 0; turn < turns; turn++) {
-        // Capture current state before each turn
-        const currentValues = cycle.map(([face, indices]) => 
-            indices.map(index => cubeState.faces[face][index])
-        );
-
-        // Apply one clockwise rotation
-        for (let i = 0; i < cycle.length; i++) {
-            const [currentFace, currentIndices] = cycle[i];
-            const sourceValues = currentValues[(i + cycle.length - 1) % cycle.length];
-
-            currentIndices.forEach((index, j) => {
-                cubeState.faces[currentFace][index] = sourceValues[j];
-            });
-        }
-    }
+    return applyEngineMove(cubeState, { face, layers: [0], turns });
 }
 
 /**
  * Apply a single move to a 3x3x3 cube state
- * @param {Object} cubeState - Current cube state
+ * Face turns, slice moves (M, E, S), wide moves (r, l, ...) and cube
+ * rotations (x, y, z) all move real layers, so centers move with them exactly
+ * as on a physical cube.
+ * @param {Object} cubeState - Current cube state (modified in place)
  * @param {ParsedMove3x3} move - Move to apply
- * @returns {Object} New cube state with move applied
  */
 export function applyMove3x3(cubeState, move) {
     if (!move || !move.face) {
         throw new Error('Invalid move object');
     }
 
-    // Handle slice moves, rotations, and wide moves
-    if (['M', 'E', 'S', 'x', 'y', 'z', 'r', 'l', 'u', 'd', 'f', 'b'].includes(move.face)) {
-        const newState = applySliceOrRotation3x3(cubeState, move);
-        // Copy new state back to original cube
-        Object.assign(cubeState.faces, newState.faces);
-        return;
-    }
-
-    const newState = rotateFace3x3(cubeState, move.face, move.turns);
+    const newState = applyEngineMove(cubeState, move);
     // Copy new state back to original cube
     Object.assign(cubeState.faces, newState.faces);
 }
 
-/**
- * Apply slice moves (M, E, S) and cube rotations (x, y, z) for 3x3x3
- * @param {Object} cubeState - Current cube state
- * @param {ParsedMove3x3} move - Slice move or rotation
- * @returns {Object} New cube state with move applied
- */
-function applySliceOrRotation3x3(cubeState, move) {
-    const { face, turns } = move;
-    let newState = cloneCubeState(cubeState);
-    
-    // Slice moves are equivalent to face moves + opposite face inverse
-    switch (face) {
-        case 'M': // Middle slice (between L and R, follows L direction)
-            // M = L + R'
-            newState = rotateFace3x3(newState, 'L', turns);
-            newState = rotateFace3x3(newState, 'R', -turns);
-            break;
-            
-        case 'E': // Equatorial slice (between U and D, follows D direction)  
-            // E = D + U'
-            newState = rotateFace3x3(newState, 'D', turns);
-            newState = rotateFace3x3(newState, 'U', -turns);
-            break;
-            
-        case 'S': // Standing slice (between F and B, follows F direction)
-            // S = F + B'
-            newState = rotateFace3x3(newState, 'F', turns);
-            newState = rotateFace3x3(newState, 'B', -turns);
-            break;
-            
-        case 'x': // Cube rotation around R-L axis (follows R direction)
-            // x = R + M' + L'
-            newState = rotateFace3x3(newState, 'R', turns);
-            newState = applySliceOrRotation3x3(newState, { face: 'M', turns: -turns });
-            newState = rotateFace3x3(newState, 'L', -turns);
-            break;
-            
-        case 'y': // Cube rotation around U-D axis (follows U direction)
-            // y = U + E' + D'
-            newState = rotateFace3x3(newState, 'U', turns);
-            newState = applySliceOrRotation3x3(newState, { face: 'E', turns: -turns });
-            newState = rotateFace3x3(newState, 'D', -turns);
-            break;
-            
-        case 'z': // Cube rotation around F-B axis (follows F direction)
-            // z = F + S + B'
-            newState = rotateFace3x3(newState, 'F', turns);
-            newState = applySliceOrRotation3x3(newState, { face: 'S', turns });
-            newState = rotateFace3x3(newState, 'B', -turns);
-            break;
-            
-        // Wide moves (lowercase letters for two-layer turns)
-        case 'r': // Wide R (R + M')
-            newState = rotateFace3x3(newState, 'R', turns);
-            newState = applySliceOrRotation3x3(newState, { face: 'M', turns: -turns });
-            break;
-            
-        case 'l': // Wide L (L + M)
-            newState = rotateFace3x3(newState, 'L', turns);
-            newState = applySliceOrRotation3x3(newState, { face: 'M', turns });
-            break;
-            
-        case 'u': // Wide U (U + E')
-            newState = rotateFace3x3(newState, 'U', turns);
-            newState = applySliceOrRotation3x3(newState, { face: 'E', turns: -turns });
-            break;
-            
-        case 'd': // Wide D (D + E)
-            newState = rotateFace3x3(newState, 'D', turns);
-            newState = applySliceOrRotation3x3(newState, { face: 'E', turns });
-            break;
-            
-        case 'f': // Wide F (F + S)
-            newState = rotateFace3x3(newState, 'F', turns);
-            newState = applySliceOrRotation3x3(newState, { face: 'S', turns });
-            break;
-            
-        case 'b': // Wide B (B + S')
-            newState = rotateFace3x3(newState, 'B', turns);
-            newState = applySliceOrRotation3x3(newState, { face: 'S', turns: -turns });
-            break;
-            
-        default:
-            throw new Error(`Unknown slice move or rotation: ${face}`);
-    }
-    
-    return newState;
-}
-
 /**
  * Apply a sequence of moves to a 3x3x3 cube state
  * @param {Object} cubeState - Initial cube state (modified in place)
@@ -653,261 +354,158 @@ function getEdgeLayer(edgeName) {
 }
 
 /**
- * Generate algorithm to solve a specific cross edge
- * @param {Object} cubeState - Current cube state
- * @param {Object} crossEdge - Cross edge information from findCrossEdges
- * @returns {string} Algorithm to solve this cross edge
+ * Cross edges followed by their D stickers
+ * Other cross colors are searched by rotating them to D first.
+ * @type {PieceStep}
  */
-export function generateCrossEdgeAlgorithm(cubeState, crossEdge) {
-    const { edgeName, targetFace, isOriented, layer } = crossEdge;
-    
-    // Map target face to target edge position
-    const faceToEdge = {
-        'F': 'DF', // Front -> Down-Front
-        'R': 'DR', // Right -> Down-Right  
-        'B': 'DB', // Back -> Down-Back
-        'L': 'DL'  // Left -> Down-Left
-    };
-    
-    const targetEdge = faceToEdge[targetFace];
-    if (!targetEdge) {
-        // Return a simple algorithm as fallback
-        console.warn(`Cannot determine target edge for face: ${targetFace}`);
-        return "F D R F' R'"; // Generic cross algorithm
-    }
-    
-    // Generate algorithm based on current position and orientation
-    return generateCrossMovementAlgorithm(edgeName, targetEdge, isOriented, layer);
-}
-
-/**
- * Generate movement algorithm for cross edge
- * @param {string} currentEdge - Current edge position
- * @param {string} targetEdge - Target edge position  
- * @param {boolean} isOriented - Whether cross color is correctly oriented
- * @param {string} layer - Current layer of the edge
- * @returns {string} Move algorithm
- */
-function generateCrossMovementAlgorithm(currentEdge, targetEdge, isOriented, layer) {
-    // Cross edge algorithms based on position and orientation
-    const crossAlgorithms = {
-        // Top layer to bottom layer algorithms
-        'UF_to_DF': isOriented ? "F2" : "F D R F' R'",
-        'UR_to_DR': isOriented ? "R2" : "R D B R' B'", 
-        'UB_to_DB': isOriented ? "B2" : "B D L B' L'",
-        'UL_to_DL': isOriented ? "L2" : "L D F L' F'",
-        
-        // Cross-layer movement (when target is different from current)
-        'UF_to_DR': "F D R2",
-        'UF_to_DB': "F D2 B2", 
-        'UF_to_DL': "F D' L2",
-        
-        'UR_to_DF': "R D' F2",
-        'UR_to_DB': "R D B2",
-        'UR_to_DL': "R D2 L2",
-        
-        'UB_to_DF': "B D2 F2",
-        'UB_to_DR': "B D' R2",
-        'UB_to_DL': "B D L2",
-        
-        'UL_to_DF': "L D F2",
-        'UL_to_DR': "L D2 R2", 
-        'UL_to_DB': "L D' B2",
-        
-        // Middle layer algorithms (bring to top first, then solve)
-        'FR_to_DF': "R U R' F2",
-        'FR_to_DR': "R U2 R2",
-        'FR_to_DB': "R U' R' B2",
-        'FR_to_DL': "R U R' L2",
-        
-        'BR_to_DF': "B' U B F2",
-        'BR_to_DR': "B' U' B R2",
-        'BR_to_DB': "B' U2 B2", 
-        'BR_to_DL': "B' U B L2",
-        
-        'BL_to_DF': "L' U L F2",
-        'BL_to_DR': "L' U L R2",
-        'BL_to_DB': "L' U' L B2",
-        'BL_to_DL': "L' U2 L2",
-        
-        'FL_to_DF': "F U F' F2",
-        'FL_to_DR': "F U F' R2", 
-        'FL_to_DB': "F U F' B2",
-        'FL_to_DL': "F U' F' L2",
-        
-        // Bottom layer algorithms (if edge is in wrong position/orientation)
-        'DF_to_DR': "F D R F'",
-        'DF_to_DB': "F D2 B F'",
-        'DF_to_DL': "F D' L F'",
-        
-        'DR_to_DF': "R D' F R'",
-        'DR_to_DB': "R D B R'", 
-        'DR_to_DL': "R D2 L R'",
-        
-        'DB_to_DF': "B D2 F B'",
-        'DB_to_DR': "B D' R B'",
-        'DB_to_DL': "B D L B'",
-        
-        'DL_to_DF': "L D F L'",
-        'DL_to_DR': "L D2 R L'",
-        'DL_to_DB': "L D' B L'"
-    };
-    
-    // Special handling for incorrectly oriented edges in bottom layer
-    if (layer === 'bottom' && !isOriented) {
-        // Need to flip the edge - bring it up and put it back down correctly
-        const flipAlgorithms = {
-            'DF': "F U R U' R' F'",
-            'DR': "R U B U' B' R'",
-            'DB': "B U L U' L' B'", 
-            'DL': "L U F U' F' L'"
-        };
-        return flipAlgorithms[currentEdge] || "F U R U' R' F'";
-    }
-    
-    const algorithmKey = `${currentEdge}_to_${targetEdge}`;
-    return crossAlgorithms[algorithmKey] || "";
+const CROSS_STEP = {
+    name: 'Cross',
+    pieces: Object.keys(CROSS_EDGES).map(slot => trackPiece(slot, 'D')),
+    moves: withTurns(['U', 'D', 'F', 'B', 'L', 'R']),
+    pruningSubsets: [[0, 1, 2, 3]]
+};
+
+/**
+ * Cross plus the FR pair; the other slots are rotated to FR first
+ * @type {PieceStep}
+ */
+const XCROSS_STEP = {
+    name: 'X-Cross',
+    pieces: [...CROSS_STEP.pieces, trackPiece('DFR', 'D'), trackPiece('FR', 'F')],
+    moves: CROSS_STEP.moves,
+    pruningSubsets: [[0, 1, 2, 3], [4, 5, 0, 1], [4, 5, 2, 3]]
+};
+
+/**
+ * Whole-cube rotation that brings each face to D, D first so it wins ties
+ */
+const CROSS_FACE_ROTATIONS = { D: '', U: 'x2', F: "x'", B: 'x', R: 'z', L: "z'" };
+
+/**
+ * y rotations that bring each of the four pairs to the FR slot
+ */
+const PAIR_SLOT_ROTATIONS = ['', 'y', 'y2', "y'"];
+
+/**
+ * Every cross can be solved in 8 moves
+ */
+const CROSS_MAX_DEPTH = 8;
+
+/**
+ * An X-cross is only worth it when it costs at most this many moves more than
+ * the plain cross on the same face
+ */
+const XCROSS_MAX_EXTRA_MOVES = 4;
+
+/**
+ * For each face after a rotation, the face it was before
+ * @param {string} rotation - Rotation sequence (e.g. "x' y2")
+ * @returns {Object} Map of face name to original face name
+ */
+function getRotationFaceMap(rotation) {
+    const solved = createSolvedCube('3x3x3');
+    const rotated = applyMoves(solved, rotation);
+    return Object.fromEntries(FACE_NAMES.map(face =>
+        [face, FACE_NAMES.find(original => solved.faces[original][4] === rotated.faces[face][4])]));
 }
 
 /**
- * Solve the cross on the bottom face
- * @param {Object} cubeState - Current cube state
- * @returns {Object} Result with solution and new state
+ * Shortest solution of a D-face step after rotating the cube, written for the
+ * cube as given: a turn of a rotated face is a turn of the face it came from
+ * @param {Object} cubeState - Cube state
+ * @param {string} rotation - Rotation that puts the step's pieces in place
+ * @param {PieceStep} step - CROSS_STEP or XCROSS_STEP
+ * @param {number} maxDepth - Longest solution searched for
+ * @returns {string[]|null} Moves without rotations, or null if none within maxDepth
  */
-export function solveCross(cubeState) {
-    // First check if cross is already complete
-    const initialAnalysis = analyzeCrossState(cubeState);
-    if (initialAnalysis.isComplete) {
-        return {
-            success: true,
-            isCrossComplete: true,
-            totalMoves: 0,
-            moveSequence: ""
-        };
+function searchRotatedCross(cubeState, rotation, step, maxDepth) {
+    const rotated = applyMoves(cubeState, rotation);
+    const faceColors = Object.fromEntries(FACE_NAMES.map(face => [face, rotated.faces[face][4]]));
+    const moves = searchPieces(step, locatePieces(rotated, step.pieces, faceColors), maxDepth);
+    if (!moves) {
+        return null;
     }
 
-    // Simple fallback for basic cross cases - TESTED AND WORKING
-    const crossFallbacks = [
-        // Single face moves to fix simple displacements
-        { moves: "F'", name: "F-face fix" },
-        { moves: "R'", name: "R-face fix" },  
-        { moves: "U'", name: "U-face fix" },
-        { moves: "L'", name: "L-face fix" },
-        { moves: "B'", name: "B-face fix" },
-        { moves: "D'", name: "D-face fix" },
-        // 180-degree moves
-        { moves: "F2", name: "F-face 180" },
-        { moves: "R2", name: "R-face 180" },
-        { moves: "U2", name: "U-face 180" }
-    ];
+    const faceMap = getRotationFaceMap(rotation);
+    return moves.map(move => faceMap[move[0]] + move.slice(1));
+}
 
-    // Try fallback algorithms first (simple cases)
-    for (const fallback of crossFallbacks) {
-        const testState = cloneCubeState(cubeState);
-        const moves = parseMoveNotation3x3(fallback.moves);
-        
-        // Apply moves
-        for (const move of moves) {
-            applyMove3x3(testState, move);
-        }
-        
-        // Check if cross is now complete
-        const testAnalysis = analyzeCrossState(testState);
-        if (testAnalysis.isComplete) {
-            console.log(`✅ Cross solved with fallback: ${fallback.name} (${fallback.moves})`);
-            return {
-                success: true,
-                isCrossComplete: true,
-                totalMoves: moves.length,
-                moveSequence: fallback.moves
-            };
-        }
-    }
+/**
+ * Name of the middle layer slot between two side faces
+ * @param {string[]} faces - The two side faces
+ * @returns {string} Edge slot name (e.g. 'FR')
+ */
+function getPairSlotName(faces) {
+    const key = [...faces].sort().join('');
+    return Object.keys(PIECE_SLOTS).find(slot => slot.length === 2 && [...slot].sort().join('') === key);
+}
 
-    let currentState = cloneCubeState(cubeState);
-    const crossSolution = [];
-    let totalMoves = [];
-    
-    // If fallbacks don't work, use complex algorithm
-    // Iteratively solve each cross edge
-    for (let attempt = 0; attempt < 8; attempt++) { // Max 8 attempts to prevent infinite loops
-        const crossAnalysis = analyzeCrossState(currentState);
-        
-        if (crossAnalysis.isComplete) {
-            break; // Cross is solved
-        }
-        
-        // Find all cross edges and their positions
-        const crossEdges = findCrossEdges(currentState);
-        
-        if (crossEdges.length === 0) {
-            console.warn("No cross edges found in cube state");
-            break;
-        }
-        
-        // Select the best edge to solve next
-        let crossEdgeToSolve = null;
-        
-        // First, try to find an edge that's not in the correct position
-        const unsolvedEdges = crossAnalysis.unsolvedEdges;
-        for (const unsolvedEdge of unsolvedEdges) {
-            const matchingEdge = crossEdges.find(edge => 
-                edge.targetFace && edge.sideColor === unsolvedEdge.targetSideColor
-            );
-            if (matchingEdge) {
-                crossEdgeToSolve = matchingEdge;
-                break;
-            }
-        }
-        
-        // If no specific edge found, take any available cross edge
-        if (!crossEdgeToSolve && crossEdges.length > 0) {
-            crossEdgeToSolve = crossEdges.find(edge => edge.targetFace) || crossEdges[0];
-        }
-        
-        if (!crossEdgeToSolve) {
-            console.warn(`Could not find any suitable cross edge to solve`);
-            break;
-        }
-        
-        // Generate algorithm for this edge
-        const algorithm = generateCrossEdgeAlgorithm(currentState, crossEdgeToSolve);
-        
-        if (algorithm && algorithm.trim()) {
-            const moves = parseMoveNotation3x3(algorithm);
-            if (moves.length > 0) {
-                applyMoveSequence3x3(currentState, moves);
-                totalMoves = totalMoves.concat(moves);
-                
-                crossSolution.push({
-                    edge: crossEdgeToSolve.edgeName,
-                    algorithm: algorithm,
-                    moves: moves.length
-                });
+/**
+ * Solve the cross optimally by IDA* over the four cross edges
+ * The pruning table holds the exact distance of every cross edge placement,
+ * so the search goes straight to a shortest cross (at most 8 moves). The moves
+ * never include rotations: a cross on another face is solved where it is.
+ * @param {Object} cubeState - Current cube state (not modified)
+ * @param {Object} [options] - Cross options
+ * @param {boolean} [options.colorNeutral=false] - Try all 6 cross colors and keep the shortest
+ * @param {string[]} [options.crossFaces] - Faces whose center color may be the cross color
+ *     (default D, or all 6 when colorNeutral)
+ * @param {boolean} [options.xcross=false] - Also solve a first pair when that costs at most
+ *     XCROSS_MAX_EXTRA_MOVES more
+ * @returns {Object} Cross solution, the state after it, the face it was built on and the other candidates
+ */
+export function solveCross(cubeState, options = {}) {
+    const {
+        colorNeutral = false,
+        crossFaces = colorNeutral ? Object.keys(CROSS_FACE_ROTATIONS) : ['D'],
+        xcross = false
+    } = options;
+
+    try {
+        const candidates = crossFaces.map(face => {
+            const moves = searchRotatedCross(cubeState, CROSS_FACE_ROTATIONS[face], CROSS_STEP, CROSS_MAX_DEPTH);
+            return { face, color: cubeState.faces[face][4], moves, pairSlot: null };
+        });
+        let best = candidates.reduce((shortest, candidate) =>
+            candidate.moves.length < shortest.moves.length ? candidate : shortest);
+
+        if (xcross) {
+            let bestXCross = null;
+            for (const candidate of candidates) {
+                for (const pairRotation of PAIR_SLOT_ROTATIONS) {
+                    const rotation = `${CROSS_FACE_ROTATIONS[candidate.face]} ${pairRotation}`;
+                    const maxDepth = Math.min(candidate.moves.length + XCROSS_MAX_EXTRA_MOVES,
+                        bestXCross ? bestXCross.moves.length - 1 : Infinity);
+                    const moves = searchRotatedCross(cubeState, rotation, XCROSS_STEP, maxDepth);
+                    if (moves) {
+                        const faceMap = getRotationFaceMap(rotation);
+                        bestXCross = { ...candidate, moves, pairSlot: getPairSlotName([faceMap.F, faceMap.R]) };
+                    }
+                }
             }
-        } else {
-            // Try a simple algorithm as fallback
-            const fallbackMoves = parseMoveNotation3x3("F D R F'");
-            applyMoveSequence3x3(currentState, fallbackMoves);
-            totalMoves = totalMoves.concat(fallbackMoves);
-            
-            crossSolution.push({
-                edge: crossEdgeToSolve.edgeName,
-                algorithm: "F D R F'",
-                moves: 4
-            });
+            best = bestXCross || best;
         }
+
+        return {
+            success: true,
+            isCrossComplete: true,
+            crossFace: best.face,
+            crossColor: best.color,
+            pairSlot: best.pairSlot,
+            totalMoves: best.moves.length,
+            moveSequence: best.moves.join(' '),
+            solvedState: applyMoves(cubeState, best.moves),
+            candidates: candidates.map(({ face, color, moves }) => ({ face, color, totalMoves: moves.length }))
+        };
+    } catch (error) {
+        return {
+            success: false,
+            isCrossComplete: false,
+            totalMoves: 0,
+            moveSequence: '',
+            error: error.message
+        };
     }
-    
-    return {
-        originalState: cubeState,
-        solvedState: currentState,
-        crossSolution,
-        totalMoves: totalMoves.length,
-        moveSequence: totalMoves.map(m => m.notation).join(' '),
-        parsedMoves: totalMoves,
-        isCrossComplete: analyzeCrossState(currentState).isComplete
-    };
 }
 
 /**
@@ -993,111 +591,82 @@ const F2L_SLOTS = {
 };
 
 /**
- * Basic F2L algorithms for common cases
- * These are simplified versions - full F2L has 41 cases
+ * Each slot is solved as if it were FR: the cube is turned so the slot faces
+ * front-right, and the algorithm's faces are relabeled back afterwards
+ * (e.g. after y, the R face of the algorithm is the physical B face).
  */
-const F2L_ALGORITHMS = {
-    // Basic insertion cases (corner and edge both in top layer)
-    'corner_top_edge_top_1': "R U' R' U F U F'",
-    'corner_top_edge_top_2': "F U F' U' R U R'",
-    'corner_top_edge_top_3': "R U R' U' F U' F'",
-    'corner_top_edge_top_4': "F U' F' U R U' R'",
-    
-    // Corner in top, edge in middle (wrong slot)
-    'corner_top_edge_wrong_slot_1': "R U R' U' R U R' U' R U R'",
-    'corner_top_edge_wrong_slot_2': "R U' R' U R U' R' U R U' R'",
-    
-    // Corner in bottom (wrong orientation)
-    'corner_bottom_wrong_1': "R U' R' U' R U R'",
-    'corner_bottom_wrong_2': "R U R' U R U' R'",
-    
-    // Complex cases requiring setup moves
-    'separated_1': "R U R' U2 R U' R' U F U F'",
-    'separated_2': "F U' F' U2 F U F' U' R U' R'",
-    
-    // Edge orientation cases
-    'edge_flipped_1': "R U' R' U R U2 R' U F U F'",
-    'edge_flipped_2': "F U F' U' F U2 F' U' R U' R'",
-    
-    // ADVANCED F2L CASES - Extended coverage for 100% success rate
-    
-    // Advanced insertion cases (all 42 F2L cases systematically covered)
-    'advanced_case_1': "R U2 R' U' R U R'",
-    'advanced_case_2': "R U R' U2 R U' R'", 
-    'advanced_case_3': "F U2 F' U F U' F'",
-    'advanced_case_4': "F U' F' U2 F U F'",
-    'advanced_case_5': "R U R' U' R U' R' U R U R'",
-    'advanced_case_6': "F U' F' U F U F' U' F U' F'",
-    'advanced_case_7': "R U' R' U2 R U2 R'",
-    'advanced_case_8': "F U F' U2 F U2 F'",
-    
-    // Corner oriented incorrectly cases
-    'corner_twisted_1': "R U2 R' U R U' R'",
-    'corner_twisted_2': "R U R' U2 R U R'",
-    'corner_twisted_3': "F U2 F' U' F U F'",
-    'corner_twisted_4': "F U' F' U2 F U' F'",
-    
-    // Edge in slot, corner separate
-    'edge_in_slot_1': "U R U' R' U F U' F'",
-    'edge_in_slot_2': "U' F U F' U' R U R'",
-    'edge_in_slot_3': "R U R' U' R U R' F U' F'",
-    'edge_in_slot_4': "F U' F' U F U' F' R U R'",
-    
-    // Both pieces in top, wrong orientation/position
-    'misoriented_1': "R U2 R' U' R U R' U' F U F'",
-    'misoriented_2': "F U2 F' U F U' F' U R U' R'", 
-    'misoriented_3': "R U' R' U R U2 R' U R U' R'",
-    'misoriented_4': "F U F' U' F U2 F' U' F U F'",
-    
-    // Awkward cases requiring multi-step solutions
-    'awkward_1': "R U R' U R U R' U' R U R'",
-    'awkward_2': "F U' F' U' F U' F' U F U' F'",
-    'awkward_3': "R U2 R' U2 R U R'",
-    'awkward_4': "F U2 F' U2 F U' F'",
-    
-    // Corner in bottom slot cases
-    'corner_bottom_1': "R U' R' U2 R U' R'", 
-    'corner_bottom_2': "R U R' U' R U2 R'",
-    'corner_bottom_3': "F U F' U2 F U F'",
-    'corner_bottom_4': "F U' F' U F U2 F'",
-    
-    // Edge in bottom slot cases
-    'edge_bottom_1': "R U R' U' R U R' U' R U R'",
-    'edge_bottom_2': "F U' F' U F U' F' U F U' F'",
-    'edge_bottom_3': "R U2 R' U R U R' U R U' R'",
-    'edge_bottom_4': "F U2 F' U' F U' F' U' F U F'",
-    
-    // Multi-slot interference cases
-    'interference_1': "R U R' U R U2 R' U2 R U R'",
-    'interference_2': "F U' F' U' F U2 F' U2 F U' F'",
-    'interference_3': "R U2 R' U' R U R' U2 R U' R'",
-    'interference_4': "F U2 F' U F U' F' U2 F U F'",
-    
-    // Cross interference cases
-    'cross_interference_1': "U R U' R' U F U' F'",
-    'cross_interference_2': "U' F U F' U' R U R'", 
-    'cross_interference_3': "U2 R U2 R' U R U' R'",
-    'cross_interference_4': "U2 F U2 F' U' F U F'",
-    
-    // Advanced rotationless cases
-    'rotationless_1': "r U R' U' r' F R F'",
-    'rotationless_2': "l' U' L U l F' L' F",
-    'rotationless_3': "r U2 R' U' R U' r'", 
-    'rotationless_4': "l' U2 L U L' U l",
-    
-    // NUCLEAR F2L CASES - For extremely complex scenarios  
-    'nuclear_f2l_1': "R U R' U R U2 R' U' R U R' U R U2 R'",
-    'nuclear_f2l_2': "F U' F' U' F U2 F' U F U' F' U' F U2 F'",
-    'nuclear_f2l_3': "R U2 R' U' R U R' U2 R U R' U' R U R'",
-    'nuclear_f2l_4': "F U2 F' U F U' F' U2 F U' F' U F U' F'",
-    
-    // UNIVERSAL F2L FALLBACKS
-    'f2l_fallback_1': "R U R' U' R U R'",
-    'f2l_fallback_2': "F U' F' U F U' F'",
-    'f2l_fallback_3': "U R U' R'",
-    'f2l_universal': "R U' R'"
+const F2L_SLOT_FRAMES = {
+    FR: { rotation: '', faces: {} },
+    FL: { rotation: "y'", faces: { R: 'F', F: 'L', L: 'B', B: 'R' } },
+    BR: { rotation: 'y', faces: { R: 'B', B: 'L', L: 'F', F: 'R' } },
+    BL: { rotation: 'y2', faces: { R: 'L', L: 'R', F: 'B', B: 'F' } }
 };
 
+/**
+ * The 41 F2L cases, written for the FR slot
+ * Numbered as in the usual case lists: both pieces in the top layer (1-24),
+ * corner in the slot (25-30), edge in the slot (31-36), both in the slot (37-41).
+ * Each case is recognized from the pair that its algorithm solves.
+ */
+const F2L_CASES = [
+    "U R U' R'",
+    "U' F' U F",
+    "F' U' F",
+    "R U R'",
+    "U' R U R' U2 R U' R'",
+    "U F' U' F U2 F' U F",
+    "U' R U2 R' U2 R U' R'",
+    "U F' U2 F U2 F' U F",
+    "U' R U' R' U F' U' F",
+    "U' R U R' U R U R'",
+    "U' R U2 R' U F' U' F",
+    "R U' R' U R U' R' U2 R U' R'",
+    "U F' U F U' F' U' F",
+    "U' R U' R' U R U R'",
+    "R U R' U2 R U R' U' R U R'",
+    "R U' R' U2 F' U' F",
+    "R U2 R' U' R U R'",
+    "F' U2 F U F' U' F",
+    "U R U2 R' U R U' R'",
+    "U' F' U2 F U' F' U F",
+    "U2 R U R' U R U' R'",
+    "U2 F' U' F U' F' U F",
+    "U F' U F U2 R U R'",
+    "U' F' U F U F' U F U' F' U F",
+    "U R U' R' F R' F' R",
+    "R U' R' U R U' R'",
+    "R U R' U' F R' F' R",
+    "R U R' U' R U R'",
+    "R U' R' F' U' F",
+    "U' R' F R F' R U R'",
+    "U' R' F R F' R U' R'",
+    "U R U' R' U R U' R' U R U' R'",
+    "U' R U' R' U2 R U' R'",
+    "U R U R' U2 R U R'",
+    "U' R U R' U F' U' F",
+    "U F' U' F U' R U R'",
+    "R2 U2 F R2 F' U2 R' U R'",
+    "R U' R' U' R U R' U2 R U' R'",
+    "R U' R' U R U2 R' U R U' R'",
+    "R U F R U R' U' F' R'",
+    "R F U R U' R' F' U' R'"
+].map((algorithm, i) => ({ number: i + 1, name: `F2L ${i + 1}`, algorithm }));
+
+/**
+ * Turns of the top layer tried before recognizing a case
+ */
+const U_SETUP_MOVES = ['', 'U', "U'", 'U2'];
+
+/**
+ * Takes a slot's pair out into the top layer (written for FR, like the cases)
+ */
+const F2L_EXTRACTION = "R U R'";
+
+/**
+ * Limit on extractions while freeing one pair (two are enough in practice)
+ */
+const F2L_MAX_EXTRACTIONS = 3;
+
 /**
  * Analyze the F2L state (which slots are solved)
  * @param {Object} cubeState - Current cube state
@@ -1312,203 +881,207 @@ function getPieceOrientation(pieceColors, targetColors) {
 }
 
 /**
- * Generate F2L algorithm for a specific pair
- * @param {Object} cubeState - Current cube state
- * @param {Object} pairData - F2L pair information
- * @returns {string} Algorithm to solve this F2L pair
+ * Slot that a bottom corner or middle edge location belongs to
  */
-export function generateF2LAlgorithm(cubeState, pairData) {
-    const { slot, corner, edge, isSolved } = pairData;
-    
-    if (isSolved) {
-        return ''; // Already solved
-    }
-    
-    // Check if we can locate both pieces
+const F2L_PIECE_SLOTS = {
+    DFR: 'FR', DFL: 'FL', DBR: 'BR', DBL: 'BL',
+    FR: 'FR', FL: 'FL', BR: 'BR', BL: 'BL'
+};
+
+let f2lCaseTable = null;
+
+/**
+ * Recognition key of a pair: where its corner and edge are, and which face
+ * shows the corner's bottom color and the edge's front color
+ * @param {Object} pair - Pair from findF2LPairs
+ * @returns {string|null} Key such as "UFR:R-UB:U", or null if a piece is missing
+ */
+function getF2LPairKey(pair) {
+    const { corner, edge } = pair;
     if (!corner || !edge) {
-        console.warn(`Cannot generate F2L algorithm for ${slot}: missing corner=${!corner} edge=${!edge}`);
-        // Use a generic setup move to try to get pieces into better positions
-        return "R U R' U' R U R'"; // Basic setup algorithm
-    }
-    
-    // Determine the case based on corner and edge positions
-    const caseKey = classifyF2LCase(corner, edge, slot);
-    
-    // Get algorithm from lookup table
-    const algorithm = F2L_ALGORITHMS[caseKey];
-    if (algorithm) {
-        return algorithm;
+        return null;
     }
-    
-    // Fallback algorithm for unrecognized cases
-    console.warn(`Unrecognized F2L case: ${caseKey} for slot ${slot}`);
-    return "R U' R' U F U F'"; // Basic F2L algorithm
+    return `${corner.name}:${corner.positions[corner.orientation].face}-${edge.name}:${edge.positions[edge.orientation].face}`;
 }
 
 /**
- * Classify an F2L case to determine the appropriate algorithm
- * @param {Object} corner - Corner piece location data
- * @param {Object} edge - Edge piece location data
- * @param {string} slot - Target slot name
- * @returns {string} F2L case identifier
+ * Map every FR pair key to its case, built once from the case algorithms
+ * @returns {Map<string, Object>} Pair key → F2L case
  */
-function classifyF2LCase(corner, edge, slot) {
-    // This is a simplified classification
-    // Full F2L implementation would need all 41 case patterns
-    
-    // Safety checks for null pieces
-    if (!corner || !edge || !corner.name || !edge.name) {
-        return 'unknown_case';
+function getF2LCaseTable() {
+    if (!f2lCaseTable) {
+        f2lCaseTable = new Map();
+        for (const f2lCase of F2L_CASES) {
+            const caseState = createSolvedCube('3x3x3');
+            applyMoveSequence3x3(caseState, invertMoveSequence(f2lCase.algorithm));
+            const pair = findF2LPairs(caseState).find(({ slot }) => slot === 'FR');
+            f2lCaseTable.set(getF2LPairKey(pair), f2lCase);
+        }
     }
-    
-    const cornerInTop = corner.name.includes('U');
-    const edgeInTop = edge.name.includes('U');
-    const cornerInBottom = corner.name.includes('D');
-    const edgeInMiddle = !edgeInTop && !edge.name.includes('D');
-    
-    if (cornerInTop && edgeInTop) {
-        return 'corner_top_edge_top_1'; // Simplified - would need more detailed analysis
-    } else if (cornerInTop && edgeInMiddle) {
-        return 'corner_top_edge_wrong_slot_1';
-    } else if (cornerInBottom) {
-        return 'corner_bottom_wrong_1';
-    } else {
-        return 'separated_1';
+    return f2lCaseTable;
+}
+
+/**
+ * Rewrite moves written for the FR slot so they act on another slot
+ * @param {string} moves - Moves written for FR
+ * @param {string} slot - Target slot
+ * @returns {string} Moves for the target slot
+ */
+function mapF2LMoves(moves, slot) {
+    const { faces } = F2L_SLOT_FRAMES[slot];
+    return splitMoveString(moves)
+        .map(move => (faces[move[0]] || move[0]) + move.slice(1))
+        .join(' ');
+}
+
+/**
+ * Join a setup U turn to an algorithm, merging it with a leading U turn
+ * @param {string} setup - '', 'U', "U'" or 'U2'
+ * @param {string} algorithm - Case algorithm
+ * @returns {string} Combined moves
+ */
+function joinF2LSetup(setup, algorithm) {
+    const moves = splitMoveString(algorithm);
+    if (!setup || moves[0]?.[0] !== 'U') {
+        return [setup, ...moves].filter(Boolean).join(' ');
     }
+    const quarterTurns = { U: 1, U2: 2, "U'": 3 };
+    const total = (quarterTurns[setup] + quarterTurns[moves[0]]) % 4;
+    const merged = Object.keys(quarterTurns).find(move => quarterTurns[move] === total);
+    return [merged, ...moves.slice(1)].filter(Boolean).join(' ');
+}
+
+/**
+ * Recognize the F2L case of one slot and plan the moves that solve it
+ * Pieces stuck in another slot are first taken out to the top layer; the
+ * case is then read with the slot turned to front-right, trying each U setup.
+ * @param {Object} cubeState - Current cube state (cross solved)
+ * @param {string} slot - Slot to solve ('FR', 'FL', 'BR' or 'BL')
+ * @returns {Object|null} Plan with case, setup, extraction and moves, or null if unrecognized
+ */
+function planF2LSlot(cubeState, slot) {
+    // Take pieces out of other slots first, one at a time, since taking out
+    // one piece can put the other one back into a slot
+    const framedState = cloneCubeState(cubeState);
+    const extractions = [];
+    for (let attempt = 0; attempt <= F2L_MAX_EXTRACTIONS; attempt++) {
+        const pair = findF2LPairs(framedState).find(entry => entry.slot === slot);
+        if (!pair?.corner || !pair?.edge) {
+            return null;
+        }
+        const pieceSlot = [F2L_PIECE_SLOTS[pair.corner.name], F2L_PIECE_SLOTS[pair.edge.name]]
+            .find(location => location && location !== slot);
+        if (!pieceSlot) {
+            break;
+        }
+        if (attempt === F2L_MAX_EXTRACTIONS) {
+            return null;
+        }
+        extractions.push(mapF2LMoves(F2L_EXTRACTION, pieceSlot));
+        applyMoveSequence3x3(framedState, extractions[extractions.length - 1]);
+    }
+    const extraction = extractions.join(' ');
+
+    // Look at the slot from the front-right
+    applyMoveSequence3x3(framedState, F2L_SLOT_FRAMES[slot].rotation);
+
+    let best = null;
+    for (const setup of U_SETUP_MOVES) {
+        const setupState = cloneCubeState(framedState);
+        applyMoveSequence3x3(setupState, setup);
+        const framedPair = findF2LPairs(setupState).find(entry => entry.slot === 'FR');
+        const f2lCase = getF2LCaseTable().get(getF2LPairKey(framedPair));
+        if (!f2lCase) {
+            continue;
+        }
+
+        const algorithm = [extraction, mapF2LMoves(joinF2LSetup(setup, f2lCase.algorithm), slot)].filter(Boolean).join(' ');
+        const moves = splitMoveString(algorithm).length;
+        if (!best || moves < best.moves) {
+            best = { slot, case: f2lCase.number, name: f2lCase.name, setup, extraction, algorithm, moves };
+        }
+    }
+    return best;
+}
+
+/**
+ * Generate F2L algorithm for a specific pair
+ * @param {Object} cubeState - Current cube state
+ * @param {Object} pairData - F2L pair information
+ * @returns {string} Algorithm to solve this F2L pair ('' if solved or unrecognized)
+ */
+export function generateF2LAlgorithm(cubeState, pairData) {
+    if (pairData.isSolved) {
+        return '';
+    }
+    return planF2LSlot(cubeState, pairData.slot)?.algorithm || '';
 }
 
 /**
  * Solve all F2L slots
+ * Every unsolved slot is recognized as one of the 41 cases, and the slot with
+ * the shortest solution goes first. Case algorithms leave the cross and the
+ * other slots untouched, so each step solves exactly one slot.
  * @param {Object} cubeState - Current cube state (cross should be solved)
- * @returns {Object} Result with solution and new state
+ * @returns {Object} Result with solution and new state; success is false, with
+ *     an error naming the stuck slot, when F2L could not be completed
+ * @throws {Error} If the cross is not solved
  */
 export function solveF2L(cubeState) {
     if (!isCrossComplete(cubeState)) {
         throw new Error('Cross must be completed before F2L');
     }
-    
-    // First check if F2L is already complete
-    const initialAnalysis = analyzeF2LState(cubeState);
-    if (initialAnalysis.isComplete) {
-        return {
-            originalState: cubeState,
-            solvedState: cubeState,
-            f2lSolution: [],
-            totalMoves: 0,
-            moveSequence: "",
-            parsedMoves: [],
-            isF2LComplete: true
-        };
-    }
-    
-    let currentState = cloneCubeState(cubeState);
+
+    const currentState = cloneCubeState(cubeState);
     const f2lSolution = [];
-    let totalMoves = [];
-    
-    // Simple F2L fallback algorithms for basic cases - CONSERVATIVE APPROACH
-    const f2lFallbacks = [
-        // Very simple moves that often help F2L
-        { moves: "", name: "No move needed" },
-        { moves: "U", name: "U turn setup" },
-        { moves: "U'", name: "U' turn setup" },
-        { moves: "U2", name: "U2 turn setup" },
-        { moves: "R U R'", name: "Simple right setup" },
-        { moves: "L' U' L", name: "Simple left setup" }
-    ];
-    
-    // Try simple fallback algorithms first (conservative approach)
-    for (const fallback of f2lFallbacks) {
-        const testState = cloneCubeState(cubeState);
-        
-        if (fallback.moves) {
-            const moves = parseMoveNotation3x3(fallback.moves);
-            for (const move of moves) {
-                applyMove3x3(testState, move);
-            }
-        }
-        
-        const testAnalysis = analyzeF2LState(testState);
-        if (testAnalysis.isComplete || testAnalysis.totalSolved >= 3) {
-            console.log(`✅ F2L solved with fallback: ${fallback.name} (${fallback.moves || 'no moves'})`);
-            
-            // Apply the successful moves to our current state
-            if (fallback.moves) {
-                const moves = parseMoveNotation3x3(fallback.moves);
-                for (const move of moves) {
-                    applyMove3x3(currentState, move);
-                }
-                totalMoves = moves;
-                f2lSolution.push({
-                    slot: 'fallback',
-                    algorithm: fallback.moves,
-                    moves: moves.length
-                });
-            }
-            
-            return {
-                originalState: cubeState,
-                solvedState: currentState,
-                f2lSolution,
-                totalMoves: totalMoves.length,
-                moveSequence: fallback.moves || "",
-                parsedMoves: totalMoves,
-                isF2LComplete: true
-            };
+    let f2lMoves = [];
+    let error;
+
+    for (let step = 0; step < Object.keys(F2L_SLOTS).length; step++) {
+        const { unsolvedSlots } = analyzeF2LState(currentState);
+        if (unsolvedSlots.length === 0) {
+            break;
         }
-    }
-    
-    // If simple fallbacks don't work, try more complex setup moves
-    const setupAlgorithms = [
-        "R U R' U' R U R'",  // Basic right-hand setup
-        "L' U' L U L' U' L", // Basic left-hand setup  
-        "U R U' R'",         // Simple U turn setup
-        "U' L' U L"          // Reverse setup
-    ];
-    
-    // Solve each F2L slot iteratively
-    for (let attempt = 0; attempt < setupAlgorithms.length; attempt++) {
-        const f2lAnalysis = analyzeF2LState(currentState);
-        
-        if (f2lAnalysis.isComplete || f2lAnalysis.totalSolved >= 3) {
-            console.log(`F2L considered complete with ${f2lAnalysis.totalSolved}/4 slots solved`);
+
+        const plans = unsolvedSlots.map(slot => planF2LSlot(currentState, slot)).filter(Boolean);
+        if (plans.length === 0) {
+            error = `No F2L case matches the unsolved slots (${unsolvedSlots.join(', ')})`;
             break;
         }
-        
-        // Apply a setup algorithm
-        const setupAlgorithm = setupAlgorithms[attempt];
-        const moves = parseMoveNotation3x3(setupAlgorithm);
-        if (moves.length > 0) {
-            applyMoveSequence3x3(currentState, moves);
-            totalMoves = totalMoves.concat(moves);
-            
-            f2lSolution.push({
-                slot: 'setup',
-                algorithm: setupAlgorithm,
-                moves: moves.length
-            });
+
+        const plan = plans.reduce((shortest, candidate) => (candidate.moves < shortest.moves ? candidate : shortest));
+        const moves = parseMoveNotation3x3(plan.algorithm);
+        applyMoveSequence3x3(currentState, moves);
+        f2lMoves = f2lMoves.concat(moves);
+
+        if (!isF2LSlotSolved(currentState, F2L_SLOTS[plan.slot])) {
+            error = `${plan.name} did not solve slot ${plan.slot}`;
+            break;
         }
+        f2lSolution.push(plan);
     }
-    
+
+    const complete = isF2LComplete(currentState);
     return {
+        success: complete,
+        ...(!complete && { error: error || `F2L is incomplete (${analyzeF2LState(currentState).totalSolved}/4 slots solved)` }),
         originalState: cubeState,
         solvedState: currentState,
         f2lSolution,
-        totalMoves: totalMoves.length,
-        moveSequence: totalMoves.map(m => m.notation).join(' '),
-        parsedMoves: totalMoves,
-        isF2LComplete: analyzeF2LState(currentState).isComplete
+        totalMoves: f2lMoves.length,
+        moveSequence: f2lMoves.map(m => m.notation).join(' '),
+        parsedMoves: f2lMoves,
+        isF2LComplete: isF2LComplete(currentState)
     };
 }
 
 /**
  * Check if F2L (first two layers) is complete
  * @param {Object} cubeState - Cube state to check
- * @returns {boolean} True if F2L is complete
+ * @returns {boolean} True if all four slots are solved
  */
 export function isF2LComplete(cubeState) {
-    const analysis = analyzeF2LState(cubeState);
-    // Consider F2L "complete enough" if 3+ slots are solved (pragmatic speedcubing approach)
-    return analysis.totalSolved >= 3;
+    return analyzeF2LState(cubeState).isComplete;
 }
 
 /**
@@ -1517,10 +1090,10 @@ export function isF2LComplete(cubeState) {
  */
 export function getF2LAlgorithms() {
     return {
-        algorithms: F2L_ALGORITHMS,
+        cases: F2L_CASES,
         slots: F2L_SLOTS,
-        totalCases: Object.keys(F2L_ALGORITHMS).length,
-        description: "Basic F2L algorithms - full implementation would include all 41 cases"
+        totalCases: F2L_CASES.length,
+        description: "The 41 F2L cases, written for the FR slot and mirrored to the other slots"
     };
 }
 
@@ -1555,6 +1128,7 @@ export function testF2LSolving(scramble) {
         totalMoves: crossResult.totalMoves + f2lResult.totalMoves,
         f2lComplete: f2lResult.isF2LComplete,
         testPassed: f2lResult.isF2LComplete,
+        ...(f2lResult.error && { error: f2lResult.error }),
         efficiency: f2lResult.totalMoves <= 20 ? 'excellent' : 
                    f2lResult.totalMoves <= 35 ? 'good' : 'needs_improvement'
     };
@@ -1564,264 +1138,40 @@ export function testF2LSolving(scramble) {
 
 /**
  * @typedef {Object} OLLCase
- * @property {number} id - OLL case number (1-57)
- * @property {string} pattern - Binary pattern of U face stickers (8 bits: corners + edges)
- * @property {string} algorithm - Move sequence to solve this OLL case
- * @property {string} name - Descriptive name for the pattern
- */
-
-/**
- * Database of all 57 OLL cases with patterns and algorithms
- * Pattern format: 8-bit string representing U face stickers in order:
- * Positions: [ULB, UB, URB, UL, UR, ULF, UF, URF] (skipping center)
- * 1 = U color (yellow), 0 = not U color
+ * @property {number} number - Standard OLL case number (1-57)
+ * @property {string} name - Standard name (shape, or nickname such as "Sune")
+ * @property {string} group - Shape group of the case
+ * @property {string} pattern - getOLLPattern orientation that the first algorithm solves
+ * @property {string[]} algorithms - Algorithms for the case, preferred first
  */
 
 /**
- * VERIFIED OLL DATABASE - Quality over Quantity Approach
- * Contains only tested and proven algorithms to prevent infinite loops
- * Prioritizes reliability over comprehensive coverage
+ * Versioned dataset of the 57 OLL cases, the single source of OLL algorithms
+ * The 8-bit pattern only shows the U face, so some cases share a pattern
+ * (e.g. 1 and 2); recognition also looks at where the side stickers point.
  */
+const OLL_DATASET = JSON.parse(readFileSync(fileURLToPath(new URL('../data/oll-cases.json', import.meta.url)), 'utf8'));
 
-/**
- * ULTRA-MINIMAL OLL DATABASE - 100% Rock-Solid Approach
- * Contains ONLY algorithms proven to work in successful test cases
- * Zero tolerance for loop-causing patterns
- */
-const OLL_CASES = [
-    // OLL SKIP - Proven to work (Test case 1: solved cube)
-    {
-        id: 0,
-        pattern: "11111111",
-        algorithm: "",
-        name: "OLL Skip (Already Oriented)",
-        verified: true,
-        testCaseProven: "Solved cube - 0 moves"
-    },
-    
-    // SUNE - Proven to work perfectly (Test case 5: R U R' U R U2 R' - 7 moves)  
-    {
-        id: 27,
-        pattern: "01111010",
-        algorithm: "R U2 R' U' R U' R'",
-        name: "Sune (OLL 27)",
-        verified: true,
-        testCaseProven: "R U R' U R U2 R' scramble - 7 moves perfect solution"
-    },
-    
-    // ANTI-SUNE - Updated with correct live pattern (7 moves)
-    {
-        id: 26,
-        pattern: "11010100",
-        algorithm: "L' U2 L U L' U L",
-        name: "Anti-Sune (OLL 26)", 
-        verified: true,
-        testCaseProven: "Live pattern debugging - F R U R' U' F' generates 11010100"
-    },
-    
-    // T-OLL - Verified by reverse validation (6 moves)
-    {
-        id: 21,
-        pattern: "00011101",
-        algorithm: "F R U R' U' F'",
-        name: "T-OLL (OLL 21)",
-        verified: true,
-        testCaseProven: "Reverse validation - 100% success"
-    },
-    
-    // L-SHAPE OLL - Verified by reverse validation (8 moves)
-    {
-        id: 17,
-        pattern: "10011000",
-        algorithm: "r U R' U' r' F R F'",
-        name: "L-Shape OLL (OLL 17)",
-        verified: true,
-        testCaseProven: "Reverse validation - 100% success"
-    },
-    
-    // H-OLL - Verified by reverse validation (11 moves)
-    {
-        id: 19,
-        pattern: "01111011",
-        algorithm: "R U R' U R U' R' U R U2 R'",
-        name: "H-OLL (OLL 19)",
-        verified: true,
-        testCaseProven: "Reverse validation - 100% success"
-    },
-    
-    // PI-OLL - Verified by reverse validation (9 moves)
-    {
-        id: 18,
-        pattern: "01011011",
-        algorithm: "R U2 R2 U' R2 U' R2 U2 R",
-        name: "Pi-OLL (OLL 18)",
-        verified: true,
-        testCaseProven: "Reverse validation - 100% success"
-    },
-    
-    // CROSS OLL - Verified by reverse validation (11 moves)
-    {
-        id: 20,
-        pattern: "01111011",
-        algorithm: "R U R' U R U' R' U R U2 R'",
-        name: "Cross OLL (OLL 20)",
-        verified: true,
-        testCaseProven: "Reverse validation - 100% success"
-    },
-    
-    // I-SHAPE - Verified by reverse validation (6 moves)
-    {
-        id: 52,
-        pattern: "00011101",
-        algorithm: "F R U R' U' F'",
-        name: "I-Shape (Basic F-move)",
-        verified: true,
-        testCaseProven: "Reverse validation - 100% success"
-    },
-    
-    // SIMPLE EDGE PATTERNS - Found in live debugging
-    {
-        id: 201,
-        pattern: "00011111",
-        algorithm: "R U R' U'", 
-        name: "Simple Edge Pattern 1",
-        verified: true,
-        testCaseProven: "Live pattern debugging - U R U' R' generates 00011111"
-    },
-    
-    {
-        id: 202, 
-        pattern: "01111111",
-        algorithm: "R U2 R' U' R U' R'",
-        name: "Simple Edge Pattern 2",
-        verified: true,
-        testCaseProven: "Live pattern debugging - R U2 R' D R U2 R' D' generates 01111111"
-    },
-    
-    {
-        id: 203,
-        pattern: "11010110", 
-        algorithm: "R'",
-        name: "Single Move Pattern",
-        verified: true,
-        testCaseProven: "Live pattern debugging - R generates 11010110"
-    },
-    
-    {
-        id: 204,
-        pattern: "11011001",
-        algorithm: "R U R' U R U2 R'",
-        name: "Complex Edge Pattern", 
-        verified: true,
-        testCaseProven: "Live pattern debugging - R U R' generates 11011001"
-    },
-    
-    {
-        id: 205,
-        pattern: "11111000",
-        algorithm: "U' R' U R",
-        name: "Corner Pattern",
-        verified: true,
-        testCaseProven: "Live pattern debugging - R U generates 11111000"
-    },
-    
-    // ANTI-SUNE VARIANT - Additional live pattern (7 moves)
-    {
-        id: 206,
-        pattern: "11111010",
-        algorithm: "R U R' U R U2 R'", 
-        name: "Anti-Sune Variant",
-        verified: true,
-        testCaseProven: "Live pattern debugging - L' U2 L U L' U L generates 11111010"
-    },
+/** @type {OLLCase[]} */
+const OLL_CASES = OLL_DATASET.cases;
 
-    // === PLACEHOLDER OBSERVED PATTERNS (disabled until verified) ===
-    { id: 901, pattern: "01110010", algorithm: "R U R' U R U2 R'", name: "Observed Unknown A", enabled: false, notes: "Needs proper alg" },
-    { id: 902, pattern: "11011000", algorithm: "F R U R' U' F'", name: "Observed Unknown B", enabled: false, notes: "Needs proper alg" },
-    { id: 903, pattern: "00011000", algorithm: "R U R' U R U2 R'", name: "Observed Unknown C", enabled: false, notes: "Needs proper alg" },
-    { id: 904, pattern: "11101011", algorithm: "F R U R' U' F'", name: "Observed Unknown D", enabled: false, notes: "Needs proper alg" }
-];
+const OLL_SOLVED_PATTERN = '11111111';
 
 /**
- * Programmatically register (enable) a new verified OLL case at runtime.
- * Avoid duplicates by pattern; replaces placeholder if pattern matches disabled case.
+ * Last layer pieces in getOLLPattern order, stickers listed clockwise from the U sticker
  */
-export function registerOLLCase({ id, pattern, algorithm, name, verified=true, notes='', testCaseProven='' }) {
-    // Check existing enabled case
-    const existing = OLL_CASES.find(c => c.pattern === pattern && c.enabled !== false);
-    if (existing) return existing;
-    // Replace placeholder if exists
-    const placeholderIndex = OLL_CASES.findIndex(c => c.pattern === pattern && c.enabled === false);
-    const entry = { id, pattern, algorithm, name, verified, testCaseProven: testCaseProven || 'Auto-derived', notes };
-    if (placeholderIndex >= 0) {
-        OLL_CASES[placeholderIndex] = entry;
-        return entry;
-    }
-    OLL_CASES.push(entry);
-    return entry;
-}
+const OLL_PIECES = [
+    [{ face: 'U', index: 0 }, { face: 'L', index: 0 }, { face: 'B', index: 2 }], // ULB
+    [{ face: 'U', index: 1 }, { face: 'B', index: 1 }],                          // UB
+    [{ face: 'U', index: 2 }, { face: 'B', index: 0 }, { face: 'R', index: 2 }], // UBR
+    [{ face: 'U', index: 3 }, { face: 'L', index: 1 }],                          // UL
+    [{ face: 'U', index: 5 }, { face: 'R', index: 1 }],                          // UR
+    [{ face: 'U', index: 6 }, { face: 'F', index: 0 }, { face: 'L', index: 2 }], // UFL
+    [{ face: 'U', index: 7 }, { face: 'F', index: 1 }],                          // UF
+    [{ face: 'U', index: 8 }, { face: 'R', index: 0 }, { face: 'F', index: 2 }]  // UFR
+];
 
-// Runtime capture of previously unseen patterns (adds to database + derived file)
-function captureUnknownOLLPattern(pattern, workingState, helpers){
-    try {
-        if(!pattern || pattern.length !== 8) return;
-        if(OLL_CASES.find(c => c.pattern === pattern)) return; // already known
-        // Choose new id in 9100+ range to avoid conflict with 8000 derived & 901 placeholders
-        let newId = 9100;
-        while(OLL_CASES.some(c => c.id === newId)) newId++;
-        let algorithm = '';
-        let verified = false;
-        // Attempt heuristic discovery if available
-        const { ensureHeuristicImports, heuristicSearchOLLFn, parseMoveNotation3x3, applyMoveSequence3x3, cloneCubeState, analyzeOLLState } = helpers || {};
-        if(ensureHeuristicImports){ ensureHeuristicImports(); }
-        if(heuristicSearchOLLFn){
-            try {
-                const searchRes = heuristicSearchOLLFn(cloneCubeState(workingState), { maxDepth:14, allowRegression:2 });
-                if(searchRes?.success && searchRes.algorithm){
-                    const testState = cloneCubeState(workingState);
-                    applyMoveSequence3x3(testState, parseMoveNotation3x3(searchRes.algorithm));
-                    const after = analyzeOLLState(testState);
-                    if(after.isComplete){
-                        algorithm = searchRes.algorithm;
-                        verified = true;
-                    }
-                }
-            } catch(e){ /* ignore heuristic errors */ }
-        }
-        const entry = { id:newId, pattern, algorithm, name:`Auto-Captured ${pattern}`, verified, testCaseProven: verified? 'Heuristic auto-complete validation' : 'Captured - pending algorithm', notes:'auto-captured-runtime' };
-        OLL_CASES.push(entry);
-        // Persist into derived file for future sessions
-        try {
-            const derivedPath = resolve(process.cwd(), 'backend', 'data', 'oll-derived.json');
-            let store = { derived: [] };
-            if(existsSync(derivedPath)){
-                try { store = JSON.parse(readFileSync(derivedPath,'utf8')) || { derived: [] }; } catch(e){ store = { derived: [] }; }
-            }
-            store.derived = store.derived || [];
-            store.derived.push({ id:newId, pattern, algorithm, name: entry.name, source: verified? 'auto-heuristic' : 'auto-captured' });
-            writeFileSync(derivedPath, JSON.stringify(store,null,2));
-        } catch(e){ /* ignore persist errors */ }
-        console.log(`[OLL] Captured new OLL pattern ${pattern} as id ${newId}${verified? ' with solver' : ''}`);
-    } catch(e){ /* silent */ }
-}
-
-// ==== AUTO-LOAD DERIVED OLL CASES (if provenance file exists) ====
-try {
-    const derivedPath = resolve(process.cwd(), 'backend', 'data', 'oll-derived.json');
-    if (existsSync(derivedPath)) {
-        const raw = JSON.parse(readFileSync(derivedPath, 'utf-8'));
-        if (raw && Array.isArray(raw.derived)) {
-            raw.derived.forEach(d => {
-                if (d && d.pattern && d.algorithm) {
-                    registerOLLCase({ id: d.id ?? 8000, pattern: d.pattern, algorithm: d.algorithm, name: d.name || `Auto-Derived ${d.pattern}`, verified: false, notes: d.source || 'derived-file' });
-                }
-            });
-            console.log(`[OLL] Loaded ${raw.derived.length} derived OLL case(s) from provenance file.`);
-        }
-    }
-} catch (e) {
-    console.warn('Failed loading derived OLL cases:', e.message);
-}
+let ollCaseTable = null;
 
 /**
  * Extract OLL pattern from cube state (U face orientation analysis)
@@ -1868,58 +1218,92 @@ export function rotateOLLPattern(pattern) {
 }
 
 /**
- * Find matching OLL case for current pattern with all rotations
- * @param {string} currentPattern - Current OLL pattern from cube
- * @returns {Object|null} Matching OLL case with rotation info
+ * Orientation of every last layer piece: which of its stickers shows the U color
+ * @param {Object} cubeState - Current cube state
+ * @returns {string} 8 digits in getOLLPattern order (0 = on top, 1/2 = on a side; -1 if absent)
+ */
+function getOLLOrientation(cubeState) {
+    const uColor = cubeState.faces.U[4];
+    return OLL_PIECES
+        .map(stickers => stickers.findIndex(({ face, index }) => cubeState.faces[face][index] === uColor))
+        .join('');
+}
+
+/**
+ * Map every case orientation to the algorithms that solve it, built once
+ * Each case state is made by undoing the algorithm on a solved cube, so
+ * recognition always agrees with the dataset.
+ * @returns {Map<string, Object[]>} Orientation → [{ ollCase, algorithm }]
+ */
+function getOLLCaseTable() {
+    if (!ollCaseTable) {
+        ollCaseTable = new Map();
+        for (const ollCase of OLL_CASES) {
+            for (const algorithm of ollCase.algorithms) {
+                const caseState = createSolvedCube('3x3x3');
+                applyMoveSequence3x3(caseState, invertMoveSequence(algorithm));
+                const orientation = getOLLOrientation(caseState);
+                ollCaseTable.set(orientation, [...(ollCaseTable.get(orientation) || []), { ollCase, algorithm }]);
+            }
+        }
+    }
+    return ollCaseTable;
+}
+
+/**
+ * Recognize the OLL case of a cube whose first two layers are solved
+ * Every U turn is tried before the algorithms; the shortest solution wins.
+ * @param {Object} cubeState - Current cube state
+ * @returns {Object|null} { number, name, group, algorithm, preAdjustment, moveSequence }, or null if oriented or unrecognized
+ */
+export function recognizeOLLCase(cubeState) {
+    if (getOLLPattern(cubeState) === OLL_SOLVED_PATTERN) {
+        return null;
+    }
+
+    let best = null;
+    for (const preAdjustment of U_SETUP_MOVES) {
+        const adjustedState = cloneCubeState(cubeState);
+        applyMoveSequence3x3(adjustedState, preAdjustment);
+        for (const { ollCase, algorithm } of getOLLCaseTable().get(getOLLOrientation(adjustedState)) || []) {
+            const moveSequence = [preAdjustment, algorithm].filter(Boolean).join(' ');
+            if (!best || splitMoveString(moveSequence).length < splitMoveString(best.moveSequence).length) {
+                best = { number: ollCase.number, name: ollCase.name, group: ollCase.group, algorithm, preAdjustment, moveSequence };
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Find the OLL cases with a given U face pattern
+ * The pattern alone cannot tell apart cases that differ only in side
+ * stickers, so all of them are listed in `candidates`; use recognizeOLLCase
+ * on a cube for an exact answer.
+ * @param {string} currentPattern - Current OLL pattern from getOLLPattern
+ * @returns {Object|null} First matching case with rotation info, or null if none matches
  */
 export function matchOLLPattern(currentPattern) {
-    // Try all 4 rotations for each OLL case
+    const matches = [];
     for (const ollCase of OLL_CASES) {
-        if (ollCase.enabled === false) continue; // skip placeholders
         let testPattern = ollCase.pattern;
-        
         for (let rotation = 0; rotation < 4; rotation++) {
             if (testPattern === currentPattern) {
-                return {
+                // rotateOLLPattern follows a U turn, so undo the turns before the algorithm
+                const preAdjustment = ['', "U'", 'U2', 'U'][rotation];
+                matches.push({
                     ...ollCase,
-                    rotation: rotation,
-                    rotatedAlgorithm: rotation === 0 ? ollCase.algorithm : 
-                                     rotateAlgorithmForU(ollCase.algorithm, rotation)
-                };
+                    rotation,
+                    preAdjustment,
+                    rotatedAlgorithm: [preAdjustment, ollCase.algorithms[0]].filter(Boolean).join(' ')
+                });
+                break;
             }
             testPattern = rotateOLLPattern(testPattern);
         }
     }
-    
-    return null; // No matching pattern found
-}
 
-/**
- * Rotate an algorithm for U face rotations
- * @param {string} algorithm - Original algorithm
- * @param {number} rotations - Number of 90° rotations (1-3)
- * @returns {string} Rotated algorithm
- */
-function rotateAlgorithmForU(algorithm, rotations) {
-    if (rotations === 0 || !algorithm) return algorithm;
-    
-    // Face mapping for rotations around U
-    const faceMap = {
-        1: { 'F': 'L', 'R': 'F', 'B': 'R', 'L': 'B' }, // 90° rotation
-        2: { 'F': 'B', 'R': 'L', 'B': 'F', 'L': 'R' }, // 180° rotation  
-        3: { 'F': 'R', 'R': 'B', 'B': 'L', 'L': 'F' }  // 270° rotation
-    };
-    
-    const mapping = faceMap[rotations];
-    if (!mapping) return algorithm;
-    
-    // Apply face substitution to algorithm
-    let rotatedAlg = algorithm;
-    for (const [oldFace, newFace] of Object.entries(mapping)) {
-        rotatedAlg = rotatedAlg.replace(new RegExp(oldFace, 'g'), newFace.toLowerCase());
-    }
-    
-    return rotatedAlg.toUpperCase();
+    return matches.length > 0 ? { ...matches[0], candidates: matches.map(match => match.number) } : null;
 }
 
 /**
@@ -1929,804 +1313,75 @@ function rotateAlgorithmForU(algorithm, rotations) {
  */
 export function analyzeOLLState(cubeState) {
     const pattern = getOLLPattern(cubeState);
-    const matchedCase = matchOLLPattern(pattern);
-    
+    const isComplete = pattern === OLL_SOLVED_PATTERN;
+    const matchedCase = isComplete ? null : recognizeOLLCase(cubeState);
+
     // Count oriented pieces
-    const orientedEdges = (pattern[1] === '1' ? 1 : 0) + // UB
-                         (pattern[3] === '1' ? 1 : 0) + // UL  
-                         (pattern[4] === '1' ? 1 : 0) + // UR
-                         (pattern[6] === '1' ? 1 : 0);  // UF
-                         
-    const orientedCorners = (pattern[0] === '1' ? 1 : 0) + // ULB
-                           (pattern[2] === '1' ? 1 : 0) + // URB
-                           (pattern[5] === '1' ? 1 : 0) + // ULF  
-                           (pattern[7] === '1' ? 1 : 0);  // URF
-    
+    const orientedEdges = [1, 3, 4, 6].filter(i => pattern[i] === '1').length;
+    const orientedCorners = [0, 2, 5, 7].filter(i => pattern[i] === '1').length;
+
     return {
         pattern: pattern,
+        orientation: getOLLOrientation(cubeState),
         orientedEdges: orientedEdges,
         orientedCorners: orientedCorners,
         totalOriented: orientedEdges + orientedCorners,
-        isComplete: pattern === "11111111",
+        isComplete: isComplete,
         matchedCase: matchedCase,
-        algorithm: matchedCase ? matchedCase.rotatedAlgorithm : null,
-        caseName: matchedCase ? matchedCase.name : "Unknown OLL Case"
+        algorithm: matchedCase ? matchedCase.moveSequence : null,
+        caseName: isComplete ? 'OLL Skip' : (matchedCase ? `OLL ${matchedCase.number} (${matchedCase.name})` : 'Unknown OLL Case')
     };
 }
 
 /**
- * Solve OLL phase for the cube
- * @param {Object} cubeState - Current cube state (must have F2L completed)
+ * Solve OLL phase for the cube in one algorithm
+ * @param {Object} cubeState - Current cube state (must have F2L completed, modified in place)
  * @returns {Object} OLL solving results
  */
 export function solveOLL(cubeState) {
-    const workingState = cubeState; // Work directly on input state - don't clone
-    let totalMoves = 0;
-    const appliedAlgorithms = [];
-    let attempts = 0;
-    const maxAttempts = 10; // Allow more attempts for fallback algorithms
-    
-    let progressMade = false;
-    let bestOrientationScore = 0;
-    let stagnationCounter = 0;
-    const stagnationLimit = 3;
-    const orientationHistory = [];
-    const snapshotState = cloneCubeState(workingState); // baseline snapshot
-    const f2lSignature = makeF2LSignature(workingState); // integrity baseline
-    // NEW: canonical pattern visited tracking to avoid loops produced by partial algorithms
-    const visitedCanonicalPatterns = new Set();
-    const heuristicTried = new Set(); // canonical patterns we've already attempted heuristic finisher on
-    const blacklistedAlgorithms = new Set(); // algorithms that violated integrity this session
-    const runtimeFinishers = global.__OLL_RUNTIME_FINISHERS || {}; // persisted across runs
-    const plateauCounts = {}; // canonicalPattern -> plateau hit count
-    const canonicalRepeatCounts = {}; // canonicalPattern -> total repeats (regardless of improvement)
-    const algoPatternSessionBlacklist = new Set(); // entries: caseId|pattern or alg|pattern
-    // Adaptive integrity control & promotion bookkeeping
-    let cumulativeIntegrityDiff = 0; // accumulated accepted soft diffs this OLL session
-    const setupSolveConfirmations = {}; // canonicalPattern -> confirmation count for promotion
-    const PROMOTION_CONFIRMATIONS = 2;
-    const adaptiveIntegrityConfig = { base:4, highOrientation:6, highOrientationThreshold:6, cumulativeBudget:8 };
-    // Per-pattern integrity overrides (by canonical pattern key) allowing more diff tolerance for stubborn cases
-    // Rationale: Certain patterns (e.g., Anti-Sune variants, frequently looping 9001/9100 captures) require
-    // slightly higher permissible diff to accept beneficial partial orientation changes without rollback.
-    // Structure: canonicalKey -> { base?, high?, budgetMultiplier? }
-    const PATTERN_INTEGRITY_OVERRIDES = global.__OLL_PATTERN_INTEGRITY_OVERRIDES || {
-        // Example stubborn patterns (these keys will be filled once canonicalizePatternFn runs).
-        // We'll patch in literal pattern strings if known; otherwise they can be populated dynamically
-        // at runtime via promotion logic (not yet implemented here) by assigning to global.__OLL_PATTERN_INTEGRITY_OVERRIDES.
-        // 'canonical_example': { base:5, high:7, budgetMultiplier:1.25 }
-    };
-    global.__OLL_PATTERN_INTEGRITY_OVERRIDES = PATTERN_INTEGRITY_OVERRIDES;
-    // Setup chaining window
-    let setupChainDepth = 0; // consecutive accepted setup algs
-    const MAX_SETUP_CHAIN = 2; // allow up to 2 chained setups before counting stagnation harshly
-    const setupChainPatterns = new Set();
-    const integrityViolationCounts = {}; // key: canonicalKey -> count (used to trigger mini planner)
-    const STATIC_FINISHERS = {
-        '01111010': "r U R' U' r' F R F'",
-        '01111111': "R U R' U' R' F R F'",
-        '01011111': "R U R' U R U2 R' F R U R' U' F'",
-        '01011010': "F R U R' U' F' U R U2 R' U' R U' R'",
-        '11001010': "F R' F' R U R U' R'",
-        '11011000': "r U R' U' r' R U R U' R'"
+    const initialPattern = getOLLPattern(cubeState);
+    const result = {
+        success: true,
+        totalMoves: 0,
+        appliedAlgorithms: [],
+        attempts: 0,
+        finalState: cubeState,
+        isOLLComplete: true,
+        finalPattern: initialPattern
     };
-
-    // -------- Algorithm Classification (cached) --------
-    // We'll classify each OLL case algorithm as FINISHER if it reliably completes OLL
-    // when applied after its own inverse (i.e., algorithm + inverse-alg scrambled state).
-    // Otherwise categorize as SETUP if it improves orientation.
-    if(!global.__OLL_ALG_CLASSIFICATION){
-        global.__OLL_ALG_CLASSIFICATION = {};
-        // Load persisted dynamic overrides first
-        try {
-            const dynPath = resolve(process.cwd(), 'backend', 'data', 'oll-classification-dynamic.json');
-            if(existsSync(dynPath)){
-                const dyn = JSON.parse(readFileSync(dynPath,'utf8'));
-                Object.assign(global.__OLL_ALG_CLASSIFICATION, dyn);
-                console.log(`[OLL] Loaded dynamic classification overrides (${Object.keys(dyn).length})`);
-            }
-        } catch(e){ /* ignore */ }
-        try {
-            const tmpSolved = createSolvedCube('3x3x3');
-            // helper to invert a move token
-            const invertMove = m => {
-                if(m.endsWith("2")) return m; // 180 stays
-                if(m.endsWith("'")) return m.slice(0,-1);
-                return m + "'";
-            };
-            for(const c of OLL_CASES){
-                if(!c.algorithm) continue;
-                try {
-                    const algTokens = c.algorithm.trim().split(/\s+/).filter(Boolean);
-                    if(!algTokens.length) continue;
-                    const inverseTokens = algTokens.slice().reverse().map(invertMove);
-                    const testCube = cloneCubeState(tmpSolved);
-                    applyMoveSequence3x3(testCube, parseMoveNotation3x3(inverseTokens.join(' ')));
-                    const initialPattern = getOLLPattern(testCube);
-                    const initialScore = (initialPattern.match(/1/g)||[]).length;
-                    applyMoveSequence3x3(testCube, parseMoveNotation3x3(c.algorithm));
-                    const finalPattern = getOLLPattern(testCube);
-                    const finalScore = (finalPattern.match(/1/g)||[]).length;
-                    const isComplete = finalPattern === '11111111';
-                    let classification = 'unknown';
-                    if(isComplete) classification = 'finisher';
-                    else if(finalScore > initialScore) classification = 'setup';
-                    if(!global.__OLL_ALG_CLASSIFICATION[c.id]){
-                        global.__OLL_ALG_CLASSIFICATION[c.id] = { classification, initialScore, finalScore };
-                    }
-                } catch(e){
-                    if(!global.__OLL_ALG_CLASSIFICATION[c.id]) global.__OLL_ALG_CLASSIFICATION[c.id] = { classification: 'error' };
-                }
-            }
-        } catch(e){ /* ignore classification errors */ }
-        // Batch metrics-driven demotion (executed once per process) to clean misclassified finishers
-        try {
-            if(!global.__OLL_BATCH_RECLASSIFIED){
-                global.__OLL_BATCH_RECLASSIFIED = true;
-                if(existsSync(OLL_METRICS_PATH)){
-                    const lines = readFileSync(OLL_METRICS_PATH,'utf8').split(/\n+/).filter(Boolean);
-                    const agg = {};
-                    for(const line of lines){
-                        try {
-                            const rec = JSON.parse(line);
-                            if(!rec.caseId || rec.caseId==='planner' || rec.caseId==='heuristic') continue;
-                            agg[rec.caseId] = agg[rec.caseId] || { attempts:0, completions:0, improvements:0 };
-                            agg[rec.caseId].attempts++;
-                            if(rec.complete) agg[rec.caseId].completions++;
-                            if(rec.improved) agg[rec.caseId].improvements++;
-                        } catch(e){ /* ignore */ }
-                    }
-                    for(const id of Object.keys(agg)){
-                        const s = agg[id];
-                        const rec = global.__OLL_ALG_CLASSIFICATION[id];
-                        if(!rec) continue;
-                        if(rec.classification==='finisher' && s.attempts>=5 && s.completions===0){
-                            const improvementRate = s.improvements / s.attempts;
-                            if(improvementRate < 0.2){
-                                rec.classification='setup';
-                                rec.autoDemoted=true;
-                                rec.autoDemoteReason='Batch metrics demotion (0% completion, low improvement)';
-                                console.log(`🔻 Batch-demoted OLL case ${id} via metrics`);
-                            }
-                        }
-                    }
-                    try { writeFileSync(resolve(DATA_DIR,'oll-classification-dynamic.json'), JSON.stringify(global.__OLL_ALG_CLASSIFICATION,null,2)); } catch(e){}
-                }
-            }
-        } catch(e){ /* ignore */ }
-    }
-    const ALG_CLASS = global.__OLL_ALG_CLASSIFICATION;
-    // Lazy load canonicalization + heuristic to avoid circular deps if any
-    let canonicalizePatternFn; let heuristicSearchOLLFn; let orientationScoreFn; let adaptAlgorithmForRotationFn;
-    function ensureHeuristicImports(){
-        if(!canonicalizePatternFn){
-            try {
-                const mod = require('../utils/ollCanonical.js');
-                canonicalizePatternFn = mod.canonicalizePattern || mod.default?.canonicalizePattern;
-                orientationScoreFn = mod.orientationScore || mod.default?.orientationScore;
-                adaptAlgorithmForRotationFn = mod.adaptAlgorithmForRotation || mod.default?.adaptAlgorithmForRotation;
-            } catch(e){ /* ignore */ }
-        }
-        if(!heuristicSearchOLLFn){
-            try {
-                const searchMod = require('../search/ollHeuristicSearch.js');
-                heuristicSearchOLLFn = searchMod.heuristicSearchOLL || searchMod.default?.heuristicSearchOLL;
-            } catch(e){ /* ignore */ }
-        }
+    if (initialPattern === OLL_SOLVED_PATTERN) {
+        return result;
     }
-    
-    while (attempts < maxAttempts) {
-        const analysis = analyzeOLLState(workingState);
-        
-        // Check if OLL is already complete
-        if (analysis.isComplete) {
-            break;
-        }
-        
-        // Track progress - count oriented pieces (use orientationScore util if available)
-        let currentOrientationScore;
-        if(!orientationScoreFn){ ensureHeuristicImports(); }
-        if(orientationScoreFn){
-            try { currentOrientationScore = orientationScoreFn(analysis.pattern); } catch(e){ currentOrientationScore = (analysis.pattern.match(/1/g) || []).length; }
-        } else {
-            currentOrientationScore = (analysis.pattern.match(/1/g) || []).length;
-        }
 
-        // Canonical pattern check; if we've seen this canonical pattern before with no improvement, invoke heuristic fallback early
-        let canonicalKey = null;
-        if(!canonicalizePatternFn){ ensureHeuristicImports(); }
-        if(canonicalizePatternFn){
-            try { canonicalKey = canonicalizePatternFn(analysis.pattern).canonical; } catch(e){ canonicalKey = null; }
-        }
-        if(canonicalKey){
-            if(!visitedCanonicalPatterns.has(canonicalKey)){
-                visitedCanonicalPatterns.add(canonicalKey);
-            }
-            if(plateauCounts[canonicalKey] === undefined) plateauCounts[canonicalKey] = 0;
-        }
-        // EARLY MICRO-FINISHER: if near-complete (>=7 oriented) attempt shallow heuristic finisher once per canonical pattern
-        if(!analysis.isComplete && currentOrientationScore >= 7 && canonicalKey){
-            if(!heuristicTried.has(canonicalKey)){
-                ensureHeuristicImports();
-                if(heuristicSearchOLLFn){
-                    const hFinish = heuristicSearchOLLFn(cloneCubeState(workingState), { maxDepth: 6 });
-                    if(hFinish?.success && hFinish.algorithm){
-                        console.log(`🧠 Micro-finisher heuristic solved OLL: ${hFinish.algorithm}`);
-                        const parsedMF = parseMoveNotation3x3(hFinish.algorithm);
-                        applyMoveSequence3x3(workingState, parsedMF);
-                        totalMoves += parsedMF.length;
-                        appliedAlgorithms.push({ case: 'heuristic', name: 'Heuristic Micro-Finisher', algorithm: hFinish.algorithm, moves: parsedMF.length });
-                        const postMF = analyzeOLLState(workingState);
-                        if(postMF.isComplete){
-                            attempts++; // count heuristic as attempt
-                            break;
-                        }
-                    }
-                    heuristicTried.add(canonicalKey);
-                }
-            }
-        }
-        // MID-STAGE HEURISTIC: if moderately oriented (>=6) and stagnating once, try a heuristic search before algorithm selection
-        if(!analysis.isComplete && currentOrientationScore >=6 && stagnationCounter === 1 && canonicalKey && !heuristicTried.has(canonicalKey)){
-            ensureHeuristicImports();
-            if(heuristicSearchOLLFn){
-                const hMid = heuristicSearchOLLFn(cloneCubeState(workingState), { maxDepth: 10, allowRegression:2, moves: ['R','R\'','R2','U','U\'','U2','F','F\'','F2','r','r\'','r2','f','f\'','f2'] });
-                if(hMid?.success && hMid.algorithm){
-                    console.log(`🧠 Mid-stage heuristic solved OLL: ${hMid.algorithm}`);
-                    const parsedHM = parseMoveNotation3x3(hMid.algorithm);
-                    applyMoveSequence3x3(workingState, parsedHM);
-                    totalMoves += parsedHM.length;
-                    appliedAlgorithms.push({ case: 'heuristic', name: 'Heuristic Mid-Stage', algorithm: hMid.algorithm, moves: parsedHM.length });
-                    const postHM = analyzeOLLState(workingState);
-                    if(postHM.isComplete){
-                        attempts++;
-                        break;
-                    }
-                }
-                heuristicTried.add(canonicalKey);
-            }
-        }
-        if (currentOrientationScore > bestOrientationScore) {
-            bestOrientationScore = currentOrientationScore;
-            progressMade = true;
-            stagnationCounter = 0;
-        } else {
-            // Only increment stagnation if orientation score did not increase AND pattern canonical key repeats
-            if(canonicalKey){
-                plateauCounts[canonicalKey] = plateauCounts[canonicalKey] || 0; // ensure init
-            }
-            stagnationCounter++;
-            // Before aborting due to stagnation, attempt heuristic search fallback exactly once at threshold-1
-            if (stagnationCounter === stagnationLimit - 1 && !analysis.isComplete) {
-                ensureHeuristicImports();
-                if(heuristicSearchOLLFn){
-                    const hResult = heuristicSearchOLLFn(cloneCubeState(workingState), { maxDepth: 12, allowRegression:2, moves: ['R','R\'','R2','U','U\'','U2','F','F\'','F2','r','r\'','r2','f','f\'','f2'] });
-                    if(hResult?.success && hResult.algorithm){
-                        console.log(`🧠 Heuristic fallback succeeded: ${hResult.algorithm}`);
-                        const parsedH = parseMoveNotation3x3(hResult.algorithm);
-                        applyMoveSequence3x3(workingState, parsedH);
-                        totalMoves += parsedH.length;
-                        appliedAlgorithms.push({ case: 'heuristic', name: 'Heuristic Finisher', algorithm: hResult.algorithm, moves: parsedH.length });
-                        const postH = analyzeOLLState(workingState);
-                        if(postH.isComplete){
-                            bestOrientationScore = 8;
-                            attempts++; // count as attempt
-                            break; // solved
-                        }
-                    }
-                }
-            }
-            if (stagnationCounter >= stagnationLimit) {
-                console.log('⚠️ Stagnation detected in OLL solving, aborting to avoid destructive loops');
-                break; // exit main loop
-            }
-        }
-        orientationHistory.push({ attempt: attempts, pattern: analysis.pattern, score: currentOrientationScore });
-        if(canonicalKey){
-            canonicalRepeatCounts[canonicalKey] = (canonicalRepeatCounts[canonicalKey]||0) + 1;
-        }
-        
-        // Get algorithm for current case - prioritize verified fallback algorithms
-        let algorithmToApply = null;
-        let caseName = 'Unknown OLL Case';
-        
-        // ENHANCED PATTERN MATCHING - Use comprehensive OLL database first
-        // Try exact pattern match in comprehensive database
-    let matchedCase = OLL_CASES.find(ollCase => ollCase.pattern === analysis.pattern);
-    let rotationApplied = 0;
-        
-        // Try rotated pattern matching (check all 4 rotations)
-        if (!matchedCase) {
-            for (let rotation = 1; rotation < 4; rotation++) {
-                const rotatedPattern = rotatePattern(analysis.pattern, rotation);
-                const candidate = OLL_CASES.find(ollCase => ollCase.pattern === rotatedPattern);
-                if (candidate) {
-                    matchedCase = candidate;
-                    rotationApplied = rotation; // remember rotation, we'll adapt algorithm (no physical U moves)
-                    console.log(`Found match via virtual rotation ${rotation * 90}°: ${matchedCase.name}`);
-                    break;
-                }
-            }
-        }
-        
-        // Fallback to verified algorithms if comprehensive database doesn't have match
-        if (!matchedCase) {
-            const fallbackAlgorithms = getOLLFallbackAlgorithms();
-            let fallbackAlg = fallbackAlgorithms.find(alg => alg.pattern === analysis.pattern);
-            
-            // If no exact match, use DEFAULT algorithm for unknown patterns
-            if (!fallbackAlg && attempts < 2) {
-                fallbackAlg = fallbackAlgorithms.find(alg => alg.pattern === "DEFAULT");
-            }
-            
-            // Convert fallback to matchedCase format for consistent handling
-            if (fallbackAlg) {
-                matchedCase = {
-                    id: 'fallback',
-                    name: fallbackAlg.name,
-                    algorithm: fallbackAlg.algorithm,
-                    pattern: fallbackAlg.pattern
-                };
-            }
-        }
-        
-        if (matchedCase && matchedCase.algorithm) {
-            algorithmToApply = matchedCase.algorithm;
-            caseName = matchedCase.name;
-            const classificationInfo = ALG_CLASS?.[matchedCase.id];
-            if(classificationInfo){
-                if(classificationInfo.classification === 'setup') caseName += ' (Setup)';
-                else if(classificationInfo.classification === 'finisher') caseName += ' (Finisher)';
-            }
-            // Adapt algorithm for rotation instead of physically rotating cube
-            if(rotationApplied && adaptAlgorithmForRotationFn){
-                algorithmToApply = adaptAlgorithmForRotationFn(algorithmToApply, rotationApplied, 'pre');
-                caseName += ` [+rot${rotationApplied}]`;
-            }
-            console.log(`✅ Found OLL case: ${caseName} (ID: ${matchedCase.id})`);
-            console.log(`🎯 Algorithm: ${algorithmToApply}`);
-            // Session blacklist check to avoid repeating same failing finisher on identical pattern
-            const blkKey = `${matchedCase.id}|${analysis.pattern}`;
-            if(algoPatternSessionBlacklist.has(blkKey)){
-                console.log('⛔ Skipping blacklisted (session) case-pattern combination, forcing heuristic escalation');
-                algorithmToApply = null; // force fallback path later
-            }
-        } else if (canonicalKey && (runtimeFinishers[canonicalKey] || STATIC_FINISHERS[canonicalKey])) {
-            algorithmToApply = runtimeFinishers[canonicalKey] || STATIC_FINISHERS[canonicalKey];
-            caseName = runtimeFinishers[canonicalKey] ? 'Runtime Finisher (Heuristic Learned)' : 'Static Finisher Table';
-            console.log(`🧵 Applying plateau finisher for ${canonicalKey}: ${algorithmToApply}`);
-        } else if (attempts < 3) {
-            // Only try setup moves for first few attempts
-            console.warn('Unknown OLL pattern:', analysis.pattern);
-            // Auto-capture unknown pattern into database for future runs
-            captureUnknownOLLPattern(analysis.pattern, workingState, { ensureHeuristicImports, heuristicSearchOLLFn, parseMoveNotation3x3, applyMoveSequence3x3, cloneCubeState, analyzeOLLState });
-            const setupMoves = ["F R U R' U' F'", "R U R' U R U2 R'", "F U R U' R' F'"];
-            const setupAlg = setupMoves[attempts % setupMoves.length];
-            algorithmToApply = setupAlg;
-            caseName = `Setup Move ${attempts + 1}`;
-            console.log(`Using setup move for unknown pattern: ${setupAlg}`);
-            // Log unknown pattern for later algorithm derivation
-            try {
-                recordUnknownOLL({
-                    pattern: analysis.pattern,
-                    cubeStateSerialized: JSON.stringify(workingState.faces),
-                    orientationScore: (analysis.pattern.match(/1/g) || []).length,
-                    attemptIndex: attempts
-                });
-            } catch (e) {}
-        } else {
-            // EMERGENCY BREAKTHROUGH - Try cube rotations + simple algorithms
-            console.log('⚠️ Emergency mode: Using safe orientation algorithm pool');
-            const emergencyPool = [
-                "R U R' U R U2 R'", // Sune
-                "F R U R' U' F'",   // T-OLL
-                "r U R' U' r' F R F'" // L-shape
-            ];
-            const emergencySequence = emergencyPool[attempts % emergencyPool.length];
-            algorithmToApply = emergencySequence;
-            caseName = "Emergency Orientation Attempt";
-            // Log persistent unknown / emergency scenario
-            try {
-                recordUnknownOLL({
-                    pattern: analysis.pattern,
-                    cubeStateSerialized: JSON.stringify(workingState.faces),
-                    orientationScore: (analysis.pattern.match(/1/g) || []).length,
-                    attemptIndex: attempts
-                });
-            } catch (e) {}
-        }
-        
-    // Apply the algorithm (or escalate if null due to blacklist)
-        if(!algorithmToApply){
-            ensureHeuristicImports();
-            if(heuristicSearchOLLFn){
-                const hBlk = heuristicSearchOLLFn(cloneCubeState(workingState), { maxDepth: 12, allowRegression:2 });
-                if(hBlk?.success && hBlk.algorithm){
-                    console.log(`🔄 Heuristic substitution for blacklisted algorithm: ${hBlk.algorithm}`);
-                    const pmBlk = parseMoveNotation3x3(hBlk.algorithm);
-                    applyMoveSequence3x3(workingState, pmBlk);
-                    totalMoves += pmBlk.length;
-                    appliedAlgorithms.push({ case: 'heuristic', name: 'Heuristic (Blacklist Substitution)', algorithm: hBlk.algorithm, moves: pmBlk.length, classification: 'heuristic' });
-                    const paBlk = analyzeOLLState(workingState);
-                    if(paBlk.isComplete) break;
-                    attempts++;
-                    continue;
-                }
-            }
-            attempts++;
-            continue;
-        }
-        const parsedMoves = parseMoveNotation3x3(algorithmToApply);
-        if(blacklistedAlgorithms.has(algorithmToApply)){
-            console.log('⛔ Skipping blacklisted algorithm, invoking heuristic instead');
-            ensureHeuristicImports();
-            if(heuristicSearchOLLFn){
-                const hSkip = heuristicSearchOLLFn(cloneCubeState(workingState), { maxDepth: 10 });
-                if(hSkip?.success && hSkip.algorithm){
-                    const pm = parseMoveNotation3x3(hSkip.algorithm);
-                    applyMoveSequence3x3(workingState, pm);
-                    totalMoves += pm.length;
-                    appliedAlgorithms.push({ case: 'heuristic', name: 'Heuristic (Blacklist Bypass)', algorithm: hSkip.algorithm, moves: pm.length });
-                    const pa = analyzeOLLState(workingState);
-                    if(pa.isComplete) break;
-                    attempts++;
-                    continue;
-                }
-            }
-            // If heuristic not available just count attempt and continue
-            attempts++;
-            continue;
-        }
-        applyMoveSequence3x3(workingState, parsedMoves);
-        const prePattern = analysis.pattern;
-        
-        totalMoves += parsedMoves.length;
-        const classificationLabel = caseName.includes('(Finisher)') ? 'finisher' : (caseName.includes('(Setup)') ? 'setup' : 'unknown');
-        appliedAlgorithms.push({
-            case: analysis.matchedCase?.id || 'unknown',
-            name: caseName,
-            algorithm: algorithmToApply,
-            moves: parsedMoves.length,
-            classification: classificationLabel
-        });
-        
-        // Check immediately if OLL is now complete
-        const postAnalysis = analyzeOLLState(workingState);
-        // Decide if we enforce integrity (only for unknown / fallback / emergency attempts)
-        const enforceIntegrity = (caseName.includes('Setup') || caseName.includes('Emergency') || caseName.includes('fallback') || caseName === 'Unknown OLL Case');
-        let integrityStatus = 'n/a';
-        let integrityDiff = null;
-        if (enforceIntegrity) {
-            const integrity = verifyF2LIntegrity(f2lSignature, workingState);
-            integrityDiff = integrity.diff;
-            if (!integrity.ok) {
-                // Determine adaptive threshold
-                const preScoreTmp = (prePattern.match(/1/g)||[]).length;
-                const postScoreTmp = postAnalysis.totalOriented;
-                const improvedOrientation = postScoreTmp > preScoreTmp;
-                let allowed = (postScoreTmp >= adaptiveIntegrityConfig.highOrientationThreshold)
-                    ? adaptiveIntegrityConfig.highOrientation
-                    : adaptiveIntegrityConfig.base;
-                // Apply per-pattern override if available (based on canonicalKey from earlier in loop scope)
-                if(canonicalKey && PATTERN_INTEGRITY_OVERRIDES[canonicalKey]){
-                    const ov = PATTERN_INTEGRITY_OVERRIDES[canonicalKey];
-                    if(postScoreTmp >= adaptiveIntegrityConfig.highOrientationThreshold && ov.high){
-                        allowed = ov.high;
-                    } else if(ov.base){
-                        allowed = ov.base;
-                    }
-                }
-                const budgetCap = (()=>{
-                    if(canonicalKey && PATTERN_INTEGRITY_OVERRIDES[canonicalKey]?.budgetMultiplier){
-                        return adaptiveIntegrityConfig.cumulativeBudget * PATTERN_INTEGRITY_OVERRIDES[canonicalKey].budgetMultiplier;
-                    }
-                    return adaptiveIntegrityConfig.cumulativeBudget;
-                })();
-                const withinBudget = (cumulativeIntegrityDiff + integrity.diff) <= budgetCap;
-                if(improvedOrientation && integrity.diff <= allowed && withinBudget){
-                    cumulativeIntegrityDiff += integrity.diff;
-                    console.warn(`⚠️ Soft F2L deviation tolerated (diff=${integrity.diff}, cum=${cumulativeIntegrityDiff}/${withinBudget?budgetCap:budgetCap}) allowed=${allowed} due to orientation gain ${preScoreTmp}->${postScoreTmp}${canonicalKey&&PATTERN_INTEGRITY_OVERRIDES[canonicalKey]?' [override]':''}`);
-                    integrityStatus = 'soft';
-                } else {
-                    console.warn('🚨 F2L integrity violation detected after UNKNOWN pattern attempt – reverting this attempt');
-                    Object.keys(snapshotState.faces).forEach(face => { workingState.faces[face] = [...snapshotState.faces[face]]; });
-                    blacklistedAlgorithms.add(algorithmToApply);
-                    appliedAlgorithms.pop();
-                    attempts++;
-                    integrityStatus = 'reverted';
-                    recordOLLMetric({
-                        attempt: attempts,
-                        caseId: analysis.matchedCase?.id || 'unknown',
-                        caseName,
-                        classification: classificationLabel,
-                        algorithm: algorithmToApply,
-                        rotationApplied,
-                        prePattern,
-                        postPattern: null,
-                        improved: false,
-                        complete: false,
-                        integrityStatus: 'reverted',
-                        integrityDiff: integrity.diff,
-                        cumulativeIntegrityDiff
-                    });
-                    continue;
-                }
-            } else {
-                integrityStatus = 'ok';
-                integrityDiff = integrity.diff;
-            }
-        }
-        const postPattern = postAnalysis.pattern;
-        const improved = (postPattern.match(/1/g)||[]).length > (prePattern.match(/1/g)||[]).length;
-        console.log(`   Post-algorithm analysis: Pattern=${postPattern}, Complete=${postAnalysis.isComplete}, Improved=${improved}`);
-        // Record metric
-        recordOLLMetric({
-            attempt: attempts,
-            caseId: analysis.matchedCase?.id || 'unknown',
-            caseName,
-            classification: classificationLabel,
-            algorithm: algorithmToApply,
-            rotationApplied,
-            prePattern,
-            postPattern,
-            improved,
-            complete: postAnalysis.isComplete,
-            integrityStatus,
-            integrityDiff,
-            cumulativeIntegrityDiff,
-            stagnationCounter,
-            plateauHits: canonicalKey ? plateauCounts[canonicalKey]||0 : 0
-        });
-        // Promotion: if a setup algorithm solved OLL immediately (orientation jump to 8) track confirmations and promote to runtime finisher after threshold
-        if(postAnalysis.isComplete && classificationLabel === 'setup' && canonicalKey){
-            setupSolveConfirmations[canonicalKey] = (setupSolveConfirmations[canonicalKey]||0)+1;
-            if(setupSolveConfirmations[canonicalKey] >= PROMOTION_CONFIRMATIONS && !runtimeFinishers[canonicalKey]){
-                runtimeFinishers[canonicalKey] = algorithmToApply;
-                console.log(`🚀 Promoted setup to runtime finisher for ${canonicalKey}: ${algorithmToApply}`);
-                try { writeFileSync(RUNTIME_FINISHERS_PATH, JSON.stringify(runtimeFinishers,null,2)); } catch(e){}
-            }
-        }
-        // Track finisher failures
-        if(classificationLabel === 'finisher' && !postAnalysis.isComplete){
-            const keyFail = analysis.matchedCase?.id || canonicalKey || algorithmToApply;
-            finisherFailureCounts[keyFail] = (finisherFailureCounts[keyFail]||0) + 1;
-            if(finisherFailureCounts[keyFail] >= FINISHER_DOWNGRADE_THRESHOLD){
-                downgradeFinisher(analysis.matchedCase?.id);
-            }
-            // Add to session blacklist after two immediate non-improving repeats
-            if(finisherFailureCounts[keyFail] >= 2){
-                const blkKey = `${analysis.matchedCase?.id||algorithmToApply}|${prePattern}`;
-                algoPatternSessionBlacklist.add(blkKey);
-            }
-        }
-        // Setup chaining logic: allow limited consecutive improving setups without burning attempts/stagnation
-        if(!postAnalysis.isComplete && caseName.includes('(Setup)')){
-            const newScore = (postAnalysis.pattern.match(/1/g)||[]).length;
-            if(newScore > currentOrientationScore){
-                if(setupChainDepth < MAX_SETUP_CHAIN){
-                    setupChainDepth++;
-                    setupChainPatterns.add(postPattern);
-                    console.log(`🔁 Chaining setup (${setupChainDepth}/${MAX_SETUP_CHAIN}) after improvement`);
-                    // Do NOT increment attempts; also relax stagnation by decrementing counter if >0
-                    if(stagnationCounter>0) stagnationCounter--;
-                    continue;
-                }
-            } else {
-                // reset chain if no improvement
-                setupChainDepth = 0;
-            }
-        } else if(caseName.includes('(Finisher)') || postAnalysis.isComplete){
-            setupChainDepth = 0; // reset on finisher or completion
-        }
-        // If we applied a finisher but not solved, escalate heuristic immediately (unexpected)
-        if(!postAnalysis.isComplete && caseName.includes('(Finisher)')){
-            ensureHeuristicImports();
-            if(heuristicSearchOLLFn){
-                const hEsc = heuristicSearchOLLFn(cloneCubeState(workingState), { maxDepth: 14, allowRegression:2, moves: ['R','R\'','R2','U','U\'','U2','F','F\'','F2','r','r\'','r2','f','f\'','f2'] });
-                if(hEsc?.success && hEsc.algorithm){
-                    console.log(`🧠 Escalation heuristic after failed finisher: ${hEsc.algorithm}`);
-                    const pm2 = parseMoveNotation3x3(hEsc.algorithm);
-                    applyMoveSequence3x3(workingState, pm2);
-                    totalMoves += pm2.length;
-                    appliedAlgorithms.push({ case: 'heuristic', name: 'Heuristic Escalation', algorithm: hEsc.algorithm, moves: pm2.length, classification: 'heuristic' });
-                    const postEsc = analyzeOLLState(workingState);
-                    if(postEsc.isComplete){
-                        attempts++;
-                        break;
-                    }
-                }
-            }
-        }
-        // Plateau tracking & escalation
-        if(!postAnalysis.isComplete && canonicalKey){
-            const newScore = (postAnalysis.pattern.match(/1/g)||[]).length;
-            if(newScore <= currentOrientationScore){
-                plateauCounts[canonicalKey] = (plateauCounts[canonicalKey]||0) + 1;
-            } else {
-                plateauCounts[canonicalKey] = 0;
-            }
-            // Earlier plateau escalation trigger lowered from 2 to 1
-            if(plateauCounts[canonicalKey] >= 1){
-                // Attempt static finisher if not already used
-                if(STATIC_FINISHERS[canonicalKey] && algorithmToApply !== STATIC_FINISHERS[canonicalKey]){
-                    console.log(`🪁 Plateau escalation (static finisher) for ${canonicalKey}`);
-                    const pFin = parseMoveNotation3x3(STATIC_FINISHERS[canonicalKey]);
-                    applyMoveSequence3x3(workingState, pFin);
-                    totalMoves += pFin.length;
-                    appliedAlgorithms.push({ case: 'plateau', name: 'Static Plateau Finisher', algorithm: STATIC_FINISHERS[canonicalKey], moves: pFin.length, classification: 'finisher' });
-                    const postFin = analyzeOLLState(workingState);
-                    if(postFin.isComplete){
-                        console.log('✅ Static plateau finisher solved OLL');
-                        attempts++;
-                        break;
-                    } else {
-                        const pfScore = (postFin.pattern.match(/1/g)||[]).length;
-                        if(pfScore > newScore){
-                            console.log('🔁 Continuing after plateau finisher improvement');
-                            continue;
-                        }
-                    }
-                } else {
-                    ensureHeuristicImports();
-                    if(heuristicSearchOLLFn){
-                        console.log('🧪 Plateau heuristic search (expanded moves)');
-                        const hPlat = heuristicSearchOLLFn(cloneCubeState(workingState), { maxDepth: 14, allowRegression:2, moves: ['R','R\'','R2','U','U\'','U2','F','F\'','F2','r','r\'','r2','f','f\'','f2'] });
-                        if(hPlat?.success && hPlat.algorithm){
-                            const pmP = parseMoveNotation3x3(hPlat.algorithm);
-                            applyMoveSequence3x3(workingState, pmP);
-                            totalMoves += pmP.length;
-                            appliedAlgorithms.push({ case: 'heuristic', name: 'Heuristic Plateau Finisher', algorithm: hPlat.algorithm, moves: pmP.length, classification: 'finisher' });
-                            const postHP = analyzeOLLState(workingState);
-                            if(postHP.isComplete){
-                                console.log('✅ Heuristic plateau finisher solved OLL');
-                                runtimeFinishers[canonicalKey] = hPlat.algorithm;
-                                attempts++;
-                                break;
-                            } else {
-                                const hpScore = (postHP.pattern.match(/1/g)||[]).length;
-                                if(hpScore > newScore){
-                                    runtimeFinishers[canonicalKey] = hPlat.algorithm;
-                                    continue;
-                                }
-                            }
-                        }
-                        // If still not complete after heuristic plateau attempt OR repeat count high, invoke planner BFS
-                        if(!analyzeOLLState(workingState).isComplete || (canonicalRepeatCounts[canonicalKey] >= 3)){
-                            console.log('🗺️ Attempting planner BFS for completion (depth<=5)');
-                            const planner = plannerSearchCompletion(workingState, { maxDepth:5 });
-                            if(planner.success && planner.algorithm){
-                                console.log(`🗺️ Planner found completion sequence: ${planner.algorithm}`);
-                                const pMoves = parseMoveNotation3x3(planner.algorithm);
-                                applyMoveSequence3x3(workingState, pMoves);
-                                totalMoves += pMoves.length;
-                                appliedAlgorithms.push({ case: 'planner', name: 'Planner Completion', algorithm: planner.algorithm, moves: pMoves.length, classification: 'finisher' });
-                                const postPlan = analyzeOLLState(workingState);
-                                recordOLLMetric({ attempt: attempts, caseId: 'planner', caseName: 'Planner Completion', classification: 'finisher', algorithm: planner.algorithm, rotationApplied:0, prePattern: postPattern, postPattern: postPlan.pattern, improved: (postPlan.pattern.match(/1/g)||[]).length > (postPattern.match(/1/g)||[]).length, complete: postPlan.isComplete });
-                                if(postPlan.isComplete){
-                                    runtimeFinishers[canonicalKey] = planner.algorithm; // learn
-                                    attempts++;
-                                    break;
-                                }
-                                // Escalate deeper planner if still unsolved and plateau persists
-                                if(!postPlan.isComplete && (plateauCounts[canonicalKey] >= 2 || canonicalRepeatCounts[canonicalKey] >= 4)){
-                                    console.log('🗺️🔁 Escalating planner BFS (depth<=7 composite)');
-                                    const plannerDeep = plannerSearchCompletion(workingState, { maxDepth:7, composite:true });
-                                    if(plannerDeep.success && plannerDeep.algorithm){
-                                        console.log(`🗺️ Deep planner completion: ${plannerDeep.algorithm}`);
-                                        const pMoves2 = parseMoveNotation3x3(plannerDeep.algorithm);
-                                        applyMoveSequence3x3(workingState, pMoves2);
-                                        totalMoves += pMoves2.length;
-                                        appliedAlgorithms.push({ case: 'planner', name: 'Planner Deep Completion', algorithm: plannerDeep.algorithm, moves: pMoves2.length, classification: 'finisher' });
-                                        const postPlan2 = analyzeOLLState(workingState);
-                                        recordOLLMetric({ attempt: attempts, caseId: 'planner', caseName: 'Planner Deep Completion', classification: 'finisher', algorithm: plannerDeep.algorithm, rotationApplied:0, prePattern: postPlan.pattern, postPattern: postPlan2.pattern, improved: (postPlan2.pattern.match(/1/g)||[]).length > (postPlan.pattern.match(/1/g)||[]).length, complete: postPlan2.isComplete });
-                                        if(postPlan2.isComplete){
-                                            runtimeFinishers[canonicalKey] = plannerDeep.algorithm; attempts++; break;
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        if (postAnalysis.isComplete) {
-            console.log(`✅ OLL solved after applying ${caseName}`);
-            break; // Exit immediately when OLL is complete
-        }
-        
-        attempts++;
-    }
-    
-    const finalAnalysis = analyzeOLLState(workingState);
-    let success = finalAnalysis.isComplete; // strict
-    if (!success) {
-        const finalScore = (finalAnalysis.pattern.match(/1/g) || []).length;
-        if (finalScore < bestOrientationScore) {
-            // revert to snapshot if we regressed
-            console.log('↩️ Reverting cube state to pre-OLL snapshot due to regression');
-            Object.keys(snapshotState.faces).forEach(face => {
-                workingState.faces[face] = [...snapshotState.faces[face]];
-            });
-        }
+    const match = recognizeOLLCase(cubeState);
+    if (!match) {
+        return {
+            ...result,
+            success: false,
+            isOLLComplete: false,
+            error: `Last layer orientation ${getOLLOrientation(cubeState)} is not an OLL case (are the first two layers solved?)`
+        };
     }
-    
-    // Auto-demotion & persistence step (metrics-driven, in-function) before returning
-    try {
-        const classMap = global.__OLL_ALG_CLASSIFICATION;
-        if(!finalAnalysis.isComplete){
-            const finisherAttempts = {};
-            for(const a of appliedAlgorithms){
-                if(a.classification === 'finisher') finisherAttempts[a.case] = (finisherAttempts[a.case]||0)+1;
-            }
-            for(const caseId of Object.keys(finisherAttempts)){
-                const rec = classMap[caseId];
-                if(!rec) continue;
-                if(rec.classification === 'finisher' && finisherAttempts[caseId] >= 2){
-                    const producedCompletion = appliedAlgorithms.some(a=>a.case===caseId && a.classification==='finisher' && finalAnalysis.isComplete);
-                    if(!producedCompletion){
-                        rec.classification = 'setup';
-                        rec.autoDemoted = true;
-                        rec.autoDemoteReason = 'No completion after multi finisher attempts in failed session';
-                        console.log(`🔻 Auto-demoted OLL case ${caseId} (end-of-run)`);
-                    }
-                }
-            }
-        }
-        try {
-            const outPath = resolve(process.cwd(), 'backend', 'data', 'oll-classification-dynamic.json');
-            writeFileSync(outPath, JSON.stringify(classMap, null, 2));
-        } catch(e) {}
-    } catch(e){ console.warn('Classification persistence step failed:', e.message); }
-    // Persist runtime finishers if updated
-    try { writeFileSync(RUNTIME_FINISHERS_PATH, JSON.stringify(runtimeFinishers, null, 2)); } catch(e){}
-    return {
-        success: success,
-        totalMoves: totalMoves,
-        appliedAlgorithms: appliedAlgorithms,
-        attempts: attempts,
-        finalState: workingState,
-        isOLLComplete: finalAnalysis.isComplete,
-        finalPattern: finalAnalysis.pattern,
-        orientationHistory
-    };
-}
-
-/**
- * Get fallback algorithms for unknown OLL patterns
- * @returns {Array} Array of fallback OLL algorithms
- */
-function getOLLFallbackAlgorithms() {
-    return [
-        // ULTRA-MINIMAL FALLBACK - Only proven algorithms that work 100%
-        { pattern: "01111010", algorithm: "R U2 R' U' R U' R'", name: "Sune (OLL 27) - VERIFIED" },
-        
-        // UNIVERSAL FALLBACKS - Simple, safe algorithms for any unrecognized pattern
-        { pattern: "FALLBACK1", algorithm: "R U R' U R U2 R'", name: "Universal Sune Fallback" },
-        { pattern: "FALLBACK2", algorithm: "F R U R' U' F'", name: "Universal T-OLL Fallback" },
-        { pattern: "DEFAULT", algorithm: "R U R' U R U2 R'", name: "Ultimate Universal Fallback" }
 
-    ];
-}
+    const moves = parseMoveNotation3x3(match.moveSequence);
+    applyMoveSequence3x3(cubeState, moves);
+    const finalPattern = getOLLPattern(cubeState);
 
-/**
- * Rotate an OLL pattern for better pattern matching
- * @param {string} pattern - 8-character pattern string
- * @param {number} rotations - Number of 90° rotations (1-3)
- * @returns {string} Rotated pattern
- */
-function rotatePattern(pattern, rotations) {
-    if (!pattern || pattern.length !== 8) return pattern;
-    
-    let result = pattern;
-    for (let i = 0; i < rotations; i++) {
-        // Rotate pattern 90° clockwise: positions remap as follows
-        // Original: [0,1,2,3,4,5,6,7] (ULB,UB,URB,UL,UR,ULF,UF,URF)
-        // Rotated:  [3,0,1,6,2,7,4,5] (new positions after U rotation)
-        const old = result;
-        result = old[3] + old[0] + old[1] + old[6] + old[2] + old[7] + old[4] + old[5];
-    }
-    return result;
+    return {
+        ...result,
+        success: finalPattern === OLL_SOLVED_PATTERN,
+        totalMoves: moves.length,
+        appliedAlgorithms: [{
+            case: match.number,
+            name: `OLL ${match.number} (${match.name})`,
+            algorithm: match.moveSequence,
+            preAdjustment: match.preAdjustment,
+            moves: moves.length
+        }],
+        attempts: 1,
+        isOLLComplete: finalPattern === OLL_SOLVED_PATTERN,
+        finalPattern
+    };
 }
 
 /**
@@ -2739,65 +1394,22 @@ export function isOLLComplete(cubeState) {
     return pattern === "11111111";
 }
 
-// ========================= F2L/OLL INTEGRITY UTILITIES =========================
-/**
- * Create a compact signature representing the solved F2L structure so we can detect destructive OLL attempts.
- * We include:
- *  - Entire D face
- *  - Middle layer edge side stickers (ring FR, RB, BL, LF)
- *  - Side stickers of D-layer corners (DFR, DRB, DBL, DLF)
- * This is lightweight and sufficient to detect unintended F2L mutation.
- */
-function makeF2LSignature(cubeState) {
-    try {
-        const f = cubeState.faces;
-        let sig = f.D.join('');
-        const middlePairs = [
-            f.F[5], f.R[3], // FR
-            f.R[5], f.B[3], // RB
-            f.B[5], f.L[3], // BL
-            f.L[5], f.F[3]  // LF
-        ];
-        sig += middlePairs.join('');
-        const dCorners = [
-            f.F[8], f.R[6], // DFR
-            f.R[8], f.B[6], // DRB
-            f.B[8], f.L[6], // DBL
-            f.L[8], f.F[6]  // DLF
-        ];
-        sig += dCorners.join('');
-        return sig;
-    } catch (e) {
-        return 'ERR';
-    }
-}
-
-function verifyF2LIntegrity(beforeSig, cubeState) {
-    const afterSig = makeF2LSignature(cubeState);
-    if(beforeSig === afterSig) return { ok:true, afterSig, diff:0 };
-    // diff = count of differing characters (simple Hamming distance)
-    let diff = 0;
-    const len = Math.min(beforeSig.length, afterSig.length);
-    for(let i=0;i<len;i++) if(beforeSig[i] !== afterSig[i]) diff++;
-    diff += Math.abs(beforeSig.length - afterSig.length);
-    return { ok:false, afterSig, diff };
-}
-// ========================= END INTEGRITY UTILITIES =========================
-
 /**
  * Get comprehensive OLL algorithms reference
  * @returns {Object} OLL algorithms organized by category
  */
 export function getOLLAlgorithms() {
+    const inGroups = (...groups) => OLL_CASES.filter(ollCase => groups.includes(ollCase.group));
     return {
+        version: OLL_DATASET.version,
         totalCases: 57,
         implemented: OLL_CASES.length,
         categories: {
-            'dots': OLL_CASES.filter(c => c.id >= 2 && c.id <= 4),
-            'lShapes': OLL_CASES.filter(c => c.id >= 42 && c.id <= 45), 
-            'lines': OLL_CASES.filter(c => c.id >= 51 && c.id <= 52),
-            'crosses': OLL_CASES.filter(c => c.id >= 21 && c.id <= 27),
-            'others': OLL_CASES.filter(c => ![1,2,3,4,42,43,44,45,51,52,21,22,23,24,25,26,27].includes(c.id))
+            'dots': inGroups('Dot'),
+            'lShapes': inGroups('Small L'),
+            'lines': inGroups('I Shape'),
+            'crosses': inGroups('Cross'),
+            'others': OLL_CASES.filter(ollCase => !['Dot', 'Small L', 'I Shape', 'Cross'].includes(ollCase.group))
         },
         allCases: OLL_CASES,
         description: "OLL (Orientation of Last Layer) algorithms for 3x3x3 CFOP method"
@@ -2807,9 +1419,11 @@ export function getOLLAlgorithms() {
 /**
  * Test OLL solving with various patterns
  * @param {number} numTests - Number of test cases to run
- * @returns {Object} Test results
+ * @param {string} [metric='htm'] - Move metric the results are ranked by (htm, qtm, stm or etm)
+ * @returns {Object} Test results, with the results ranked by the metric
+ * @throws {Error} If the metric is not supported
  */
-export function testOLLSolving(numTests = 10) {
+export function testOLLSolving(numTests = 10, metric = DEFAULT_METRIC) {
     const results = [];
     
     for (let i = 0; i < numTests; i++) {
@@ -2818,7 +1432,7 @@ export function testOLLSolving(numTests = 10) {
         
         // Apply some OLL-affecting moves to scramble just the last layer orientation
         const ollScramble = [
-            "R U R' U'", "F R U R' U' F'", "R U2 R' U' R U' R'"
+            "R U R' U' R' F R F'", "F R U R' U' F'", "R U2 R' U' R U' R'"
         ][i % 3];
         
         applyMoveSequence3x3(testCube, ollScramble);
@@ -2829,7 +1443,9 @@ export function testOLLSolving(numTests = 10) {
         results.push({
             testCase: i + 1,
             initialPattern: getOLLPattern(testCube),
+            success: ollResult.success,
             ollMoves: ollResult.totalMoves,
+            moveMetrics: getMoveMetrics(ollResult.appliedAlgorithms.map(applied => applied.algorithm).join(' ')),
             ollComplete: ollResult.isOLLComplete,
             algorithms: ollResult.appliedAlgorithms.length,
             efficiency: ollResult.totalMoves <= 10 ? 'excellent' : 
@@ -2845,6 +1461,8 @@ export function testOLLSolving(numTests = 10) {
         successRate: (successfulSolves / numTests * 100).toFixed(1) + '%',
         averageMoves: (results.reduce((sum, r) => sum + r.ollMoves, 0) / numTests).toFixed(1),
         results: results,
+        metric,
+        ranked: sortByMetric(results, metric),
         testPassed: successfulSolves === numTests,
         summary: `OLL Solver: ${successfulSolves}/${numTests} successful, avg ${(results.reduce((sum, r) => sum + r.ollMoves, 0) / numTests).toFixed(1)} moves`
     };
@@ -2854,461 +1472,184 @@ export function testOLLSolving(numTests = 10) {
 
 /**
  * @typedef {Object} PLLCase
- * @property {number} id - PLL case number (1-21)
- * @property {string} name - Standard PLL case name (A-Perm, T-Perm, etc.)
- * @property {string} pattern - Edge and corner permutation pattern
- * @property {string} algorithm - Move sequence to solve this PLL case
+ * @property {string} name - Standard PLL name (Aa, Ga, Nb, ...)
+ * @property {string} group - Which pieces the case swaps
+ * @property {string} algorithm - Algorithm that solves the case
  */
 
 /**
- * Database of all 21 PLL cases with patterns and algorithms
- * Pattern format: Edge positions + Corner positions (4+4 = 8 character string)
- * Edge order: UF, UR, UB, UL (positions 0,1,2,3)
- * Corner order: UFR, URB, UBL, ULF (positions 0,1,2,3)
- * Pattern shows where each piece should go (0=stay, 1,2,3=cycle positions)
+ * The 21 PLL cases, each with one algorithm that keeps F2L and orientation
+ * @type {PLLCase[]}
  */
 const PLL_CASES = [
-    // VERIFIED WORKING CASES (tested and confirmed involutory)
-    {
-        id: 0,
-        name: "PLL Skip (Already Permuted)",
-        pattern: "00000000",
-        algorithm: ""
-    },
-    {
-        id: 1,
-        name: "U' Edge Cycle",
-        pattern: "12301230", 
-        algorithm: "U'"
-    },
-    {
-        id: 2,
-        name: "U2 Edge Swap",
-        pattern: "11001100",
-        algorithm: "U2"
-    },
-    {
-        id: 3,
-        name: "R2 Case",
-        pattern: "01001010",
-        algorithm: "R2"
-    },
-    {
-        id: 4,
-        name: "F2 Case",
-        pattern: "00100100",
-        algorithm: "F2"
-    },
-    {
-        id: 5,
-        name: "L2 Case", 
-        pattern: "00011010",
-        algorithm: "L2"
-    },
-    {
-        id: 6,
-        name: "B2 Case",
-        pattern: "10001000",
-        algorithm: "B2"
-    },
-    {
-        id: 7,
-        name: "M2 Slice Case",
-        pattern: "01001000", 
-        algorithm: "M2"
-    },
-    
-    // COMPREHENSIVE PLL CASES - All 21 standard PLL algorithms for 100% coverage
-    
-    // A-PERMS (Corner 3-cycles)
-    {
-        id: 7,
-        name: "A-Perm (Aa)",
-        pattern: "00002130",
-        algorithm: "l' U R' D2 R U' R' D2 R2"
-    },
-    {
-        id: 8,
-        name: "A-Perm (Ab)", 
-        pattern: "00003210",
-        algorithm: "l U' R D2 R' U R D2 R2"
-    },
-    
-    // T-PERMS (Edge 3-cycle + corner swap)
-    {
-        id: 9,
-        name: "T-Perm",
-        pattern: "12100021",
-        algorithm: "R U R' F' R U R' U' R' F R2 U' R'"
-    },
-    
-    // J-PERMS (Adjacent corner swap + edge 3-cycle)
-    {
-        id: 10,
-        name: "J-Perm (Ja)",
-        pattern: "02130000",
-        algorithm: "R' U L' U2 R U' R' U2 R L U'"
-    },
-    {
-        id: 11,
-        name: "J-Perm (Jb)",
-        pattern: "03210000", 
-        algorithm: "R U R' F' R U R' U' R' F R2 U' R'"
-    },
-    
-    // R-PERMS (Adjacent corner swap + opposite edge swap)
-    {
-        id: 12,
-        name: "R-Perm (Ra)",
-        pattern: "10230021",
-        algorithm: "R U' R' F' R U2 R' U2 R' F R U R U2 R'"
-    },
-    {
-        id: 13,
-        name: "R-Perm (Rb)",
-        pattern: "21030012",
-        algorithm: "R2 F R U R U' R' F' R U2 R' U2 R"
-    },
-    
-    // F-PERMS (Adjacent corner swap + opposite edge swap)
-    {
-        id: 14,
-        name: "F-Perm",
-        pattern: "12030021", 
-        algorithm: "R' U' F' R U R' U' R' F R2 U' R' U' R U R' U R"
-    },
-    
-    // G-PERMS (Double adjacency - edges and corners)
-    {
-        id: 15,
-        name: "G-Perm (Ga)",
-        pattern: "20130012",
-        algorithm: "R2 U R' U R' U' R U' R2 D U' R' U R D'"
-    },
-    {
-        id: 16,
-        name: "G-Perm (Gb)",
-        pattern: "12301200",
-        algorithm: "R' U' R U D' R2 U R' U R U' R U' R2 D"
-    },
-    {
-        id: 17,
-        name: "G-Perm (Gc)",
-        pattern: "30210012", 
-        algorithm: "R2 U' R U' R U R' U R2 D' U R U' R' D"
-    },
-    {
-        id: 18,
-        name: "G-Perm (Gd)",
-        pattern: "21032100",
-        algorithm: "R U R' U' D R2 U' R U' R' U R' U R2 D'"
-    },
-    
-    // V-PERM (Diagonal corner swap + adjacent edge swap)
-    {
-        id: 19,
-        name: "V-Perm",
-        pattern: "10203021",
-        algorithm: "R' U R' U' y R' F' R2 U' R' U R' F R F"
-    },
-    
-    // Y-PERM (Diagonal corner swap + diagonal edge swap) 
-    {
-        id: 20,
-        name: "Y-Perm",
-        pattern: "12032100",
-        algorithm: "F R U' R' U' R U R' F' R U R' U' R' F R F'"
-    },
-    
-    // N-PERMS (Opposite corner swap + adjacent edge swap)
-    {
-        id: 21,
-        name: "N-Perm (Na)",
-        pattern: "10320021", 
-        algorithm: "R U R' U R U R' F' R U R' U' R' F R2 U' R' U2 R U' R'"
-    },
-    {
-        id: 22,
-        name: "N-Perm (Nb)",
-        pattern: "21030120",
-        algorithm: "r' D' F r U' r' F' D r2 U r' U' r' F r F'"
-    },
-    
-    // ADDITIONAL EDGE-ONLY CASES
-    {
-        id: 23,
-        name: "H-Perm (Opposite edge swaps)",
-        pattern: "20132013",
-        algorithm: "M2 U M2 U2 M2 U M2"
-    },
-    {
-        id: 24,
-        name: "Ua-Perm (3-cycle clockwise)",
-        pattern: "12300000", 
-        algorithm: "R U' R U R U R U' R' U' R2"
-    },
-    {
-        id: 25,
-        name: "Ub-Perm (3-cycle counter-clockwise)",
-        pattern: "32100000",
-        algorithm: "R2 U R U R' U' R' U' R' U R'"
-    },
-    {
-        id: 26, 
-        name: "Z-Perm (Adjacent edge swaps)",
-        pattern: "21032103",
-        algorithm: "M' U M2 U M2 U M' U2 M2"
-    },
-    
-    // ADVANCED PLL CASES - For complex permutation patterns
-    {
-        id: 27,
-        name: "Advanced PLL 1",
-        pattern: "30120021",
-        algorithm: "R U R' F' R U2 R' U2 R' F R U R U2 R' U"
-    },
-    {
-        id: 28,
-        name: "Advanced PLL 2", 
-        pattern: "02103120",
-        algorithm: "L' U' L F L' U2 L U2 L F' L' U' L' U2 L U'"
-    },
-    {
-        id: 29,
-        name: "Advanced PLL 3",
-        pattern: "13200210",
-        algorithm: "R2 U R U R' U' R' U' R' U R' F R U R' U' R' F' R2"
-    },
-    
-    // VERIFIED PLL ALGORITHMS - Simple, reliable cases only
-    {
-        id: 30,
-        name: "Verified PLL 1",
-        pattern: "12011000", 
-        algorithm: "R U R' F' R U R' U' R' F R2 U' R'"
-    },
-    {
-        id: 31,
-        name: "Verified PLL 2",
-        pattern: "10201200",
-        algorithm: "R U' R U R U R U' R' U' R2"
-    },
-    {
-        id: 32,
-        name: "Verified PLL 3", 
-        pattern: "20110200",
-        algorithm: "M2 U M2 U2 M2 U M2"
-    },
-    {
-        id: 33,
-        name: "Verified PLL 4",
-        pattern: "01120020",
-        algorithm: "R U R' F' R U R' U' R' F R2 U' R'"
-    },
-    {
-        id: 34,
-        name: "Verified PLL 5",
-        pattern: "11002200", 
-        algorithm: "R U' R U R U R U' R' U' R2"
-    },
-    {
-        id: 35,
-        name: "Verified PLL 6",
-        pattern: "22001100",
-        algorithm: "M2 U M2 U2 M2 U M2"
-    },
-    
-    // ULTIMATE FALLBACKS for unknown permutation patterns
-    {
-        id: 36,
-        name: "PLL Fallback 1",
-        pattern: "FALLBACK1",
-        algorithm: "R U R' F' R U R' U' R' F R2 U' R'"
-    },
-    {
-        id: 37,
-        name: "PLL Fallback 2", 
-        pattern: "FALLBACK2",
-        algorithm: "R U' R U R U R U' R' U' R2"
-    },
-    {
-        id: 38,
-        name: "PLL Fallback 3",
-        pattern: "FALLBACK3",
-        algorithm: "M2 U M2 U2 M2 U M2"
-    },
-    {
-        id: 39,
-        name: "Universal PLL Default",
-        pattern: "DEFAULT",
-        algorithm: "R U R' F' R U R' U' R' F R2 U' R'"
-    }
-    
-    // COMPREHENSIVE PLL DATABASE: Now covers all 21 standard + advanced cases
+    // Corners only
+    { name: "Aa", group: "Corners Only", algorithm: "R' F R' B2 R F' R' B2 R2" },
+    { name: "Ab", group: "Corners Only", algorithm: "R2 B2 R F R' B2 R F' R" },
+    { name: "E", group: "Corners Only", algorithm: "R B' R' F R B R' F' R B R' F R B' R' F'" },
+
+    // Edges only
+    { name: "H", group: "Edges Only", algorithm: "M2 U M2 U2 M2 U M2" },
+    { name: "Ua", group: "Edges Only", algorithm: "M2 U M U2 M' U M2" },
+    { name: "Ub", group: "Edges Only", algorithm: "M2 U' M U2 M' U' M2" },
+    { name: "Z", group: "Edges Only", algorithm: "M' U M2 U M2 U M' U2 M2" },
+
+    // Two adjacent corners swapped
+    { name: "F", group: "Adjacent Corner Swap", algorithm: "R' U' F' R U R' U' R' F R2 U' R' U' R U R' U R" },
+    { name: "Ga", group: "Adjacent Corner Swap", algorithm: "R2 U R' U R' U' R U' R2 U' D R' U R D'" },
+    { name: "Gb", group: "Adjacent Corner Swap", algorithm: "R' U' R U D' R2 U R' U R U' R U' R2 D" },
+    { name: "Gc", group: "Adjacent Corner Swap", algorithm: "R2 U' R U' R U R' U R2 U D' R U' R' D" },
+    { name: "Gd", group: "Adjacent Corner Swap", algorithm: "R U R' U' D R2 U' R U' R' U R' U R2 D'" },
+    { name: "Ja", group: "Adjacent Corner Swap", algorithm: "R' U L' U2 R U' R' U2 R L" },
+    { name: "Jb", group: "Adjacent Corner Swap", algorithm: "R U R' F' R U R' U' R' F R2 U' R'" },
+    { name: "Ra", group: "Adjacent Corner Swap", algorithm: "R U' R' U' R U R D R' U' R D' R' U2 R'" },
+    { name: "Rb", group: "Adjacent Corner Swap", algorithm: "R2 F R U R U' R' F' R U2 R' U2 R" },
+    { name: "T", group: "Adjacent Corner Swap", algorithm: "R U R' U' R' F R2 U' R' U' R U R' F'" },
+
+    // Two diagonal corners swapped
+    { name: "Na", group: "Diagonal Corner Swap", algorithm: "R U R' U R U R' F' R U R' U' R' F R2 U' R' U2 R U' R'" },
+    { name: "Nb", group: "Diagonal Corner Swap", algorithm: "R' U R U' R' F' U' F R U R' F R' F' R U' R" },
+    { name: "V", group: "Diagonal Corner Swap", algorithm: "R' U R' U' B' R' B2 U' B' U B' R B R" },
+    { name: "Y", group: "Diagonal Corner Swap", algorithm: "F R U' R' U' R U R' F' R U R' U' R' F R F'" }
 ];
 
 /**
- * Extract PLL pattern from cube state (last layer permutation analysis)
+ * A permuted last layer that only needs an AUF
+ * @type {PLLCase}
+ */
+const PLL_SKIP = { name: "Skip", group: "Skip", algorithm: "" };
+
+const PLL_SOLVED_PATTERN = '00000000';
+
+/**
+ * Clockwise quarter turns of each U setup move
+ */
+const PLL_QUARTER_TURNS = { '': 0, 'U': 1, 'U2': 2, "U'": 3 };
+
+/**
+ * Last layer edge and corner slots, clockwise seen from U starting at the front
+ * (a U turn moves every piece one slot along)
+ */
+const PLL_EDGE_SLOTS = [
+    [{ face: 'U', index: 7 }, { face: 'F', index: 1 }], // UF
+    [{ face: 'U', index: 3 }, { face: 'L', index: 1 }], // UL
+    [{ face: 'U', index: 1 }, { face: 'B', index: 1 }], // UB
+    [{ face: 'U', index: 5 }, { face: 'R', index: 1 }]  // UR
+];
+const PLL_CORNER_SLOTS = [
+    [{ face: 'U', index: 8 }, { face: 'R', index: 0 }, { face: 'F', index: 2 }], // UFR
+    [{ face: 'U', index: 6 }, { face: 'F', index: 0 }, { face: 'L', index: 2 }], // UFL
+    [{ face: 'U', index: 0 }, { face: 'L', index: 0 }, { face: 'B', index: 2 }], // UBL
+    [{ face: 'U', index: 2 }, { face: 'B', index: 0 }, { face: 'R', index: 2 }]  // UBR
+];
+
+let pllCaseTable = null;
+
+/**
+ * Extract the last layer permutation from a cube state
+ * Each digit is how many slots clockwise a piece sits from its home, read
+ * against the centers: edges UF, UL, UB, UR then corners UFR, UFL, UBL, UBR.
+ * A solved layer is "00000000" and a U turn from solved is "11111111".
  * @param {Object} cubeState - Cube state with OLL completed
- * @returns {string} 8-character pattern string for PLL matching
+ * @returns {string} 8-character permutation pattern ('-' marks a piece from another layer)
  */
 export function getPLLPattern(cubeState) {
     const faces = cubeState.faces;
-    const uFace = faces.U;
-    const lFace = faces.L; 
-    const fFace = faces.F;
-    const rFace = faces.R;
-    const bFace = faces.B;
-    
-    // Get last layer edge pieces (need to check their correct positions)
-    // Edge positions: UF=0, UR=1, UB=2, UL=3  
-    const edges = [
-        [uFace[1], fFace[1]], // UF edge
-        [uFace[5], rFace[1]], // UR edge  
-        [uFace[7], bFace[1]], // UB edge
-        [uFace[3], lFace[1]]  // UL edge
-    ];
-    
-    // Get last layer corner pieces
-    // Corner positions: UFR=0, URB=1, UBL=2, ULF=3
-    const corners = [
-        [uFace[2], fFace[0], rFace[2]], // UFR corner
-        [uFace[8], rFace[0], bFace[2]], // URB corner 
-        [uFace[6], bFace[0], lFace[2]], // UBL corner
-        [uFace[0], lFace[0], fFace[2]]  // ULF corner
-    ];
-    
-    // Identify solved edge pattern (where each edge belongs)
-    const edgePattern = [];
-    const correctEdgeColors = [
-        [faces.U[4], faces.F[4]], // UF should have U-F colors
-        [faces.U[4], faces.R[4]], // UR should have U-R colors  
-        [faces.U[4], faces.B[4]], // UB should have U-B colors
-        [faces.U[4], faces.L[4]]  // UL should have U-L colors
-    ];
-    
-    for (let i = 0; i < 4; i++) {
-        let found = false;
-        for (let j = 0; j < 4; j++) {
-            const edge = edges[i];
-            const target = correctEdgeColors[j];
-            if ((edge[0] === target[0] && edge[1] === target[1]) || 
-                (edge[0] === target[1] && edge[1] === target[0])) {
-                edgePattern[i] = j;
-                found = true;
-                break;
-            }
-        }
-        if (!found) edgePattern[i] = -1; // Error case
-    }
-    
-    // Identify solved corner pattern  
-    const cornerPattern = [];
-    const correctCornerColors = [
-        [faces.U[4], faces.F[4], faces.R[4]], // UFR corner colors
-        [faces.U[4], faces.R[4], faces.B[4]], // URB corner colors
-        [faces.U[4], faces.B[4], faces.L[4]], // UBL corner colors  
-        [faces.U[4], faces.L[4], faces.F[4]]  // ULF corner colors
-    ];
-    
-    for (let i = 0; i < 4; i++) {
-        let found = false;
-        for (let j = 0; j < 4; j++) {
-            const corner = corners[i].sort();
-            const target = correctCornerColors[j].sort();
-            if (corner[0] === target[0] && corner[1] === target[1] && corner[2] === target[2]) {
-                cornerPattern[i] = j;
-                found = true;
-                break;
+
+    // A piece belongs to the slot whose centers carry its colors
+    const colorsOf = (stickers, colorAt) => stickers.map(colorAt).sort().join('');
+    const homes = slots => slots.map(stickers => colorsOf(stickers, ({ face }) => faces[face][4]));
+    const offsets = slots => {
+        const slotHomes = homes(slots);
+        return slots.map((stickers, slot) => {
+            const home = slotHomes.indexOf(colorsOf(stickers, ({ face, index }) => faces[face][index]));
+            return home === -1 ? '-' : String((slot - home + 4) % 4);
+        }).join('');
+    };
+
+    return offsets(PLL_EDGE_SLOTS) + offsets(PLL_CORNER_SLOTS);
+}
+
+/**
+ * Follow a U turn on a PLL pattern
+ * Every piece moves one slot clockwise, one slot further from home.
+ * @param {string} pattern - 8-character PLL pattern
+ * @returns {string} Pattern after the U turn
+ */
+export function rotatePLLPattern(pattern) {
+    const turn = digits => [3, 0, 1, 2]
+        .map(slot => digits[slot] === '-' ? '-' : String((Number(digits[slot]) + 1) % 4))
+        .join('');
+    return turn(pattern.slice(0, 4)) + turn(pattern.slice(4, 8));
+}
+
+/**
+ * Map every pattern that one PLL and a final U turn solve, built once
+ * Each case state is made by undoing the AUF and the algorithm on a solved
+ * cube, so recognition always agrees with the algorithms.
+ * @returns {Map<string, Object[]>} Pattern → [{ pllCase, postAdjustment }]
+ */
+function getPLLCaseTable() {
+    if (!pllCaseTable) {
+        pllCaseTable = new Map();
+        for (const pllCase of [PLL_SKIP, ...PLL_CASES]) {
+            for (const postAdjustment of U_SETUP_MOVES) {
+                const caseState = createSolvedCube('3x3x3');
+                applyMoveSequence3x3(caseState, invertMoveSequence([pllCase.algorithm, postAdjustment].filter(Boolean).join(' ')));
+                const pattern = getPLLPattern(caseState);
+                pllCaseTable.set(pattern, [...(pllCaseTable.get(pattern) || []), { pllCase, postAdjustment }]);
             }
         }
-        if (!found) cornerPattern[i] = -1; // Error case
     }
-    
-    // Convert to cycle notation (0=solved position, 1,2,3=cycle)
-    const edgeCycle = convertToCycle(edgePattern);
-    const cornerCycle = convertToCycle(cornerPattern);
-    
-    return edgeCycle.join('') + cornerCycle.join('');
+    return pllCaseTable;
 }
 
 /**
- * Convert position array to cycle notation
- * @param {Array} positions - Array showing where each piece belongs
- * @returns {Array} Cycle representation (0=in place, 1,2,3=cycle positions)
+ * Find the PLL case of a last layer permutation
+ * Every U turn is tried before the algorithm and the table supplies the U
+ * turn after it; the shortest solution wins.
+ * @param {string} currentPattern - Current PLL pattern from getPLLPattern
+ * @returns {Object|null} { name, group, algorithm, preAdjustment, postAdjustment, moveSequence }, or null if solved or unrecognized
  */
-function convertToCycle(positions) {
-    const cycle = [0, 0, 0, 0];
-    const visited = [false, false, false, false];
-    
-    for (let start = 0; start < 4; start++) {
-        if (visited[start] || positions[start] === start) continue;
-        
-        // Follow the cycle
-        let current = start;
-        let cycleLength = 0;
-        const cycleMembers = [];
-        
-        while (!visited[current]) {
-            visited[current] = true;
-            cycleMembers.push(current);
-            current = positions[current];
-            cycleLength++;
+export function matchPLLPattern(currentPattern) {
+    if (currentPattern === PLL_SOLVED_PATTERN) {
+        return null;
+    }
+
+    let best = null;
+    for (const preAdjustment of U_SETUP_MOVES) {
+        let adjustedPattern = currentPattern;
+        for (let turn = 0; turn < PLL_QUARTER_TURNS[preAdjustment]; turn++) {
+            adjustedPattern = rotatePLLPattern(adjustedPattern);
         }
-        
-        // Mark cycle members
-        if (cycleLength > 1) {
-            for (let i = 0; i < cycleMembers.length; i++) {
-                cycle[cycleMembers[i]] = (i + 1) % cycleMembers.length;
+        for (const { pllCase, postAdjustment } of getPLLCaseTable().get(adjustedPattern) || []) {
+            const moveSequence = [preAdjustment, pllCase.algorithm, postAdjustment].filter(Boolean).join(' ');
+            if (!best || splitMoveString(moveSequence).length < splitMoveString(best.moveSequence).length) {
+                best = { name: pllCase.name, group: pllCase.group, algorithm: pllCase.algorithm, preAdjustment, postAdjustment, moveSequence };
             }
         }
     }
-    
-    return cycle;
+    return best;
 }
 
 /**
- * Match current PLL pattern against database with rotations
- * @param {string} currentPattern - Current PLL pattern from cube
- * @returns {Object|null} Matching PLL case with rotation info
+ * Recognize the PLL case of a cube whose first two layers and OLL are solved
+ * @param {Object} cubeState - Current cube state
+ * @returns {Object|null} Match from matchPLLPattern, or null if permuted, unoriented or unrecognized
  */
-export function matchPLLPattern(currentPattern) {
-    // Try all 4 rotations for each PLL case
-    for (const pllCase of PLL_CASES) {
-        let testPattern = pllCase.pattern;
-        
-        for (let rotation = 0; rotation < 4; rotation++) {
-            if (testPattern === currentPattern) {
-                return {
-                    ...pllCase,
-                    rotation: rotation,
-                    rotatedAlgorithm: rotation === 0 ? pllCase.algorithm : 
-                                     rotateAlgorithmForU(pllCase.algorithm, rotation)
-                };
-            }
-            testPattern = rotatePLLPattern(testPattern);
-        }
+export function recognizePLLCase(cubeState) {
+    if (!isOLLComplete(cubeState)) {
+        return null;
     }
-    
-    return null; // No matching pattern found
+    return matchPLLPattern(getPLLPattern(cubeState));
 }
 
 /**
- * Rotate a PLL pattern by 90 degrees clockwise
- * @param {string} pattern - 8-character PLL pattern
- * @returns {string} Rotated pattern
+ * Display name of a PLL match
+ * @param {Object} match - Match from matchPLLPattern
+ * @returns {string} e.g. "Aa Perm", or "PLL Skip" when only an AUF is needed
  */
-function rotatePLLPattern(pattern) {
-    const edges = pattern.slice(0, 4);
-    const corners = pattern.slice(4, 8);
-    
-    // Rotate edge positions: UF->UR->UB->UL->UF
-    const rotatedEdges = edges[3] + edges[0] + edges[1] + edges[2];
-    
-    // Rotate corner positions: UFR->URB->UBL->ULF->UFR  
-    const rotatedCorners = corners[3] + corners[0] + corners[1] + corners[2];
-    
-    return rotatedEdges + rotatedCorners;
+function getPLLCaseName(match) {
+    return match.name === PLL_SKIP.name ? 'PLL Skip' : `${match.name} Perm`;
 }
 
 /**
@@ -3318,263 +1659,146 @@ function rotatePLLPattern(pattern) {
  */
 export function analyzePLLState(cubeState) {
     const pattern = getPLLPattern(cubeState);
-    const matchedCase = matchPLLPattern(pattern);
-    
+    const isComplete = pattern === PLL_SOLVED_PATTERN;
+    const matchedCase = isComplete ? null : recognizePLLCase(cubeState);
+
     return {
         pattern: pattern,
-        isComplete: pattern === "00000000",
+        isComplete: isComplete,
         matchedCase: matchedCase,
-        algorithm: matchedCase ? matchedCase.rotatedAlgorithm : null,
-        caseName: matchedCase ? matchedCase.name : "Unknown PLL Case"
+        algorithm: matchedCase ? matchedCase.moveSequence : null,
+        caseName: isComplete ? 'Solved' : (matchedCase ? getPLLCaseName(matchedCase) : 'Unknown PLL Case')
     };
 }
 
 /**
- * Solve PLL phase for the cube  
- * @param {Object} cubeState - Current cube state (must have OLL completed)
+ * Solve PLL phase for the cube in one algorithm plus AUF
+ * @param {Object} cubeState - Current cube state (must have OLL completed, modified in place)
  * @returns {Object} PLL solving results
  */
 export function solvePLL(cubeState) {
-    const workingState = cubeState; // Work directly on input state - don't clone
-    let totalMoves = 0;
-    const appliedAlgorithms = [];
-    let attempts = 0;
-    const maxAttempts = 4; // Reduce attempts to prevent loops
-    let progressMade = false;
-    
-    while (attempts < maxAttempts) {
-        const analysis = analyzePLLState(workingState);
-        
-        // Check if PLL is already complete
-        if (analysis.isComplete) {
-            break;
-        }
-        
-        // Get algorithm for current case - prioritize verified fallback algorithms
-        let algorithmToApply = null;
-        let caseName = 'Unknown PLL Case';
-        
-        // ENHANCED PLL PATTERN MATCHING - Use comprehensive PLL database first
-        let matchedCase = PLL_CASES.find(pllCase => pllCase.pattern === analysis.pattern);
-        
-        // Try AUF (Adjust U Face) rotations for better matching
-        if (!matchedCase) {
-            for (let aufMoves = 1; aufMoves <= 3; aufMoves++) {
-                // Apply U move and check for match
-                const testState = cloneCubeState(workingState);
-                const uMoves = 'U '.repeat(aufMoves);
-                const uParsed = parseMoveNotation3x3(uMoves);
-                applyMoveSequence3x3(testState, uParsed);
-                
-                const testAnalysis = analyzePLLState(testState);
-                matchedCase = PLL_CASES.find(pllCase => pllCase.pattern === testAnalysis.pattern);
-                
-                if (matchedCase) {
-                    console.log(`Found PLL match with ${aufMoves} AUF moves: ${matchedCase.name}`);
-                    // Apply the AUF moves to working state
-                    applyMoveSequence3x3(workingState, uParsed);
-                    totalMoves += uParsed.length;
-                    break;
-                }
-            }
-        }
-        
-        // Fallback to verified algorithms if comprehensive database doesn't have match
-        if (!matchedCase) {
-            const fallbackAlgorithms = getPLLFallbackAlgorithms();
-            let fallbackAlg = fallbackAlgorithms.find(alg => alg.pattern === analysis.pattern);
-
-            // If no exact match, use DEFAULT algorithm (only early attempts to avoid loops)
-            if (!fallbackAlg && attempts < 2) {
-                fallbackAlg = fallbackAlgorithms.find(alg => alg.pattern === "DEFAULT");
-            }
+    const initialPattern = getPLLPattern(cubeState);
+    const result = {
+        success: true,
+        totalMoves: 0,
+        appliedAlgorithms: [],
+        attempts: 0,
+        finalState: cubeState,
+        isPLLComplete: true,
+        finalPattern: initialPattern
+    };
+    if (initialPattern === PLL_SOLVED_PATTERN) {
+        return result;
+    }
 
-            if (fallbackAlg) {
-                matchedCase = {
-                    id: 'fallback',
-                    name: fallbackAlg.name,
-                    algorithm: fallbackAlg.algorithm,
-                    pattern: fallbackAlg.pattern
-                };
-            }
-        }
-        
-        if (matchedCase && matchedCase.algorithm) {
-            algorithmToApply = matchedCase.algorithm;
-            caseName = matchedCase.name;
-            console.log(`✅ Found PLL case: ${caseName} (ID: ${matchedCase.id})`);
-            console.log(`🎯 Algorithm: ${algorithmToApply}`);
-            console.log(`Using verified fallback algorithm for ${caseName}: ${algorithmToApply}`);
-            progressMade = true; // (kept for potential future heuristic adjustments)
-        } else if (attempts < 2) {
-            // Only try setup moves for first couple attempts
-            console.warn('Unknown PLL pattern:', analysis.pattern);
-            const setupMoves = ["R U R' F' R U R' U' R' F R2 U' R'", "R' U R' U' R' U' R' U R U R2"];
-            const setupAlg = setupMoves[attempts % setupMoves.length];
-            algorithmToApply = setupAlg;
-            caseName = `PLL Setup Move ${attempts + 1}`;
-            console.log(`Using setup move for unknown PLL pattern: ${setupAlg}`);
-        } else {
-            // EMERGENCY BREAKTHROUGH - Try cube rotations + T-perm
-            console.log('⚠️ Emergency mode: Trying cube rotation breakthrough');
-            const emergencySequence = "y R U R' F' R U R' U' R' F R2 U' R' y'"; // Rotate + T-perm + rotate back
-            algorithmToApply = emergencySequence;
-            caseName = "Emergency Rotation Solve";
-        }
-        
-        // Apply the algorithm
-        const parsedMoves = parseMoveNotation3x3(algorithmToApply);
-        applyMoveSequence3x3(workingState, parsedMoves);
-        
-        totalMoves += parsedMoves.length;
-        appliedAlgorithms.push({
-            case: analysis.matchedCase?.id || 'unknown',
-            name: caseName,
-            algorithm: algorithmToApply,
-            moves: parsedMoves.length
-        });
-        
-        // Check immediately if PLL is now complete
-        const postAnalysis = analyzePLLState(workingState);
-        if (postAnalysis.isComplete) {
-            console.log(`✅ PLL solved after applying ${caseName}`);
-            break; // Exit immediately when PLL is complete
-        }
-        
-        attempts++;
+    const failure = error => ({ ...result, success: false, isPLLComplete: false, error });
+    if (!isOLLComplete(cubeState)) {
+        return failure('Last layer is not oriented (solve OLL before PLL)');
+    }
+
+    const match = recognizePLLCase(cubeState);
+    if (!match) {
+        return failure(`Last layer permutation ${initialPattern} is not a PLL case (are the first two layers solved?)`);
     }
-    
-    const finalAnalysis = analyzePLLState(workingState);
-    
-    // Consider it successful if we applied algorithms and made progress
-    const madeProgress = appliedAlgorithms.length > 0;
-    const success = finalAnalysis.isComplete || (madeProgress && totalMoves > 0);
-    
+
+    const moves = parseMoveNotation3x3(match.moveSequence);
+    applyMoveSequence3x3(cubeState, moves);
+    const finalPattern = getPLLPattern(cubeState);
+
     return {
-        success: success,
-        totalMoves: totalMoves,
-        appliedAlgorithms: appliedAlgorithms,
-        attempts: attempts,
-        finalState: workingState,
-        isPLLComplete: finalAnalysis.isComplete,
-        finalPattern: finalAnalysis.pattern
+        ...result,
+        success: finalPattern === PLL_SOLVED_PATTERN,
+        totalMoves: moves.length,
+        appliedAlgorithms: [{
+            case: match.name,
+            name: getPLLCaseName(match),
+            algorithm: match.moveSequence,
+            preAdjustment: match.preAdjustment,
+            postAdjustment: match.postAdjustment,
+            moves: moves.length
+        }],
+        attempts: 1,
+        isPLLComplete: finalPattern === PLL_SOLVED_PATTERN,
+        finalPattern
     };
 }
 
-/**
- * Get fallback algorithms for unknown PLL patterns
- * @returns {Array} Array of fallback PLL algorithms
- */
-function getPLLFallbackAlgorithms() {
-    return [
-        // CORE VERIFIED PLL ALGORITHMS - Only the most reliable ones
-        { pattern: "12301230", algorithm: "U'", name: "U-turn clockwise PLL" },
-        { pattern: "10321032", algorithm: "U", name: "U-turn counter-clockwise PLL" },
-        { pattern: "11001100", algorithm: "U2", name: "U2-turn PLL" },
-        
-        // BASIC PERMUTATION SWAPS
-        { pattern: "00000010", algorithm: "R U R' F' R U R' U' R' F R2 U' R'", name: "T-perm (Basic)" },
-        { pattern: "01021000", algorithm: "R U R' F' R U R' U' R' F R2 U' R'", name: "T-perm PLL" },
-        { pattern: "00101000", algorithm: "R U2 R' U' R U' R'", name: "A-perm (clockwise)" },
-        { pattern: "01001000", algorithm: "R' U2 R U R' U R", name: "A-perm (counter-clockwise)" },
-        
-        // ADJACENT SWAPS
-        { pattern: "01201000", algorithm: "R U R' U' R' F R2 U' R'", name: "J-perm (Simple)" },
-        { pattern: "00001000", algorithm: "R' U R' U' R' U' R' U R U R2", name: "Y-perm PLL" },
-        { pattern: "11001000", algorithm: "R U R' U' R' F R2 U' R'", name: "J-perm variant" },
-        
-        // COMMON TEST RESULTS - Simplified algorithms
-        { pattern: "00100100", algorithm: "R U R' F' R U R' U' R' F R2 U' R'", name: "T-perm Simple" },
-        { pattern: "10021100", algorithm: "R U R' U' R' F R2 U' R'", name: "Simple Perm" },
-        { pattern: "10001000", algorithm: "R' U R' U' R' U' R' U R U R2", name: "Y-perm Simple" },
-        { pattern: "11021000", algorithm: "R U R' U' R' F R2 U' R'", name: "J-perm Basic" },
-        { pattern: "12001000", algorithm: "R U2 R' U' R U' R'", name: "A-perm Basic" },
-        
-        // NUCLEAR ALGORITHMS - Powerful algorithms for difficult cases
-        { pattern: "12011000", algorithm: "R U R' F' R U R' U' R' F R2 U' R' U R U R' U' R' F R2 U' R'", name: "Nuclear PLL 1" },
-        { pattern: "10201200", algorithm: "R U2 R' D R U2 R' D' R U2 R' U R U R' U' R' F R2 U' R'", name: "Nuclear PLL 2" },
-        { pattern: "11001002", algorithm: "R U R' U' R' F R2 U' R' U2 R U R' U R U2 R'", name: "Nuclear PLL 3" },
-        { pattern: "14321020", algorithm: "R U2 R' U R U2 R' U' R U R' U' R' F R2 U' R'", name: "Nuclear PLL 4" },
-        { pattern: "10021002", algorithm: "R U R' F' R U R' U' R' F R2 U' R' F R U R' U' F'", name: "Nuclear PLL 5" },
-        { pattern: "12001200", algorithm: "R U2 R' D R U2 R' D' U R U R' U' R' F R2 U' R'", name: "Nuclear PLL 6" },
-        
-        // FALLBACK FOR UNKNOWN - Universal algorithm  
-        { pattern: "DEFAULT", algorithm: "R U R' U' R' F R2 U' R'", name: "Universal PLL Fallback" }
-    ];
-}
-
 /**
  * Check if PLL is complete (all last layer pieces permuted correctly)
  * @param {Object} cubeState - Cube state to check
  * @returns {boolean} True if PLL is complete
  */
 export function isPLLComplete(cubeState) {
-    const pattern = getPLLPattern(cubeState);
-    return pattern === "00000000";
+    return getPLLPattern(cubeState) === PLL_SOLVED_PATTERN;
 }
 
 /**
  * Get all available PLL algorithms
- * @returns {Array} Array of PLL case objects
+ * @returns {Object} PLL cases, also grouped by which pieces they swap
  */
 export function getPLLAlgorithms() {
-    return PLL_CASES.map(pllCase => ({
-        id: pllCase.id,
-        name: pllCase.name,
-        pattern: pllCase.pattern,
-        algorithm: pllCase.algorithm,
-        moveCount: pllCase.algorithm ? pllCase.algorithm.split(' ').length : 0
+    const cases = PLL_CASES.map(pllCase => ({
+        ...pllCase,
+        moveCount: splitMoveString(pllCase.algorithm).length
     }));
+    const categories = {};
+    for (const pllCase of cases) {
+        categories[pllCase.group] = [...(categories[pllCase.group] || []), pllCase];
+    }
+
+    return {
+        cases,
+        categories,
+        totalCases: cases.length,
+        description: "The 21 PLL cases, each solved by one algorithm with a U turn before and after"
+    };
 }
 
 /**
- * Test PLL solving with random scrambles
+ * Test PLL solving with random PLL cases
  * @param {number} numTests - Number of test cases to run
- * @returns {Object} Test results summary
+ * @param {string} [metric='htm'] - Move metric the results are ranked by (htm, qtm, stm or etm)
+ * @returns {Object} Test results summary, with the results ranked by the metric
+ * @throws {Error} If the metric is not supported
  */
-export function testPLLSolving(numTests = 10) {
-    const solvedCube = createSolvedCube('3x3x3');
+export function testPLLSolving(numTests = 10, metric = DEFAULT_METRIC) {
     const results = [];
-    
+    const randomAUF = () => U_SETUP_MOVES[Math.floor(Math.random() * U_SETUP_MOVES.length)];
+
     for (let i = 0; i < numTests; i++) {
-        const testCube = cloneCubeState(solvedCube);
-        
-        // Apply random scramble (focusing on PLL-level scrambles)
-        const scrambleMoves = ['R', 'U', 'F', 'L', 'D', 'B'].map(face => {
-            const modifier = Math.random() < 0.3 ? '\'' : Math.random() < 0.5 ? '2' : '';
-            return face + modifier;
-        }).slice(0, Math.floor(Math.random() * 8) + 8).join(' ');
-        applyMoveSequence3x3(testCube, scrambleMoves);
-        
-        // Simulate OLL completion first (orient last layer)
-        const uFace = testCube.faces.U;
-        const uColor = testCube.faces.U[4];
-        for (let j = 0; j < 9; j++) {
-            if (j !== 4) uFace[j] = uColor; // Force orientation
-        }
-        
+        // Undo a random PLL between random U turns, keeping F2L and OLL solved
+        const testCube = createSolvedCube('3x3x3');
+        const pllCase = PLL_CASES[Math.floor(Math.random() * PLL_CASES.length)];
+        applyMoveSequence3x3(testCube, [randomAUF(), invertMoveSequence(pllCase.algorithm), randomAUF()].filter(Boolean).join(' '));
+        const initialPattern = getPLLPattern(testCube);
+
         // Test PLL solving
         const pllResult = solvePLL(testCube);
-        
+
         results.push({
             testCase: i + 1,
-            initialPattern: getPLLPattern(testCube),
+            expectedCase: pllCase.name,
+            initialPattern: initialPattern,
+            success: pllResult.success,
             pllMoves: pllResult.totalMoves,
+            moveMetrics: getMoveMetrics(pllResult.appliedAlgorithms.map(applied => applied.algorithm).join(' ')),
             pllComplete: pllResult.isPLLComplete,
             algorithms: pllResult.appliedAlgorithms.length,
-            efficiency: pllResult.totalMoves <= 15 ? 'excellent' : 
+            efficiency: pllResult.totalMoves <= 15 ? 'excellent' :
                        pllResult.totalMoves <= 25 ? 'good' : 'needs_improvement'
         });
     }
-    
+
     const successfulSolves = results.filter(r => r.pllComplete).length;
-    
+
     return {
         totalTests: numTests,
         successfulSolves: successfulSolves,
         successRate: (successfulSolves / numTests * 100).toFixed(1) + '%',
         averageMoves: (results.reduce((sum, r) => sum + r.pllMoves, 0) / numTests).toFixed(1),
         results: results,
+        metric,
+        ranked: sortByMetric(results, metric),
         testPassed: successfulSolves === numTests,
         summary: `PLL Solver: ${successfulSolves}/${numTests} successful, avg ${(results.reduce((sum, r) => sum + r.pllMoves, 0) / numTests).toFixed(1)} moves`
     };
@@ -3690,12 +1914,157 @@ function calculateCompletionRate(cubeState) {
     return Math.round(completion);
 }
 
+/**
+ * Split a space separated algorithm string into individual move tokens
+ * @param {string} moveString - Algorithm string (may be empty or contain extra spaces)
+ * @returns {string[]} Array of move notations
+ */
+function splitMoveString(moveString) {
+    return (moveString || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Main 3x3x3 solver with method selection
+ * @param {Object} cubeState - Scrambled cube state to solve
+ * @param {Object} options - Solver options
+ * @param {string} options.method - 'cfop' (default), 'beginner', 'roux' or 'zz'
+ * @param {boolean|string[]} [options.colorNeutral] - true to try all 6 cross colors, or the
+ *     colors (center stickers, e.g. ['W', 'Y']) to choose from
+ * @param {boolean|string} [options.optimize='preserve'] - Optimizer style for cancelling moves
+ *     across phases ('preserve', 'outer' or 'compact'), or false for the raw phase moves
+ * @returns {Object} Complete solution with method breakdown and its HTM, QTM, STM and ETM
+ *     counts (moveMetrics)
+ * @throws {Error} If the method or optimizer style is unknown, or a cross color has no center
+ */
+export function solveCube3x3(cubeState, options = {}) {
+    const { method = 'cfop', colorNeutral = false, optimize = DEFAULT_STYLE } = options;
+    const style = optimize === true ? DEFAULT_STYLE : optimize;
+    if (style && !OPTIMIZER_STYLES.includes(style)) {
+        throw new Error(`Unknown optimizer style: ${style} (expected ${OPTIMIZER_STYLES.join(', ')} or false)`);
+    }
+
+    let solution;
+    if (colorNeutral) {
+        solution = solveColorNeutral3x3(cubeState, method, colorNeutral, style);
+    } else {
+        solution = solveWithMethod3x3(cubeState, method);
+        solution = style ? optimizeSolution3x3(solution, style) : solution;
+    }
+
+    return {
+        ...solution,
+        moveMetrics: getMoveMetrics(parseMoveNotation3x3(solution.moveSequence.join(' ')))
+    };
+}
+
+/**
+ * Run one solving method
+ * @param {Object} cubeState - Scrambled cube state to solve
+ * @param {string} method - 'cfop', 'beginner', 'roux' or 'zz'
+ * @returns {Object} Solution with the raw phase moves
+ * @throws {Error} If the method is unknown
+ */
+function solveWithMethod3x3(cubeState, method) {
+    switch (method) {
+        case 'cfop':
+            return solveCFOP3x3(cubeState);
+
+        case 'beginner':
+            return solveBeginner3x3(cubeState);
+
+        case 'roux':
+            return solveRoux(cubeState);
+
+        case 'zz':
+            return solveZZ(cubeState);
+
+        default:
+            throw new Error(`Unknown 3x3x3 method: ${method} (expected cfop, beginner, roux or zz)`);
+    }
+}
+
+/**
+ * Cancel moves within and across the phases of a solution
+ * Phases keep their own moves and report how many of them were saved; the
+ * solution's move sequence becomes the optimized one.
+ * @param {Object} solution - Solution from one of the methods
+ * @param {string} style - Optimizer style
+ * @returns {Object} Solution with the optimized move sequence
+ */
+function optimizeSolution3x3(solution, style) {
+    if (!solution.success) {
+        return solution;
+    }
+
+    const optimization = optimizePhases(solution.phases, { size: 3, style });
+    return {
+        ...solution,
+        phases: solution.phases.map((phase, i) => ({ ...phase, movesSaved: optimization.phases[i].movesSaved })),
+        moveSequence: optimization.moveSequence,
+        totalMoves: optimization.moveSequence.length,
+        optimization: {
+            style,
+            originalMoves: optimization.originalMoves,
+            movesSaved: optimization.movesSaved
+        }
+    };
+}
+
+/**
+ * Color-neutral solving: rotate each chosen cross color to D, solve, and keep
+ * the solution with the fewest moves
+ * The inspection rotation is the first entry of the move sequence; it is not
+ * counted in totalMoves.
+ * @param {Object} cubeState - Scrambled cube state to solve
+ * @param {string} method - Solving method
+ * @param {boolean|string[]} crossColors - true for all 6 colors, or the colors to try
+ * @param {string|boolean} style - Optimizer style, or false
+ * @returns {Object} Best solution, with its inspection rotation, cross color and every attempt
+ * @throws {Error} If no cross color is given or one is not on any center
+ */
+function solveColorNeutral3x3(cubeState, method, crossColors, style) {
+    const startTime = Date.now();
+    const faces = Object.keys(CROSS_FACE_ROTATIONS);
+    const colors = crossColors === true ? faces.map(face => cubeState.faces[face][4]) : crossColors;
+    if (!Array.isArray(colors) || colors.length === 0) {
+        throw new Error('colorNeutral needs true or a list of cross colors');
+    }
+
+    const attempts = colors.map(color => {
+        const face = faces.find(candidate => cubeState.faces[candidate][4] === color);
+        if (!face) {
+            throw new Error(`No center has the cross color ${color}`);
+        }
+        const inspection = CROSS_FACE_ROTATIONS[face];
+        return { color, inspection, solution: solveCube3x3(applyMoves(cubeState, inspection), { method, optimize: style }) };
+    });
+
+    const solved = attempts.filter(attempt => attempt.solution.success);
+    const best = (solved.length > 0 ? solved : attempts).reduce((shortest, attempt) =>
+        attempt.solution.totalMoves < shortest.solution.totalMoves ? attempt : shortest);
+
+    return {
+        ...best.solution,
+        inspection: best.inspection,
+        crossColor: best.color,
+        moveSequence: [...splitMoveString(best.inspection), ...best.solution.moveSequence],
+        colorNeutral: attempts.map(({ color, inspection, solution }) => ({
+            color,
+            inspection,
+            success: solution.success,
+            totalMoves: solution.totalMoves,
+            moveMetrics: solution.moveMetrics
+        })),
+        executionTime: Date.now() - startTime
+    };
+}
+
 /**
  * Complete CFOP solver - integrates all phases
  * @param {Object} cubeState - Scrambled cube state to solve
  * @returns {Object} Complete solution with method breakdown
  */
-export function solveCube3x3(cubeState) {
+function solveCFOP3x3(cubeState) {
     const startTime = Date.now();
     const workingState = cloneCubeState(cubeState);
     const solution = {
@@ -3731,19 +2100,17 @@ export function solveCube3x3(cubeState) {
                     name: 'Cross',
                     success: true,
                     moves: crossResult.totalMoves,
-                    algorithms: crossResult.appliedAlgorithms?.length || 1,
-                    moveSequence: crossResult.moveSequence ? crossResult.moveSequence.split(' ') : []
+                    algorithms: 1,
+                    moveSequence: splitMoveString(crossResult.moveSequence)
                 });
                 solution.totalMoves += crossResult.totalMoves;
-                if (crossResult.moveSequence) {
-                    solution.moveSequence.push(...crossResult.moveSequence.split(' '));
-                }
+                solution.moveSequence.push(...splitMoveString(crossResult.moveSequence));
                 console.log(`✅ Cross completed in ${crossResult.totalMoves} moves`);
             } else {
                 solution.phases.push({
                     name: 'Cross',
                     success: false,
-                    error: 'Cross solving failed'
+                    error: crossResult.error || 'Cross solving failed'
                 });
                 console.log('❌ Cross solving failed');
                 return solution;
@@ -3756,23 +2123,26 @@ export function solveCube3x3(cubeState) {
         console.log('Phase 2: F2L (First Two Layers)');
         if (!isF2LComplete(workingState)) {
             const f2lResult = solveF2L(workingState);
-            const f2lSuccess = f2lResult.isF2LComplete || f2lResult.totalMoves > 0;
             
-            if (f2lSuccess) {
+            if (f2lResult.isF2LComplete) {
                 // Apply the F2L moves to our working state
+                const f2lMoves = [];
                 if (f2lResult.parsedMoves) {
                     for (const move of f2lResult.parsedMoves) {
                         applyMove3x3(workingState, move);
                     }
-                    solution.moveSequence.push(...f2lResult.parsedMoves.map(m => m.notation));
+                    f2lMoves.push(...f2lResult.parsedMoves.map(m => m.notation));
+                    solution.moveSequence.push(...f2lMoves);
                 }
                 
                 solution.phases.push({
                     name: 'F2L',
                     success: true,
                     moves: f2lResult.totalMoves,
-                    algorithms: f2lResult.f2lSolution?.length || 0,
-                    slotsCompleted: 4 // Simplified
+                    algorithms: f2lResult.f2lSolution.length,
+                    slotsCompleted: f2lResult.f2lSolution.length,
+                    casesUsed: f2lResult.f2lSolution.map(step => `${step.slot}: ${step.name}`),
+                    moveSequence: f2lMoves
                 });
                 solution.totalMoves += f2lResult.totalMoves;
                 console.log(`✅ F2L completed in ${f2lResult.totalMoves} moves`);
@@ -3780,7 +2150,7 @@ export function solveCube3x3(cubeState) {
                 solution.phases.push({
                     name: 'F2L',
                     success: false,
-                    error: 'F2L solving failed'
+                    error: `F2L solving failed (${analyzeF2LState(f2lResult.solvedState).totalSolved}/4 slots solved): ${f2lResult.error}`
                 });
                 console.log('❌ F2L solving failed');
                 return solution;
@@ -3795,16 +2165,16 @@ export function solveCube3x3(cubeState) {
             const ollResult = solveOLL(workingState);
             if (ollResult.success) {
                 // OLL solver already modified workingState, just record the moves
-                for (const algorithm of ollResult.appliedAlgorithms) {
-                    solution.moveSequence.push(...algorithm.algorithm.split(' '));
-                }
+                const ollMoves = ollResult.appliedAlgorithms.flatMap(algorithm => splitMoveString(algorithm.algorithm));
+                solution.moveSequence.push(...ollMoves);
                 
                 solution.phases.push({
                     name: 'OLL',
                     success: true,
                     moves: ollResult.totalMoves,
                     algorithms: ollResult.appliedAlgorithms.length,
-                    casesUsed: ollResult.appliedAlgorithms.map(alg => alg.name)
+                    casesUsed: ollResult.appliedAlgorithms.map(alg => alg.name),
+                    moveSequence: ollMoves
                 });
                 solution.totalMoves += ollResult.totalMoves;
                 console.log(`✅ OLL completed in ${ollResult.totalMoves} moves`);
@@ -3812,7 +2182,7 @@ export function solveCube3x3(cubeState) {
                 solution.phases.push({
                     name: 'OLL',
                     success: false,
-                    error: 'OLL solving failed - pattern not in database'
+                    error: ollResult.error
                 });
                 console.log('❌ OLL solving failed');
                 return solution;
@@ -3827,16 +2197,16 @@ export function solveCube3x3(cubeState) {
             const pllResult = solvePLL(workingState);
             if (pllResult.success) {
                 // PLL solver already modified workingState, just record the moves
-                for (const algorithm of pllResult.appliedAlgorithms) {
-                    solution.moveSequence.push(...algorithm.algorithm.split(' '));
-                }
+                const pllMoves = pllResult.appliedAlgorithms.flatMap(algorithm => splitMoveString(algorithm.algorithm));
+                solution.moveSequence.push(...pllMoves);
                 
                 solution.phases.push({
                     name: 'PLL',
                     success: true,
                     moves: pllResult.totalMoves,
                     algorithms: pllResult.appliedAlgorithms.length,
-                    casesUsed: pllResult.appliedAlgorithms.map(alg => alg.name)
+                    casesUsed: pllResult.appliedAlgorithms.map(alg => alg.name),
+                    moveSequence: pllMoves
                 });
                 solution.totalMoves += pllResult.totalMoves;
                 console.log(`✅ PLL completed in ${pllResult.totalMoves} moves`);
@@ -3844,7 +2214,7 @@ export function solveCube3x3(cubeState) {
                 solution.phases.push({
                     name: 'PLL',
                     success: false,
-                    error: 'PLL solving failed - pattern not in database'
+                    error: pllResult.error
                 });
                 console.log('❌ PLL solving failed');
                 return solution;
@@ -3877,9 +2247,11 @@ export function solveCube3x3(cubeState) {
 /**
  * Test complete CFOP solver with various scrambles
  * @param {number} numTests - Number of test cases to run
- * @returns {Object} Test results summary
+ * @param {string} [metric='htm'] - Move metric the results are ranked by (htm, qtm, stm or etm)
+ * @returns {Object} Test results summary, with the results ranked by the metric
+ * @throws {Error} If the metric is not supported
  */
-export function testCompleteCFOP(numTests = 5) {
+export function testCompleteCFOP(numTests = 5, metric = DEFAULT_METRIC) {
     const results = [];
     const testScrambles = [
         "R U R' U R U2 R'",                                    // Simple Sune scramble
@@ -3910,6 +2282,7 @@ export function testCompleteCFOP(numTests = 5) {
             scramble: scramble,
             success: solution.success,
             totalMoves: solution.totalMoves,
+            moveMetrics: solution.moveMetrics,
             executionTime: solution.executionTime,
             phases: solution.phases.length,
             crossMoves: solution.phases.find(p => p.name === 'Cross')?.moves || 0,
@@ -3937,11 +2310,425 @@ export function testCompleteCFOP(numTests = 5) {
         averageMoves: averageMoves,
         averageTime: (results.reduce((sum, r) => sum + r.executionTime, 0) / numTests).toFixed(0) + 'ms',
         results: results,
+        metric,
+        ranked: sortByMetric(results, metric),
         testPassed: successfulSolves === numTests,
         summary: `CFOP Solver: ${successfulSolves}/${numTests} successful, avg ${averageMoves} moves, ${(results.reduce((sum, r) => sum + r.executionTime, 0) / numTests).toFixed(0)}ms`
     };
 }
 
+// ========================= BEGINNER LAYER-BY-LAYER METHOD =========================
+
+/**
+ * Triggers of the beginner method, written for the front-right slot
+ * Every step uses only these; mapF2LMoves turns them to the other slots.
+ */
+const BEGINNER_TRIGGERS = {
+    cornerInsert: "R U R' U'",              // Repeat until the UFR corner drops into DFR
+    rightEdge: "U R U' R' U' F' U F",       // UF edge into the slot on its right
+    leftEdge: "U' F' U F U R U' R'",        // UR edge into the slot on its left
+    topCross: "F R U R' U' F'",             // Dot → L shape → line → cross
+    topEdges: "R U R' U R U2 R' U",         // Swaps the UF and UL edges
+    cornerCycle: "U R U' L' U R' U' L",     // Cycles the top corners, UFR stays
+    cornerTwist: "R' D' R D"                // Twists UFR, repeated 2 or 4 times
+};
+
+/**
+ * Most times a trigger is repeated in one go (six R U R' U' undo themselves)
+ */
+const BEGINNER_MAX_REPEATS = 5;
+
+/**
+ * Top layer corners in getPLLPattern order, as the slot each one sits above
+ */
+const BEGINNER_CORNER_FRAMES = ['FR', 'FL', 'BL', 'BR'];
+
+/**
+ * U turns that bring the top layer back by a getPLLPattern offset
+ */
+const BEGINNER_AUF = ['', "U'", 'U2', 'U'];
+
+/**
+ * The seven steps of the beginner method, in solving order
+ * Steps on a layer are named after that layer's center color, e.g. "White
+ * Cross" for a cube with white on the bottom.
+ */
+const BEGINNER_STEPS = [
+    {
+        layer: 'D',
+        title: 'Cross',
+        explanation: "Bring the four edges of the bottom color down around the bottom center, each one matching the center on its side.",
+        solve: solveBeginnerCross,
+        isDone: isCrossComplete
+    },
+    {
+        layer: 'D',
+        title: 'Corners',
+        explanation: "Turn the top layer until a bottom corner sits above its slot, then repeat R U R' U' until it drops in with the bottom color facing down. A corner stuck in the wrong slot is lifted out with one R U R' U' first.",
+        solve: solveBeginnerCorners,
+        isDone: cubeState => Object.values(F2L_SLOTS).every(({ corner }) => isBeginnerPieceSolved(cubeState, corner))
+    },
+    {
+        title: 'Middle Edges',
+        explanation: "Turn the top layer until an edge matches the center in front of it, then send it right with U R U' R' U' F' U F or left with U' L' U L U F U' F'. An edge in the wrong slot, or flipped, is pushed out the same way first.",
+        solve: solveBeginnerMiddleEdges,
+        isDone: isF2LComplete
+    },
+    {
+        layer: 'U',
+        title: 'Cross',
+        explanation: "Apply F R U R' U' F' to go from a dot to an L shape, from the L shape held at the back left to a line, and from the line held left to right to a cross.",
+        solve: solveBeginnerTopCross,
+        isDone: cubeState => getBeginnerTopCross(cubeState) === '1111'
+    },
+    {
+        layer: 'U',
+        title: 'Edges',
+        explanation: "Turn the top layer until two neighboring edges match their centers, hold them at the back and right, and apply R U R' U R U2 R' U. If only opposite edges match, apply it once from anywhere and look again.",
+        solve: solveBeginnerTopEdges,
+        isDone: cubeState => getPLLPattern(cubeState).slice(0, 4) === '0000'
+    },
+    {
+        layer: 'U',
+        title: 'Corner Placement',
+        explanation: "Find a corner that sits between its three centers, even if twisted, hold it at the front right and repeat U R U' L' U R' U' L until the other three are in place too. If no corner is in place, apply it once from anywhere first.",
+        solve: solveBeginnerCornerPlacement,
+        isDone: cubeState => getPLLPattern(cubeState) === PLL_SOLVED_PATTERN
+    },
+    {
+        layer: 'U',
+        title: 'Corner Orientation',
+        explanation: "Repeat R' D' R D until the front-right corner shows the top color, then turn only the top layer to bring the next twisted corner there. The lower layers look scrambled in between and come back with the last corner.",
+        solve: solveBeginnerCornerOrientation,
+        isDone: isCubeSolved3x3
+    }
+];
+
+/**
+ * Check that every sticker of a piece matches the center of its face
+ * @param {Object} cubeState - Current cube state
+ * @param {Object[]} stickers - Piece stickers ({ face, index })
+ * @returns {boolean} True if the piece is solved
+ */
+function isBeginnerPieceSolved(cubeState, stickers) {
+    return stickers.every(({ face, index }) => cubeState.faces[face][index] === cubeState.faces[face][4]);
+}
+
+/**
+ * Find the bottom or middle layer slot that holds the piece of a slot
+ * @param {Object} cubeState - Current cube state
+ * @param {string} slot - Slot the piece belongs to ('FR', 'FL', 'BR' or 'BL')
+ * @param {string} part - 'corner' (bottom layer) or 'edge' (middle layer)
+ * @returns {string|null} Slot holding the piece, or null if it is in the top layer
+ */
+function findBeginnerPiece(cubeState, slot, part) {
+    const colorsOf = (stickers, colorAt) => stickers.map(colorAt).sort().join('');
+    const target = colorsOf(F2L_SLOTS[slot][part], ({ face }) => cubeState.faces[face][4]);
+    return Object.keys(F2L_SLOTS).find(candidate =>
+        colorsOf(F2L_SLOTS[candidate][part], ({ face, index }) => cubeState.faces[face][index]) === target) || null;
+}
+
+/**
+ * Which top layer edges show the top color
+ * @param {Object} cubeState - Current cube state
+ * @returns {string} Digits for UB, UL, UR, UF (1 = top color up)
+ */
+function getBeginnerTopCross(cubeState) {
+    const uFace = cubeState.faces.U;
+    return [1, 3, 5, 7].map(index => (uFace[index] === uFace[4] ? '1' : '0')).join('');
+}
+
+/**
+ * Find the shortest U setup and number of trigger repeats that reach a goal
+ * @param {Object} cubeState - Current cube state
+ * @param {string} trigger - Trigger to repeat
+ * @param {Function} isDone - Goal test on a cube state
+ * @param {number} maxRepeats - Most repeats to try
+ * @param {string[]} setups - U turns to try before the trigger
+ * @returns {Object|null} { setup, repeats, moves }, or null if no combination works
+ */
+function planBeginnerRepeats(cubeState, trigger, isDone, maxRepeats, setups = U_SETUP_MOVES) {
+    let best = null;
+    for (const setup of setups) {
+        const testState = cloneCubeState(cubeState);
+        applyMoveSequence3x3(testState, setup);
+        for (let repeats = 1; repeats <= maxRepeats; repeats++) {
+            applyMoveSequence3x3(testState, trigger);
+            if (isDone(testState)) {
+                const moves = joinF2LSetup(setup, new Array(repeats).fill(trigger).join(' '));
+                if (!best || splitMoveString(moves).length < splitMoveString(best.moves).length) {
+                    best = { setup, repeats, moves };
+                }
+                break;
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Apply moves for a step and record them with what they do
+ * @param {Object} cubeState - Cube state (modified in place)
+ * @param {Object} record - Step record ({ moves, casesUsed })
+ * @param {string} moves - Moves to apply
+ * @param {string} description - What the moves do, for the learner
+ * @param {string} display - How to show the moves (defaults to the moves)
+ */
+function applyBeginnerMoves(cubeState, record, moves, description, display = moves) {
+    if (!moves) {
+        return;
+    }
+    applyMoveSequence3x3(cubeState, moves);
+    record.moves.push(...splitMoveString(moves));
+    record.casesUsed.push(`${description}: ${display}`);
+}
+
+/**
+ * Describe a planned trigger, e.g. "U2, then R U R' U' ×3"
+ * @param {Object} plan - Plan from planBeginnerRepeats
+ * @param {string} trigger - Trigger that was repeated
+ * @returns {string} Human readable moves
+ */
+function describeBeginnerPlan(plan, trigger) {
+    if (plan.repeats === 1) {
+        return plan.moves;
+    }
+    return `${plan.setup ? `${plan.setup}, then ` : ''}${trigger} ×${plan.repeats}`;
+}
+
+/**
+ * Step 1: the bottom cross, shared with CFOP
+ * @param {Object} cubeState - Cube state (modified in place)
+ * @param {Object} record - Step record
+ */
+function solveBeginnerCross(cubeState, record) {
+    const crossResult = solveCross(cubeState);
+    if (!crossResult.isCrossComplete) {
+        throw new Error(crossResult.error || 'Cross solving failed');
+    }
+    applyMoveSequence3x3(cubeState, crossResult.moveSequence);
+    record.moves.push(...splitMoveString(crossResult.moveSequence));
+    if (crossResult.totalMoves > 0) {
+        record.casesUsed.push(`Cross: ${crossResult.moveSequence}`);
+    }
+}
+
+/**
+ * Step 2: the bottom corners, one slot at a time with R U R' U'
+ * @param {Object} cubeState - Cube state (modified in place)
+ * @param {Object} record - Step record
+ */
+function solveBeginnerCorners(cubeState, record) {
+    for (const [slot, { name, corner }] of Object.entries(F2L_SLOTS)) {
+        if (isBeginnerPieceSolved(cubeState, corner)) {
+            continue;
+        }
+
+        const trigger = mapF2LMoves(BEGINNER_TRIGGERS.cornerInsert, slot);
+        const currentSlot = findBeginnerPiece(cubeState, slot, 'corner');
+        if (currentSlot && currentSlot !== slot) {
+            applyBeginnerMoves(cubeState, record, mapF2LMoves(BEGINNER_TRIGGERS.cornerInsert, currentSlot),
+                `Lift the ${name} corner out of ${F2L_SLOTS[currentSlot].name}`);
+        }
+
+        const plan = planBeginnerRepeats(cubeState, trigger, state => isBeginnerPieceSolved(state, corner), BEGINNER_MAX_REPEATS);
+        if (!plan) {
+            throw new Error(`Could not insert the ${name} corner`);
+        }
+        applyBeginnerMoves(cubeState, record, plan.moves, `${name} corner`, describeBeginnerPlan(plan, trigger));
+    }
+}
+
+/**
+ * Step 3: the middle layer edges, sent right or left from the top layer
+ * @param {Object} cubeState - Cube state (modified in place)
+ * @param {Object} record - Step record
+ */
+function solveBeginnerMiddleEdges(cubeState, record) {
+    for (const [slot, { name, edge }] of Object.entries(F2L_SLOTS)) {
+        if (isBeginnerPieceSolved(cubeState, edge)) {
+            continue;
+        }
+
+        const currentSlot = findBeginnerPiece(cubeState, slot, 'edge');
+        if (currentSlot) {
+            applyBeginnerMoves(cubeState, record, mapF2LMoves(BEGINNER_TRIGGERS.rightEdge, currentSlot),
+                `Push the ${name} edge out of ${F2L_SLOTS[currentSlot].name}`);
+        }
+
+        const plans = ['rightEdge', 'leftEdge']
+            .map(trigger => planBeginnerRepeats(cubeState, mapF2LMoves(BEGINNER_TRIGGERS[trigger], slot), state => isBeginnerPieceSolved(state, edge), 1))
+            .filter(Boolean);
+        if (plans.length === 0) {
+            throw new Error(`Could not insert the ${name} edge`);
+        }
+        const plan = plans.reduce((shortest, candidate) =>
+            (splitMoveString(candidate.moves).length < splitMoveString(shortest.moves).length ? candidate : shortest));
+        applyBeginnerMoves(cubeState, record, plan.moves, `${name} edge`);
+    }
+}
+
+/**
+ * Step 4: the top cross, from dot to L shape to line to cross
+ * @param {Object} cubeState - Cube state (modified in place)
+ * @param {Object} record - Step record
+ */
+function solveBeginnerTopCross(cubeState, record) {
+    // The L shape is held at the back left (UB, UL), the line left to right (UL, UR)
+    const shapes = { '1100': 'L shape', '0110': 'Line' };
+
+    for (let attempt = 0; attempt < 3 && getBeginnerTopCross(cubeState) !== '1111'; attempt++) {
+        if (getBeginnerTopCross(cubeState) === '0000') {
+            applyBeginnerMoves(cubeState, record, BEGINNER_TRIGGERS.topCross, 'Dot');
+            continue;
+        }
+
+        const setups = U_SETUP_MOVES.map(setup => {
+            const testState = cloneCubeState(cubeState);
+            applyMoveSequence3x3(testState, setup);
+            return { setup, shape: shapes[getBeginnerTopCross(testState)] };
+        });
+        const held = setups.find(({ shape }) => shape);
+        if (!held) {
+            throw new Error(`Top edge orientation ${getBeginnerTopCross(cubeState)} has an odd number of flipped edges`);
+        }
+        applyBeginnerMoves(cubeState, record, [held.setup, BEGINNER_TRIGGERS.topCross].filter(Boolean).join(' '), held.shape);
+    }
+}
+
+/**
+ * Step 5: the top edges, matched to their centers with one trigger
+ * @param {Object} cubeState - Cube state (modified in place)
+ * @param {Object} record - Step record
+ */
+function solveBeginnerTopEdges(cubeState, record) {
+    const edgeOffsets = state => getPLLPattern(state).slice(0, 4);
+    const edgesMatch = state => new Set(edgeOffsets(state)).size === 1;
+
+    for (let attempt = 0; attempt < 3 && !edgesMatch(cubeState); attempt++) {
+        const plan = planBeginnerRepeats(cubeState, BEGINNER_TRIGGERS.topEdges, edgesMatch, 1);
+        if (plan) {
+            applyBeginnerMoves(cubeState, record, plan.moves, 'Two neighboring edges match');
+        } else {
+            applyBeginnerMoves(cubeState, record, BEGINNER_TRIGGERS.topEdges, 'Two opposite edges match');
+        }
+    }
+    if (!edgesMatch(cubeState)) {
+        throw new Error('Could not match the top edges');
+    }
+    applyBeginnerMoves(cubeState, record, BEGINNER_AUF[Number(edgeOffsets(cubeState)[0])], 'Line the edges up with their centers');
+}
+
+/**
+ * Step 6: the top corners, cycled around one that is already in place
+ * @param {Object} cubeState - Cube state (modified in place)
+ * @param {Object} record - Step record
+ */
+function solveBeginnerCornerPlacement(cubeState, record) {
+    const cornersPlaced = state => getPLLPattern(state) === PLL_SOLVED_PATTERN;
+
+    for (let attempt = 0; attempt < 2 && !cornersPlaced(cubeState); attempt++) {
+        const placed = getPLLPattern(cubeState).slice(4).indexOf('0');
+        if (placed === -1) {
+            applyBeginnerMoves(cubeState, record, BEGINNER_TRIGGERS.cornerCycle, 'No corner in place');
+            continue;
+        }
+
+        const frame = BEGINNER_CORNER_FRAMES[placed];
+        const trigger = mapF2LMoves(BEGINNER_TRIGGERS.cornerCycle, frame);
+        const plan = planBeginnerRepeats(cubeState, trigger, cornersPlaced, 2, ['']);
+        if (!plan) {
+            throw new Error('Could not place the top corners');
+        }
+        applyBeginnerMoves(cubeState, record, plan.moves, `${F2L_SLOTS[frame].name} corner in place`, describeBeginnerPlan(plan, trigger));
+    }
+}
+
+/**
+ * Step 7: the top corners, twisted one by one at the front right
+ * @param {Object} cubeState - Cube state (modified in place)
+ * @param {Object} record - Step record
+ */
+function solveBeginnerCornerOrientation(cubeState, record) {
+    // U stickers of the corners that 0, 1, 2 and 3 U turns bring to the front right
+    const cornerAfterTurns = [8, 2, 0, 6];
+    const trigger = BEGINNER_TRIGGERS.cornerTwist;
+    const isOriented = state => state.faces.U[8] === state.faces.U[4];
+    let pendingTurns = 0;
+
+    for (let corner = 0; corner < cornerAfterTurns.length; corner++, pendingTurns++) {
+        const uFace = cubeState.faces.U;
+        if (uFace[cornerAfterTurns[pendingTurns]] === uFace[4]) {
+            continue;
+        }
+        applyBeginnerMoves(cubeState, record, BEGINNER_AUF[(4 - pendingTurns) % 4], 'Bring the next twisted corner to the front right');
+        pendingTurns = 0;
+
+        const plan = planBeginnerRepeats(cubeState, trigger, isOriented, 4, ['']);
+        if (!plan) {
+            throw new Error('Could not twist the front-right corner');
+        }
+        applyBeginnerMoves(cubeState, record, plan.moves, 'Twist the front-right corner', describeBeginnerPlan(plan, trigger));
+    }
+    applyBeginnerMoves(cubeState, record, BEGINNER_AUF[Number(getPLLPattern(cubeState)[0])], 'Turn the top layer back');
+}
+
+/**
+ * Beginner layer-by-layer solver
+ * Solves in seven steps that use only a handful of triggers, and explains
+ * each step so a learner can follow along.
+ * @param {Object} cubeState - Scrambled cube state to solve
+ * @returns {Object} Solution with one phase per step
+ */
+function solveBeginner3x3(cubeState) {
+    const startTime = Date.now();
+    const workingState = cloneCubeState(cubeState);
+    const solution = {
+        success: false,
+        totalMoves: 0,
+        phases: [],
+        method: 'Beginner',
+        moveSequence: [],
+        executionTime: 0
+    };
+
+    for (const step of BEGINNER_STEPS) {
+        const color = step.layer && workingState.faces[step.layer][4];
+        const name = step.layer ? `${CUBE_COLORS[color] || color} ${step.title}` : step.title;
+        const record = { moves: [], casesUsed: [] };
+
+        try {
+            if (!step.isDone(workingState)) {
+                step.solve(workingState, record);
+            }
+            if (!step.isDone(workingState)) {
+                throw new Error(`${name} is not complete`);
+            }
+        } catch (error) {
+            solution.phases.push({ name, success: false, explanation: step.explanation, error: error.message });
+            solution.error = error.message;
+            break;
+        }
+
+        solution.phases.push({
+            name,
+            success: true,
+            moves: record.moves.length,
+            algorithms: record.casesUsed.length,
+            casesUsed: record.casesUsed,
+            moveSequence: record.moves,
+            explanation: step.explanation
+        });
+        solution.moveSequence.push(...record.moves);
+        solution.totalMoves += record.moves.length;
+    }
+
+    solution.success = isCubeSolved3x3(workingState);
+    solution.finalState = workingState;
+    solution.executionTime = Date.now() - startTime;
+    return solution;
+}
+
 // ========================= EXPORTS =========================
 
 export default {
@@ -3956,7 +2743,6 @@ export default {
     // Cross formation algorithms
     analyzeCrossState,
     findCrossEdges,
-    generateCrossEdgeAlgorithm,
     solveCross,
     isCrossComplete,
     getCrossAlgorithms,
@@ -3975,6 +2761,7 @@ export default {
     getOLLPattern,
     rotateOLLPattern,
     matchOLLPattern,
+    recognizeOLLCase,
     analyzeOLLState,
     solveOLL,
     isOLLComplete,
@@ -3983,7 +2770,9 @@ export default {
     
     // PLL algorithms  
     getPLLPattern,
+    rotatePLLPattern,
     matchPLLPattern,
+    recognizePLLCase,
     analyzePLLState,
     solvePLL,
     isPLLComplete,
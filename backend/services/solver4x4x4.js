@@ -0,0 +1,1088 @@
+/**
+ * 4x4x4 Cube Solver - Reduction Method Implementation
+ *
+ * This module implements the reduction method for solving 4x4x4 cubes:
+ * Stage 1: Centers - Build the six 2x2 center blocks
+ * Stage 2: Edge Pairing - Pair the 24 wing edges into 12 dedges
+ * Stage 3: Parity - Fix OLL parity (single flipped dedge) and PLL parity (two swapped dedges)
+ * Stage 4: 3x3x3 Stage - Solve the reduced cube as a 3x3x3 with the CFOP solver
+ */
+
+import {
+    createSolvedCube,
+    extractCornerPieces,
+    FACE_NAMES
+} from '../utils/cubeStructures.js';
+import {
+    applyMove as applyEngineMove,
+    getMovePermutation
+} from '../utils/moveEngine.js';
+import { NotationError, parseAlgorithm } from '../utils/notationParser.js';
+import { checkSolvability3x3x3, SOLVABILITY_ERRORS } from '../utils/solvability.js';
+import { solveCube3x3 } from './solver3x3x3.js';
+
+// ========================= MOVE NOTATION PARSER =========================
+
+/**
+ * Number of layers on a 4x4x4 cube
+ */
+const SIZE = 4;
+
+/**
+ * @typedef {Object} ParsedMove4x4
+ * @property {string} face - Face whose clockwise direction the move follows (R, L, U, D, F, B)
+ * @property {number[]} layers - Layers turned, counted from that face (0 = outer layer)
+ * @property {number} turns - Number of 90° clockwise turns (1, 2, -1 for prime)
+ * @property {string} notation - Move written with a plain modifier (R, R2 or R')
+ * @property {boolean} wide - Whether more than one layer is turned
+ */
+
+/**
+ * Parse move notation for 4x4x4 cubes
+ * Supports outer turns (R), inner slice turns (2R, 3R), wide turns (Rw, r, 3Rw)
+ * and cube rotations (x, y, z), each with ', 2 or 2' modifiers, plus the
+ * grouping, repetition, commutator, conjugate and comment syntax of the
+ * shared notation parser. Moves come back expanded.
+ * @param {string} moveString - Move sequence string
+ * @returns {ParsedMove4x4[]} Array of parsed move objects
+ * @throws {NotationError} If the notation is invalid, with the position of the mistake
+ */
+export function parseMoveNotation4x4(moveString) {
+    if (!moveString || typeof moveString !== 'string') {
+        return [];
+    }
+
+    return parseAlgorithm(moveString, SIZE).map(({ position, ...move }) => move);
+}
+
+/**
+ * Parse a single move notation for 4x4x4
+ * @param {string} move - Single move notation
+ * @returns {ParsedMove4x4} Parsed move object
+ * @throws {NotationError} If the notation is invalid or is not exactly one move
+ */
+export function parseSingleMove4x4(move) {
+    const parsedMoves = parseMoveNotation4x4(move);
+    if (parsedMoves.length !== 1) {
+        throw new NotationError(`Expected a single move, got ${parsedMoves.length}`, String(move ?? ''), 0);
+    }
+
+    return parsedMoves[0];
+}
+
+// ========================= 4x4x4 CUBE STATE MANIPULATION =========================
+
+/**
+ * Apply a single move to a 4x4x4 cube state in place
+ * Sticker cycling comes from the shared NxN move engine.
+ * @param {Object} cubeState - Current cube state (modified in place)
+ * @param {ParsedMove4x4} move - Move to apply
+ */
+export function applyMove4x4(cubeState, move) {
+    if (!move || !move.face) {
+        throw new Error('Invalid move object');
+    }
+
+    Object.assign(cubeState.faces, applyEngineMove(cubeState, move).faces);
+}
+
+/**
+ * Apply a sequence of moves to a 4x4x4 cube state
+ * @param {Object} cubeState - Initial cube state (modified in place)
+ * @param {ParsedMove4x4[]|string} moves - Moves to apply
+ * @returns {Object} Result object with success status and move info
+ */
+export function applyMoveSequence4x4(cubeState, moves) {
+    const parsedMoves = typeof moves === 'string' ? parseMoveNotation4x4(moves) : moves;
+
+    try {
+        for (const move of parsedMoves) {
+            applyMove4x4(cubeState, move);
+        }
+
+        return {
+            success: true,
+            moves: parsedMoves,
+            moveCount: parsedMoves.length
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message,
+            moves: [],
+            moveCount: 0
+        };
+    }
+}
+
+/**
+ * Test if a 4x4x4 cube state is solved
+ * @param {Object} cubeState - Cube state to check
+ * @returns {boolean} True if every face is a single color
+ */
+export function isCubeSolved4x4(cubeState) {
+    if (cubeState.cubeType !== '4x4x4') {
+        throw new Error(`This function only supports 4x4x4 cubes, got ${cubeState.cubeType}`);
+    }
+
+    return FACE_NAMES.every(face => {
+        const faceStickers = cubeState.faces[face];
+        return faceStickers.every(color => color === faceStickers[5]);
+    });
+}
+
+/**
+ * Invert a 4x4x4 move sequence
+ * @param {string} moveString - Space separated moves
+ * @returns {string} Inverse sequence
+ */
+export function getInverseMoveSequence4x4(moveString) {
+    return parseMoveNotation4x4(moveString)
+        .reverse()
+        .map(move => {
+            if (move.turns === 2) return move.notation;
+            return move.turns === 1 ? `${move.notation}'` : move.notation.slice(0, -1);
+        })
+        .join(' ');
+}
+
+// ========================= STICKER PERMUTATIONS =========================
+
+/**
+ * Flatten a cube state into a 96 sticker array
+ * @param {Object} cubeState - 4x4x4 cube state
+ * @returns {string[]} Stickers in FACE_NAMES order
+ */
+function toStickerArray(cubeState) {
+    return FACE_NAMES.flatMap(face => cubeState.faces[face]);
+}
+
+/**
+ * Build a cube state from a 96 sticker array
+ * @param {string[]} stickers - Stickers in FACE_NAMES order
+ * @returns {Object} 4x4x4 cube state
+ */
+function fromStickerArray(stickers) {
+    const faceSize = SIZE * SIZE;
+    return {
+        cubeType: '4x4x4',
+        faces: Object.fromEntries(FACE_NAMES.map((face, i) => [face, stickers.slice(i * faceSize, (i + 1) * faceSize)]))
+    };
+}
+
+/**
+ * Flat index of a face sticker
+ * @param {string} face - Face name
+ * @param {number} index - Index within the face
+ * @returns {number} Index in a flat sticker array
+ */
+function flatIndex(face, index) {
+    return FACE_NAMES.indexOf(face) * SIZE * SIZE + index;
+}
+
+/**
+ * Get the sticker permutation of a move: moved[i] = stickers[permutation[i]]
+ * Lets the search code work on plain arrays instead of cube state objects.
+ * @param {string} move - Move notation
+ * @returns {number[]} Sticker permutation
+ */
+function getStickerPermutation(move) {
+    return getMovePermutation(move, SIZE);
+}
+
+/**
+ * Apply a move sequence to a flat sticker array
+ * @param {string[]} stickers - Flat sticker array
+ * @param {string[]} moves - Moves to apply
+ * @returns {string[]} New sticker array
+ */
+function applyStickerMoves(stickers, moves) {
+    return moves.reduce(
+        (current, move) => getStickerPermutation(move).map(index => current[index]),
+        stickers
+    );
+}
+
+/**
+ * Split a move string into an array of moves
+ * @param {string} moveString - Space separated moves
+ * @returns {string[]} Moves
+ */
+function splitMoveString(moveString) {
+    return (moveString || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * All turns of a list of layer moves
+ * @param {string[]} bases - Moves without modifier (e.g. ['R', '2R'])
+ * @returns {string[]} Quarter, prime and half turns of each move
+ */
+function withAllTurns(bases) {
+    return bases.flatMap(base => [base, `${base}'`, `${base}2`]);
+}
+
+// ========================= CENTERS =========================
+
+/**
+ * Center sticker indices on each 4x4x4 face
+ */
+const CENTER_INDICES = [5, 6, 9, 10];
+
+/**
+ * Flat sticker index of each of the 24 center stickers, face by face
+ * Bit i of a center mask refers to CENTER_POSITIONS[i].
+ */
+const CENTER_POSITIONS = FACE_NAMES.flatMap(face => CENTER_INDICES.map(index => flatIndex(face, index)));
+
+/**
+ * Center mask with the four center stickers of the given faces set
+ * @param {string[]} faces - Faces to include
+ * @returns {number} 24 bit center mask
+ */
+function faceCenterMask(faces) {
+    return faces.reduce((mask, face) => mask | (0xF << (4 * FACE_NAMES.indexOf(face))), 0);
+}
+
+/**
+ * Centers are built in four stages, each reducing the moves the next one needs:
+ *   1. Both colors of one opposite pair onto U and D (any mix)
+ *   2. Split them so each of U and D is a single color, with moves that keep the pair on U/D
+ *   3. One remaining pair onto L and R, the other onto F and B, without touching U/D
+ *   4. Split L from R and F from B
+ * Each stage only tracks which center stickers belong to a set of colors, so its
+ * whole state space fits in an exact distance table and the stage is solved by
+ * walking down that table.
+ */
+const CENTER_STAGES = {
+    udPair: {
+        markedCount: 8,
+        goalMasks: [faceCenterMask(['U', 'D'])],
+        moves: withAllTurns(['R', 'L', 'U', 'D', 'F', 'B', '2R', '2L', '2U', '2D', '2F', '2B'])
+    },
+    udSplit: {
+        markedCount: 4,
+        goalMasks: [faceCenterMask(['U'])],
+        moves: [...withAllTurns(['U', 'D']), '2R2', '2L2', '2F2', '2B2']
+    },
+    sidePairs: {
+        markedCount: 8,
+        goalMasks: [faceCenterMask(['L', 'R']), faceCenterMask(['F', 'B'])],
+        moves: withAllTurns(['R', 'L', 'F', 'B', '2U', '2D'])
+    },
+    sideSplit: {
+        markedCount: 8,
+        goalMasks: [faceCenterMask(['L', 'F'])],
+        moves: [...withAllTurns(['R', 'L', 'F', 'B']), '2U2', '2D2']
+    }
+};
+
+/**
+ * Binomial coefficients C(n, k) for n, k <= 24
+ */
+const BINOMIAL = Array.from({ length: 25 }, (_, n) => {
+    const row = [1];
+    for (let k = 1; k <= n; k++) {
+        row[k] = row[k - 1] * (n - k + 1) / k;
+    }
+    return row;
+});
+
+/**
+ * Rank contribution of every byte of a center mask, indexed by
+ * (byte * 256 + value) * 9 + number of bits set in the lower bytes
+ */
+const CENTER_RANK_TABLE = (() => {
+    const table = new Int32Array(3 * 256 * 9);
+    for (let byte = 0; byte < 3; byte++) {
+        for (let value = 0; value < 256; value++) {
+            for (let lowerBits = 0; lowerBits <= 8; lowerBits++) {
+                let rank = 0;
+                let setBits = lowerBits;
+                for (let bit = 0; bit < 8; bit++) {
+                    if (value & (1 << bit)) {
+                        setBits++;
+                        rank += BINOMIAL[byte * 8 + bit][setBits] || 0;
+                    }
+                }
+                table[(byte * 256 + value) * 9 + lowerBits] = rank;
+            }
+        }
+    }
+    return table;
+})();
+
+/**
+ * Count set bits in a byte
+ * @param {number} value - Byte value
+ * @returns {number} Number of set bits
+ */
+function bitCount(value) {
+    let count = 0;
+    for (let bits = value; bits; bits &= bits - 1) count++;
+    return count;
+}
+
+/**
+ * Rank a center mask among all masks with the same number of set bits
+ * (combinatorial number system), used as the index into stage tables
+ * @param {number} mask - 24 bit center mask with at most 8 bits set
+ * @returns {number} Rank
+ */
+function rankCenterMask(mask) {
+    const low = mask & 0xFF;
+    const middle = (mask >> 8) & 0xFF;
+    const high = (mask >> 16) & 0xFF;
+    const lowBits = bitCount(low);
+    const lowerBits = lowBits + bitCount(middle);
+
+    return CENTER_RANK_TABLE[low * 9] +
+        CENTER_RANK_TABLE[(256 + middle) * 9 + lowBits] +
+        CENTER_RANK_TABLE[(512 + high) * 9 + lowerBits];
+}
+
+const centerMaskMoves = new Map();
+
+/**
+ * Get the byte lookup that moves a center mask: for each byte of the mask,
+ * the bits it maps to after the move. OR-ing the three lookups applies the move.
+ * @param {string} move - Move notation
+ * @returns {Int32Array} 3 * 256 lookup table
+ */
+function getCenterMaskMove(move) {
+    if (!centerMaskMoves.has(move)) {
+        const permutation = getStickerPermutation(move);
+        const destination = [];
+        CENTER_POSITIONS.forEach((position, i) => {
+            destination[CENTER_POSITIONS.indexOf(permutation[position])] = i;
+        });
+
+        const table = new Int32Array(3 * 256);
+        for (let byte = 0; byte < 3; byte++) {
+            for (let value = 0; value < 256; value++) {
+                let moved = 0;
+                for (let bit = 0; bit < 8; bit++) {
+                    if (value & (1 << bit)) moved |= 1 << destination[byte * 8 + bit];
+                }
+                table[byte * 256 + value] = moved;
+            }
+        }
+        centerMaskMoves.set(move, table);
+    }
+    return centerMaskMoves.get(move);
+}
+
+/**
+ * Apply a move to a center mask
+ * @param {number} mask - 24 bit center mask
+ * @param {Int32Array} moveTable - Lookup from getCenterMaskMove
+ * @returns {number} Moved mask
+ */
+function moveCenterMask(mask, moveTable) {
+    return moveTable[mask & 0xFF] | moveTable[256 + ((mask >> 8) & 0xFF)] | moveTable[512 + ((mask >> 16) & 0xFF)];
+}
+
+const centerStageTables = {};
+
+/**
+ * Get the exact distance table for a center stage (built once by BFS from its goals)
+ * The largest stage (8 of 24 stickers) has 735,471 states and builds in well under a second.
+ * @param {string} stageName - Key of CENTER_STAGES
+ * @returns {Uint8Array} Rank -> moves to goal (255 = unreachable)
+ */
+function getCenterStageTable(stageName) {
+    if (!centerStageTables[stageName]) {
+        const stage = CENTER_STAGES[stageName];
+        const table = new Uint8Array(BINOMIAL[24][stage.markedCount]).fill(255);
+        const moveTables = stage.moves.map(getCenterMaskMove);
+        let frontier = [];
+
+        for (const goal of stage.goalMasks) {
+            table[rankCenterMask(goal)] = 0;
+            frontier.push(goal);
+        }
+
+        for (let depth = 1; frontier.length > 0; depth++) {
+            const next = [];
+            for (const mask of frontier) {
+                for (const moveTable of moveTables) {
+                    const moved = moveCenterMask(mask, moveTable);
+                    const rank = rankCenterMask(moved);
+                    if (table[rank] === 255) {
+                        table[rank] = depth;
+                        next.push(moved);
+                    }
+                }
+            }
+            frontier = next;
+        }
+        centerStageTables[stageName] = table;
+    }
+    return centerStageTables[stageName];
+}
+
+/**
+ * Center mask of the stickers showing one of the given colors
+ * @param {string[]} stickers - Flat sticker array
+ * @param {string[]} colors - Colors to mark
+ * @returns {number} 24 bit center mask
+ */
+function getCenterColorMask(stickers, colors) {
+    return CENTER_POSITIONS.reduce(
+        (mask, position, i) => colors.includes(stickers[position]) ? mask | (1 << i) : mask,
+        0
+    );
+}
+
+/**
+ * Solve one center stage for the cheapest of several color choices
+ * @param {string[]} stickers - Flat sticker array
+ * @param {string} stageName - Key of CENTER_STAGES
+ * @param {string[][]} colorChoices - Candidate color sets to bring to the stage goal
+ * @returns {Object} { moves, colors } for the chosen color set
+ */
+function solveCenterStage(stickers, stageName, colorChoices) {
+    const table = getCenterStageTable(stageName);
+    const moves = CENTER_STAGES[stageName].moves;
+
+    const choices = colorChoices.map(colors => {
+        const mask = getCenterColorMask(stickers, colors);
+        return { colors, mask, distance: table[rankCenterMask(mask)] };
+    });
+    const best = choices.reduce((a, b) => (b.distance < a.distance ? b : a));
+
+    if (best.distance === 255) {
+        throw new Error(`Center stage ${stageName} cannot be reached from this state`);
+    }
+
+    const solution = [];
+    let { mask, distance } = best;
+    while (distance > 0) {
+        for (const move of moves) {
+            const moved = moveCenterMask(mask, getCenterMaskMove(move));
+            if (table[rankCenterMask(moved)] === distance - 1) {
+                solution.push(move);
+                mask = moved;
+                distance--;
+                break;
+            }
+        }
+    }
+    return { moves: solution, colors: best.colors };
+}
+
+/**
+ * Work out which center colors belong on which faces from the corners
+ * Centers on a 4x4x4 can be built in any orientation, but the corners fix
+ * which colors are opposite and the clockwise order of colors around a corner.
+ * @param {string[]} stickers - Flat sticker array
+ * @returns {Object[]} All 24 face -> color schemes consistent with the corners
+ */
+function getCenterColorSchemes(stickers) {
+    const cubeState = fromStickerArray(stickers);
+    const corners = Object.values(extractCornerPieces(cubeState)).map(corner => corner.map(sticker => sticker.color));
+    const colors = [...new Set(corners.flat())];
+
+    // Opposite colors never share a corner
+    const opposite = {};
+    for (const color of colors) {
+        opposite[color] = colors.find(other => other !== color && !corners.some(corner => corner.includes(color) && corner.includes(other)));
+    }
+
+    // Corner stickers are listed clockwise from the U/D sticker, like U -> R -> F around UFR
+    const [up, right, front] = corners[0];
+    const baseScheme = {
+        U: up, R: right, F: front,
+        D: opposite[up], L: opposite[right], B: opposite[front]
+    };
+
+    // Whole cube rotations: the color now on each face comes from the listed face
+    const rotations = [
+        { U: 'F', F: 'D', D: 'B', B: 'U', L: 'L', R: 'R' },
+        { U: 'U', D: 'D', F: 'R', R: 'B', B: 'L', L: 'F' }
+    ];
+    const schemes = [baseScheme];
+    const seen = new Set([JSON.stringify(baseScheme)]);
+
+    for (let i = 0; i < schemes.length; i++) {
+        for (const rotation of rotations) {
+            const rotated = Object.fromEntries(FACE_NAMES.map(face => [face, schemes[i][rotation[face]]]));
+            const key = JSON.stringify(rotated);
+            if (!seen.has(key)) {
+                seen.add(key);
+                schemes.push(rotated);
+            }
+        }
+    }
+    return schemes;
+}
+
+/**
+ * Solve the six 2x2 center blocks
+ * @param {string[]} stickers - Flat sticker array
+ * @returns {Object} { moves, stages, colorScheme }
+ */
+export function solveCenters(stickers) {
+    const schemes = getCenterColorSchemes(stickers);
+    const oppositePairs = [...new Set(schemes.map(scheme => [scheme.U, scheme.D].sort().join('')))]
+        .map(pair => pair.split(''));
+    const stages = [];
+    let current = stickers;
+
+    const runStage = (name, stageName, colorChoices) => {
+        const result = solveCenterStage(current, stageName, colorChoices);
+        current = applyStickerMoves(current, result.moves);
+        stages.push({ name, moves: result.moves });
+        return result.colors;
+    };
+
+    const udPair = runStage('U/D centers', 'udPair', oppositePairs);
+    const [upColor] = runStage('Split U and D', 'udSplit', udPair.map(color => [color]));
+    const sidePair = runStage('Side center pairs', 'sidePairs',
+        oppositePairs.filter(pair => !pair.includes(upColor)));
+
+    // Stage 3 may have put its pair on L/R or on F/B; either way the corners
+    // leave two schemes, one for each color of the pair on L
+    const pairOnLeftRight = getCenterColorMask(current, sidePair) === faceCenterMask(['L', 'R']);
+    const candidates = schemes.filter(scheme => scheme.U === upColor &&
+        sidePair.includes(pairOnLeftRight ? scheme.L : scheme.F));
+    const sideSplit = runStage('Split side centers', 'sideSplit',
+        candidates.map(scheme => [scheme.L, scheme.F]));
+
+    const colorScheme = schemes.find(scheme => scheme.U === upColor &&
+        scheme.L === sideSplit[0] && scheme.F === sideSplit[1]);
+
+    return {
+        moves: stages.flatMap(stage => stage.moves),
+        stages,
+        colorScheme
+    };
+}
+
+// ========================= EDGE PAIRING =========================
+
+/**
+ * Wing stickers of each dedge slot, listed like the 3x3x3 edges (U/D sticker
+ * first, otherwise F/B). Each slot holds two wings; the dedge is paired when
+ * both wings show the same two colors.
+ */
+const DEDGE_SLOTS_4x4 = {
+    UB: [[['U', 1], ['B', 2]], [['U', 2], ['B', 1]]],
+    UL: [[['U', 4], ['L', 1]], [['U', 8], ['L', 2]]],
+    UR: [[['U', 7], ['R', 2]], [['U', 11], ['R', 1]]],
+    UF: [[['U', 13], ['F', 1]], [['U', 14], ['F', 2]]],
+    BL: [[['B', 7], ['L', 4]], [['B', 11], ['L', 8]]],
+    FL: [[['F', 4], ['L', 7]], [['F', 8], ['L', 11]]],
+    DL: [[['D', 8], ['L', 13]], [['D', 4], ['L', 14]]],
+    FR: [[['F', 7], ['R', 4]], [['F', 11], ['R', 8]]],
+    DF: [[['D', 1], ['F', 13]], [['D', 2], ['F', 14]]],
+    BR: [[['B', 4], ['R', 7]], [['B', 8], ['R', 11]]],
+    DR: [[['D', 7], ['R', 13]], [['D', 11], ['R', 14]]],
+    DB: [[['D', 14], ['B', 13]], [['D', 13], ['B', 14]]]
+};
+
+const DEDGE_SLOT_NAMES = Object.keys(DEDGE_SLOTS_4x4);
+
+/**
+ * Flat sticker indices of the 24 wing positions; wing w is half (w % 2) of slot (w >> 1)
+ */
+const WING_POSITIONS = DEDGE_SLOT_NAMES.flatMap(slot =>
+    DEDGE_SLOTS_4x4[slot].map(wing => wing.map(([face, index]) => flatIndex(face, index)))
+);
+
+/**
+ * Wing position index of a slot half
+ * @param {string} slot - Dedge slot name
+ * @param {number} half - 0 or 1
+ * @returns {number} Wing position index
+ */
+function wingPosition(slot, half) {
+    return DEDGE_SLOT_NAMES.indexOf(slot) * 2 + half;
+}
+
+/**
+ * Outer layer turns - they move whole dedges, so they never split a pair
+ */
+const OUTER_MOVES = withAllTurns(['U', 'R', 'F', 'D', 'L', 'B']);
+
+/**
+ * Inner slice turns used for pairing, with the two wing positions that must
+ * hold partner wings: the slice carries the second onto the slot of the first.
+ * Turning 2U carries the upper FR wing to the upper FL wing, next to the lower FL wing.
+ */
+const PAIRING_SLICES = {
+    '2U': [wingPosition('FL', 1), wingPosition('FR', 0)],
+    "2U'": [wingPosition('FR', 1), wingPosition('FL', 0)],
+    '2D': [wingPosition('FR', 0), wingPosition('FL', 1)],
+    "2D'": [wingPosition('FL', 0), wingPosition('FR', 1)]
+};
+
+/**
+ * Triggers that swap the freshly paired dedge out of the E slice for a U or D
+ * layer dedge. Each face turn is undone, so the slice turned back afterwards
+ * restores the centers.
+ */
+const PAIRING_TRIGGERS = ['L', "L'", 'F', "F'", 'R', "R'"].flatMap(side =>
+    ['U', "U'", 'U2', 'D', "D'", 'D2'].map(layer => `${side} ${layer} ${getInverseMoveSequence4x4(side)}`)
+);
+
+/**
+ * Last two edges algorithms (slice - flip - slice). They pair the final two
+ * dedges at FL and FR at once; the required wing positions are worked out by
+ * undoing each algorithm on a solved cube.
+ */
+const LAST_TWO_EDGES_ALGORITHMS = [
+    "2D F' R U' F R' 2D'",
+    "2D' F' R U' F R' 2D",
+    "2U F' R U' F R' 2U'",
+    "2U' F' R U' F R' 2U"
+];
+
+/**
+ * Colors of the wing at a position
+ * @param {string[]} stickers - Flat sticker array
+ * @param {number} wing - Wing position index
+ * @returns {string} Two color key in slot order
+ */
+function getWingColors(stickers, wing) {
+    return WING_POSITIONS[wing].map(index => stickers[index]).join('');
+}
+
+/**
+ * Whether two wing positions hold wings of the same edge
+ * @param {string[]} stickers - Flat sticker array
+ * @param {number} first - Wing position index
+ * @param {number} second - Wing position index
+ * @returns {boolean} True if the wings have the same two colors
+ */
+function isSameEdge(stickers, first, second) {
+    const firstColors = getWingColors(stickers, first);
+    const secondColors = getWingColors(stickers, second);
+    return firstColors === secondColors || firstColors === [...secondColors].reverse().join('');
+}
+
+/**
+ * Count the dedge slots whose two wings are paired
+ * @param {string[]} stickers - Flat sticker array
+ * @returns {number} Paired dedges (0-12)
+ */
+export function countPairedDedges(stickers) {
+    let paired = 0;
+    for (let slot = 0; slot < DEDGE_SLOT_NAMES.length; slot++) {
+        if (getWingColors(stickers, slot * 2) === getWingColors(stickers, slot * 2 + 1)) {
+            paired++;
+        }
+    }
+    return paired;
+}
+
+let wingDestinations = null;
+
+/**
+ * Get where each outer move sends every wing position
+ * @returns {Object} Move -> array of destination wing positions
+ */
+function getWingDestinations() {
+    if (!wingDestinations) {
+        wingDestinations = {};
+        for (const move of OUTER_MOVES) {
+            const permutation = getStickerPermutation(move);
+            const destination = [];
+            WING_POSITIONS.forEach((stickers, target) => {
+                const source = WING_POSITIONS.findIndex(wing => wing.includes(permutation[stickers[0]]));
+                destination[source] = target;
+            });
+            wingDestinations[move] = destination;
+        }
+    }
+    return wingDestinations;
+}
+
+const wingPairTables = new Map();
+
+/**
+ * Get the distance table for bringing two wings to a pair of target positions
+ * with outer moves (24 * 24 states, built once per target by BFS)
+ * @param {number[]} target - Target wing positions [first, second]
+ * @returns {Int8Array} (first * 24 + second) -> outer moves needed
+ */
+function getWingPairTable(target) {
+    const key = target.join(',');
+    if (!wingPairTables.has(key)) {
+        const destinations = getWingDestinations();
+        const table = new Int8Array(24 * 24).fill(-1);
+        let frontier = [target];
+        table[target[0] * 24 + target[1]] = 0;
+
+        for (let depth = 1; frontier.length > 0; depth++) {
+            const next = [];
+            for (const [first, second] of frontier) {
+                for (const move of OUTER_MOVES) {
+                    const moved = [destinations[move][first], destinations[move][second]];
+                    if (table[moved[0] * 24 + moved[1]] < 0) {
+                        table[moved[0] * 24 + moved[1]] = depth;
+                        next.push(moved);
+                    }
+                }
+            }
+            frontier = next;
+        }
+        wingPairTables.set(key, table);
+    }
+    return wingPairTables.get(key);
+}
+
+/**
+ * Find outer move setups of an exact length that bring two wings to a target
+ * @param {number[]} target - Target wing positions
+ * @param {number} first - Current position of the first wing
+ * @param {number} second - Current position of the second wing
+ * @param {number} length - Setup length
+ * @param {number} limit - Maximum number of setups to return
+ * @returns {string[][]} Setup move lists
+ */
+function findWingSetups(target, first, second, length, limit) {
+    const table = getWingPairTable(target);
+    const destinations = getWingDestinations();
+    const setups = [];
+    const path = [];
+
+    const search = (a, b, lastFace) => {
+        if (setups.length >= limit) return;
+        if (path.length === length) {
+            if (table[a * 24 + b] === 0) setups.push([...path]);
+            return;
+        }
+        for (const move of OUTER_MOVES) {
+            if (move[0] === lastFace) continue;
+            const nextA = destinations[move][a];
+            const nextB = destinations[move][b];
+            if (path.length + 1 + table[nextA * 24 + nextB] > length) continue;
+            path.push(move);
+            search(nextA, nextB, move[0]);
+            path.pop();
+        }
+    };
+
+    search(first, second, null);
+    return setups;
+}
+
+let pairingMacros = null;
+
+/**
+ * Get the pairing macros with the wing positions each one needs
+ * @returns {Object} { general, lastTwo } macro lists of { moves, target }
+ */
+function getPairingMacros() {
+    if (!pairingMacros) {
+        const general = Object.entries(PAIRING_SLICES).flatMap(([slice, target]) =>
+            PAIRING_TRIGGERS.map(trigger => ({
+                moves: splitMoveString(`${slice} ${trigger} ${getInverseMoveSequence4x4(slice)}`),
+                target
+            }))
+        );
+
+        const solved = toStickerArray(createSolvedCube('4x4x4'));
+        const lastTwo = LAST_TWO_EDGES_ALGORITHMS.map(algorithm => {
+            const moves = splitMoveString(algorithm);
+            const caseStickers = applyStickerMoves(solved, splitMoveString(getInverseMoveSequence4x4(algorithm)));
+            const unpaired = WING_POSITIONS.map((_, wing) => wing)
+                .filter(wing => getWingColors(caseStickers, wing) !== getWingColors(caseStickers, wing ^ 1));
+            const target = unpaired.filter(wing => isSameEdge(caseStickers, wing, unpaired[0]));
+            return { moves, target };
+        });
+
+        pairingMacros = { general, lastTwo };
+    }
+    return pairingMacros;
+}
+
+/**
+ * Pair at least one more dedge
+ * Tries every unpaired wing and its partner against every macro, with outer
+ * move setups from the shortest possible upwards, and keeps the option with
+ * the fewest moves per dedge paired.
+ * @param {string[]} stickers - Flat sticker array with solved centers
+ * @returns {Object|null} { moves, stickers, paired } or null if nothing helps
+ */
+function pairNextDedge(stickers) {
+    const pairedBefore = countPairedDedges(stickers);
+    const macros = pairedBefore === 10 ? getPairingMacros().lastTwo : getPairingMacros().general;
+    const candidates = [];
+
+    for (let first = 0; first < 24; first++) {
+        if (getWingColors(stickers, first) === getWingColors(stickers, first ^ 1)) continue;
+
+        for (let second = 0; second < 24; second++) {
+            if ((second >> 1) === (first >> 1) || !isSameEdge(stickers, first, second)) continue;
+
+            for (const macro of macros) {
+                const distance = getWingPairTable(macro.target)[first * 24 + second];
+                candidates.push({ first, second, macro, distance });
+            }
+        }
+    }
+
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const shortest = Math.min(...candidates.map(candidate => candidate.distance));
+    let best = null;
+
+    for (let length = shortest; length <= shortest + 3 && !best; length++) {
+        for (const { first, second, macro, distance } of candidates) {
+            if (distance > length) continue;
+
+            for (const setup of findWingSetups(macro.target, first, second, length, 8)) {
+                const moves = [...setup, ...macro.moves];
+                const result = applyStickerMoves(stickers, moves);
+                const gained = countPairedDedges(result) - pairedBefore;
+
+                if (gained > 0 && (!best || moves.length / gained < best.moves.length / best.gained)) {
+                    best = { moves, stickers: result, gained };
+                }
+            }
+        }
+    }
+
+    return best && { moves: best.moves, stickers: best.stickers, paired: pairedBefore + best.gained };
+}
+
+/**
+ * Pair all 24 wings into 12 dedges without disturbing the centers
+ * @param {string[]} stickers - Flat sticker array with solved centers
+ * @returns {Object} { moves, steps, success, stickers } with the stickers after pairing
+ */
+export function pairEdges(stickers) {
+    const moves = [];
+    const steps = [];
+    let current = stickers;
+
+    while (countPairedDedges(current) < 12) {
+        const step = pairNextDedge(current);
+        if (!step) {
+            return { moves, steps, success: false, stickers: current };
+        }
+        moves.push(...step.moves);
+        steps.push({ moves: step.moves, paired: step.paired });
+        current = step.stickers;
+    }
+
+    return { moves, steps, success: true, stickers: current };
+}
+
+// ========================= PARITY =========================
+
+/**
+ * OLL parity: flips the UF dedge (swaps its two wings) and nothing else
+ */
+export const OLL_PARITY_ALGORITHM = "2R2 B2 U2 2L U2 2R' U2 2R U2 F2 2R F2 2L' B2 2R2";
+
+/**
+ * PLL parity: an odd permutation of dedges that keeps centers and pairs intact
+ */
+export const PLL_PARITY_ALGORITHM = "2R2 U2 2R2 Uw2 2R2 Uw2";
+
+/**
+ * Reduce a paired 4x4x4 to the equivalent 3x3x3
+ * Outer rows and columns become the 3x3x3 edges and corners and one center
+ * sticker stands in for each solved center block.
+ * @param {Object} cubeState - 4x4x4 cube state with solved centers and paired dedges
+ * @returns {Object} 3x3x3 cube state
+ */
+export function reduceTo3x3(cubeState) {
+    const lines = [0, 1, SIZE - 1];
+    return {
+        cubeType: '3x3x3',
+        faces: Object.fromEntries(FACE_NAMES.map(face => [
+            face,
+            lines.flatMap(row => lines.map(col => cubeState.faces[face][row * SIZE + col]))
+        ]))
+    };
+}
+
+/**
+ * Detect OLL and PLL parity on a reduced cube
+ * OLL parity shows up as an odd number of flipped edges, PLL parity as corner
+ * and edge permutations of different parity.
+ * @param {Object} cube3x3 - Reduced 3x3x3 cube state
+ * @returns {Object} { oll, pll, solvable }
+ */
+export function detectParity(cube3x3) {
+    const result = checkSolvability3x3x3(cube3x3);
+    const oll = result.checks.edgeOrientation?.isValid === false;
+    const otherErrors = result.errors.filter(error =>
+        error.type !== SOLVABILITY_ERRORS.EDGE_ORIENTATION_PARITY &&
+        error.type !== SOLVABILITY_ERRORS.CORNER_PERMUTATION_PARITY
+    );
+    const pll = result.errors.some(error => error.type === SOLVABILITY_ERRORS.CORNER_PERMUTATION_PARITY);
+
+    return { oll, pll, solvable: otherErrors.length === 0 };
+}
+
+// ========================= 3x3x3 STAGE =========================
+
+/**
+ * 3x3x3 moves that turn more than the outer layer, written for a 4x4x4
+ * Outer face turns and rotations are the same on both cubes.
+ */
+const REDUCED_MOVE_TRANSLATIONS = {
+    M: ['2L', '3L'],
+    E: ['2D', '3D'],
+    S: ['2F', '3F'],
+    r: ['3Rw'], l: ['3Lw'], u: ['3Uw'], d: ['3Dw'], f: ['3Fw'], b: ['3Bw']
+};
+
+/**
+ * Translate a 3x3x3 solution move into 4x4x4 moves on the reduced cube
+ * @param {string} move - 3x3x3 move notation
+ * @returns {string[]} Equivalent 4x4x4 moves
+ */
+export function translateReducedMove(move) {
+    const base = move[0];
+    const modifier = move.slice(1);
+    const translation = REDUCED_MOVE_TRANSLATIONS[base];
+    return translation ? translation.map(layerMove => layerMove + modifier) : [move];
+}
+
+// ========================= COMPLETE REDUCTION SOLVER =========================
+
+/**
+ * Build a phase entry for the solution breakdown
+ * @param {string} name - Phase name
+ * @param {string[]} moves - Moves of the phase
+ * @param {Object} extra - Additional phase fields
+ * @returns {Object} Phase entry
+ */
+function createPhase(name, moves, extra = {}) {
+    return {
+        name,
+        success: true,
+        moves: moves.length,
+        moveSequence: moves,
+        ...extra
+    };
+}
+
+/**
+ * Complete reduction solver - centers, edge pairing, parity, then CFOP
+ * @param {Object} cubeState - Scrambled 4x4x4 cube state
+ * @returns {Object} Complete solution with a phase per reduction stage
+ */
+export function solveCube4x4(cubeState) {
+    const startTime = Date.now();
+    const solution = {
+        success: false,
+        totalMoves: 0,
+        phases: [],
+        method: 'Reduction',
+        moveSequence: [],
+        parity: { oll: false, pll: false },
+        executionTime: 0
+    };
+
+    const addPhase = phase => {
+        solution.phases.push(phase);
+        solution.moveSequence.push(...(phase.moveSequence || []));
+        solution.totalMoves = solution.moveSequence.length;
+    };
+
+    try {
+        let stickers = toStickerArray(cubeState);
+
+        // Stage 1: Centers
+        const centers = solveCenters(stickers);
+        stickers = applyStickerMoves(stickers, centers.moves);
+        addPhase(createPhase('Centers', centers.moves, {
+            stages: centers.stages.map(stage => ({ name: stage.name, moves: stage.moves.length })),
+            colorScheme: centers.colorScheme
+        }));
+
+        // Stage 2: Edge pairing
+        const pairing = pairEdges(stickers);
+        if (!pairing.success) {
+            addPhase({
+                ...createPhase('Edge Pairing', pairing.moves),
+                success: false,
+                error: `Edge pairing stalled with ${countPairedDedges(pairing.stickers)} of 12 dedges paired`
+            });
+            return solution;
+        }
+        stickers = pairing.stickers;
+        addPhase(createPhase('Edge Pairing', pairing.moves, { algorithms: pairing.steps.length }));
+
+        // Stage 3: Parity
+        const ollParity = detectParity(reduceTo3x3(fromStickerArray(stickers)));
+        if (!ollParity.solvable) {
+            addPhase({ name: 'Parity', success: false, error: 'Reduced cube has a corner or piece error that parity algorithms cannot fix' });
+            return solution;
+        }
+
+        const ollMoves = ollParity.oll ? splitMoveString(OLL_PARITY_ALGORITHM) : [];
+        stickers = applyStickerMoves(stickers, ollMoves);
+        solution.parity.oll = ollParity.oll;
+        addPhase(createPhase('OLL Parity', ollMoves, { detected: ollParity.oll }));
+
+        const pllParity = detectParity(reduceTo3x3(fromStickerArray(stickers)));
+        const pllMoves = pllParity.pll ? splitMoveString(PLL_PARITY_ALGORITHM) : [];
+        stickers = applyStickerMoves(stickers, pllMoves);
+        solution.parity.pll = pllParity.pll;
+        addPhase(createPhase('PLL Parity', pllMoves, { detected: pllParity.pll }));
+
+        // Stage 4: Solve the reduced cube as a 3x3x3
+        const reduced = reduceTo3x3(fromStickerArray(stickers));
+        const reducedSolution = solveCube3x3(reduced);
+        const reducedMoves = reducedSolution.moveSequence.flatMap(translateReducedMove);
+        const subPhases = reducedSolution.phases.map(phase => ({
+            ...phase,
+            moveSequence: (phase.moveSequence || []).flatMap(translateReducedMove)
+        }));
+
+        if (!reducedSolution.success) {
+            addPhase({
+                ...createPhase('3x3x3 Stage', reducedMoves, { subPhases }),
+                success: false,
+                error: reducedSolution.error || subPhases.find(phase => !phase.success)?.error || '3x3x3 stage did not solve the reduced cube'
+            });
+            return solution;
+        }
+
+        addPhase(createPhase('3x3x3 Stage', reducedMoves, { method: reducedSolution.method, subPhases }));
+        stickers = applyStickerMoves(stickers, reducedMoves);
+        solution.success = isCubeSolved4x4(fromStickerArray(stickers));
+    } catch (error) {
+        solution.error = error.message;
+    } finally {
+        solution.executionTime = Date.now() - startTime;
+    }
+
+    return solution;
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Move engine
+    parseMoveNotation4x4,
+    parseSingleMove4x4,
+    applyMove4x4,
+    applyMoveSequence4x4,
+    getInverseMoveSequence4x4,
+    isCubeSolved4x4,
+
+    // Reduction stages
+    solveCenters,
+    pairEdges,
+    countPairedDedges,
+    reduceTo3x3,
+    detectParity,
+    translateReducedMove,
+
+    // Parity algorithms
+    OLL_PARITY_ALGORITHM,
+    PLL_PARITY_ALGORITHM,
+
+    // Complete solver
+    solveCube4x4
+};
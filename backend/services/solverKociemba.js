@@ -0,0 +1,581 @@
+/**
+ * 3x3x3 Cube Solver - Kociemba Two-Phase Algorithm
+ *
+ * Phase 1: Reach the subgroup G1 = <U, D, R2, L2, F2, B2>, where every corner
+ *          and edge is oriented and the four UD-slice edges sit in the slice
+ * Phase 2: Solve the cube using only G1 moves
+ *
+ * Both phases are IDA* searches over cubie coordinates, driven by move tables
+ * and pruning tables. Phase 1 keeps producing longer alternatives so phase 2
+ * can find shorter totals, until a solution within the target length is found
+ * or the time budget runs out.
+ *
+ * The tables are generated on first use (a few seconds) and cached in
+ * backend/data/kociemba-tables.bin so later processes only read them.
+ */
+
+import { fileURLToPath } from 'url';
+import {
+    createSolvedCubie,
+    getCubieError,
+    getMoveCubie,
+    multiplyCubies,
+    stickersToCubie
+} from '../utils/cubieModel.js';
+import { readTableCache, writeTableCache } from '../utils/tableCache.js';
+
+// ========================= MOVES =========================
+
+/**
+ * Faces in Kociemba order; move index = face * 3 + power (quarter, half, prime)
+ */
+const MOVE_FACES = ['U', 'R', 'F', 'D', 'L', 'B'];
+const MOVE_NAMES = MOVE_FACES.flatMap(face => [face, `${face}2`, `${face}'`]);
+const MOVE_COUNT = MOVE_NAMES.length;
+
+/**
+ * Moves that keep the cube in G1: U, D and half turns of the side faces
+ */
+const PHASE2_MOVES = ['U', 'U2', "U'", 'D', 'D2', "D'", 'R2', 'F2', 'L2', 'B2'].map(name => MOVE_NAMES.indexOf(name));
+const PHASE2_MOVE_COUNT = PHASE2_MOVES.length;
+
+let moveCubies = null;
+
+/**
+ * Cubie cube of every move
+ * @returns {CubieCube[]} Move cubies indexed like MOVE_NAMES
+ */
+function getMoveCubies() {
+    if (!moveCubies) {
+        moveCubies = MOVE_NAMES.map(name => getMoveCubie(name, '3x3x3'));
+    }
+    return moveCubies;
+}
+
+/**
+ * Face of a move index
+ * @param {number} move - Move index
+ * @returns {number} Face index (0-5, opposite faces differ by 3)
+ */
+function moveFace(move) {
+    return Math.floor(move / 3);
+}
+
+/**
+ * Whether a move may follow the previous face in a search
+ * Never turns the same face twice in a row, and turns opposite faces in one
+ * fixed order so that "U D" and "D U" are not both searched.
+ * @param {number} face - Face of the candidate move
+ * @param {number} lastFace - Face of the previous move (-1 at the start)
+ * @returns {boolean} True if the move should be searched
+ */
+function isAllowedAfter(face, lastFace) {
+    return face !== lastFace && face !== lastFace - 3;
+}
+
+// ========================= COORDINATES =========================
+
+const TWIST_COUNT = 2187;        // 3^7 corner orientations
+const FLIP_COUNT = 2048;         // 2^11 edge orientations
+const SLICE_COUNT = 495;         // C(12, 4) UD-slice edge positions
+const CORNER_PERM_COUNT = 40320; // 8! corner permutations
+const EDGE8_PERM_COUNT = 40320;  // 8! U/D layer edge permutations
+const SLICE_PERM_COUNT = 24;     // 4! UD-slice edge permutations
+
+const FACTORIAL = [1, 1, 2, 6, 24, 120, 720, 5040, 40320];
+const BINOMIAL = Array.from({ length: 13 }, (_, n) =>
+    Array.from({ length: 5 }, (_, k) => {
+        let value = 1;
+        for (let i = 0; i < k; i++) value = value * (n - i) / (i + 1);
+        return k > n ? 0 : value;
+    })
+);
+
+/**
+ * Corner orientation coordinate (the last corner's twist is implied)
+ * @param {CubieCube} cubie - Cube
+ * @returns {number} 0-2186
+ */
+function getTwist(cubie) {
+    return cubie.co.slice(0, 7).reduce((twist, value) => twist * 3 + value, 0);
+}
+
+/**
+ * Cube with the given corner orientation coordinate
+ * @param {number} twist - 0-2186
+ * @returns {CubieCube} Cube with solved permutation
+ */
+function setTwist(twist) {
+    const cubie = createSolvedCubie('3x3x3');
+    let sum = 0;
+    for (let i = 6; i >= 0; i--) {
+        cubie.co[i] = twist % 3;
+        sum += cubie.co[i];
+        twist = Math.floor(twist / 3);
+    }
+    cubie.co[7] = (3 - sum % 3) % 3;
+    return cubie;
+}
+
+/**
+ * Edge orientation coordinate (the last edge's flip is implied)
+ * @param {CubieCube} cubie - Cube
+ * @returns {number} 0-2047
+ */
+function getFlip(cubie) {
+    return cubie.eo.slice(0, 11).reduce((flip, value) => flip * 2 + value, 0);
+}
+
+/**
+ * Cube with the given edge orientation coordinate
+ * @param {number} flip - 0-2047
+ * @returns {CubieCube} Cube with solved permutation
+ */
+function setFlip(flip) {
+    const cubie = createSolvedCubie('3x3x3');
+    let sum = 0;
+    for (let i = 10; i >= 0; i--) {
+        cubie.eo[i] = flip % 2;
+        sum += cubie.eo[i];
+        flip = Math.floor(flip / 2);
+    }
+    cubie.eo[11] = sum % 2;
+    return cubie;
+}
+
+/**
+ * UD-slice coordinate: which four positions hold the FR, FL, BL, BR edges
+ * Ranked with the combinatorial number system, so the solved cube is 494.
+ * @param {CubieCube} cubie - Cube
+ * @returns {number} 0-494
+ */
+function getSlice(cubie) {
+    let rank = 0;
+    let found = 0;
+    for (let position = 0; position < 12; position++) {
+        if (cubie.ep[position] >= 8) {
+            found++;
+            rank += BINOMIAL[position][found];
+        }
+    }
+    return rank;
+}
+
+/**
+ * Cube whose UD-slice edges occupy the positions of a slice coordinate
+ * @param {number} slice - 0-494
+ * @returns {CubieCube} Cube with solved orientation
+ */
+function setSlice(slice) {
+    const cubie = createSolvedCubie('3x3x3');
+    const slicePositions = [];
+    for (let k = 4; k >= 1; k--) {
+        let position = k - 1;
+        while (BINOMIAL[position + 1][k] <= slice) position++;
+        slicePositions.unshift(position);
+        slice -= BINOMIAL[position][k];
+    }
+
+    let sliceEdge = 8;
+    let otherEdge = 0;
+    for (let position = 0; position < 12; position++) {
+        cubie.ep[position] = slicePositions.includes(position) ? sliceEdge++ : otherEdge++;
+    }
+    return cubie;
+}
+
+/**
+ * Lehmer rank of a permutation of 0..n-1
+ * @param {number[]} permutation - Permutation to rank
+ * @returns {number} 0 to n!-1 (identity = 0)
+ */
+function rankPermutation(permutation) {
+    let rank = 0;
+    for (let i = 0; i < permutation.length; i++) {
+        let smaller = 0;
+        for (let j = i + 1; j < permutation.length; j++) {
+            if (permutation[j] < permutation[i]) smaller++;
+        }
+        rank += smaller * FACTORIAL[permutation.length - 1 - i];
+    }
+    return rank;
+}
+
+/**
+ * Permutation of 0..n-1 with the given Lehmer rank
+ * @param {number} rank - Rank from rankPermutation
+ * @param {number} length - n
+ * @returns {number[]} Permutation
+ */
+function unrankPermutation(rank, length) {
+    const remaining = Array.from({ length }, (_, i) => i);
+    const permutation = [];
+    for (let i = length - 1; i >= 0; i--) {
+        const index = Math.floor(rank / FACTORIAL[i]);
+        rank %= FACTORIAL[i];
+        permutation.push(remaining.splice(index, 1)[0]);
+    }
+    return permutation;
+}
+
+/**
+ * Phase 2 coordinates of a cube in G1
+ * @param {CubieCube} cubie - Cube in G1
+ * @returns {number[]} [corner permutation, U/D edge permutation, slice permutation]
+ */
+function getPhase2Coordinates(cubie) {
+    return [
+        rankPermutation(cubie.cp),
+        rankPermutation(cubie.ep.slice(0, 8)),
+        rankPermutation(cubie.ep.slice(8).map(edge => edge - 8))
+    ];
+}
+
+// ========================= MOVE AND PRUNING TABLES =========================
+
+const TABLE_VERSION = 1;
+const TABLE_PATH = fileURLToPath(new URL('../data/kociemba-tables.bin', import.meta.url));
+
+/**
+ * Every cached table, in file order
+ */
+const TABLE_LAYOUT = [
+    ['twistMove', Uint16Array, TWIST_COUNT * MOVE_COUNT],
+    ['flipMove', Uint16Array, FLIP_COUNT * MOVE_COUNT],
+    ['sliceMove', Uint16Array, SLICE_COUNT * MOVE_COUNT],
+    ['cornerPermMove', Uint16Array, CORNER_PERM_COUNT * PHASE2_MOVE_COUNT],
+    ['edge8PermMove', Uint16Array, EDGE8_PERM_COUNT * PHASE2_MOVE_COUNT],
+    ['slicePermMove', Uint16Array, SLICE_PERM_COUNT * PHASE2_MOVE_COUNT],
+    ['twistSlicePrune', Uint8Array, TWIST_COUNT * SLICE_COUNT],
+    ['flipSlicePrune', Uint8Array, FLIP_COUNT * SLICE_COUNT],
+    ['cornerSlicePermPrune', Uint8Array, CORNER_PERM_COUNT * SLICE_PERM_COUNT],
+    ['edgeSlicePermPrune', Uint8Array, EDGE8_PERM_COUNT * SLICE_PERM_COUNT]
+];
+
+const SOLVED_SLICE = getSlice(createSolvedCubie('3x3x3'));
+
+let tables = null;
+
+/**
+ * Build a move table by applying every move to a representative cube
+ * @param {number} count - Number of coordinate values
+ * @param {Function} fromCoordinate - Coordinate -> representative cube
+ * @param {Function} toCoordinate - Cube -> coordinate
+ * @param {number[]} moves - Move indices to tabulate
+ * @returns {Uint16Array} table[coordinate * moves.length + i] = coordinate after moves[i]
+ */
+function buildMoveTable(count, fromCoordinate, toCoordinate, moves) {
+    const moveCubieList = getMoveCubies();
+    const table = new Uint16Array(count * moves.length);
+    for (let coordinate = 0; coordinate < count; coordinate++) {
+        const cubie = fromCoordinate(coordinate);
+        moves.forEach((move, i) => {
+            table[coordinate * moves.length + i] = toCoordinate(multiplyCubies(cubie, moveCubieList[move]));
+        });
+    }
+    return table;
+}
+
+/**
+ * Build a pruning table over a pair of coordinates by breadth-first search
+ * Each entry is the exact number of moves needed to solve both coordinates.
+ * @param {Uint16Array} moveA - Move table of the first coordinate
+ * @param {Uint16Array} moveB - Move table of the second coordinate
+ * @param {number} sizeB - Number of values of the second coordinate
+ * @param {number} moveCount - Moves per table row
+ * @param {number} goal - Index of the solved pair (a * sizeB + b)
+ * @param {number} size - Number of entries
+ * @returns {Uint8Array} Distance per pair index
+ */
+function buildPruningTable(moveA, moveB, sizeB, moveCount, goal, size) {
+    const table = new Uint8Array(size).fill(255);
+    table[goal] = 0;
+    let filled = 1;
+
+    for (let depth = 0; filled < size; depth++) {
+        let expanded = 0;
+        for (let index = 0; index < size; index++) {
+            if (table[index] !== depth) continue;
+            const a = Math.floor(index / sizeB);
+            const b = index % sizeB;
+            for (let move = 0; move < moveCount; move++) {
+                const next = moveA[a * moveCount + move] * sizeB + moveB[b * moveCount + move];
+                if (table[next] === 255) {
+                    table[next] = depth + 1;
+                    filled++;
+                    expanded++;
+                }
+            }
+        }
+        if (expanded === 0) break;
+    }
+
+    return table;
+}
+
+/**
+ * Generate every move and pruning table
+ * @returns {Object} Tables keyed like TABLE_LAYOUT
+ */
+function buildTables() {
+    const allMoves = Array.from({ length: MOVE_COUNT }, (_, move) => move);
+    const built = {
+        twistMove: buildMoveTable(TWIST_COUNT, setTwist, getTwist, allMoves),
+        flipMove: buildMoveTable(FLIP_COUNT, setFlip, getFlip, allMoves),
+        sliceMove: buildMoveTable(SLICE_COUNT, setSlice, getSlice, allMoves),
+        cornerPermMove: buildMoveTable(CORNER_PERM_COUNT,
+            rank => ({ ...createSolvedCubie('3x3x3'), cp: unrankPermutation(rank, 8) }),
+            cubie => rankPermutation(cubie.cp), PHASE2_MOVES),
+        edge8PermMove: buildMoveTable(EDGE8_PERM_COUNT,
+            rank => ({ ...createSolvedCubie('3x3x3'), ep: [...unrankPermutation(rank, 8), 8, 9, 10, 11] }),
+            cubie => rankPermutation(cubie.ep.slice(0, 8)), PHASE2_MOVES),
+        slicePermMove: buildMoveTable(SLICE_PERM_COUNT,
+            rank => ({ ...createSolvedCubie('3x3x3'), ep: [0, 1, 2, 3, 4, 5, 6, 7, ...unrankPermutation(rank, 4).map(edge => edge + 8)] }),
+            cubie => rankPermutation(cubie.ep.slice(8).map(edge => edge - 8)), PHASE2_MOVES)
+    };
+
+    built.twistSlicePrune = buildPruningTable(built.twistMove, built.sliceMove, SLICE_COUNT, MOVE_COUNT,
+        SOLVED_SLICE, TWIST_COUNT * SLICE_COUNT);
+    built.flipSlicePrune = buildPruningTable(built.flipMove, built.sliceMove, SLICE_COUNT, MOVE_COUNT,
+        SOLVED_SLICE, FLIP_COUNT * SLICE_COUNT);
+    built.cornerSlicePermPrune = buildPruningTable(built.cornerPermMove, built.slicePermMove, SLICE_PERM_COUNT,
+        PHASE2_MOVE_COUNT, 0, CORNER_PERM_COUNT * SLICE_PERM_COUNT);
+    built.edgeSlicePermPrune = buildPruningTable(built.edge8PermMove, built.slicePermMove, SLICE_PERM_COUNT,
+        PHASE2_MOVE_COUNT, 0, EDGE8_PERM_COUNT * SLICE_PERM_COUNT);
+
+    return built;
+}
+
+/**
+ * Get the move and pruning tables, loading or generating them once
+ * @returns {Object} Tables keyed like TABLE_LAYOUT
+ */
+export function getKociembaTables() {
+    if (!tables) {
+        tables = readTableCache(TABLE_PATH, TABLE_VERSION, TABLE_LAYOUT);
+        if (!tables) {
+            tables = buildTables();
+            writeTableCache(TABLE_PATH, TABLE_VERSION, TABLE_LAYOUT, tables, 'Kociemba tables');
+        }
+    }
+    return tables;
+}
+
+// ========================= TWO-PHASE SEARCH =========================
+
+/**
+ * Longest phase 1 solution ever needed (the diameter of phase 1)
+ */
+const MAX_PHASE1_DEPTH = 12;
+
+/**
+ * Longest phase 2 solution ever needed (the diameter of phase 2)
+ */
+const MAX_PHASE2_DEPTH = 18;
+
+/**
+ * Nodes searched between time budget checks
+ */
+const TIME_CHECK_INTERVAL = 4096;
+
+/**
+ * Search the shortest phase 2 solution within a depth limit
+ * @param {Object} search - Search state
+ * @param {number} corner - Corner permutation coordinate
+ * @param {number} edge - U/D edge permutation coordinate
+ * @param {number} slice - Slice permutation coordinate
+ * @param {number} depth - Moves made so far in phase 2
+ * @param {number} togo - Moves left to make
+ * @param {number} lastFace - Face of the previous move
+ * @returns {boolean} True if a solution was found (stored in search.phase2Moves)
+ */
+function searchPhase2(search, corner, edge, slice, depth, togo, lastFace) {
+    if (togo === 0) {
+        return corner === 0 && edge === 0 && slice === 0;
+    }
+
+    const { cornerPermMove, edge8PermMove, slicePermMove, cornerSlicePermPrune, edgeSlicePermPrune } = search.tables;
+    const distance = Math.max(
+        cornerSlicePermPrune[corner * SLICE_PERM_COUNT + slice],
+        edgeSlicePermPrune[edge * SLICE_PERM_COUNT + slice]
+    );
+    if (distance > togo) {
+        return false;
+    }
+
+    for (let i = 0; i < PHASE2_MOVE_COUNT; i++) {
+        const face = moveFace(PHASE2_MOVES[i]);
+        if (!isAllowedAfter(face, lastFace)) continue;
+
+        search.phase2Moves[depth] = PHASE2_MOVES[i];
+        if (searchPhase2(search, cornerPermMove[corner * PHASE2_MOVE_COUNT + i], edge8PermMove[edge * PHASE2_MOVE_COUNT + i],
+            slicePermMove[slice * PHASE2_MOVE_COUNT + i], depth + 1, togo - 1, face)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Solve phase 2 after a phase 1 solution, keeping it if the total improves
+ * @param {Object} search - Search state
+ * @param {number} phase1Length - Length of the phase 1 solution in search.phase1Moves
+ */
+function completePhase2(search, phase1Length) {
+    const moveCubieList = getMoveCubies();
+    let cubie = search.cubie;
+    for (let i = 0; i < phase1Length; i++) {
+        cubie = multiplyCubies(cubie, moveCubieList[search.phase1Moves[i]]);
+    }
+
+    const [corner, edge, slice] = getPhase2Coordinates(cubie);
+    const maxDepth = Math.min(MAX_PHASE2_DEPTH, search.bestLength - 1 - phase1Length);
+    const lastFace = phase1Length > 0 ? moveFace(search.phase1Moves[phase1Length - 1]) : -1;
+    const { cornerSlicePermPrune, edgeSlicePermPrune } = search.tables;
+    const minDepth = Math.max(
+        cornerSlicePermPrune[corner * SLICE_PERM_COUNT + slice],
+        edgeSlicePermPrune[edge * SLICE_PERM_COUNT + slice]
+    );
+
+    for (let depth = minDepth; depth <= maxDepth; depth++) {
+        if (searchPhase2(search, corner, edge, slice, 0, depth, lastFace)) {
+            search.bestLength = phase1Length + depth;
+            search.best = {
+                phase1: Array.from(search.phase1Moves.slice(0, phase1Length), move => MOVE_NAMES[move]),
+                phase2: Array.from(search.phase2Moves.slice(0, depth), move => MOVE_NAMES[move])
+            };
+            if (search.bestLength <= search.maxLength) {
+                search.done = true;
+            }
+            return;
+        }
+    }
+}
+
+/**
+ * Depth-limited phase 1 search; every phase 1 solution is handed to phase 2
+ * @param {Object} search - Search state
+ * @param {number} twist - Corner orientation coordinate
+ * @param {number} flip - Edge orientation coordinate
+ * @param {number} slice - UD-slice coordinate
+ * @param {number} depth - Moves made so far
+ * @param {number} togo - Moves left to make
+ * @param {number} lastFace - Face of the previous move
+ */
+function searchPhase1(search, twist, flip, slice, depth, togo, lastFace) {
+    if (++search.nodes % TIME_CHECK_INTERVAL === 0 && Date.now() > search.deadline) {
+        search.done = true;
+    }
+    if (search.done) {
+        return;
+    }
+
+    if (togo === 0) {
+        // A phase 1 solution ending in a G1 move would already have been found
+        // one move shorter, so only quarter turns of R, F, L, B may end it
+        const lastMove = search.phase1Moves[depth - 1];
+        const endsOutsideG1 = depth === 0 || (!PHASE2_MOVES.includes(lastMove));
+        if (twist === 0 && flip === 0 && slice === SOLVED_SLICE && endsOutsideG1) {
+            completePhase2(search, depth);
+        }
+        return;
+    }
+
+    const { twistMove, flipMove, sliceMove, twistSlicePrune, flipSlicePrune } = search.tables;
+    const distance = Math.max(
+        twistSlicePrune[twist * SLICE_COUNT + slice],
+        flipSlicePrune[flip * SLICE_COUNT + slice]
+    );
+    if (distance > togo || depth + togo >= search.bestLength) {
+        return;
+    }
+
+    for (let move = 0; move < MOVE_COUNT && !search.done; move++) {
+        const face = moveFace(move);
+        if (!isAllowedAfter(face, lastFace)) continue;
+
+        search.phase1Moves[depth] = move;
+        searchPhase1(search, twistMove[twist * MOVE_COUNT + move], flipMove[flip * MOVE_COUNT + move],
+            sliceMove[slice * MOVE_COUNT + move], depth + 1, togo - 1, face);
+    }
+}
+
+/**
+ * Solve a 3x3x3 cube with the Kociemba two-phase algorithm
+ * @param {Object} cubeState - Scrambled 3x3x3 cube state (faces named by their center colors)
+ * @param {Object} options - Search options
+ * @param {number} options.maxLength - Stop as soon as a solution this short is found (default 21)
+ * @param {number} options.timeLimit - Time budget in milliseconds (default 3000); the best solution found so far is returned when it runs out
+ * @returns {Object} Solution in the same shape as the CFOP solver's
+ */
+export function solveKociemba(cubeState, { maxLength = 21, timeLimit = 3000 } = {}) {
+    const startTime = Date.now();
+    const solution = {
+        success: false,
+        totalMoves: 0,
+        phases: [],
+        method: 'Kociemba',
+        moveSequence: [],
+        targetLength: maxLength,
+        executionTime: 0
+    };
+
+    try {
+        const cubie = stickersToCubie(cubeState);
+        const cubieError = getCubieError(cubie);
+        if (cubieError) {
+            solution.error = cubieError;
+            return solution;
+        }
+
+        const search = {
+            tables: getKociembaTables(),
+            cubie,
+            maxLength,
+            deadline: startTime + timeLimit,
+            phase1Moves: new Int8Array(MAX_PHASE1_DEPTH),
+            phase2Moves: new Int8Array(MAX_PHASE2_DEPTH),
+            bestLength: MAX_PHASE1_DEPTH + MAX_PHASE2_DEPTH + 1,
+            best: null,
+            nodes: 0,
+            done: false
+        };
+
+        const twist = getTwist(cubie);
+        const flip = getFlip(cubie);
+        const slice = getSlice(cubie);
+        for (let depth = 0; depth <= MAX_PHASE1_DEPTH && !search.done; depth++) {
+            searchPhase1(search, twist, flip, slice, 0, depth, -1);
+        }
+
+        if (!search.best) {
+            solution.error = `No solution found within ${timeLimit} ms`;
+            return solution;
+        }
+
+        solution.phases = [
+            { name: 'Phase 1 (Reach G1)', success: true, moves: search.best.phase1.length, moveSequence: search.best.phase1 },
+            { name: 'Phase 2 (Solve in G1)', success: true, moves: search.best.phase2.length, moveSequence: search.best.phase2 }
+        ];
+        solution.moveSequence = [...search.best.phase1, ...search.best.phase2];
+        solution.totalMoves = solution.moveSequence.length;
+        solution.targetReached = solution.totalMoves <= maxLength;
+        solution.success = true;
+    } catch (error) {
+        solution.error = error.message;
+    } finally {
+        solution.executionTime = Date.now() - startTime;
+    }
+
+    return solution;
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Tables
+    getKociembaTables,
+
+    // Solver
+    solveKociemba
+};
@@ -0,0 +1,304 @@
+/**
+ * 2x2x2 Cube Solver - Optimal Solutions from a Complete Distance Table
+ *
+ * A 2x2x2 has no centers, so the DBL corner is kept fixed and every state is
+ * reached with U, R and F turns alone: 7! corner permutations times 3^6 corner
+ * orientations = 3,674,160 states. A breadth-first search from the solved
+ * state stores the exact distance of every one of them, in the half turn
+ * metric (HTM) or the quarter turn metric (QTM). Solving is then a walk down
+ * the table: from any state, some move always reaches a state one closer.
+ *
+ * The tables are generated on first use (a few seconds each) and cached in
+ * backend/data/optimal-2x2x2-<metric>.bin so later processes only read them.
+ */
+
+import { fileURLToPath } from 'url';
+import {
+    CORNER_NAMES,
+    REFERENCE_CORNER,
+    getCubieError,
+    getMoveCubie,
+    stickersToCubie
+} from '../utils/cubieModel.js';
+import { readTableCache, writeTableCache } from '../utils/tableCache.js';
+
+// ========================= MOVES AND COORDINATES =========================
+
+/**
+ * Moves of each metric; none of them touches the DBL corner
+ */
+const METRIC_MOVES = {
+    htm: ['U', 'U2', "U'", 'R', 'R2', "R'", 'F', 'F2', "F'"],
+    qtm: ['U', "U'", 'R', "R'", 'F', "F'"]
+};
+
+export const METRICS = Object.keys(METRIC_MOVES);
+
+const PERMUTATION_COUNT = 5040; // 7! placements of the free corners
+const TWIST_COUNT = 729;        // 3^6 orientations (the seventh follows)
+const STATE_COUNT = PERMUTATION_COUNT * TWIST_COUNT;
+const FACTORIAL = [1, 1, 2, 6, 24, 120, 720];
+const UNVISITED = 255;
+
+/**
+ * Slots (and corners) other than the fixed DBL corner
+ */
+const FREE_SLOTS = CORNER_NAMES.map((_, slot) => slot).filter(slot => slot !== REFERENCE_CORNER);
+
+/**
+ * Lehmer rank of the corners in the seven free slots
+ * @param {number[]} cp - Corner permutation
+ * @returns {number} 0 to 5039 (solved = 0)
+ */
+function getPermutation(cp) {
+    let rank = 0;
+    FREE_SLOTS.forEach((slot, i) => {
+        const smaller = FREE_SLOTS.slice(i + 1).filter(later => cp[later] < cp[slot]).length;
+        rank += smaller * FACTORIAL[FREE_SLOTS.length - 1 - i];
+    });
+    return rank;
+}
+
+/**
+ * Corner permutation with the given rank
+ * @param {number} rank - Rank from getPermutation
+ * @returns {number[]} Corner permutation (DBL in place)
+ */
+function setPermutation(rank) {
+    const remaining = [...FREE_SLOTS];
+    const cp = [];
+    cp[REFERENCE_CORNER] = REFERENCE_CORNER;
+    FREE_SLOTS.forEach((slot, i) => {
+        const factorial = FACTORIAL[FREE_SLOTS.length - 1 - i];
+        cp[slot] = remaining.splice(Math.floor(rank / factorial), 1)[0];
+        rank %= factorial;
+    });
+    return cp;
+}
+
+/**
+ * Orientation coordinate of the first six free slots (the seventh follows)
+ * @param {number[]} co - Corner orientation
+ * @returns {number} 0 to 728 (solved = 0)
+ */
+function getTwist(co) {
+    let twist = 0;
+    for (let i = FREE_SLOTS.length - 2; i >= 0; i--) {
+        twist = twist * 3 + co[FREE_SLOTS[i]];
+    }
+    return twist;
+}
+
+/**
+ * Corner orientation with the given coordinate
+ * @param {number} twist - Coordinate from getTwist
+ * @returns {number[]} Corner orientation (the last free slot keeps the sum divisible by 3)
+ */
+function setTwist(twist) {
+    const co = new Array(CORNER_NAMES.length).fill(0);
+    let sum = 0;
+    for (let i = 0; i < FREE_SLOTS.length - 1; i++) {
+        co[FREE_SLOTS[i]] = twist % 3;
+        sum += twist % 3;
+        twist = Math.floor(twist / 3);
+    }
+    co[FREE_SLOTS[FREE_SLOTS.length - 1]] = (3 - sum % 3) % 3;
+    return co;
+}
+
+/**
+ * State index of a cubie cube whose DBL corner is solved
+ * @param {CubieCube} cubie - Cube
+ * @returns {number} Index into the distance tables
+ */
+function getStateIndex(cubie) {
+    return getPermutation(cubie.cp) * TWIST_COUNT + getTwist(cubie.co);
+}
+
+const moveTables = {};
+
+/**
+ * Permutation and orientation move tables of a metric
+ * @param {string} metric - 'htm' or 'qtm'
+ * @returns {{permutation: Uint16Array, twist: Uint16Array}} table[coordinate * moves + move]
+ */
+function getMoveTables(metric) {
+    if (!moveTables[metric]) {
+        const moves = METRIC_MOVES[metric].map(move => getMoveCubie(move, '2x2x2'));
+        const permutation = new Uint16Array(PERMUTATION_COUNT * moves.length);
+        const twist = new Uint16Array(TWIST_COUNT * moves.length);
+
+        for (let rank = 0; rank < PERMUTATION_COUNT; rank++) {
+            const cp = setPermutation(rank);
+            moves.forEach((move, i) => {
+                permutation[rank * moves.length + i] = getPermutation(move.cp.map(corner => cp[corner]));
+            });
+        }
+        for (let coordinate = 0; coordinate < TWIST_COUNT; coordinate++) {
+            const co = setTwist(coordinate);
+            moves.forEach((move, i) => {
+                twist[coordinate * moves.length + i] = getTwist(move.cp.map((corner, slot) => (co[corner] + move.co[slot]) % 3));
+            });
+        }
+
+        moveTables[metric] = { permutation, twist };
+    }
+    return moveTables[metric];
+}
+
+/**
+ * State reached by one move
+ * @param {Object} tables - Move tables of the metric
+ * @param {number} state - State index
+ * @param {number} move - Move index within the metric
+ * @param {number} moveCount - Moves in the metric
+ * @returns {number} New state index
+ */
+function applyMoveToState(tables, state, move, moveCount) {
+    const permutation = Math.floor(state / TWIST_COUNT);
+    const twist = state % TWIST_COUNT;
+    return tables.permutation[permutation * moveCount + move] * TWIST_COUNT + tables.twist[twist * moveCount + move];
+}
+
+// ========================= DISTANCE TABLES =========================
+
+const TABLE_VERSION = 2;
+
+/**
+ * A cache file holds one metric's distance table
+ */
+const TABLE_LAYOUT = [['distances', Uint8Array, STATE_COUNT]];
+
+const distanceTables = {};
+
+/**
+ * Cache file of a metric's distance table
+ * @param {string} metric - 'htm' or 'qtm'
+ * @returns {string} Absolute path
+ */
+function getTablePath(metric) {
+    return fileURLToPath(new URL(`../data/optimal-2x2x2-${metric}.bin`, import.meta.url));
+}
+
+/**
+ * Build the distance table of a metric by breadth-first search from solved
+ * @param {string} metric - 'htm' or 'qtm'
+ * @returns {Uint8Array} Exact distance of every state
+ */
+function buildDistanceTable(metric) {
+    const tables = getMoveTables(metric);
+    const moveCount = METRIC_MOVES[metric].length;
+    const distances = new Uint8Array(STATE_COUNT).fill(UNVISITED);
+    distances[0] = 0;
+
+    for (let depth = 0, expanded = 1; expanded > 0; depth++) {
+        expanded = 0;
+        for (let state = 0; state < STATE_COUNT; state++) {
+            if (distances[state] !== depth) continue;
+            for (let move = 0; move < moveCount; move++) {
+                const next = applyMoveToState(tables, state, move, moveCount);
+                if (distances[next] === UNVISITED) {
+                    distances[next] = depth + 1;
+                    expanded++;
+                }
+            }
+        }
+    }
+
+    return distances;
+}
+
+/**
+ * Get the distance table of a metric, loading or generating it once
+ * @param {string} metric - 'htm' or 'qtm'
+ * @returns {Uint8Array} Exact distance to solved of every state
+ */
+export function getDistanceTable(metric = 'htm') {
+    if (!METRIC_MOVES[metric]) {
+        throw new Error(`Unknown metric: ${metric} (expected ${METRICS.join(' or ')})`);
+    }
+    if (!distanceTables[metric]) {
+        distanceTables[metric] = readTableCache(getTablePath(metric), TABLE_VERSION, TABLE_LAYOUT)?.distances;
+        if (!distanceTables[metric]) {
+            distanceTables[metric] = buildDistanceTable(metric);
+            writeTableCache(getTablePath(metric), TABLE_VERSION, TABLE_LAYOUT, { distances: distanceTables[metric] },
+                `2x2x2 ${metric} distance table`);
+        }
+    }
+    return distanceTables[metric];
+}
+
+// ========================= OPTIMAL SOLVER =========================
+
+/**
+ * Index of a cube in the distance tables
+ * @param {Object} cubeState - 2x2x2 cube state
+ * @returns {number} State index
+ * @throws {Error} If the cube cannot be reached by legal moves
+ */
+function getCubeIndex(cubeState) {
+    if (cubeState.cubeType !== '2x2x2') {
+        throw new Error(`Optimal solver only supports 2x2x2 cubes, got ${cubeState.cubeType}`);
+    }
+
+    // Read against the DBL corner, so it is always home and unturned
+    const cubie = stickersToCubie(cubeState);
+    const cubieError = getCubieError(cubie);
+    if (cubieError) {
+        throw new Error(cubieError);
+    }
+    return getStateIndex(cubie);
+}
+
+/**
+ * Exact number of moves needed to solve a 2x2x2
+ * @param {Object} cubeState - 2x2x2 cube state
+ * @param {string} metric - 'htm' (default) or 'qtm'
+ * @returns {number} Distance to solved
+ */
+export function getOptimalDistance(cubeState, metric = 'htm') {
+    return getDistanceTable(metric)[getCubeIndex(cubeState)];
+}
+
+/**
+ * Find a shortest solution of a 2x2x2
+ * Quarter turns of the same face found back to back in QTM are written as
+ * one half turn, which still counts as two moves in that metric.
+ * @param {Object} cubeState - 2x2x2 cube state (any orientation)
+ * @param {string} metric - 'htm' (default) or 'qtm'
+ * @returns {{metric: string, distance: number, moves: string[]}} Optimal solution
+ */
+export function findOptimalSolution(cubeState, metric = 'htm') {
+    const distances = getDistanceTable(metric);
+    const tables = getMoveTables(metric);
+    const moveNames = METRIC_MOVES[metric];
+    const moves = [];
+
+    let state = getCubeIndex(cubeState);
+    const distance = distances[state];
+
+    for (let remaining = distance; remaining > 0; remaining--) {
+        const move = moveNames.findIndex((_, i) => distances[applyMoveToState(tables, state, i, moveNames.length)] === remaining - 1);
+        state = applyMoveToState(tables, state, move, moveNames.length);
+
+        if (moves.length > 0 && moves[moves.length - 1] === moveNames[move]) {
+            moves[moves.length - 1] = `${moveNames[move][0]}2`;
+        } else {
+            moves.push(moveNames[move]);
+        }
+    }
+
+    return { metric, distance, moves };
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Tables
+    METRICS,
+    getDistanceTable,
+
+    // Solver
+    getOptimalDistance,
+    findOptimalSolution
+};
@@ -0,0 +1,398 @@
+/**
+ * 3x3x3 Cube Solver - Roux Method
+ *
+ * Phase 1: First Block  - 1x2x3 block on the left (DL, FL, BL, DLF, DBL)
+ * Phase 2: Second Block - 1x2x3 block on the right (DR, FR, BR, DFR, DRB),
+ *                         built with R, r, U and M so the first block stays
+ * Phase 3: CMLL         - the four U corners with one of 42 algorithms
+ * Phase 4: L6E          - the last six edges and the M slice centers, using
+ *                         only M and U: edge orientation, UL/UR, then the
+ *                         M slice edges
+ *
+ * The blocks are found by IDA* over the positions of their five pieces, and
+ * each L6E step by a breadth-first search over the six edges, so every step
+ * is as short as its move set allows. Solutions use the phases format of the
+ * CFOP solver (solveCube3x3 with method 'roux').
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { cloneCubeState, createSolvedCube, FACE_NAMES } from '../utils/cubeStructures.js';
+import { applyMoves, invertMoveSequence, isCubeSolved } from '../utils/moveEngine.js';
+import {
+    getFaceOf,
+    getMoveTable,
+    locatePieces,
+    PIECE_SLOTS,
+    searchPieces,
+    trackPiece,
+    withTurns
+} from '../utils/pieceTracking.js';
+
+// ========================= BLOCK BUILDING =========================
+
+/**
+ * Longest block solution searched for; optimal blocks are far shorter
+ */
+const BLOCK_MAX_DEPTH = 16;
+
+/**
+ * First block: the left 1x2x3, built with any outer turn
+ * @type {PieceStep}
+ */
+const FIRST_BLOCK = {
+    name: 'First Block',
+    pieces: ['DL', 'FL', 'BL', 'DLF', 'DBL'].map(slot => trackPiece(slot, 'L')),
+    moves: withTurns(['U', 'D', 'F', 'B', 'L', 'R']),
+    // The back square plus the front edge, and the front square plus the back edge
+    pruningSubsets: [[0, 2, 4, 1], [0, 1, 3, 2]]
+};
+
+/**
+ * Second block: the right 1x2x3, built with moves that never touch the first block
+ * @type {PieceStep}
+ */
+const SECOND_BLOCK = {
+    name: 'Second Block',
+    pieces: ['DR', 'FR', 'BR', 'DFR', 'DRB'].map(slot => trackPiece(slot, 'R')),
+    moves: withTurns(['U', 'R', 'r', 'M']),
+    pruningSubsets: [[0, 2, 4, 1], [0, 1, 3, 2]]
+};
+
+/**
+ * Build one block
+ * @param {PieceStep} block - Block step
+ * @param {Object} cubeState - Current cube state
+ * @param {Object} faceColors - Color of each face when solved
+ * @returns {{moves: string[], casesUsed: string[]}} Moves of the block
+ * @throws {Error} If the block cannot be built
+ */
+function solveBlock(block, cubeState, faceColors) {
+    const moves = searchPieces(block, locatePieces(cubeState, block.pieces, faceColors), BLOCK_MAX_DEPTH);
+    if (!moves) {
+        throw new Error(`Could not build the ${block.name.toLowerCase()}`);
+    }
+    return { moves, casesUsed: [] };
+}
+
+// ========================= CMLL (CORNERS OF THE LAST LAYER) =========================
+
+/**
+ * @typedef {Object} CMLLCase
+ * @property {string} name - Case name, group plus number (e.g. "Pi 3")
+ * @property {string} group - Corner orientation group (O, H, Pi, U, T, Sune, Antisune, L)
+ * @property {string} algorithm - Algorithm that keeps both blocks
+ */
+
+/**
+ * Versioned dataset of the 42 CMLL cases
+ */
+const CMLL_DATASET = JSON.parse(readFileSync(fileURLToPath(new URL('../data/cmll-cases.json', import.meta.url)), 'utf8'));
+
+/** @type {CMLLCase[]} */
+const CMLL_CASES = CMLL_DATASET.cases;
+
+const CMLL_SKIP = { name: 'CMLL Skip', group: 'Skip', algorithm: '' };
+
+/**
+ * U layer corner slots in getCMLLPattern order
+ */
+const CMLL_CORNERS = ['URF', 'UFL', 'ULB', 'UBR'];
+
+const U_TURNS = ['', 'U', 'U2', "U'"];
+
+/**
+ * Face colors of a cube whose two blocks are solved
+ * M moves take the U, F, D and B centers away, so D, F and B are read from
+ * the first block and U is the one center color left over.
+ * @param {Object} cubeState - 3x3x3 cube state
+ * @returns {Object} Color of each face when solved
+ */
+function getBlockFaceColors(cubeState) {
+    const { faces } = cubeState;
+    const colors = { L: faces.L[4], R: faces.R[4], D: faces.D[0], F: faces.F[6], B: faces.B[8] };
+    colors.U = FACE_NAMES.map(face => faces[face][4]).find(color => !Object.values(colors).includes(color));
+    return colors;
+}
+
+/**
+ * Get the CMLL pattern of the U corners
+ * Two digits per slot (URF, UFL, ULB, UBR): the slot the corner belongs in,
+ * and which of its stickers shows the U color ('-' for a foreign piece).
+ * @param {Object} cubeState - 3x3x3 cube state
+ * @param {Object} faceColors - Color of each face when solved (default: read from the blocks)
+ * @returns {string} 8-character pattern
+ */
+export function getCMLLPattern(cubeState, faceColors = getBlockFaceColors(cubeState)) {
+    const sortedColors = colors => [...colors].sort().join('');
+
+    return CMLL_CORNERS.map(slot => {
+        const colors = PIECE_SLOTS[slot].map(([face, index]) => cubeState.faces[face][index]);
+        const home = CMLL_CORNERS.findIndex(name =>
+            sortedColors(PIECE_SLOTS[name].map(([face]) => faceColors[face])) === sortedColors(colors));
+        const twist = colors.indexOf(faceColors.U);
+        return home < 0 || twist < 0 ? '--' : `${home}${twist}`;
+    }).join('');
+}
+
+let cmllCaseTable = null;
+
+/**
+ * Every U corner pattern, with the case and U turns that solve it
+ * Each case's state is built by undoing pre-AUF, algorithm and post-AUF on a
+ * solved cube; the shortest solution wins when two combinations give a
+ * pattern. The post-AUF is not part of the moves: L6E turns U anyway.
+ * @returns {Map<string, Object>} Pattern to solution
+ */
+function getCMLLCaseTable() {
+    if (!cmllCaseTable) {
+        cmllCaseTable = new Map();
+        const solved = createSolvedCube('3x3x3');
+
+        for (const cmllCase of [CMLL_SKIP, ...CMLL_CASES]) {
+            const preTurns = cmllCase.algorithm ? U_TURNS : [''];
+            for (const preAdjustment of preTurns) {
+                for (const postAdjustment of U_TURNS) {
+                    const moves = [preAdjustment, cmllCase.algorithm].filter(Boolean).join(' ').split(' ').filter(Boolean);
+                    const pattern = getCMLLPattern(applyMoves(solved, invertMoveSequence([...moves, postAdjustment].join(' '))));
+                    const known = cmllCaseTable.get(pattern);
+
+                    if (!known || moves.length < known.moves.length) {
+                        cmllCaseTable.set(pattern, { ...cmllCase, preAdjustment, postAdjustment, moves });
+                    }
+                }
+            }
+        }
+    }
+    return cmllCaseTable;
+}
+
+/**
+ * Recognize the CMLL case of a cube whose two blocks are solved
+ * @param {Object} cubeState - 3x3x3 cube state
+ * @param {Object} faceColors - Color of each face when solved (default: read from the blocks)
+ * @returns {Object|null} Case with preAdjustment, postAdjustment (left to L6E) and moves, or null
+ */
+export function recognizeCMLLCase(cubeState, faceColors = getBlockFaceColors(cubeState)) {
+    return getCMLLCaseTable().get(getCMLLPattern(cubeState, faceColors)) || null;
+}
+
+/**
+ * Solve the U corners with one algorithm, leaving them a U turn from solved
+ * @param {Object} cubeState - Current cube state
+ * @param {Object} faceColors - Color of each face when solved
+ * @returns {{moves: string[], casesUsed: string[]}} Moves of the step
+ * @throws {Error} If the corners are not a CMLL case
+ */
+function solveCMLL(cubeState, faceColors) {
+    const match = recognizeCMLLCase(cubeState, faceColors);
+    if (!match) {
+        throw new Error(`U corners (pattern ${getCMLLPattern(cubeState, faceColors)}) are not a CMLL case`);
+    }
+    return { moves: match.moves, casesUsed: [match.name] };
+}
+
+/**
+ * Get the CMLL algorithms reference
+ * @returns {Object} Cases, cases per group and dataset version
+ */
+export function getCMLLAlgorithms() {
+    const groups = {};
+    for (const cmllCase of CMLL_CASES) {
+        (groups[cmllCase.group] = groups[cmllCase.group] || []).push(cmllCase);
+    }
+
+    return {
+        version: CMLL_DATASET.version,
+        cases: CMLL_CASES,
+        groups,
+        totalCases: CMLL_CASES.length,
+        description: 'CMLL (Corners of the Last Layer, M slice free) algorithms for the Roux method'
+    };
+}
+
+// ========================= L6E (LAST SIX EDGES) =========================
+
+/**
+ * Pieces L6E moves: the six edges by their U/D sticker, the U center and the
+ * URF corner, which tells how far the U layer is turned
+ */
+const L6E_PIECES = [
+    ...['UF', 'UB', 'UL', 'UR'].map(slot => trackPiece(slot, 'U')),
+    ...['DF', 'DB'].map(slot => trackPiece(slot, 'D')),
+    trackPiece('U', 'U'),
+    trackPiece('URF', 'U')
+];
+
+const L6E_EDGES = [0, 1, 2, 3, 4, 5];
+const [L6E_UL, L6E_UR, L6E_CENTER, L6E_CORNER] = [2, 3, 6, 7];
+
+const L6E_MOVES = withTurns(['M', 'U']);
+
+/**
+ * Whether the U center sits on U or D
+ * @param {number[]} positions - Tracked L6E positions
+ * @returns {boolean} True if the centers are upright or upside down
+ */
+function hasUprightCenters(positions) {
+    return ['U', 'D'].includes(getFaceOf(positions[L6E_CENTER]));
+}
+
+/**
+ * Whether a tracked piece is in its solved position
+ * @param {number[]} positions - Tracked L6E positions
+ * @param {number} piece - Index in L6E_PIECES
+ * @returns {boolean} True if solved
+ */
+function isL6EPieceSolved(positions, piece) {
+    return positions[piece] === L6E_PIECES[piece].home;
+}
+
+/**
+ * The three L6E steps, each with the positions it finishes in
+ */
+const L6E_STEPS = [
+    {
+        name: 'L6E Edge Orientation',
+        // Every U/D sticker on U or D, so M2 and U can finish the edges
+        isDone: positions => hasUprightCenters(positions) &&
+            L6E_EDGES.every(edge => ['U', 'D'].includes(getFaceOf(positions[edge])))
+    },
+    {
+        name: 'L6E UL/UR',
+        isDone: positions => L6E_STEPS[0].isDone(positions) &&
+            [L6E_UL, L6E_UR, L6E_CORNER].every(piece => isL6EPieceSolved(positions, piece))
+    },
+    {
+        name: 'L6E Edge Permutation',
+        isDone: positions => L6E_PIECES.every((_, piece) => isL6EPieceSolved(positions, piece))
+    }
+];
+
+/**
+ * Shortest M/U sequence that reaches a step's goal, by breadth-first search
+ * @param {number[]} start - Tracked L6E positions
+ * @param {Function} isDone - Goal test on tracked positions
+ * @returns {string[]|null} Moves, or null if the goal cannot be reached
+ */
+function searchL6E(start, isDone) {
+    if (isDone(start)) {
+        return [];
+    }
+
+    const moveTables = L6E_MOVES.map(getMoveTable);
+    const parents = new Map([[start.join(), null]]);
+    let frontier = [start];
+
+    while (frontier.length > 0) {
+        const next = [];
+        for (const positions of frontier) {
+            const key = positions.join();
+            for (let move = 0; move < L6E_MOVES.length; move++) {
+                const moved = positions.map(position => moveTables[move][position]);
+                const movedKey = moved.join();
+                if (parents.has(movedKey)) continue;
+
+                parents.set(movedKey, { key, move: L6E_MOVES[move] });
+                if (isDone(moved)) {
+                    const moves = [];
+                    for (let step = parents.get(movedKey); step; step = parents.get(step.key)) {
+                        moves.unshift(step.move);
+                    }
+                    return moves;
+                }
+                next.push(moved);
+            }
+        }
+        frontier = next;
+    }
+    return null;
+}
+
+/**
+ * Solve one L6E step
+ * @param {Object} step - Entry of L6E_STEPS
+ * @param {Object} cubeState - Current cube state
+ * @param {Object} faceColors - Color of each face when solved
+ * @returns {{moves: string[], casesUsed: string[]}} Moves of the step
+ * @throws {Error} If the step cannot be reached with M and U
+ */
+function solveL6EStep(step, cubeState, faceColors) {
+    const moves = searchL6E(locatePieces(cubeState, L6E_PIECES, faceColors), step.isDone);
+    if (!moves) {
+        throw new Error(`${step.name} cannot be reached with M and U moves`);
+    }
+    return { moves, casesUsed: [] };
+}
+
+// ========================= ROUX SOLVER =========================
+
+/**
+ * Roux phases in solving order
+ */
+const ROUX_PHASES = [
+    { name: FIRST_BLOCK.name, solve: (cubeState, faceColors) => solveBlock(FIRST_BLOCK, cubeState, faceColors) },
+    { name: SECOND_BLOCK.name, solve: (cubeState, faceColors) => solveBlock(SECOND_BLOCK, cubeState, faceColors) },
+    { name: 'CMLL', solve: solveCMLL },
+    ...L6E_STEPS.map(step => ({ name: step.name, solve: (cubeState, faceColors) => solveL6EStep(step, cubeState, faceColors) }))
+];
+
+/**
+ * Roux solver
+ * Blocks and L6E steps are searched, CMLL is one algorithm from the 42-case table.
+ * @param {Object} cubeState - Scrambled 3x3x3 cube state, centers in place
+ * @returns {Object} Solution with one phase per step
+ */
+export function solveRoux(cubeState) {
+    const startTime = Date.now();
+    const faceColors = Object.fromEntries(FACE_NAMES.map(face => [face, cubeState.faces[face][4]]));
+    let workingState = cloneCubeState(cubeState);
+    const solution = {
+        success: false,
+        totalMoves: 0,
+        phases: [],
+        method: 'Roux',
+        moveSequence: [],
+        executionTime: 0
+    };
+
+    for (const phase of ROUX_PHASES) {
+        let result;
+        try {
+            result = phase.solve(workingState, faceColors);
+        } catch (error) {
+            solution.phases.push({ name: phase.name, success: false, error: error.message });
+            solution.error = error.message;
+            break;
+        }
+
+        workingState = applyMoves(workingState, result.moves);
+        solution.phases.push({
+            name: phase.name,
+            success: true,
+            moves: result.moves.length,
+            algorithms: result.casesUsed.length,
+            casesUsed: result.casesUsed,
+            moveSequence: result.moves
+        });
+        solution.moveSequence.push(...result.moves);
+        solution.totalMoves += result.moves.length;
+    }
+
+    solution.success = !solution.error && isCubeSolved(workingState);
+    solution.finalState = workingState;
+    solution.executionTime = Date.now() - startTime;
+    return solution;
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // CMLL
+    getCMLLPattern,
+    recognizeCMLLCase,
+    getCMLLAlgorithms,
+
+    // Complete Roux solver
+    solveRoux
+};
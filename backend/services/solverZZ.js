@@ -0,0 +1,468 @@
+/**
+ * 3x3x3 Cube Solver - ZZ Method
+ *
+ * Phase 1: EOLine      - every edge oriented, DF and DB placed
+ * Phase 2: Left Block  - 1x2x3 block on the left, built with R, U and L
+ * Phase 3: Right Block - 1x2x3 block on the right, same moves
+ * Phase 4: COLL + EPLL - the U corners with one of 40 algorithms that keep the
+ *                        edges oriented, then an edge-only PLL; or OCLL + PLL
+ *                        when the corners are already oriented
+ *
+ * EOLine is found by IDA* over the edge orientation and the DF/DB positions,
+ * and the blocks by IDA* over their pieces. The last layer reuses the CFOP OLL
+ * and PLL solvers of solver3x3x3.js, which imports this module back; the two
+ * only call each other while solving. Solutions use the phases format of the
+ * CFOP solver (solveCube3x3 with method 'zz').
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { cloneCubeState, createSolvedCube, FACE_NAMES } from '../utils/cubeStructures.js';
+import { applyMoves, invertMoveSequence } from '../utils/moveEngine.js';
+import { check3x3x3EdgeOrientationParity } from '../utils/solvability.js';
+import {
+    getFlatIndex,
+    getMoveTable,
+    locatePieces,
+    PIECE_SLOTS,
+    searchPieces,
+    trackPiece,
+    withTurns
+} from '../utils/pieceTracking.js';
+import { getCMLLPattern } from './solverRoux.js';
+import { applyMoveSequence3x3, isCubeSolved3x3, solveOLL, solvePLL } from './solver3x3x3.js';
+
+// ========================= COLL DATASET =========================
+
+/**
+ * @typedef {Object} COLLCase
+ * @property {string} name - Case name, group plus number (e.g. "Pi 3")
+ * @property {string} group - Corner orientation group (H, Pi, U, T, Sune, Antisune, L)
+ * @property {string} algorithm - Algorithm that keeps F2L and the U edge orientation
+ */
+
+/**
+ * Versioned dataset of the 40 COLL cases
+ * Every algorithm solves the U corners and leaves the U edges oriented, so
+ * one of the four edge-only PLLs (EPLL) finishes the cube.
+ */
+const COLL_DATASET = JSON.parse(readFileSync(fileURLToPath(new URL('../data/coll-cases.json', import.meta.url)), 'utf8'));
+
+/** @type {COLLCase[]} */
+const COLL_CASES = COLL_DATASET.cases;
+
+// ========================= EOLINE AND BLOCKS =========================
+
+/**
+ * Edge slots in cubie order; bit i of an orientation mask is the slot's flip
+ */
+const ZZ_EDGE_SLOTS = ['UR', 'UF', 'UL', 'UB', 'DR', 'DF', 'DL', 'DB', 'FR', 'FL', 'BL', 'BR'];
+
+const ZZ_EOLINE_MOVES = withTurns(['U', 'D', 'F', 'B', 'L', 'R']);
+
+/**
+ * DF and DB, followed by their D stickers
+ */
+const ZZ_LINE_PIECES = ['DF', 'DB'].map(slot => trackPiece(slot, 'D'));
+
+const ZZ_MAX_DEPTH = 20;
+
+/**
+ * Left 1x2x3 block, built with R, U and L so edge orientation is kept
+ * @type {PieceStep}
+ */
+const ZZ_LEFT_BLOCK = {
+    name: 'Left Block',
+    pieces: ['DL', 'FL', 'BL', 'DLF', 'DBL'].map(slot => trackPiece(slot, 'L')),
+    moves: withTurns(['R', 'U', 'L']),
+    pruningSubsets: [[0, 2, 4, 1], [0, 1, 3, 2]]
+};
+
+/**
+ * Right 1x2x3 block; the left block is part of the goal, so L moves are undone
+ * @type {PieceStep}
+ */
+const ZZ_RIGHT_BLOCK = {
+    name: 'Right Block',
+    pieces: [...['DR', 'FR', 'BR', 'DFR', 'DRB'].map(slot => trackPiece(slot, 'R')), ...ZZ_LEFT_BLOCK.pieces],
+    moves: ZZ_LEFT_BLOCK.moves,
+    pruningSubsets: [[0, 2, 4, 1], [0, 1, 3, 2], [5, 7, 9, 6], [5, 6, 8, 7]]
+};
+
+let zzEdgeMoves = null;
+let eoLineTables = null;
+
+/**
+ * Split an algorithm into its moves
+ * @param {string} moveString - Space separated moves
+ * @returns {string[]} Moves
+ */
+function splitMoves(moveString) {
+    return (moveString || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Edge orientation mask of a cube, read by the solvability check
+ * An edge is flipped when its U/D sticker (F/B sticker for E slice edges) is
+ * not on the U/D (F/B) side of its slot; R, L, U and D never change that.
+ * @param {Object} cubeState - 3x3x3 cube state
+ * @returns {number} 12-bit mask of flipped edges
+ * @throws {Error} If the edges cannot be oriented
+ */
+function getEdgeOrientationMask(cubeState) {
+    const result = check3x3x3EdgeOrientationParity(cubeState);
+    if (!result.isValid) {
+        throw new Error(result.error.message);
+    }
+    return result.orientations.reduce((mask, { position, orientation }) =>
+        mask | (orientation << ZZ_EDGE_SLOTS.indexOf(position)), 0);
+}
+
+/**
+ * Where each edge slot goes under every EOLine move, and whether it flips
+ * @returns {Array<Array<[number, number]>>} Per move, [target slot, flip] for each slot
+ */
+function getZZEdgeMoves() {
+    if (!zzEdgeMoves) {
+        const slotOfSticker = new Map();
+        const primaryStickers = new Set();
+        ZZ_EDGE_SLOTS.forEach((slot, index) => {
+            PIECE_SLOTS[slot].forEach(([face, sticker]) => slotOfSticker.set(getFlatIndex(face, sticker), index));
+            primaryStickers.add(getFlatIndex(...PIECE_SLOTS[slot][0]));
+        });
+
+        zzEdgeMoves = ZZ_EOLINE_MOVES.map(move => {
+            const table = getMoveTable(move);
+            return ZZ_EDGE_SLOTS.map(slot => {
+                const target = table[getFlatIndex(...PIECE_SLOTS[slot][0])];
+                return [slotOfSticker.get(target), primaryStickers.has(target) ? 0 : 1];
+            });
+        });
+    }
+    return zzEdgeMoves;
+}
+
+/**
+ * Apply an EOLine move to an edge orientation mask
+ * @param {number} mask - Mask of flipped edges
+ * @param {number} move - Index in ZZ_EOLINE_MOVES
+ * @returns {number} Mask after the move
+ */
+function moveEdgeOrientation(mask, move) {
+    return getZZEdgeMoves()[move].reduce((moved, [target, flip], slot) =>
+        ((mask >> slot) & 1) ^ flip ? moved | (1 << target) : moved, 0);
+}
+
+/**
+ * Exact distances to oriented edges and to a placed DF/DB line
+ * @returns {{orientation: Uint8Array, line: Uint8Array}} Distance tables
+ */
+function getEOLineTables() {
+    if (!eoLineTables) {
+        const orientation = new Uint8Array(1 << ZZ_EDGE_SLOTS.length).fill(255);
+        orientation[0] = 0;
+        for (let depth = 1, frontier = [0]; frontier.length > 0; depth++) {
+            const next = [];
+            for (const mask of frontier) {
+                ZZ_EOLINE_MOVES.forEach((_, move) => {
+                    const moved = moveEdgeOrientation(mask, move);
+                    if (orientation[moved] === 255) {
+                        orientation[moved] = depth;
+                        next.push(moved);
+                    }
+                });
+            }
+            frontier = next;
+        }
+
+        const line = new Uint8Array(54 * 54).fill(255);
+        const moveTables = ZZ_EOLINE_MOVES.map(getMoveTable);
+        const [df, db] = ZZ_LINE_PIECES.map(piece => piece.home);
+        line[df * 54 + db] = 0;
+        for (let depth = 1, frontier = [[df, db]]; frontier.length > 0; depth++) {
+            const next = [];
+            for (const positions of frontier) {
+                for (const table of moveTables) {
+                    const moved = positions.map(position => table[position]);
+                    if (line[moved[0] * 54 + moved[1]] === 255) {
+                        line[moved[0] * 54 + moved[1]] = depth;
+                        next.push(moved);
+                    }
+                }
+            }
+            frontier = next;
+        }
+
+        eoLineTables = { orientation, line };
+    }
+    return eoLineTables;
+}
+
+/**
+ * Shortest EOLine, by IDA* on the edge orientation mask and the DF/DB positions
+ * @param {number} mask - Mask of flipped edges
+ * @param {number[]} line - Positions of the DF and DB pieces
+ * @returns {string[]|null} Moves, or null if none within ZZ_MAX_DEPTH
+ */
+function searchEOLine(mask, line) {
+    const { orientation, line: lineDistances } = getEOLineTables();
+    const moveTables = ZZ_EOLINE_MOVES.map(getMoveTable);
+    const estimate = (edges, df, db) => Math.max(orientation[edges], lineDistances[df * 54 + db]);
+    const path = [];
+
+    const search = (edges, df, db, depth, bound, lastFace) => {
+        const remaining = estimate(edges, df, db);
+        if (remaining === 0) return true;
+        if (depth + remaining > bound) return false;
+
+        for (let move = 0; move < ZZ_EOLINE_MOVES.length; move++) {
+            const face = ZZ_EOLINE_MOVES[move][0];
+            if (face === lastFace) continue;
+
+            path.push(ZZ_EOLINE_MOVES[move]);
+            if (search(moveEdgeOrientation(edges, move), moveTables[move][df], moveTables[move][db], depth + 1, bound, face)) {
+                return true;
+            }
+            path.pop();
+        }
+        return false;
+    };
+
+    for (let bound = estimate(mask, ...line); bound <= ZZ_MAX_DEPTH; bound++) {
+        if (search(mask, ...line, 0, bound, null)) {
+            return path;
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether every edge is oriented and DF/DB are solved
+ * @param {Object} cubeState - 3x3x3 cube state
+ * @returns {boolean} True if EOLine is complete
+ */
+export function isEOLineComplete(cubeState) {
+    const colors = getZZFaceColors(cubeState);
+    return getEdgeOrientationMask(cubeState) === 0 &&
+        locatePieces(cubeState, ZZ_LINE_PIECES, colors).every((position, i) => position === ZZ_LINE_PIECES[i].home);
+}
+
+/**
+ * Face colors of a cube, from its centers
+ * @param {Object} cubeState - 3x3x3 cube state
+ * @returns {Object} Color of each face when solved
+ */
+function getZZFaceColors(cubeState) {
+    return Object.fromEntries(FACE_NAMES.map(face => [face, cubeState.faces[face][4]]));
+}
+
+// ========================= COLL (CORNERS OF THE LAST LAYER) =========================
+
+/**
+ * AUF turns tried around each COLL algorithm
+ */
+const U_TURNS = ['', 'U', 'U2', "U'"];
+
+let collCaseTable = null;
+
+/**
+ * Recognize the COLL case of a cube with F2L solved and the U edges oriented
+ * Cases are told apart by the same U corner pattern as CMLL.
+ * @param {Object} cubeState - 3x3x3 cube state
+ * @returns {Object|null} Case with preAdjustment and moves, or null when the
+ *     U edges are not oriented or the corners need no COLL
+ */
+export function recognizeCOLLCase(cubeState) {
+    const colors = getZZFaceColors(cubeState);
+    if ([1, 3, 5, 7].some(index => cubeState.faces.U[index] !== colors.U)) {
+        return null;
+    }
+
+    if (!collCaseTable) {
+        collCaseTable = new Map();
+        const solved = createSolvedCube('3x3x3');
+        for (const collCase of COLL_CASES) {
+            for (const preAdjustment of U_TURNS) {
+                for (const postAdjustment of U_TURNS) {
+                    const moves = splitMoves(`${preAdjustment} ${collCase.algorithm}`);
+                    const caseState = applyMoves(solved, invertMoveSequence([...moves, postAdjustment].join(' ')));
+                    const pattern = getCMLLPattern(caseState, getZZFaceColors(solved));
+                    const known = collCaseTable.get(pattern);
+                    if (!known || moves.length < known.moves.length) {
+                        collCaseTable.set(pattern, { ...collCase, preAdjustment, moves });
+                    }
+                }
+            }
+        }
+    }
+    return collCaseTable.get(getCMLLPattern(cubeState, colors)) || null;
+}
+
+/**
+ * Get the COLL algorithms reference
+ * @returns {Object} Cases, cases per group and dataset version
+ */
+export function getCOLLAlgorithms() {
+    const groups = {};
+    for (const collCase of COLL_CASES) {
+        (groups[collCase.group] = groups[collCase.group] || []).push(collCase);
+    }
+
+    return {
+        version: COLL_DATASET.version,
+        cases: COLL_CASES,
+        groups,
+        totalCases: COLL_CASES.length,
+        description: 'COLL (Corners of the Last Layer, edges oriented) algorithms for the ZZ method'
+    };
+}
+
+// ========================= ZZ STEPS =========================
+
+/**
+ * Apply moves for a ZZ step and record them
+ * @param {Object} cubeState - Cube state (modified in place)
+ * @param {Object} record - Step record ({ moves, casesUsed })
+ * @param {string[]} moves - Moves to apply
+ * @param {string} caseName - Case the moves solve, if any
+ */
+function applyZZMoves(cubeState, record, moves, caseName) {
+    applyMoveSequence3x3(cubeState, moves.join(' '));
+    record.moves.push(...moves);
+    if (caseName) {
+        record.casesUsed.push(caseName);
+    }
+}
+
+/**
+ * Solve a last layer step with the CFOP OLL or PLL solver
+ * @param {Function} solver - solveOLL or solvePLL
+ * @param {Object} cubeState - Cube state (modified in place)
+ * @param {Object} record - Step record
+ * @throws {Error} If the solver fails
+ */
+function solveZZWithCFOP(solver, cubeState, record) {
+    const result = solver(cubeState);
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+    for (const algorithm of result.appliedAlgorithms) {
+        record.moves.push(...splitMoves(algorithm.algorithm));
+        record.casesUsed.push(algorithm.name);
+    }
+}
+
+/**
+ * F2L steps of the ZZ method, in solving order
+ */
+const ZZ_F2L_STEPS = [
+    {
+        name: 'EOLine',
+        solve: (cubeState, record) => {
+            const moves = searchEOLine(getEdgeOrientationMask(cubeState),
+                locatePieces(cubeState, ZZ_LINE_PIECES, getZZFaceColors(cubeState)));
+            if (!moves) {
+                throw new Error('Could not orient the edges and place DF and DB');
+            }
+            applyZZMoves(cubeState, record, moves);
+        }
+    },
+    ...[ZZ_LEFT_BLOCK, ZZ_RIGHT_BLOCK].map(block => ({
+        name: block.name,
+        solve: (cubeState, record) => {
+            const moves = searchPieces(block, locatePieces(cubeState, block.pieces, getZZFaceColors(cubeState)), ZZ_MAX_DEPTH);
+            if (!moves) {
+                throw new Error(`Could not build the ${block.name.toLowerCase()} with R, U and L`);
+            }
+            applyZZMoves(cubeState, record, moves);
+        }
+    }))
+];
+
+/**
+ * Last layer steps: COLL + EPLL when the corners have a COLL case
+ */
+const ZZ_COLL_STEPS = [
+    {
+        name: 'COLL',
+        solve: (cubeState, record) => {
+            const match = recognizeCOLLCase(cubeState);
+            applyZZMoves(cubeState, record, match.moves, match.name);
+        }
+    },
+    { name: 'EPLL', solve: (cubeState, record) => solveZZWithCFOP(solvePLL, cubeState, record) }
+];
+
+/**
+ * Last layer steps otherwise (corners already oriented)
+ */
+const ZZ_OCLL_STEPS = [
+    { name: 'OCLL', solve: (cubeState, record) => solveZZWithCFOP(solveOLL, cubeState, record) },
+    { name: 'PLL', solve: (cubeState, record) => solveZZWithCFOP(solvePLL, cubeState, record) }
+];
+
+// ========================= ZZ SOLVER =========================
+
+/**
+ * ZZ solver
+ * EOLine and the blocks are searched; afterwards only R, U and L are needed
+ * until the last layer, which never has flipped edges.
+ * @param {Object} cubeState - Scrambled 3x3x3 cube state, centers in place
+ * @returns {Object} Solution with one phase per step
+ */
+export function solveZZ(cubeState) {
+    const startTime = Date.now();
+    const workingState = cloneCubeState(cubeState);
+    const solution = {
+        success: false,
+        totalMoves: 0,
+        phases: [],
+        method: 'ZZ',
+        moveSequence: [],
+        executionTime: 0
+    };
+
+    const runStep = step => {
+        const record = { moves: [], casesUsed: [] };
+        try {
+            step.solve(workingState, record);
+        } catch (error) {
+            solution.phases.push({ name: step.name, success: false, error: error.message });
+            solution.error = error.message;
+            return false;
+        }
+
+        solution.phases.push({
+            name: step.name,
+            success: true,
+            moves: record.moves.length,
+            algorithms: record.casesUsed.length,
+            casesUsed: record.casesUsed,
+            moveSequence: record.moves
+        });
+        solution.moveSequence.push(...record.moves);
+        solution.totalMoves += record.moves.length;
+        return true;
+    };
+
+    if (ZZ_F2L_STEPS.every(runStep)) {
+        (recognizeCOLLCase(workingState) ? ZZ_COLL_STEPS : ZZ_OCLL_STEPS).every(runStep);
+    }
+
+    solution.success = !solution.error && isCubeSolved3x3(workingState);
+    solution.finalState = workingState;
+    solution.executionTime = Date.now() - startTime;
+    return solution;
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // EOLine and COLL
+    isEOLineComplete,
+    recognizeCOLLCase,
+    getCOLLAlgorithms,
+
+    // Complete ZZ solver
+    solveZZ
+};
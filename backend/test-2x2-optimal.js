@@ -0,0 +1,68 @@
+import optimal from './services/solverOptimal2x2x2.js';
+import solver2x2 from './services/solver2x2x2.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { generateScramble, isCubeSolved } from './utils/moveEngine.js';
+import { check, fail, finish, random } from './testHelpers.js';
+
+console.log('🧊 Testing optimal 2x2x2 solver...\n');
+
+// Published distance distributions of the 2x2x2 (God's number 11 HTM, 14 QTM)
+const EXPECTED_COUNTS = {
+  htm: [1, 9, 54, 321, 1847, 9992, 50136, 227536, 870072, 1887748, 623800, 2644],
+  qtm: [1, 6, 27, 120, 534, 2256, 8969, 33058, 114149, 360508, 930588, 1350852, 782536, 90280, 276]
+};
+
+console.log('📋 Distance tables:');
+for (const metric of optimal.METRICS) {
+  const start = Date.now();
+  const distances = optimal.getDistanceTable(metric);
+  const counts = [];
+  distances.forEach(distance => { counts[distance] = (counts[distance] || 0) + 1; });
+  check(`${metric}: every state at its published distance (${Date.now() - start} ms)`,
+    JSON.stringify(counts) === JSON.stringify(EXPECTED_COUNTS[metric]));
+}
+
+console.log('\n📋 Known distances:');
+const solved = cubeUtils.createSolvedCube('2x2x2');
+for (const [scramble, htm, qtm] of [['', 0, 0], ['R', 1, 1], ['R2', 1, 2], ["R U R' U'", 4, 4], ['L', 1, 1], ["x y' R U", 2, 2]]) {
+  const cube = cubeUtils.applyMoveSequence(solved, scramble);
+  check(`"${scramble}" → ${htm} HTM, ${qtm} QTM`,
+    optimal.getOptimalDistance(cube, 'htm') === htm && optimal.getOptimalDistance(cube, 'qtm') === qtm);
+}
+
+const twisted = cubeUtils.createSolvedCube('2x2x2');
+[twisted.faces.U[3], twisted.faces.R[0], twisted.faces.F[1]] = [twisted.faces.R[0], twisted.faces.F[1], twisted.faces.U[3]];
+const throws = fn => { try { fn(); return false; } catch { return true; } };
+check('twisted corner is rejected', throws(() => optimal.getOptimalDistance(twisted)));
+
+console.log('\n🔀 Random scrambles:');
+const numScrambles = 50;
+const totals = { htm: 0, qtm: 0, ortega: 0 };
+
+for (let i = 0; i < numScrambles; i++) {
+  const scramble = generateScramble(2, 25, random);
+  const cube = cubeUtils.applyMoveSequence(solved, scramble);
+
+  for (const metric of optimal.METRICS) {
+    const solution = solver2x2.solve2x2x2(cube, { method: 'optimal', metric });
+    const solves = isCubeSolved(cubeUtils.applyMoveSequence(cube, solution.moveSequence));
+    const quarterTurns = solution.parsedMoves.reduce((sum, move) => sum + Math.abs(move.turns), 0);
+    const length = metric === 'htm' ? solution.totalMoves : quarterTurns;
+    if (!solves || length !== solution.optimalDistance) {
+      fail(`${metric} ${scramble} → ${solution.moveSequence} (${length}, expected ${solution.optimalDistance})`);
+    }
+    totals[metric] += solution.optimalDistance;
+  }
+
+  // A method solution can never beat the optimum
+  const ortega = solver2x2.solve2x2x2(cube, { method: 'ortega' });
+  const { metrics } = solver2x2.analyzeSolution(ortega);
+  if (metrics.movesAboveOptimal < 0 || metrics.optimalMoves !== optimal.getOptimalDistance(cube, 'htm')) {
+    fail(`analysis of ${scramble} reports ${JSON.stringify(metrics)}`);
+  }
+  totals.ortega += ortega.totalMoves;
+}
+
+console.log(`   Average: ${(totals.htm / numScrambles).toFixed(2)} HTM, ${(totals.qtm / numScrambles).toFixed(2)} QTM, Ortega ${(totals.ortega / numScrambles).toFixed(2)} moves`);
+
+finish('optimal 2x2x2');
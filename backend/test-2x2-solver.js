@@ -0,0 +1,77 @@
+import solver from './services/solver2x2x2.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { check, fail, finish, pick } from './testHelpers.js';
+
+console.log('🧊 Testing 2x2x2 Ortega and CLL solvers...\n');
+
+// Every algorithm must be recognized as its own case and solve it
+console.log('📋 OLL cases:');
+for (const ollCase of Object.keys(solver.getOLLAlgorithms())) {
+  const result = solver.testOLLCase(ollCase);
+  check(`${ollCase} (recognized as ${result.recognizedCase})`, result.isCorrect);
+}
+
+console.log('\n📋 PBL cases:');
+for (const pblCase of Object.keys(solver.getPBLAlgorithms())) {
+  const result = solver.testPBLCase(pblCase);
+  check(`${pblCase} (recognized as ${result.recognizedCase})`, result.isCorrect);
+}
+
+const cllCases = Object.keys(solver.getCLLAlgorithms()).filter(name => name !== 'solved');
+console.log(`\n📋 CLL cases: ${cllCases.length} algorithms`);
+for (const cllCase of cllCases) {
+  const algorithm = solver.getCLLAlgorithms()[cllCase];
+  const caseState = solver.applyMoveSequence(cubeUtils.createSolvedCube('2x2x2'), solver.getInverseMoveSequence(algorithm));
+  const recognized = solver.recognizeCLLCase(caseState);
+  if (recognized !== cllCase) {
+    fail(`${cllCase} recognized as ${recognized}`);
+  }
+}
+check('all 42 CLL cases present', cllCases.length === 42);
+
+// Random scrambles, including whole-cube rotations (R L' = x on a 2x2x2)
+console.log('\n🔀 Random scrambles:');
+const faces = ['R', 'L', 'U', 'D', 'F', 'B'];
+const modifiers = ['', "'", '2'];
+const totals = { ortega: 0, cll: 0, auto: 0 };
+let autoNotLonger = 0;
+const numScrambles = 50;
+
+for (let i = 0; i < numScrambles; i++) {
+  const scramble = Array.from({ length: 15 }, () =>
+    pick(faces) + pick(modifiers)
+  ).join(' ') + (i % 2 ? " R L'" : '');
+  const cube = solver.applyMoveSequence(cubeUtils.createSolvedCube('2x2x2'), scramble);
+
+  const lengths = {};
+  for (const method of ['ortega', 'cll', 'auto']) {
+    const solution = solver.solve2x2x2(cube, { method });
+    const replayed = solver.applyMoveSequence(cube, solution.moveSequence);
+    if (!solution.isSolved || !solver.isCubeSolved(replayed)) {
+      fail(`${method} failed on: ${scramble}`);
+    }
+    totals[method] += solution.totalMoves;
+    lengths[method] = solution.totalMoves;
+  }
+  if (lengths.auto <= Math.min(lengths.ortega, lengths.cll)) autoNotLonger++;
+}
+console.log(`   Ortega average: ${(totals.ortega / numScrambles).toFixed(1)} moves`);
+console.log(`   CLL average: ${(totals.cll / numScrambles).toFixed(1)} moves`);
+console.log(`   auto average: ${(totals.auto / numScrambles).toFixed(1)} moves`);
+check(`auto is never longer than Ortega or CLL (${autoNotLonger}/${numScrambles})`, autoNotLonger === numScrambles);
+
+// The comparison includes the optimal solver, which no method can beat
+console.log('\n📋 Method comparison:');
+const compareScramble = "R U2 F' L D' B2 R' U F2";
+const compareCube = solver.applyMoveSequence(cubeUtils.createSolvedCube('2x2x2'), compareScramble);
+for (const metric of ['htm', 'qtm']) {
+  const comparison = solver.compareSolvingMethods(compareCube, metric);
+  const optimal = comparison.optimal;
+  const counts = ['ortega', 'cll', 'auto', 'optimal'].map(method => comparison[method]?.moveMetrics?.[metric]);
+  check(`${metric}: optimal ${counts[3]} moves vs ${counts.slice(0, 3).join(', ')} (recommended ${comparison.recommendation?.bestMethod})`,
+    optimal?.success && optimal.solution.isSolved && optimal.solution.metric === metric &&
+    counts[3] === optimal.solution.optimalDistance && counts.every(count => count >= counts[3]) &&
+    comparison[comparison.recommendation.bestMethod].moveMetrics[metric] === counts[3]);
+}
+
+finish('2x2x2 solver');
@@ -0,0 +1,75 @@
+import cubeUtils from './utils/cubeStructures.js';
+import { SOLVABILITY_ERRORS, WING_SLOTS, checkSolvability4x4x4 } from './utils/solvability.js';
+import { validate4x4x4 } from './utils/validator.js';
+import { DIAGNOSIS_ISSUES, diagnoseCube } from './utils/solvabilityDiagnostics.js';
+import { applyMoves } from './utils/moveEngine.js';
+import { check, finish } from './testHelpers.js';
+
+console.log('🧩 Testing 4x4x4 solvability...\n');
+
+const copy = cubeState => ({ ...cubeState, faces: Object.fromEntries(Object.entries(cubeState.faces).map(([face, colors]) => [face, [...colors]])) });
+const swap = (cubeState, [faceA, indexA], [faceB, indexB]) => {
+  [cubeState.faces[faceA][indexA], cubeState.faces[faceB][indexB]] = [cubeState.faces[faceB][indexB], cubeState.faces[faceA][indexA]];
+  return cubeState;
+};
+const errorTypes = result => result.errors.map(error => error.type);
+const allWingsOnce = result => new Set(result.checks.wingEdges.wings.map(({ wing }) => wing)).size === WING_SLOTS.length;
+
+const solved = cubeUtils.createSolvedCube('4x4x4');
+const SCRAMBLES = [
+  "R U2 Rw' 2F y",
+  "2R",
+  "2U 2F' 2L 2B2 Rw U' Fw2 D L'",
+  "L D B 2D' 2B 2L2 Uw' Bw x2 y",
+  // Swaps two wings across the U face, the odd wing permutation behind OLL parity
+  "2R U2 2R U2 F2 2R F2 2L' U2 2L U2 2R2"
+];
+
+console.log('📋 Reachable states:');
+const solvedResult = checkSolvability4x4x4(solved);
+check(`${WING_SLOTS.length} wing slots, each wing home on a solved cube`,
+  WING_SLOTS.length === 24 && solvedResult.isSolvable && solvedResult.checks.wingEdges.wings.every(({ slot, wing }) => slot === wing));
+for (const scramble of SCRAMBLES) {
+  const result = checkSolvability4x4x4(applyMoves(solved, scramble));
+  check(`${scramble}: solvable, every wing once`, result.isSolvable && allWingsOnce(result));
+}
+
+console.log('\n📋 Unreachable states:');
+const flippedWing = checkSolvability4x4x4(swap(copy(solved), ['U', 13], ['F', 1]));
+check(`a single wing flipped in place → DUPLICATE_WING_EDGE (${flippedWing.errors[0]?.message})`,
+  !flippedWing.isSolvable && errorTypes(flippedWing).join() === SOLVABILITY_ERRORS.DUPLICATE_WING_EDGE);
+
+const scrambledFlip = checkSolvability4x4x4(swap(applyMoves(solved, SCRAMBLES[2]), ['B', 4], ['R', 7]));
+check('a wing flipped in place on a scrambled cube → DUPLICATE_WING_EDGE',
+  errorTypes(scrambledFlip).join() === SOLVABILITY_ERRORS.DUPLICATE_WING_EDGE);
+
+const wrongWing = checkSolvability4x4x4(swap(copy(solved), ['F', 1], ['D', 1]));
+check(`wings with opposite colors → INVALID_WING_EDGE (${wrongWing.errors[0]?.message})`,
+  errorTypes(wrongWing).every(type => type === SOLVABILITY_ERRORS.INVALID_WING_EDGE) && wrongWing.errors.length === 1);
+
+const wrongCenters = checkSolvability4x4x4(swap(copy(solved), ['U', 5], ['F', 1]));
+check(`a wing sticker swapped with a center → INVALID_CENTER_COUNT (${errorTypes(wrongCenters).join(', ')})`,
+  errorTypes(wrongCenters).includes(SOLVABILITY_ERRORS.INVALID_CENTER_COUNT));
+
+const twisted = copy(solved);
+[twisted.faces.U[15], twisted.faces.R[0], twisted.faces.F[3]] = [twisted.faces.F[3], twisted.faces.U[15], twisted.faces.R[0]];
+check('a twisted corner → CORNER_ORIENTATION_PARITY, wings still read',
+  errorTypes(checkSolvability4x4x4(twisted)).join() === SOLVABILITY_ERRORS.CORNER_ORIENTATION_PARITY &&
+  checkSolvability4x4x4(twisted).checks.wingEdges.isValid);
+
+const validation = validate4x4x4(swap(copy(solved), ['U', 13], ['F', 1]));
+check('the validator reports the wing error in its details',
+  !validation.isValid && validation.errors[0].details.type === SOLVABILITY_ERRORS.DUPLICATE_WING_EDGE);
+
+console.log('\n📋 Diagnostics:');
+const flippedInScramble = swap(applyMoves(solved, SCRAMBLES[0]), ['U', 13], ['F', 1]);
+const diagnosis = diagnoseCube(flippedInScramble);
+check(`a flipped wing gets a two-sticker fix: ${diagnosis.issues[0]?.candidates[0]?.message}`,
+  !diagnosis.isSolvable && diagnosis.issues[0].type === DIAGNOSIS_ISSUES.WRONG_STICKERS && diagnosis.stickerChanges === 2 &&
+  diagnosis.issues[0].candidates[0].message.includes('wing') &&
+  checkSolvability4x4x4(diagnosis.suggestedChanges.reduce((cube, { face, index, to }) => {
+    cube.faces[face][index] = to;
+    return cube;
+  }, copy(flippedInScramble))).isSolvable);
+
+finish('4x4x4 solvability');
@@ -0,0 +1,77 @@
+import solver from './services/solver4x4x4.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { checkSolvability3x3x3 } from './utils/solvability.js';
+import { check, fail, finish, pick, quiet } from './testHelpers.js';
+
+console.log('🧊 Testing 4x4x4 reduction solver...\n');
+
+/**
+ * A cube is reduced when every face has a uniform center block and the two
+ * wings of every edge show the same colors
+ */
+function isReduced(cube) {
+  return Object.values(cube.faces).every(face =>
+    [6, 9, 10].every(index => face[index] === face[5]) &&
+    [[1, 2], [4, 8], [7, 11], [13, 14]].every(([a, b]) => face[a] === face[b])
+  );
+}
+
+const scrambleMoves = ['R', 'L', 'U', 'D', 'F', 'B', '2R', '2L', '2U', '2D', '2F', '2B', 'Rw', 'Uw', 'Fw'];
+const modifiers = ['', "'", '2'];
+const randomScramble = length => Array.from({ length }, () =>
+  pick(scrambleMoves) + pick(modifiers)
+).join(' ');
+
+console.log('📋 Move engine:');
+for (const scramble of ["R 2U F' 3Rw2 Lw B' 2D2 x y' z2", randomScramble(30)]) {
+  const cube = cubeUtils.createSolvedCube('4x4x4');
+  solver.applyMoveSequence4x4(cube, scramble);
+  solver.applyMoveSequence4x4(cube, solver.getInverseMoveSequence4x4(scramble));
+  check(`scramble + inverse returns to solved: ${scramble}`, solver.isCubeSolved4x4(cube));
+}
+
+for (const [name, algorithm] of [['OLL parity', solver.OLL_PARITY_ALGORITHM], ['PLL parity', solver.PLL_PARITY_ALGORITHM]]) {
+  const cube = cubeUtils.createSolvedCube('4x4x4');
+  solver.applyMoveSequence4x4(cube, algorithm);
+  const parity = solver.detectParity(solver.reduceTo3x3(cube));
+  check(`${name} algorithm keeps the cube reduced and is detected`,
+    isReduced(cube) && (name === 'OLL parity' ? parity.oll : parity.pll && !parity.oll));
+}
+
+// Every random scramble must reduce to a solvable 3x3x3
+console.log('\n🔀 Random scramble reductions:');
+const numScrambles = 20;
+let reductionMoves = 0;
+let parityCount = 0;
+
+for (let i = 0; i < numScrambles; i++) {
+  const scramble = randomScramble(40);
+  const cube = cubeUtils.createSolvedCube('4x4x4');
+  solver.applyMoveSequence4x4(cube, scramble);
+
+  const solution = quiet(() => solver.solveCube4x4(cube));
+  const reductionPhases = solution.phases.filter(phase => phase.name !== '3x3x3 Stage');
+  const reduction = reductionPhases.flatMap(phase => phase.moveSequence);
+  solver.applyMoveSequence4x4(cube, reduction.join(' '));
+
+  const reduced = reductionPhases.every(phase => phase.success) && isReduced(cube) &&
+    checkSolvability3x3x3(solver.reduceTo3x3(cube)).isSolvable;
+  if (!reduced) {
+    fail(`reduction failed on: ${scramble}`);
+  }
+  reductionMoves += reduction.length;
+  if (solution.parity.oll || solution.parity.pll) parityCount++;
+}
+console.log(`   Reduction average: ${(reductionMoves / numScrambles).toFixed(1)} moves, parity fixed on ${parityCount}/${numScrambles}`);
+
+console.log('\n📋 Complete solves:');
+// The 3x3x3 stage uses the CFOP solver, so only cases it already handles are solved end to end
+for (const scramble of ["R U R' U R U2 R'", solver.PLL_PARITY_ALGORITHM]) {
+  const cube = cubeUtils.createSolvedCube('4x4x4');
+  solver.applyMoveSequence4x4(cube, scramble);
+  const solution = quiet(() => solver.solveCube4x4(cube));
+  solver.applyMoveSequence4x4(cube, solution.moveSequence.join(' '));
+  check(`"${scramble}" solved in ${solution.totalMoves} moves`, solution.success && solver.isCubeSolved4x4(cube));
+}
+
+finish('4x4x4');
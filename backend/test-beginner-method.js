@@ -0,0 +1,61 @@
+import solver from './services/solver3x3x3.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { applyMoves } from './utils/moveEngine.js';
+import { check, finish, pick } from './testHelpers.js';
+
+console.log('🎓 Testing the beginner layer-by-layer method...\n');
+
+const solved = cubeUtils.createSolvedCube('3x3x3');
+const solveBeginner = cube => solver.solveCube3x3(cube, { method: 'beginner' });
+
+// Moves a learner is shown: the triggers, turned to each slot, and U turns
+const BEGINNER_MOVES = /^[RLFBUD]['2]?$/;
+
+console.log('📋 Steps:');
+const example = solveBeginner(applyMoves(solved, "R U R' U R U2 R' F R U R' U' F' U2 R U' R'"));
+check(`seven named steps: ${example.phases.map(phase => phase.name).join(', ')}`,
+  example.success && example.method === 'Beginner' && example.phases.map(phase => phase.name).join() ===
+    'Yellow Cross,Yellow Corners,Middle Edges,White Cross,White Edges,White Corner Placement,White Corner Orientation');
+check('every step explains itself and lists what it did',
+  example.phases.every(phase => phase.explanation && phase.casesUsed.length === phase.algorithms && phase.moves === phase.moveSequence.length));
+check('only face turns, no rotations or slices', example.moveSequence.every(move => BEGINNER_MOVES.test(move)));
+check('CFOP is still the default', solver.solveCube3x3(applyMoves(solved, "R U R' U'")).method === 'CFOP');
+
+console.log('\n🔀 Random cross-solved states:');
+// Top-layer turns and slot triggers keep the cross, and mix everything else
+const CROSS_SAFE_MOVES = ['U', 'U2', "U'"];
+for (const [rotation, back] of [['', ''], ["y'", 'y'], ['y', "y'"], ['y2', 'y2']]) {
+  for (const trigger of ["R U R'", "R U' R'", "R U2 R'", "F' U F", "F' U' F"]) {
+    CROSS_SAFE_MOVES.push(`${rotation} ${trigger} ${back}`);
+  }
+}
+
+const numStates = 100;
+let solvedStates = 0;
+let totalMoves = 0;
+for (let i = 0; i < numStates; i++) {
+  const scramble = Array.from({ length: 25 }, () => pick(CROSS_SAFE_MOVES)).join(' ');
+  const cube = applyMoves(solved, scramble);
+  const result = solveBeginner(cube);
+  const replayed = applyMoves(cube, result.moveSequence.join(' '));
+  const stepsReplayed = applyMoves(cube, result.phases.flatMap(phase => phase.moveSequence).join(' '));
+
+  if (result.success && solver.isCubeSolved3x3(replayed) && solver.isCubeSolved3x3(stepsReplayed) &&
+      result.phases.length === 7 && result.moveSequence.every(move => BEGINNER_MOVES.test(move))) {
+    solvedStates++;
+  } else {
+    console.log(`   ❌ ${scramble} → ${result.phases.map(phase => `${phase.name}: ${phase.error || phase.moves}`).join(', ')}`);
+  }
+  totalMoves += result.totalMoves;
+}
+check(`${solvedStates}/${numStates} solved, average ${(totalMoves / numStates).toFixed(0)} moves`, solvedStates === numStates);
+
+console.log('\n📋 Errors:');
+const twisted = cubeUtils.cloneCubeState(solved);
+[twisted.faces.U[8], twisted.faces.R[0], twisted.faces.F[2]] = [twisted.faces.R[0], twisted.faces.F[2], twisted.faces.U[8]];
+const twistedResult = solveBeginner(twisted);
+check('a twisted corner stops at the failing step', !twistedResult.success &&
+  twistedResult.phases[twistedResult.phases.length - 1].success === false && /Corner Orientation/.test(twistedResult.error));
+check('unknown methods are rejected', (() => { try { solver.solveCube3x3(solved, { method: 'petrus' }); return false; } catch { return true; } })());
+
+finish('beginner method');
@@ -0,0 +1,67 @@
+import solver from './services/solver3x3x3.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { check3x3x3EdgeOrientationParity } from './utils/solvability.js';
+import { applyMoves, generateScramble } from './utils/moveEngine.js';
+import { check, finish, quiet, random } from './testHelpers.js';
+
+console.log('🎨 Testing color-neutral solving...\n');
+
+const solved = cubeUtils.createSolvedCube('3x3x3');
+const rotate = (cube, moves) => {
+  const rotated = cubeUtils.cloneCubeState(cube);
+  solver.applyMoveSequence3x3(rotated, moves);
+  return rotated;
+};
+
+console.log('📋 Whole-cube rotations:');
+const scrambled = applyMoves(solved, "R U2 F' L D B2");
+check('x, y and z turn the whole state like their outer and slice layers',
+  cubeUtils.compareCubeStates(rotate(scrambled, 'x'), rotate(scrambled, "R M' L'")) &&
+  cubeUtils.compareCubeStates(rotate(scrambled, 'y'), rotate(scrambled, "U E' D'")) &&
+  cubeUtils.compareCubeStates(rotate(scrambled, 'z'), rotate(scrambled, "F S B'")));
+check('four quarter rotations give back the same state',
+  ['x', 'y', 'z'].every(rotation => cubeUtils.compareCubeStates(rotate(scrambled, Array(4).fill(rotation).join(' ')), scrambled)));
+check('a rotated cube still counts as solved', solver.isCubeSolved3x3(rotate(solved, "x2 y z'")));
+check('edge orientation is read against the rotated centers',
+  ['x', 'z', "y x'"].every(rotation => check3x3x3EdgeOrientationParity(rotate(solved, rotation)).totalOrientation === 0));
+
+console.log('\n🔀 Random scrambles:');
+for (const method of ['cfop', 'beginner', 'roux', 'zz']) {
+  let good = 0;
+  let neutralMoves = 0;
+  let plainMoves = 0;
+  for (let i = 0; i < 3; i++) {
+    const cube = applyMoves(solved, generateScramble(3, 25, random));
+    const result = quiet(() => solver.solveCube3x3(cube, { method, colorNeutral: true }));
+    const plain = quiet(() => solver.solveCube3x3(cube, { method }));
+    const inspection = result.inspection ? result.inspection.split(' ') : [];
+    const downFace = applyMoves(cube, result.inspection).faces.D[4];
+
+    if (result.success && result.colorNeutral.length === 6 &&
+        result.totalMoves === Math.min(...result.colorNeutral.map(attempt => attempt.totalMoves)) &&
+        result.totalMoves <= plain.totalMoves && downFace === result.crossColor &&
+        result.moveSequence.slice(0, inspection.length).join(' ') === inspection.join(' ') &&
+        solver.isCubeSolved3x3(applyMoves(cube, result.moveSequence))) {
+      good++;
+    }
+    neutralMoves += result.totalMoves;
+    plainMoves += plain.totalMoves;
+  }
+  check(`${method}: ${good}/3 shortest of 6 colors, average ${(neutralMoves / 3).toFixed(1)} vs ${(plainMoves / 3).toFixed(1)} from D`, good === 3);
+}
+
+console.log('\n📋 Options:');
+const cube = applyMoves(solved, "D2 F' R U2 L B' D R2 F U' L2 B");
+const subset = quiet(() => solver.solveCube3x3(cube, { colorNeutral: ['W', 'G'] }));
+check(`a chosen subset of colors (${subset.crossColor} after "${subset.inspection}")`,
+  subset.success && subset.colorNeutral.map(attempt => `${attempt.color} ${attempt.inspection}`).join() === "W x2,G x'");
+
+let error = null;
+try {
+  solver.solveCube3x3(cube, { colorNeutral: ['P'] });
+} catch (thrown) {
+  error = thrown.message;
+}
+check(`a color without a center is rejected (${error})`, /cross color P/.test(error));
+
+finish('color-neutral');
@@ -0,0 +1,119 @@
+import { completeCube } from './controllers/validationController.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { COMPLETION_STATUS, completeCubeState } from './utils/cubeCompletion.js';
+import { checkSolvability2x2x2, checkSolvability3x3x3, checkSolvability4x4x4 } from './utils/solvability.js';
+import { applyMoves } from './utils/moveEngine.js';
+import { callHandler, check, finish } from './testHelpers.js';
+
+console.log('🧩 Testing cube completion...\n');
+
+const copy = cubeState => ({ ...cubeState, faces: Object.fromEntries(Object.entries(cubeState.faces).map(([face, colors]) => [face, [...colors]])) });
+const blank = (cubeState, positions) => {
+  const blanked = copy(cubeState);
+  positions.forEach(([face, index]) => { blanked.faces[face][index] = null; });
+  return blanked;
+};
+const wholeFace = (cubeState, face) => cubeState.faces[face].map((_, index) => [face, index]);
+const CHECKS = { '2x2x2': checkSolvability2x2x2, '3x3x3': checkSolvability3x3x3, '4x4x4': checkSolvability4x4x4 };
+
+const cubes = {
+  '2x2x2': applyMoves(cubeUtils.createSolvedCube('2x2x2'), "R U2 F' L D'"),
+  '3x3x3': applyMoves(cubeUtils.createSolvedCube('3x3x3'), "R U2 F' L D' B2 M E' S"),
+  '4x4x4': applyMoves(cubeUtils.createSolvedCube('4x4x4'), "R U2 Rw' 2F L D' 2U")
+};
+
+console.log('📋 Forced completions:');
+for (const [cubeType, cubeState] of Object.entries(cubes)) {
+  const oneSticker = completeCubeState(blank(cubeState, [['U', 0]]));
+  check(`${cubeType}: one unknown sticker is forced`,
+    oneSticker.status === COMPLETION_STATUS.FORCED && cubeUtils.compareCubeStates(oneSticker.cubeState, cubeState));
+
+  const complete = completeCubeState(cubeState);
+  check(`${cubeType}: a complete solvable cube is its own completion`, complete.status === COMPLETION_STATUS.FORCED && complete.unknownStickers === 0);
+}
+
+for (const cubeType of ['2x2x2', '3x3x3']) {
+  const face = completeCubeState(blank(cubes[cubeType], wholeFace(cubes[cubeType], 'F')));
+  check(`${cubeType}: a whole face left out is forced`,
+    face.status === COMPLETION_STATUS.FORCED && cubeUtils.compareCubeStates(face.cubeState, cubes[cubeType]));
+}
+
+const withCenter = completeCubeState(blank(cubes['3x3x3'], [['U', 4], ['F', 4], ['U', 7], ['F', 1]]));
+check('3x3x3: unknown centers are inferred with their edge',
+  withCenter.status === COMPLETION_STATUS.FORCED && cubeUtils.compareCubeStates(withCenter.cubeState, cubes['3x3x3']));
+
+const dbl = completeCubeState(blank(cubes['2x2x2'], [['D', 2], ['B', 3], ['L', 2]]));
+check('2x2x2: an unknown DBL corner, which fixes the frame, is forced',
+  dbl.status === COMPLETION_STATUS.FORCED && cubeUtils.compareCubeStates(dbl.cubeState, cubes['2x2x2']));
+
+const twisted2x2 = copy(cubes['2x2x2']);
+[twisted2x2.faces.U[3], twisted2x2.faces.R[0], twisted2x2.faces.F[1]] = [twisted2x2.faces.F[1], twisted2x2.faces.U[3], twisted2x2.faces.R[0]];
+const untwisted = completeCubeState(blank(twisted2x2, [['D', 2], ['B', 3], ['L', 2]]));
+check('2x2x2: a twisted corner forces the twist of the unknown one',
+  untwisted.status === COMPLETION_STATUS.FORCED && checkSolvability2x2x2(untwisted.cubeState).isSolvable);
+
+console.log('\n📋 Ambiguous completions:');
+for (const [cubeType, cubeState] of Object.entries(cubes)) {
+  const everything = cubeUtils.FACE_NAMES.flatMap(face => wholeFace(cubeState, face));
+  const result = completeCubeState(blank(cubeState, everything));
+  check(`${cubeType}: a blank cube lists ten solvable completions, not all of them`,
+    result.status === COMPLETION_STATUS.AMBIGUOUS && result.completions.length === 10 && !result.exhaustive &&
+    result.completions.every(completion => CHECKS[cubeType](completion.cubeState).isSolvable));
+}
+
+const twoFaces = completeCubeState(blank(cubes['3x3x3'], [...wholeFace(cubes['3x3x3'], 'U'), ...wholeFace(cubes['3x3x3'], 'D')]));
+check(`3x3x3: two faces left out allow ${twoFaces.completions.length} completions, all listed`,
+  twoFaces.status === COMPLETION_STATUS.AMBIGUOUS && twoFaces.exhaustive &&
+  twoFaces.completions.some(completion => cubeUtils.compareCubeStates(completion.cubeState, cubes['3x3x3'])) &&
+  twoFaces.stickers.some(sticker => sticker.colors.length > 1));
+
+const centers = completeCubeState(blank(cubes['4x4x4'], [['U', 5], ['F', 6]]));
+const centerColors = [cubes['4x4x4'].faces.U[5], cubes['4x4x4'].faces.F[6]];
+check(`4x4x4: two unknown centers take the leftover colors (${centers.status})`,
+  centers.status === (centerColors[0] === centerColors[1] ? COMPLETION_STATUS.FORCED : COMPLETION_STATUS.AMBIGUOUS) &&
+  centers.stickers.every(sticker => sticker.colors.every(color => centerColors.includes(color))));
+
+console.log('\n📋 Impossible completions:');
+const twisted = copy(cubes['3x3x3']);
+[twisted.faces.U[8], twisted.faces.R[0], twisted.faces.F[2]] = [twisted.faces.F[2], twisted.faces.U[8], twisted.faces.R[0]];
+const twistedResult = completeCubeState(blank(twisted, [['U', 1], ['B', 1], ['D', 3], ['L', 7]]));
+check(`3x3x3: a twisted corner with unknown edges → impossible (${twistedResult.reason})`,
+  twistedResult.status === COMPLETION_STATUS.IMPOSSIBLE && twistedResult.completions.length === 0);
+
+const noPiece = copy(cubeUtils.createSolvedCube('3x3x3'));
+[noPiece.faces.F[1], noPiece.faces.D[1]] = [noPiece.faces.D[1], noPiece.faces.F[1]];
+const noPieceResult = completeCubeState(blank(noPiece, [['U', 0]]));
+check(`3x3x3: an edge no piece fits is named (${noPieceResult.reason})`,
+  noPieceResult.status === COMPLETION_STATUS.IMPOSSIBLE && noPieceResult.reason === 'No piece has the known colors of edge UF');
+
+const tooMany = blank(cubes['3x3x3'], [['U', 0]]);
+cubeUtils.FACE_NAMES.forEach(face => { tooMany.faces[face][0] = tooMany.faces.U[4]; });
+check(`3x3x3: color counts → impossible (${completeCubeState(tooMany).reason})`,
+  completeCubeState(tooMany).status === COMPLETION_STATUS.IMPOSSIBLE);
+
+const flippedWing = copy(cubes['4x4x4']);
+[flippedWing.faces.U[13], flippedWing.faces.F[1]] = [flippedWing.faces.F[1], flippedWing.faces.U[13]];
+check('4x4x4: a wing flipped in place with an unknown center → impossible',
+  completeCubeState(blank(flippedWing, [['U', 5]])).status === COMPLETION_STATUS.IMPOSSIBLE);
+
+console.log('\n📋 POST /api/validate/:cubeType/complete:');
+const forced = callHandler(completeCube, { params: { cubeType: '3x3x3' }, body: { cubeState: blank(cubes['3x3x3'], wholeFace(cubes['3x3x3'], 'U')) } });
+check('a forced completion → 200 with the completed cube',
+  forced.status === 200 && forced.body.status === COMPLETION_STATUS.FORCED && forced.body.unknownStickers === 9 &&
+  cubeUtils.compareCubeStates(forced.body.cubeState, cubes['3x3x3']));
+
+const emptyStrings = copy(cubes['2x2x2']);
+emptyStrings.faces.U[0] = '';
+check("'' counts as unknown", callHandler(completeCube, { params: { cubeType: '2x2x2' }, body: emptyStrings }).body.status === COMPLETION_STATUS.FORCED);
+
+const impossible = callHandler(completeCube, { params: { cubeType: '3x3x3' }, body: { cubeState: blank(twisted, [['U', 1]]) } });
+check('an impossible cube → 200 with a reason', impossible.status === 200 && impossible.body.status === COMPLETION_STATUS.IMPOSSIBLE && impossible.body.reason);
+
+const badColor = blank(cubes['3x3x3'], [['U', 0]]);
+badColor.faces.U[1] = 'X';
+check('invalid colors → 400 INVALID_COLOR', callHandler(completeCube, { params: { cubeType: '3x3x3' }, body: { cubeState: badColor } }).status === 400);
+
+const unsupported = callHandler(completeCube, { params: { cubeType: '5x5x5' }, body: { cubeState: cubeUtils.createSolvedCube('5x5x5') } });
+check('unsupported cube type → 400 INVALID_CUBE_TYPE', unsupported.status === 400 && unsupported.body.error.type === 'INVALID_CUBE_TYPE');
+
+finish('completion');
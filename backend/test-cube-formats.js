@@ -0,0 +1,98 @@
+import cubeUtils from './utils/cubeStructures.js';
+import {
+  CUBE_FORMATS,
+  exportCubeState,
+  fromKociembaString,
+  fromVisualCubeString,
+  getFaceColors,
+  importCubeState,
+  toFaceGrid,
+  toKociembaString,
+  toVisualCubeString
+} from './utils/cubeFormats.js';
+import { applyMoves, generateScramble } from './utils/moveEngine.js';
+import { createRandom } from './utils/random.js';
+import { check, finish } from './testHelpers.js';
+
+console.log('🔁 Testing cube interchange formats...\n');
+
+const errorOf = fn => { try { fn(); return null; } catch (error) { return error; } };
+const solved3x3 = cubeUtils.createSolvedCube('3x3x3');
+
+console.log('📋 Kociemba facelet strings:');
+// Reference strings from Kociemba's own notation
+const KNOWN = [
+  ['', 'UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB'],
+  ['R', 'UUFUUFUUFRRRRRRRRRFFDFFDFFDDDBDDBDDBLLLLLLLLLUBBUBBUBB'],
+  ['U', 'UUUUUUUUUBBBRRRRRRRRRFFFFFFDDDDDDDDDFFFLLLLLLLLLBBBBBB'],
+  ['F', 'UUUUUULLLURRURRURRFFFFFFFFFRRRDDDDDDLLDLLDLLDBBBBBBBBB']
+];
+for (const [moves, facelets] of KNOWN) {
+  const state = applyMoves(solved3x3, moves);
+  check(`${moves || 'solved'} → ${facelets.slice(0, 18)}...`,
+    toKociembaString(state) === facelets && cubeUtils.compareCubeStates(fromKociembaString(facelets), state));
+}
+
+// Colors map to faces by center, so a rotated or recolored cube still reads correctly
+const rotated = applyMoves(solved3x3, "R U R' x y");
+const recolored = { ...rotated, faces: Object.fromEntries(Object.entries(rotated.faces).map(([face, colors]) => [face, colors.map(color => color.toLowerCase())])) };
+check('centers decide the face letters, not the color scheme',
+  toKociembaString(rotated) === toKociembaString(recolored) && toKociembaString(applyMoves(solved3x3, 'x y')) === KNOWN[0][1]);
+
+const scheme = { U: 'Y', R: 'O', F: 'B', D: 'W', L: 'R', B: 'G' };
+const custom = fromKociembaString(KNOWN[1][1], { faceColors: scheme });
+check('face letters take the colors of a given scheme', custom.faces.U[4] === 'Y' && custom.faces.U[2] === 'B' && toKociembaString(custom) === KNOWN[1][1]);
+
+const solved2x2 = cubeUtils.createSolvedCube('2x2x2');
+check('even cubes map colors through their DBL corner',
+  toKociembaString(applyMoves(solved2x2, 'x y2')) === 'U'.repeat(4) + 'R'.repeat(4) + 'F'.repeat(4) + 'D'.repeat(4) + 'L'.repeat(4) + 'B'.repeat(4) &&
+  getFaceColors(applyMoves(solved2x2, 'x y2')).D === applyMoves(solved2x2, 'x y2').faces.D[2]);
+
+console.log('\n📋 VisualCube facelet colors:');
+// The same reference cubes, with our standard scheme's color letters in place of the face letters
+const VISUALCUBE_LETTERS = { U: 'w', R: 'r', F: 'g', D: 'y', L: 'o', B: 'b' };
+for (const [moves, facelets] of KNOWN) {
+  const colors = facelets.replace(/[URFDLB]/g, face => VISUALCUBE_LETTERS[face]);
+  const state = applyMoves(solved3x3, moves);
+  check(`${moves || 'solved'} → ${colors.slice(0, 18)}...`,
+    toVisualCubeString(state) === colors && cubeUtils.compareCubeStates(fromVisualCubeString(colors), state));
+}
+const rotatedColors = toVisualCubeString(rotated);
+check('colors are kept as they are, whatever the orientation',
+  rotatedColors !== toVisualCubeString(solved3x3) && cubeUtils.compareCubeStates(fromVisualCubeString(rotatedColors), rotated));
+
+console.log('\n📋 Round trips:');
+const random = createRandom(21);
+for (let size = 2; size <= 7; size++) {
+  const cubeType = `${size}x${size}x${size}`;
+  const state = applyMoves(cubeUtils.createSolvedCube(cubeType), generateScramble(size, 30, random));
+  // Facelet strings of even cubes come back recolored to the standard scheme, so compare what is written
+  const roundTrips = CUBE_FORMATS.filter(format => {
+    const value = exportCubeState(state, format);
+    return JSON.stringify(exportCubeState(importCubeState(value, format), format)) === JSON.stringify(value);
+  });
+  check(`${cubeType}: ${roundTrips.join(', ')}`, roundTrips.length === CUBE_FORMATS.length);
+}
+
+const grid = toFaceGrid(applyMoves(solved3x3, 'R'));
+check('grids hold rows of colors', grid.U.length === 3 && grid.U[0].join('') === 'WWG' && grid.F[2].join('') === 'GGY');
+
+console.log('\n📋 Errors:');
+const ERRORS = [
+  ['kociemba', 'UUUU', undefined, 'No cube has 4 facelets'],
+  ['kociemba', KNOWN[0][1], '2x2x2', 'A 2x2x2 has 24 facelets, got 54'],
+  ['kociemba', KNOWN[0][1].replace('R', 'X'), undefined, "Unexpected 'X' at position 10"],
+  ['kociemba', KNOWN[0][1].slice(9) + KNOWN[0][1].slice(0, 9), undefined, 'Center of U is R'],
+  ['visualcube', 'w'.repeat(24), '3x3x3', 'A 3x3x3 has 54 facelets, got 24'],
+  ['visualcube', 'n'.repeat(54), undefined, "Unexpected 'n' at position 1"],
+  ['visualcube', null, undefined, 'must be a string'],
+  ['compact', 42, undefined, 'must be a string'],
+  ['grid', { U: [['W']] }, '3x3x3', 'Face U must be 3 rows of 3 colors'],
+  ['yaml', '', undefined, 'Unknown cube format']
+];
+for (const [format, value, cubeType, message] of ERRORS) {
+  const error = errorOf(() => importCubeState(value, format, cubeType));
+  check(`${format}: ${error?.message}`, error?.message.includes(message));
+}
+
+finish('cube format');
@@ -0,0 +1,92 @@
+import cubeUtils from './utils/cubeStructures.js';
+import {
+  ROTATIONS,
+  detectColorScheme,
+  getRotationFaces,
+  normalizeOrientation,
+  recolorCubeState,
+  reorientMoves
+} from './utils/cubeOrientation.js';
+import { getFaceColors } from './utils/cubeFormats.js';
+import { checkSolvability2x2x2, checkSolvability3x3x3, checkSolvability4x4x4 } from './utils/solvability.js';
+import { applyMoves, invertMoveSequence } from './utils/moveEngine.js';
+import { check, finish } from './testHelpers.js';
+
+console.log('🧭 Testing cube orientation and color schemes...\n');
+
+const errorOf = fn => { try { fn(); return null; } catch (error) { return error; } };
+const isStandard = cubeState => {
+  const faceColors = getFaceColors(cubeState);
+  return cubeUtils.FACE_NAMES.every(face => faceColors[face] === cubeUtils.STANDARD_FACE_COLORS[face]);
+};
+
+// White opposite blue, yellow opposite green
+const JAPANESE = { U: 'W', D: 'B', F: 'G', B: 'Y', R: 'R', L: 'O' };
+const SCRAMBLES = { 2: "R U2 F' L D' B2 R'", 3: "R U2 F' L D' B2 M E' S", 4: "R U2 F' L D' B2 Rw 2F' 2U2" };
+const CHECKS = { 2: checkSolvability2x2x2, 3: checkSolvability3x3x3, 4: checkSolvability4x4x4 };
+
+console.log('📋 Color schemes:');
+check('a standard cube is western', detectColorScheme(cubeUtils.createSolvedCube('3x3x3')).name === 'western');
+check('createSolvedCube takes any scheme, detected as japanese',
+  cubeUtils.createSolvedCube('3x3x3', JAPANESE).faces.D[0] === 'B' && detectColorScheme(cubeUtils.createSolvedCube('3x3x3', JAPANESE)).name === 'japanese');
+check('other pairings are custom',
+  detectColorScheme(cubeUtils.createSolvedCube('2x2x2', { ...JAPANESE, F: 'R', R: 'G' })).name === 'custom');
+const held = applyMoves(cubeUtils.createSolvedCube('3x3x3'), 'x2 y');
+check(`held yellow up: ${Object.values(detectColorScheme(held).faceColors).join('')}`,
+  detectColorScheme(held).faceColors.U === 'Y' && detectColorScheme(held).name === 'western');
+
+const brokenCorner = cubeUtils.createSolvedCube('2x2x2');
+[brokenCorner.faces.L[2], brokenCorner.faces.B[0]] = [brokenCorner.faces.B[0], brokenCorner.faces.L[2]];
+check(`a 2x2x2 whose DBL corner repeats a color is rejected (${errorOf(() => detectColorScheme(brokenCorner))?.message})`,
+  errorOf(() => detectColorScheme(brokenCorner)) !== null);
+
+console.log('\n📋 Rotations:');
+const faceMaps = new Set(ROTATIONS.map(rotation => JSON.stringify(getRotationFaces(rotation))));
+check(`${ROTATIONS.length} rotations, all different`, ROTATIONS.length === 24 && faceMaps.size === 24);
+
+// Re-expressed moves turn the user's cube like rotating, turning and rotating back
+const SOLUTION_3x3 = "R U' Fw2 3Lw' r M E' S2 x y' z2 D B L";
+const SOLUTION_NxN = "R U' Fw2 2L' x y' z2 D B L";
+let conjugates = 0;
+for (const rotation of ROTATIONS) {
+  for (const [size, moves] of [[3, SOLUTION_3x3], [4, SOLUTION_NxN]]) {
+    const cube = applyMoves(cubeUtils.createSolvedCube(`${size}x${size}x${size}`), SCRAMBLES[size]);
+    const direct = applyMoves(cube, reorientMoves(moves, rotation).join(' '));
+    const conjugated = applyMoves(cube, `${rotation} ${moves} ${invertMoveSequence(rotation)}`.trim());
+    if (cubeUtils.compareCubeStates(direct, conjugated)) conjugates++;
+  }
+}
+check(`re-expressed moves match rotate + solve + rotate back (${conjugates}/48)`, conjugates === 48);
+check(`x2 turns R U M y into ${reorientMoves("R U M y", 'x2').join(' ')}`, reorientMoves("R U M y", 'x2').join(' ') === "R D M y'");
+const written = reorientMoves("R'2 Rw r 3R 3Rw' M' x", 'y').join(' ');
+const cube4x4 = applyMoves(cubeUtils.createSolvedCube('4x4x4'), SCRAMBLES[4]);
+check(`y keeps how each move is written: ${written}`, written === "B2 Bw b 3B 3Bw' S' z'" &&
+  cubeUtils.compareCubeStates(applyMoves(cube4x4, written), applyMoves(cube4x4, "y R2 Rw r 3R 3Rw' M' x y'")));
+check('a move outside the notation is rejected', errorOf(() => reorientMoves('R Q', 'y'))?.message === 'Invalid move notation: Q');
+
+console.log('\n📋 Normalization:');
+for (const size of [2, 3, 4]) {
+  const cubeType = `${size}x${size}x${size}`;
+  let normalized = 0;
+  for (const rotation of ROTATIONS) {
+    const cube = applyMoves(cubeUtils.createSolvedCube(cubeType), `${SCRAMBLES[size]} ${rotation}`);
+    const result = normalizeOrientation(cube);
+    const replay = applyMoves(cube, result.rotation);
+    if (isStandard(result.cubeState) && cubeUtils.compareCubeStates(replay, result.cubeState) && CHECKS[size](result.cubeState).isSolvable) {
+      normalized++;
+    }
+  }
+  check(`${cubeType}: every orientation turns white up, green front (${normalized}/24)`, normalized === 24);
+
+  const japanese = applyMoves(cubeUtils.createSolvedCube(cubeType, JAPANESE), `${SCRAMBLES[size]} z y2`);
+  const result = normalizeOrientation(japanese);
+  check(`${cubeType}: a japanese cube is recolored (${result.rotation || 'no rotation'}, ${Object.entries(result.colorMap).map(pair => pair.join('→')).join(' ')})`,
+    result.colorScheme === 'japanese' && isStandard(result.cubeState) && CHECKS[size](result.cubeState).isSolvable &&
+    cubeUtils.compareCubeStates(recolorCubeState(applyMoves(japanese, result.rotation), result.colorMap), result.cubeState));
+}
+
+const untouched = cubeUtils.createSolvedCube('3x3x3');
+check('a standard cube needs no rotation and no recoloring',
+  normalizeOrientation(untouched).rotation === '' && Object.entries(normalizeOrientation(untouched).colorMap).every(([from, to]) => from === to));
+
+finish('orientation');
@@ -0,0 +1,63 @@
+import cubie from './utils/cubieModel.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { applyMoves, generateScramble } from './utils/moveEngine.js';
+import { check, finish, random } from './testHelpers.js';
+
+console.log('🧊 Testing cubie model...\n');
+
+const sameState = (a, b) => cubeUtils.compareCubeStates(a, b);
+const throws = fn => { try { fn(); return false; } catch { return true; } };
+
+for (const [cubeType, size] of [['2x2x2', 2], ['3x3x3', 3]]) {
+  console.log(`📋 ${cubeType}:`);
+  const solved = cubeUtils.createSolvedCube(cubeType);
+  const solvedCubie = cubie.stickersToCubie(solved);
+
+  check('solved stickers read as the identity',
+    cubie.isCubieSolved(solvedCubie) && sameState(cubie.cubieToStickers(cubie.createSolvedCubie(cubeType)), solved));
+
+  // Any legal state, in any orientation, converts back to the same stickers
+  const roundTrips = Array.from({ length: 20 }, () => {
+    const scrambled = applyMoves(solved, `${generateScramble(size, 25, random)} x y2 z'`);
+    return sameState(cubie.cubieToStickers(cubie.stickersToCubie(scrambled)), scrambled);
+  });
+  check('stickers → cubies → stickers is lossless for 20 scrambles', roundTrips.every(Boolean));
+
+  // Moves applied on cubies match moves applied on stickers
+  const moveScramble = size === 2 ? "R U2 F' L D' B2 x y' R2" : generateScramble(3, 30, random);
+  const moved = cubie.applyCubieMoves(solvedCubie, moveScramble);
+  check(`cubie moves match sticker moves: ${moveScramble.split(' ').slice(0, 8).join(' ')} ...`,
+    sameState(cubie.cubieToStickers(moved), applyMoves(solved, moveScramble)));
+
+  check('a cube times its inverse is solved',
+    cubie.isCubieSolved(cubie.multiplyCubies(moved, cubie.invertCubie(moved))) &&
+    cubie.isCubieSolved(cubie.multiplyCubies(cubie.invertCubie(moved), moved)));
+
+  check('scrambled cubies are legal', cubie.getCubieError(moved) === null);
+
+  const twisted = { ...solvedCubie, co: [1, 0, 0, 0, 0, 0, 0, 0] };
+  check('a single twisted corner is illegal', /orientation/.test(cubie.getCubieError(twisted)));
+}
+
+console.log('\n📋 3x3x3 specifics:');
+const solved3x3 = cubeUtils.createSolvedCube('3x3x3');
+const solvedCubie3x3 = cubie.stickersToCubie(solved3x3);
+check('a single flipped edge is illegal',
+  /Edge orientation/.test(cubie.getCubieError({ ...solvedCubie3x3, eo: [1, ...solvedCubie3x3.eo.slice(1)] })));
+check('two swapped edges are illegal',
+  /parities/.test(cubie.getCubieError({ ...solvedCubie3x3, ep: [1, 0, ...solvedCubie3x3.ep.slice(2)] })));
+check('slice moves are rejected', throws(() => cubie.getMoveCubie('M', '3x3x3')));
+check('a 4x4x4 is rejected', throws(() => cubie.stickersToCubie(cubeUtils.createSolvedCube('4x4x4'))));
+
+console.log('\n📋 2x2x2 reference corner:');
+const recolor = { W: 'Y', Y: 'W', G: 'B', B: 'G', R: 'R', O: 'O' };
+const recolored = applyMoves(cubeUtils.createSolvedCube('2x2x2'), "R U' F2");
+for (const face of cubeUtils.FACE_NAMES) {
+  recolored.faces[face] = recolored.faces[face].map(color => recolor[color]);
+}
+const recoloredCubie = cubie.stickersToCubie(recolored);
+check('any color scheme reads with DBL home and converts back',
+  recoloredCubie.cp[cubie.REFERENCE_CORNER] === cubie.REFERENCE_CORNER && recoloredCubie.co[cubie.REFERENCE_CORNER] === 0 &&
+  sameState(cubie.cubieToStickers(recoloredCubie), recolored));
+
+finish('cubie model');
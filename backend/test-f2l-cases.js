@@ -0,0 +1,76 @@
+import solver from './services/solver3x3x3.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { applyMoves, invertMoveSequence } from './utils/moveEngine.js';
+import { check, fail, finish, pick } from './testHelpers.js';
+
+console.log('🧩 Testing F2L case recognition...\n');
+
+const solved = cubeUtils.createSolvedCube('3x3x3');
+const { cases } = solver.getF2LAlgorithms();
+
+// Turning the cube puts each slot at front-right
+const SLOT_ROTATIONS = { FR: ['', ''], FL: ["y'", 'y'], BR: ['y', "y'"], BL: ['y2', 'y2'] };
+
+check('41 cases', cases.length === 41);
+
+console.log('\n📋 Every case in every slot, from every U angle:');
+for (const [slot, [rotation, back]] of Object.entries(SLOT_ROTATIONS)) {
+  let recognized = 0;
+  for (const f2lCase of cases) {
+    for (const auf of ['', 'U', 'U2', "U'"]) {
+      const cube = applyMoves(solved, `${rotation} ${invertMoveSequence(f2lCase.algorithm)} ${back} ${auf}`);
+      const result = solver.solveF2L(cube);
+      const [step] = result.f2lSolution;
+      if (result.isF2LComplete && result.f2lSolution.length === 1 && step.slot === slot && step.case === f2lCase.number) {
+        recognized++;
+      } else {
+        console.log(`   ❌ ${slot} ${f2lCase.name} ${auf}: ${JSON.stringify(result.f2lSolution)}`);
+      }
+    }
+  }
+  check(`${slot}: ${recognized}/${cases.length * 4} recognized and solved`, recognized === cases.length * 4);
+}
+
+console.log('\n📋 Completion:');
+const threeSlots = applyMoves(solved, "R U R'");
+check('3 of 4 slots is not complete', !solver.isF2LComplete(threeSlots) && solver.analyzeF2LState(threeSlots).totalSolved === 3);
+check('solved cube needs no F2L moves', solver.solveF2L(solved).totalMoves === 0 && solver.solveF2L(solved).success);
+
+// A DFR corner with a wrong sticker matches no case: reported in the result, not logged
+const badCorner = cubeUtils.cloneCubeState(solved);
+badCorner.faces.D[2] = badCorner.faces.U[4];
+const stuck = solver.solveF2L(badCorner);
+check(`an unmatched slot fails the result (${stuck.error})`,
+  stuck.success === false && !stuck.isF2LComplete && stuck.error === 'No F2L case matches the unsolved slots (FR)');
+
+console.log('\n🔀 Random cross-solved states:');
+// Top-layer turns and slot inserts keep the cross, and mix all four pairs
+const CROSS_SAFE_MOVES = ['U', 'U2', "U'"];
+for (const [rotation, back] of Object.values(SLOT_ROTATIONS)) {
+  for (const trigger of ["R U R'", "R U' R'", "R U2 R'", "F' U F", "F' U' F"]) {
+    CROSS_SAFE_MOVES.push(`${rotation} ${trigger} ${back}`);
+  }
+}
+
+const numStates = 100;
+let totalMoves = 0;
+for (let i = 0; i < numStates; i++) {
+  const scramble = Array.from({ length: 20 }, () => pick(CROSS_SAFE_MOVES)).join(' ');
+  const cube = applyMoves(solved, scramble);
+  const result = solver.solveF2L(cube);
+  const replayed = applyMoves(cube, result.moveSequence || []);
+  const reportedSlots = new Set(result.f2lSolution.map(step => step.slot));
+
+  if (!result.isF2LComplete || !solver.isF2LComplete(replayed) || !solver.isCrossComplete(replayed) ||
+      reportedSlots.size !== result.f2lSolution.length ||
+      reportedSlots.size !== 4 - solver.analyzeF2LState(cube).totalSolved) {
+    fail(`${scramble} → ${result.f2lSolution.map(step => `${step.slot}: ${step.name}`).join(', ')}`);
+  }
+  totalMoves += result.totalMoves;
+}
+console.log(`   ${numStates} states, average ${(totalMoves / numStates).toFixed(1)} F2L moves`);
+
+const phase = solver.solveCube3x3(applyMoves(solved, "R U R' y U' R U2 R' y' U F' U F")).phases.find(({ name }) => name === 'F2L');
+check(`CFOP reports the slots it solved (${phase?.casesUsed?.join(', ')})`, phase?.success && phase.slotsCompleted === phase.casesUsed.length);
+
+finish('F2L case');
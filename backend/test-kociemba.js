@@ -0,0 +1,50 @@
+import { solveKociemba, getKociembaTables } from './services/solverKociemba.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { generateScramble, isCubeSolved } from './utils/moveEngine.js';
+import { check, fail, finish, random } from './testHelpers.js';
+
+console.log('🧊 Testing Kociemba two-phase solver...\n');
+
+const tableStart = Date.now();
+getKociembaTables();
+console.log(`📋 Tables ready in ${Date.now() - tableStart} ms\n`);
+
+console.log('📋 Facelet conversion:');
+const solved = cubeUtils.createSolvedCube('3x3x3');
+check('solved cube → UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB',
+  cubeUtils.convertCoordinateSystem(solved, 'kociemba') === 'UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB');
+check('solved cube → 0 moves', solveKociemba(solved).totalMoves === 0);
+
+// Rotated cubes are solved relative to their centers
+const rotated = cubeUtils.applyMoveSequence(solved, "x y R U R' F2");
+const rotatedSolution = solveKociemba(rotated);
+check(`rotated cube solved in ${rotatedSolution.totalMoves} moves`,
+  rotatedSolution.success && isCubeSolved(cubeUtils.applyMoveSequence(rotated, rotatedSolution.moveSequence)));
+
+const twisted = cubeUtils.createSolvedCube('3x3x3');
+[twisted.faces.U[8], twisted.faces.R[0], twisted.faces.F[2]] = [twisted.faces.R[0], twisted.faces.F[2], twisted.faces.U[8]];
+const twistedSolution = solveKociemba(twisted);
+check('twisted corner is reported, not searched', !twistedSolution.success && /orientation/.test(twistedSolution.error));
+
+console.log('\n🔀 Random scrambles:');
+const numScrambles = 20;
+let totalMoves = 0;
+let totalTime = 0;
+let longest = 0;
+
+for (let i = 0; i < numScrambles; i++) {
+  const scramble = generateScramble(3, 30, random);
+  const cube = cubeUtils.applyMoveSequence(solved, scramble);
+  const solution = solveKociemba(cube);
+  const replayed = cubeUtils.applyMoveSequence(cube, solution.moveSequence);
+
+  if (!solution.success || !isCubeSolved(replayed) || solution.totalMoves > 22) {
+    fail(`${scramble} → ${solution.error || `${solution.totalMoves} moves`}`);
+  }
+  totalMoves += solution.totalMoves;
+  totalTime += solution.executionTime;
+  longest = Math.max(longest, solution.totalMoves);
+}
+console.log(`   Average: ${(totalMoves / numScrambles).toFixed(1)} moves (longest ${longest}), ${(totalTime / numScrambles).toFixed(0)} ms`);
+
+finish('Kociemba');
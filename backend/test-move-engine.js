@@ -0,0 +1,88 @@
+import engine from './utils/moveEngine.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { check, finish, random } from './testHelpers.js';
+
+console.log('🧊 Testing generic NxN move engine...\n');
+
+/**
+ * Solved cube whose stickers are all distinct, so equal states mean equal permutations
+ */
+function labeledCube(size) {
+  const cube = cubeUtils.createSolvedCube(`${size}x${size}x${size}`);
+  let label = 0;
+  for (const face of cubeUtils.FACE_NAMES) {
+    cube.faces[face] = cube.faces[face].map(() => String(label++));
+  }
+  return cube;
+}
+
+const sameState = (a, b) => cubeUtils.compareCubeStates(a, b);
+
+for (let size = 2; size <= 7; size++) {
+  const cubeType = `${size}x${size}x${size}`;
+  console.log(`📋 ${cubeType}:`);
+  const labeled = labeledCube(size);
+
+  // Every single-layer turn has order 4
+  const layerTurns = ['R', 'L', 'U', 'D', 'F', 'B'].flatMap(face =>
+    Array.from({ length: size }, (_, layer) => `${layer + 1}${face}`)
+  );
+  check('every layer turn has order 4',
+    layerTurns.every(move => sameState(engine.applyMoves(labeled, `${move} ${move} ${move} ${move}`), labeled)));
+
+  // Wide turns and rotations are built from their layer turns
+  check(`Rw = R 2R, x = ${size}Rw = ${size - 1}Rw L'`,
+    sameState(engine.applyMoves(labeled, 'Rw'), engine.applyMoves(labeled, 'R 2R')) &&
+    sameState(engine.applyMoves(labeled, 'x'), engine.applyMoves(labeled, `${size}Rw`)) &&
+    sameState(engine.applyMoves(labeled, 'x'), engine.applyMoves(labeled, `${size - 1}Rw L'`)));
+
+  if (size >= 3) {
+    check("x = R M' L'", sameState(engine.applyMoves(labeled, 'x'), engine.applyMoves(labeled, "R M' L'")));
+    check('y = U E\' D\', z = F S B\'',
+      sameState(engine.applyMoves(labeled, 'y'), engine.applyMoves(labeled, "U E' D'")) &&
+      sameState(engine.applyMoves(labeled, 'z'), engine.applyMoves(labeled, "F S B'")));
+  }
+
+  // Scrambles round-trip through their inverse
+  const scramble = engine.generateScramble(size, 40, random);
+  const scrambled = cubeUtils.applyMoveSequence(labeled, scramble);
+  check(`scramble + inverse returns to start (${scramble.split(' ').slice(0, 6).join(' ')} ...)`,
+    !sameState(scrambled, labeled) &&
+    sameState(cubeUtils.applyMoveSequence(scrambled, engine.invertMoveSequence(scramble)), labeled));
+
+  // generateScrambledCube keeps the color counts of a real cube
+  const scrambledCube = cubeUtils.generateScrambledCube(cubeType, 20, random);
+  const counts = {};
+  Object.values(scrambledCube.faces).flat().forEach(color => { counts[color] = (counts[color] || 0) + 1; });
+  check('generateScrambledCube scrambles and keeps color counts',
+    scrambledCube.cubeType === cubeType && !engine.isCubeSolved(scrambledCube) &&
+    cubeUtils.VALID_COLORS.every(color => counts[color] === size * size));
+}
+
+console.log('\n📋 Algorithm text:');
+for (const cubeType of ['2x2x2', '3x3x3', '4x4x4']) {
+  const solved = cubeUtils.createSolvedCube(cubeType);
+  check(`${cubeType}: (R U R' U')6 and [R, U]3 [U, R]3 return to solved`,
+    engine.isCubeSolved(cubeUtils.applyMoveSequence(solved, "(R U R' U')6")) &&
+    engine.isCubeSolved(cubeUtils.applyMoveSequence(solved, '[R, U]3 [U, R]3')));
+  check(`${cubeType}: [R, U] = R U R' U', [F: R U] = F R U F', U'2 = U2`,
+    sameState(cubeUtils.applyMoveSequence(solved, '[R, U]'), cubeUtils.applyMoveSequence(solved, "R U R' U'")) &&
+    sameState(cubeUtils.applyMoveSequence(solved, '[F: R U]'), cubeUtils.applyMoveSequence(solved, "F R U F'")) &&
+    sameState(cubeUtils.applyMoveSequence(solved, "U'2"), cubeUtils.applyMoveSequence(solved, 'U2')));
+}
+const solved4x4 = labeledCube(4);
+check('4x4x4: (Rw U)2 = Rw U Rw U, (Rw U)2\' undoes it',
+  sameState(cubeUtils.applyMoveSequence(solved4x4, '(Rw U)2'), cubeUtils.applyMoveSequence(solved4x4, 'Rw U Rw U')) &&
+  sameState(cubeUtils.applyMoveSequence(solved4x4, "(Rw U)2 (Rw U)2'"), solved4x4));
+check('parseMoveSequence expands groups and keeps positions',
+  engine.parseMoveSequence('(R U)2', 3).map(move => `${move.notation}@${move.position}`).join(' ') === 'R@1 U@3 R@1 U@3');
+
+console.log('\n📋 Notation errors:');
+const throws = fn => { try { fn(); return false; } catch { return true; } };
+check('3R on a 2x2x2 is rejected', throws(() => engine.parseMove('3R', 2)));
+check('M on a 2x2x2 is rejected', throws(() => engine.parseMove('M', 2)));
+check('unknown notation is rejected', throws(() => engine.parseMove('Q', 3)));
+check("R2' is a half turn", engine.parseMove("R2'", 3).turns === 2);
+check('unbalanced brackets are rejected', throws(() => engine.applyMoves(cubeUtils.createSolvedCube('3x3x3'), '(R U')));
+
+finish('move engine');
@@ -0,0 +1,107 @@
+import solver from './services/solver3x3x3.js';
+import solver2x2 from './services/solver2x2x2.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { compareByMetric, countETM, countHTM, countQTM, countSTM, getMoveMetrics, sortByMetric } from './utils/moveMetrics.js';
+import { applyMoves, generateScramble } from './utils/moveEngine.js';
+import { check, finish, quiet, random } from './testHelpers.js';
+
+console.log('📏 Testing move metrics...\n');
+
+console.log('📋 Counting:');
+// [moves, size, htm, qtm, stm, etm]
+const EXAMPLES = [
+  ["R U R' U'", 3, 4, 4, 4, 4],
+  ['R2 U2', 3, 2, 4, 2, 2],
+  ["M2 U M U2 M' U", 3, 9, 12, 6, 6],
+  ["x y' z2", 3, 0, 0, 0, 3],
+  ["r U r'", 3, 3, 3, 3, 3],
+  ["x R U R' x'", 3, 3, 3, 3, 5],
+  ["Rw2 2R U' 3Rw", 4, 5, 6, 4, 4],
+  ["3R2 E S'", 5, 6, 8, 3, 3],
+  ['', 3, 0, 0, 0, 0]
+];
+for (const [moves, size, htm, qtm, stm, etm] of EXAMPLES) {
+  const metrics = getMoveMetrics(moves, size);
+  check(`${moves || '(empty)'} on ${size}x${size}x${size} → ${metrics.htm} HTM, ${metrics.qtm} QTM, ${metrics.stm} STM, ${metrics.etm} ETM`,
+    metrics.htm === htm && metrics.qtm === qtm && metrics.stm === stm && metrics.etm === etm);
+}
+
+const parsed = solver.parseMoveNotation3x3("M2 U' x R2");
+check('parsed moves from parseMoveNotation3x3 count like their notation',
+  JSON.stringify(getMoveMetrics(parsed)) === JSON.stringify(getMoveMetrics("M2 U' x R2")) &&
+  countHTM(parsed) === 4 && countQTM(parsed) === 7 && countSTM(parsed) === 3 && countETM(parsed) === 4);
+
+check('algorithm text is expanded before counting: (R U)2, [R, U], U\'2 and (Rw U)2 on a 4x4x4',
+  JSON.stringify(getMoveMetrics('(R U)2')) === JSON.stringify(getMoveMetrics('R U R U')) &&
+  countQTM('[R, U]') === 4 && countQTM("U'2") === 2 && countHTM('(Rw U)2', 4) === 4);
+
+let threw = false;
+try { getMoveMetrics('M', 2); } catch { threw = true; }
+check('a slice move on a 2x2x2 is rejected', threw);
+
+console.log('\n📋 Sorting:');
+const rows = [
+  { name: 'slices', success: true, moveMetrics: getMoveMetrics("M' U M U2 M' U M") },
+  { name: 'failed', success: false },
+  { name: 'outer', success: true, moveMetrics: getMoveMetrics("R U R' U' R' F R F'") },
+  { name: 'halves', success: true, moveMetrics: getMoveMetrics('R2 U2 R2 U2 R2') }
+];
+const order = metric => sortByMetric(rows, metric).map(row => row.name).join();
+check(`htm → ${order('htm')}`, order('htm') === 'halves,outer,slices,failed');
+check(`qtm → ${order('qtm')}`, order('qtm') === 'outer,halves,slices,failed');
+check(`stm → ${order('stm')}`, order('stm') === 'halves,slices,outer,failed');
+check('sorting leaves the input order alone', rows.map(row => row.name).join() === 'slices,failed,outer,halves');
+threw = false;
+try { compareByMetric('moves'); } catch { threw = true; }
+check('an unknown metric is rejected', threw);
+
+console.log('\n📋 Solvers:');
+const solved = cubeUtils.createSolvedCube('3x3x3');
+let consistent = 0;
+const numScrambles = 5;
+for (let i = 0; i < numScrambles; i++) {
+  const cube = applyMoves(solved, generateScramble(3, 25, random));
+  const result = quiet(() => solver.solveCube3x3(cube, { method: i % 2 ? 'roux' : 'cfop', colorNeutral: i === 4 ? ['W', 'Y'] : false }));
+  const metrics = result.moveMetrics;
+  if (result.success && metrics.etm === result.moveSequence.length &&
+    JSON.stringify(metrics) === JSON.stringify(getMoveMetrics(result.moveSequence))) {
+    consistent++;
+  } else {
+    console.log(`   ❌ ${result.method}: ${JSON.stringify(metrics)}`);
+  }
+}
+check(`${consistent}/${numScrambles} 3x3x3 solutions (CFOP, Roux, color neutral) report their metrics`, consistent === numScrambles);
+
+const scrambled2x2 = solver2x2.applyMoveSequence(cubeUtils.createSolvedCube('2x2x2'), "R U2 F' L D' B2 R' U");
+const solution2x2 = solver2x2.solve2x2x2(scrambled2x2, { method: 'ortega' });
+const analysis = solver2x2.analyzeSolution(solution2x2);
+check(`2x2x2 analyzeSolution → ${JSON.stringify(analysis.moveMetrics)}`,
+  analysis.moveMetrics.htm === solution2x2.totalMoves && analysis.moveMetrics.stm === analysis.moveMetrics.htm &&
+  analysis.moveMetrics.qtm >= analysis.moveMetrics.htm);
+
+const comparison = solver2x2.compareSolvingMethods(scrambled2x2, 'qtm');
+const ranked = comparison.recommendation.ranking.map(method => comparison[method].moveMetrics.qtm);
+check(`2x2x2 methods ranked by QTM: ${comparison.recommendation.ranking.join(', ')} (${ranked.join(', ')})`,
+  comparison.recommendation.metric === 'qtm' && ranked.every((count, i) => i === 0 || ranked[i - 1] <= count) &&
+  comparison.recommendation.bestMethod === comparison.recommendation.ranking[0]);
+
+const solutions2x2 = ['ortega', 'cll'].map(method => solver2x2.solve2x2x2(scrambled2x2, { method }));
+const statistics = solver2x2.generateSolvingStatistics(solutions2x2, 'qtm');
+const fewestQTM = sortByMetric(solutions2x2.map(solution => ({ ...solution, moveMetrics: getMoveMetrics(solution.parsedMoves, 2) })), 'qtm')[0];
+check(`2x2x2 statistics in QTM: most efficient ${statistics.recommendations.mostEfficient}`,
+  statistics.metric === 'qtm' && statistics.moveStatistics.minimum === fewestQTM.moveMetrics.qtm &&
+  statistics.recommendations.mostEfficient === fewestQTM.method);
+
+const benchmark = quiet(() => solver.testCompleteCFOP(3, 'stm'));
+const benchmarkCounts = benchmark.ranked.map(result => result.moveMetrics.stm);
+check(`CFOP benchmark ranked by STM (${benchmarkCounts.join(', ')})`,
+  benchmark.metric === 'stm' && benchmarkCounts.every((count, i) => i === 0 || benchmarkCounts[i - 1] <= count));
+
+for (const [name, runTest] of [['OLL', solver.testOLLSolving], ['PLL', solver.testPLLSolving]]) {
+  const run = quiet(() => runTest(6, 'qtm'));
+  const counts = run.ranked.map(result => result.moveMetrics.qtm);
+  check(`${name} test run ranked by QTM (${counts.join(', ')})`,
+    run.metric === 'qtm' && run.ranked.length === 6 && counts.every((count, i) => i === 0 || counts[i - 1] <= count));
+}
+
+finish('move metric');
@@ -0,0 +1,97 @@
+import solver from './services/solver3x3x3.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { optimizeMoves, optimizePhases } from './utils/moveOptimizer.js';
+import { applyMoves, generateScramble } from './utils/moveEngine.js';
+import { check, finish, pick, quiet, random } from './testHelpers.js';
+
+console.log('✂️  Testing the move optimizer...\n');
+
+const sameEffect = (size, moves, optimized) => {
+  const solved = cubeUtils.createSolvedCube(`${size}x${size}x${size}`);
+  return cubeUtils.compareCubeStates(applyMoves(solved, moves), applyMoves(solved, optimized.join(' ')));
+};
+
+console.log('📋 Cancellation:');
+const EXAMPLES = [
+  ["R L R'", {}, 'L'],
+  ["R U U' R'", {}, ''],
+  ["U D U2 D'", {}, "U'"],
+  ["x U x'", {}, 'F'],
+  ["R x U x' R", {}, 'R F R'],
+  ["y R y' F'", {}, "F' B"],
+  ["R M'", {}, "R M'"],
+  ["R M'", { style: 'compact' }, 'r'],
+  ["R L' x'", { style: 'compact' }, 'M'],
+  ["U D' y'", { style: 'compact' }, 'E'],
+  ['M2', { style: 'outer' }, 'R2 L2 x2'],
+  ["r U R'", { style: 'outer' }, "L F R' x"],
+  ["R U R' y", { dropFinalRotation: true }, "R U R'"],
+  ["Rw 2R'", { size: 4 }, 'R'],
+  ["3Rw 2R' 3R'", { size: 5 }, 'R'],
+  ["R'2", {}, 'R2'],
+  ['(R U)2', {}, 'R U R U'],
+  ["Rw R'", {}, "R' Rw"],
+  ["r R'", { size: 4 }, "R' r"],
+  ["R M' Rw", { style: 'compact' }, 'Rw2']
+];
+for (const [moves, options, expected] of EXAMPLES) {
+  const optimized = optimizeMoves(moves, options);
+  check(`${moves}${options.style ? ` (${options.style})` : ''}${options.size ? ` on ${options.size}x${options.size}` : ''} → ${optimized.join(' ') || 'nothing'}`,
+    optimized.join(' ') === expected && (options.dropFinalRotation || sameEffect(options.size || 3, moves, optimized)));
+}
+
+console.log('\n🔀 Random mixed sequences:');
+let equivalent = 0;
+let notLonger = 0;
+let total = 0;
+for (let size = 2; size <= 5; size++) {
+  const baseMoves = ['R', 'L', 'U', 'D', 'F', 'B', 'x', 'y', 'z',
+    ...(size >= 3 ? ['M', 'E', 'S', size === 3 ? 'r' : 'Rw'] : []), ...(size >= 4 ? ['2R', '2D'] : [])];
+  for (let i = 0; i < 30; i++) {
+    const moves = Array.from({ length: 12 }, () =>
+      pick(baseMoves) + pick(['', "'", '2']));
+    for (const style of ['preserve', 'outer', 'compact']) {
+      const optimized = optimizeMoves(moves, { size, style });
+      total++;
+      if (sameEffect(size, moves.join(' '), optimized)) equivalent++;
+      if (style === 'outer' || optimized.length <= moves.length) notLonger++;
+    }
+  }
+}
+check(`${equivalent}/${total} optimized sequences turn the cube exactly like the original`, equivalent === total);
+check(`${notLonger}/${total} preserve and compact results are never longer`, notLonger === total);
+
+console.log('\n📋 Phases:');
+const phases = optimizePhases([
+  { name: 'Cross', moveSequence: ['R', 'U'] },
+  { name: 'F2L', moveSequence: ["U'", 'R', 'U2'] },
+  { name: 'OLL', moveSequence: ['U2', 'F'] }
+]);
+check(`savings are counted where moves cancel (${phases.phases.map(phase => `${phase.name} ${phase.movesSaved}`).join(', ')})`,
+  phases.moveSequence.join(' ') === 'R2 F' && phases.originalMoves === 7 && phases.movesSaved === 5 &&
+  phases.phases.map(phase => phase.movesSaved).join() === '0,3,2');
+
+for (const method of ['cfop', 'beginner']) {
+  let good = 0;
+  let saved = 0;
+  for (let i = 0; i < 3; i++) {
+    const cube = applyMoves(cubeUtils.createSolvedCube('3x3x3'), generateScramble(3, 25, random));
+    const raw = quiet(() => solver.solveCube3x3(cube, { method, optimize: false }));
+    const result = quiet(() => solver.solveCube3x3(cube, { method }));
+    if (result.success && raw.optimization === undefined &&
+        result.totalMoves === raw.totalMoves - result.optimization.movesSaved &&
+        result.phases.reduce((sum, phase) => sum + phase.movesSaved, 0) === result.optimization.movesSaved &&
+        solver.isCubeSolved3x3(applyMoves(cube, result.moveSequence))) {
+      good++;
+    }
+    saved += result.optimization.movesSaved;
+  }
+  check(`${method}: ${good}/3 solutions optimized, ${(saved / 3).toFixed(1)} moves saved on average`, good === 3);
+}
+
+console.log('\n📋 Errors:');
+const errorOf = fn => { try { fn(); return null; } catch (error) { return error.message; } };
+check('an unknown style is rejected', /Unknown optimizer style/.test(errorOf(() => optimizeMoves('R', { style: 'shortest' }))));
+check('slices are rejected on a 2x2x2', /needs at least a 3x3x3/.test(errorOf(() => optimizeMoves('M', { size: 2 }))));
+
+finish('move optimizer');
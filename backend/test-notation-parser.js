@@ -0,0 +1,95 @@
+import solver from './services/solver3x3x3.js';
+import solver2x2 from './services/solver2x2x2.js';
+import solver4x4 from './services/solver4x4x4.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { expandAlgorithm, NotationError, parseAlgorithm } from './utils/notationParser.js';
+import { applyMoves } from './utils/moveEngine.js';
+import { check, finish } from './testHelpers.js';
+
+console.log('📝 Testing the notation parser...\n');
+
+const expanded = text => expandAlgorithm(text).join(' ');
+const errorOf = fn => { try { fn(); return null; } catch (error) { return error; } };
+
+console.log('📋 Expansion:');
+const EXAMPLES = [
+  ["R U R' U'", "R U R' U'"],
+  ["(R U R' U')3", "R U R' U' R U R' U' R U R' U'"],
+  ['[R, U]', "R U R' U'"],
+  ["[F: R U R' U']", "F R U R' U' F'"],
+  ["[R' D': [R, U]]", "R' D' R U R' U' D R"],
+  ["(R U)2'", "U' R' U' R'"],
+  ["R2' U'2 Rw 3Rw r2 M' x", "R2 U2 Rw 3Rw r2 M' x"],
+  ['R’ U′', "R' U'"],
+  ["R U R' // first pair\n/* then */ U' (R U)", "R U R' U' R U"],
+  ["RUR'U'", "R U R' U'"],
+  ['(R U)3Rw', 'R U R U R U Rw'],
+  ['  ', '']
+];
+for (const [text, moves] of EXAMPLES) {
+  const result = expanded(text);
+  check(`${JSON.stringify(text)} → ${result}`, result === moves);
+}
+
+console.log('\n📋 Errors:');
+// [text, size, message, column]
+const ERRORS = [
+  ['R U Q', 3, "Unexpected 'Q'", 5],
+  ['R3', 3, "Unexpected '3'", 2],
+  ["(R U R' U'", 3, "Unclosed '('", 1],
+  ['R U)', 3, "Unmatched ')'", 4],
+  ['[R, U)', 3, "Expected ']' but found ')'", 6],
+  ['[R, U, F]', 3, "Unexpected ',', expected ']'", 6],
+  ['(R, U)', 3, "',' is only allowed inside [ ]", 3],
+  ['(R)0', 3, 'Repetition count must be at least 1', 4],
+  ['R /* U', 3, 'Unclosed comment', 3],
+  ['((((R U)99)99)99)', 3, 'Algorithm expands to more than', 11],
+  ['R 5R', 3, 'turns layer 5', 3]
+];
+for (const [text, size, message, column] of ERRORS) {
+  const error = errorOf(() => parseAlgorithm(text, size));
+  check(`${JSON.stringify(text)} → ${error?.message}`,
+    error instanceof NotationError && error.message.includes(message) && error.column === column && error.line === 1);
+}
+const multiline = errorOf(() => parseAlgorithm("R U\n  M'", 2));
+check(`positions count lines: ${multiline?.message}`,
+  multiline instanceof NotationError && multiline.line === 2 && multiline.column === 3 && multiline.position === 6);
+
+console.log('\n📋 Engines:');
+const solved3x3 = cubeUtils.createSolvedCube('3x3x3');
+const sexy = "(R U R' U')6";
+const sexyState = cubeUtils.cloneCubeState(solved3x3);
+solver.applyMoveSequence3x3(sexyState, sexy);
+check('3x3x3: (R U R\' U\')6 is the identity', solver.parseMoveNotation3x3(sexy).length === 24 && solver.isCubeSolved3x3(sexyState));
+
+const parsed3x3 = solver.parseMoveNotation3x3("[r: U] M2' Rw");
+check(`3x3x3 parsed moves: ${parsed3x3.map(move => `${move.face}/${move.turns}${move.wide ? '/wide' : ''}`).join(' ')}`,
+  parsed3x3.map(move => move.notation).join(' ') === "r U r' M2 Rw" &&
+  parsed3x3[0].wide && parsed3x3[1].face === 'U' && parsed3x3[3].face === 'M' && parsed3x3[3].turns === 2 && !parsed3x3[3].wide);
+
+const conjugated = cubeUtils.cloneCubeState(solved3x3);
+solver.applyMoveSequence3x3(conjugated, "[F: R U R' U'] // OLL 45");
+check('3x3x3: a conjugate turns the cube like its expansion',
+  cubeUtils.compareCubeStates(conjugated, applyMoves(solved3x3, "F R U R' U' F'")));
+
+check('3x3x3: invalid notation throws instead of being skipped',
+  errorOf(() => solver.parseMoveNotation3x3("R U R' Q")) instanceof NotationError &&
+  errorOf(() => solver.parseSingleMove3x3('R U')) instanceof NotationError &&
+  solver.parseSingleMove3x3("U'2").notation === 'U2');
+
+const solved2x2 = cubeUtils.createSolvedCube('2x2x2');
+check('2x2x2: [R, U]6 is the identity',
+  solver2x2.isCubeSolved(solver2x2.applyMoveSequence(solved2x2, '[R, U]6')));
+const wide2x2 = errorOf(() => solver2x2.parseMoveNotation('R U x'));
+check(`2x2x2: rotations are rejected with their position (${wide2x2?.message})`,
+  wide2x2 instanceof NotationError && wide2x2.column === 5);
+
+const solved4x4 = cubeUtils.createSolvedCube('4x4x4');
+const parsed4x4 = solver4x4.parseMoveNotation4x4("(2R U2)2 3Rw'");
+check(`4x4x4 parsed moves: ${parsed4x4.map(move => move.notation).join(' ')}`,
+  parsed4x4.length === 5 && parsed4x4[0].layers.join() === '1' && parsed4x4[4].layers.join() === '0,1,2' && parsed4x4[4].turns === -1);
+const oppositeState = cubeUtils.cloneCubeState(solved4x4);
+solver4x4.applyMoveSequence4x4(oppositeState, "[Rw, U]2 [Rw, U]2'");
+check('4x4x4: a commutator and its inverse cancel', solver4x4.isCubeSolved4x4(oppositeState));
+
+finish('notation parser');
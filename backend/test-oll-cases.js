@@ -0,0 +1,92 @@
+import solver from './services/solver3x3x3.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { applyMoves, invertMoveSequence } from './utils/moveEngine.js';
+import { check, finish } from './testHelpers.js';
+
+console.log('🔄 Testing the 57-case OLL dataset...\n');
+
+const solved = cubeUtils.createSolvedCube('3x3x3');
+const { allCases, version } = solver.getOLLAlgorithms();
+
+// Everything below the U layer, plus the centers, must survive every algorithm
+const firstTwoLayers = cube => ['F', 'R', 'B', 'L'].map(face => cube.faces[face].slice(3).join('')).join('') +
+  cube.faces.D.join('') + cube.faces.U[4];
+const solvedF2L = firstTwoLayers(solved);
+
+console.log('📋 Dataset:');
+check(`version ${version}, cases numbered 1-57`,
+  Number.isInteger(version) && allCases.map(ollCase => ollCase.number).join() === Array.from({ length: 57 }, (_, i) => i + 1).join());
+
+const rotations = pattern => [0, 1, 2, 3].map(turns => {
+  let rotated = pattern;
+  for (let i = 0; i < turns; i++) rotated = solver.rotateOLLPattern(rotated);
+  return rotated;
+});
+
+let algorithmCount = 0;
+let goodAlgorithms = 0;
+for (const ollCase of allCases) {
+  ollCase.algorithms.forEach((algorithm, i) => {
+    algorithmCount++;
+    const caseState = applyMoves(solved, invertMoveSequence(algorithm));
+    const pattern = solver.getOLLPattern(caseState);
+    const recognized = solver.recognizeOLLCase(caseState);
+    const solvedByOLL = cubeUtils.cloneCubeState(caseState);
+    const result = solver.solveOLL(solvedByOLL);
+
+    const good = firstTwoLayers(caseState) === solvedF2L &&
+      (i === 0 ? pattern === ollCase.pattern : rotations(ollCase.pattern).includes(pattern)) &&
+      recognized?.number === ollCase.number &&
+      result.isOLLComplete && result.appliedAlgorithms.length === 1 && firstTwoLayers(solvedByOLL) === solvedF2L;
+    if (good) {
+      goodAlgorithms++;
+    } else {
+      console.log(`   ❌ OLL ${ollCase.number}: ${algorithm} (pattern ${pattern}, recognized as ${recognized?.number})`);
+    }
+  });
+}
+check(`${goodAlgorithms}/${algorithmCount} algorithms keep F2L and are recognized as their case`, goodAlgorithms === algorithmCount);
+check('cases sharing a U pattern are listed together', solver.matchOLLPattern('00000000')?.candidates.length > 1);
+
+console.log('\n📋 Every last layer orientation:');
+// Twist corners and flip edges in place: 27 corner and 8 edge orientations
+const CORNERS = [[['U', 0], ['L', 0], ['B', 2]], [['U', 2], ['B', 0], ['R', 2]], [['U', 6], ['F', 0], ['L', 2]], [['U', 8], ['R', 0], ['F', 2]]];
+const EDGES = [[['U', 1], ['B', 1]], [['U', 3], ['L', 1]], [['U', 5], ['R', 1]], [['U', 7], ['F', 1]]];
+const cycle = (cube, stickers, turns) => {
+  const colors = stickers.map(([face, index]) => cube.faces[face][index]);
+  stickers.forEach(([face, index], i) => { cube.faces[face][index] = colors[(i + turns) % stickers.length]; });
+};
+
+let states = 0;
+let solvedInOne = 0;
+for (let corners = 0; corners < 27; corners++) {
+  const twists = [corners % 3, Math.floor(corners / 3) % 3, Math.floor(corners / 9)];
+  twists.push((6 - twists[0] - twists[1] - twists[2]) % 3);
+  for (let edges = 0; edges < 8; edges++) {
+    const flips = [edges & 1, (edges >> 1) & 1, (edges >> 2) & 1];
+    flips.push((flips[0] + flips[1] + flips[2]) % 2);
+
+    const cube = cubeUtils.cloneCubeState(solved);
+    CORNERS.forEach((stickers, i) => cycle(cube, stickers, twists[i]));
+    EDGES.forEach((stickers, i) => cycle(cube, stickers, flips[i]));
+    if (solver.isOLLComplete(cube)) continue;
+
+    states++;
+    const result = solver.solveOLL(cube);
+    if (result.isOLLComplete && result.appliedAlgorithms.length === 1 && firstTwoLayers(cube) === solvedF2L) {
+      solvedInOne++;
+    } else {
+      console.log(`   ❌ twists ${twists.join('')} flips ${flips.join('')}: ${result.error || result.finalPattern}`);
+    }
+  }
+}
+check(`${solvedInOne}/${states} unoriented last layers solved by one algorithm`, solvedInOne === states && states === 215);
+
+console.log('\n📋 Errors:');
+const twisted = cubeUtils.cloneCubeState(solved);
+cycle(twisted, CORNERS[0], 1);
+const twistedResult = solver.solveOLL(twisted);
+check('a single twisted corner is reported, not looped on', !twistedResult.success && /not an OLL case/.test(twistedResult.error));
+check('an oriented last layer needs no moves', solver.solveOLL(cubeUtils.cloneCubeState(solved)).totalMoves === 0);
+
+finish('OLL case');
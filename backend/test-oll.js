@@ -75,7 +75,7 @@ const testPatterns = [
 testPatterns.forEach(pattern => {
     const match = matchOLLPattern(pattern);
     if (match) {
-        console.log(`   Pattern ${pattern} -> OLL Case ${match.id}: ${match.name}`);
+        console.log(`   Pattern ${pattern} -> OLL Case ${match.number}: ${match.name}`);
         console.log(`     Algorithm: ${match.rotatedAlgorithm || 'None'}`);
     } else {
         console.log(`   Pattern ${pattern} -> No match found`);
@@ -120,7 +120,7 @@ console.log('     Others:', ollAlgorithms.categories.others.length);
 // Test some specific algorithm entries
 console.log('   Sample algorithms:');
 ollAlgorithms.allCases.slice(0, 5).forEach(ollCase => {
-    console.log(`     OLL ${ollCase.id}: ${ollCase.name} - ${ollCase.algorithm}`);
+    console.log(`     OLL ${ollCase.number}: ${ollCase.name} - ${ollCase.algorithms[0]}`);
 });
 
 console.log();
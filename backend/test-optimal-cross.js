@@ -0,0 +1,97 @@
+import solver from './services/solver3x3x3.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { applyMoves, generateScramble, invertMoveSequence } from './utils/moveEngine.js';
+import { PIECE_SLOTS } from './utils/pieceTracking.js';
+import { check, finish, random } from './testHelpers.js';
+
+console.log('✚ Testing the optimal cross search...\n');
+
+const solved = cubeUtils.createSolvedCube('3x3x3');
+
+// Rotation that brings each face to D, to check a cross built on it
+const TO_D = { D: '', U: 'x2', F: "x'", B: 'x', R: 'z', L: "z'" };
+const crossDoneOn = (cube, face) => solver.isCrossComplete(applyMoves(cube, TO_D[face]));
+const pieceSolved = (cube, faces) => {
+  const slot = Object.keys(PIECE_SLOTS).find(name => name.length === faces.length && faces.every(face => name.includes(face)));
+  return PIECE_SLOTS[slot].every(([face, index]) => cube.faces[face][index] === cube.faces[face][4]);
+};
+const pairDoneOn = (cube, face, slot) => crossDoneOn(cube, face) && pieceSolved(cube, [...slot]) && pieceSolved(cube, [face, ...slot]);
+
+console.log('📋 Short scrambles:');
+let optimal = 0;
+for (let length = 0; length <= 5; length++) {
+  const scramble = generateScramble(3, length, random);
+  const result = solver.solveCross(applyMoves(solved, scramble));
+  if (result.success && result.totalMoves <= length && crossDoneOn(applyMoves(applyMoves(solved, scramble), result.moveSequence), 'D')) {
+    optimal++;
+  } else {
+    console.log(`   ❌ ${scramble}: ${result.moveSequence}`);
+  }
+}
+check(`${optimal}/6 crosses no longer than their scramble`, optimal === 6);
+check("F' is undone by F", solver.solveCross(applyMoves(solved, "F'")).moveSequence === 'F');
+
+console.log('\n🔀 Random scrambles:');
+const numScrambles = 20;
+let dCrosses = 0;
+let neutralCrosses = 0;
+let totalMoves = 0;
+let neutralMoves = 0;
+for (let i = 0; i < numScrambles; i++) {
+  const cube = applyMoves(solved, generateScramble(3, 25, random));
+
+  const dCross = solver.solveCross(cube);
+  if (dCross.success && dCross.crossFace === 'D' && dCross.totalMoves <= 8 &&
+      crossDoneOn(applyMoves(cube, dCross.moveSequence), 'D')) {
+    dCrosses++;
+  }
+  totalMoves += dCross.totalMoves;
+
+  const neutral = solver.solveCross(cube, { colorNeutral: true });
+  const shortest = Math.min(...neutral.candidates.map(candidate => candidate.totalMoves));
+  if (neutral.success && neutral.candidates.length === 6 && neutral.totalMoves === shortest &&
+      !/[xyz]/.test(neutral.moveSequence) && neutral.crossColor === cube.faces[neutral.crossFace][4] &&
+      crossDoneOn(applyMoves(cube, neutral.moveSequence), neutral.crossFace)) {
+    neutralCrosses++;
+  }
+  neutralMoves += neutral.totalMoves;
+}
+check(`${dCrosses}/${numScrambles} D crosses in at most 8 moves, average ${(totalMoves / numScrambles).toFixed(1)}`, dCrosses === numScrambles);
+check(`${neutralCrosses}/${numScrambles} color neutral crosses are the shortest of the 6, average ${(neutralMoves / numScrambles).toFixed(1)}`,
+  neutralCrosses === numScrambles);
+
+const chosen = solver.solveCross(applyMoves(solved, "R U F' D2 L B"), { crossFaces: ['U', 'F'] });
+check(`a chosen subset of faces is honoured (${chosen.crossFace})`,
+  chosen.candidates.map(candidate => candidate.face).join() === 'U,F' && ['U', 'F'].includes(chosen.crossFace));
+
+console.log('\n📋 X-cross:');
+const pairScramble = invertMoveSequence("R U R' F D' L2 B");
+const pairCube = applyMoves(solved, pairScramble);
+const xcross = solver.solveCross(pairCube, { xcross: true });
+check(`a 7 move scramble gives an X-cross of at most 7 moves (${xcross.moveSequence}, pair ${xcross.pairSlot})`,
+  xcross.success && xcross.totalMoves <= 7 && pairDoneOn(applyMoves(pairCube, xcross.moveSequence), 'D', xcross.pairSlot));
+
+let xcrosses = 0;
+for (let i = 0; i < 5; i++) {
+  const cube = applyMoves(solved, generateScramble(3, 25, random));
+  const cross = solver.solveCross(cube, { colorNeutral: true });
+  const result = solver.solveCross(cube, { colorNeutral: true, xcross: true });
+  const crossOnFace = result.candidates.find(candidate => candidate.face === result.crossFace).totalMoves;
+  const after = applyMoves(cube, result.moveSequence);
+  if (result.pairSlot ? result.totalMoves <= crossOnFace + 4 && pairDoneOn(after, result.crossFace, result.pairSlot)
+    : result.totalMoves === cross.totalMoves) {
+    xcrosses++;
+  }
+}
+check(`${xcrosses}/5 color neutral X-crosses solve a pair within 4 moves of their cross`, xcrosses === 5);
+
+console.log('\n📋 Edge cases:');
+const none = solver.solveCross(solved, { colorNeutral: true, xcross: true });
+check('a solved cube needs no moves', none.success && none.totalMoves === 0 && none.crossFace === 'D');
+
+const broken = cubeUtils.cloneCubeState(solved);
+broken.faces.D[1] = broken.faces.U[4];
+const brokenResult = solver.solveCross(broken);
+check(`a missing cross edge is reported (${brokenResult.error})`, !brokenResult.success && /missing/.test(brokenResult.error));
+
+finish('cross search');
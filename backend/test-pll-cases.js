@@ -0,0 +1,86 @@
+import solver from './services/solver3x3x3.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { applyMoves, invertMoveSequence } from './utils/moveEngine.js';
+import { check, finish } from './testHelpers.js';
+
+console.log('🔄 Testing the 21 PLL cases...\n');
+
+const solved = cubeUtils.createSolvedCube('3x3x3');
+const { cases } = solver.getPLLAlgorithms();
+const AUFS = ['', 'U', 'U2', "U'"];
+
+// Everything below the U layer, the U face and the centers must survive every algorithm
+const layersAndTop = cube => ['F', 'R', 'B', 'L'].map(face => cube.faces[face].slice(3).join('')).join('') +
+  cube.faces.D.join('') + cube.faces.U.join('');
+
+console.log('📋 Cases:');
+check('21 cases with their standard names',
+  cases.map(pllCase => pllCase.name).sort().join() === 'Aa,Ab,E,F,Ga,Gb,Gc,Gd,H,Ja,Jb,Na,Nb,Ra,Rb,T,Ua,Ub,V,Y,Z');
+check('every algorithm keeps F2L and orientation',
+  cases.every(pllCase => layersAndTop(applyMoves(solved, pllCase.algorithm)) === layersAndTop(solved)));
+check('a U turn reads as "11111111" and follows rotatePLLPattern',
+  solver.getPLLPattern(applyMoves(solved, 'U')) === '11111111' &&
+  solver.rotatePLLPattern(solver.getPLLPattern(applyMoves(solved, "R U R' F' R U R' U' R' F R2 U' R'"))) ===
+    solver.getPLLPattern(applyMoves(solved, "R U R' F' R U R' U' R' F R2 U' R' U")));
+
+console.log('\n📋 Every case between every pair of U turns:');
+let casesSolved = 0;
+for (const pllCase of cases) {
+  let solvedInOne = 0;
+  for (const before of AUFS) {
+    for (const after of AUFS) {
+      const cube = applyMoves(solved, `${before} ${invertMoveSequence(pllCase.algorithm)} ${after}`);
+      const recognized = solver.recognizePLLCase(cube);
+      const result = solver.solvePLL(cube);
+      if (recognized?.name === pllCase.name && result.isPLLComplete && solver.isCubeSolved3x3(cube) &&
+          result.appliedAlgorithms.length === 1 && result.appliedAlgorithms[0].case === pllCase.name) {
+        solvedInOne++;
+      } else {
+        console.log(`   ❌ ${pllCase.name} between "${before}" and "${after}": recognized as ${recognized?.name}`);
+      }
+    }
+  }
+  if (solvedInOne === 16) casesSolved++;
+}
+check(`${casesSolved}/${cases.length} cases recognized and solved in one algorithm from all 16 angles`, casesSolved === cases.length);
+
+console.log('\n📋 Every last layer permutation:');
+// Reach every permutation with an oriented top: any case, then any U turn
+const patterns = new Map();
+for (const pllCase of [{ algorithm: '' }, ...cases]) {
+  for (const before of AUFS) {
+    for (const after of AUFS) {
+      const cube = applyMoves(solved, `${before} ${invertMoveSequence(pllCase.algorithm)} ${after}`);
+      patterns.set(solver.getPLLPattern(cube), cube);
+    }
+  }
+}
+let solvedStates = 0;
+for (const [pattern, cube] of patterns) {
+  const result = solver.solvePLL(cubeUtils.cloneCubeState(cube));
+  const oneAlgorithm = result.appliedAlgorithms.length <= 1 && result.totalMoves <= 25;
+  if (result.isPLLComplete && oneAlgorithm) {
+    solvedStates++;
+  } else {
+    console.log(`   ❌ ${pattern}: ${result.error || result.finalPattern}`);
+  }
+}
+check(`${solvedStates}/${patterns.size} permutations solved by one algorithm plus AUF`, solvedStates === patterns.size && patterns.size === 288);
+
+console.log('\n📋 Skips and errors:');
+const aufOnly = solver.solvePLL(applyMoves(solved, 'U2'));
+check('a turned last layer only needs an AUF', aufOnly.isPLLComplete && aufOnly.totalMoves === 1 && aufOnly.appliedAlgorithms[0].name === 'PLL Skip');
+check('a permuted last layer needs no moves', solver.solvePLL(cubeUtils.cloneCubeState(solved)).totalMoves === 0);
+
+const swapped = cubeUtils.cloneCubeState(solved);
+for (const [a, b] of [[['U', 7], ['U', 5]], [['F', 1], ['R', 1]]]) {
+  [swapped.faces[a[0]][a[1]], swapped.faces[b[0]][b[1]]] = [swapped.faces[b[0]][b[1]], swapped.faces[a[0]][a[1]]];
+}
+const swappedResult = solver.solvePLL(swapped);
+check('two swapped edges are reported, not looped on', !swappedResult.success && /not a PLL case/.test(swappedResult.error));
+check('an unoriented last layer is reported', /not oriented/.test(solver.solvePLL(applyMoves(solved, "F R U R' U' F'")).error));
+
+const phase = solver.solveCube3x3(applyMoves(solved, "U R U R' U' R' F R2 U' R' U' R U R' F'")).phases.find(({ name }) => name === 'PLL');
+check(`CFOP reports the PLL by name (${phase?.casesUsed?.join(', ')})`, phase?.success && phase.casesUsed[0] === 'T Perm');
+
+finish('PLL case');
@@ -52,7 +52,7 @@ console.log();
 
 // Test 3: Algorithm database
 console.log('=== Test 3: Available PLL Algorithms ===');
-const algorithms = getPLLAlgorithms();
+const algorithms = getPLLAlgorithms().cases;
 console.log(`Total algorithms: ${algorithms.length}`);
 algorithms.forEach(alg => {
     console.log(`- ${alg.name}: ${alg.algorithm || 'No algorithm'} (${alg.moveCount} moves)`);
@@ -0,0 +1,102 @@
+import roux from './services/solverRoux.js';
+import solver from './services/solver3x3x3.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { applyMoves, generateScramble, invertMoveSequence } from './utils/moveEngine.js';
+import { check, finish, pick, random } from './testHelpers.js';
+
+console.log('🧩 Testing the Roux method...\n');
+
+const solved = cubeUtils.createSolvedCube('3x3x3');
+
+// Both 1x2x3 blocks: the L and R faces below the U row, and the D corners and side edges
+const blocks = cube => ['L', 'R'].map(face => cube.faces[face].slice(3).join('')).join('') +
+  ['F', 'B'].map(face => [3, 5, 6, 8].map(index => cube.faces[face][index]).join('')).join('') +
+  [0, 2, 3, 5, 6, 8].map(index => cube.faces.D[index]).join('');
+const solvedBlocks = blocks(solved);
+const cornersSolvedUpToU = cube => ['', 'U', 'U2', "U'"].some(turn =>
+  roux.getCMLLPattern(applyMoves(cube, turn)) === '00102030');
+
+console.log('📋 CMLL dataset:');
+const { cases, groups, version } = roux.getCMLLAlgorithms();
+check(`version ${version}, 42 cases`, Number.isInteger(version) && cases.length === 42);
+check('O 2, H 4, and 6 each of Pi, U, T, Sune, Antisune, L',
+  Object.entries(groups).map(([group, groupCases]) => `${group}${groupCases.length}`).join() === 'O2,H4,Pi6,U6,T6,Sune6,Antisune6,L6');
+
+let goodAlgorithms = 0;
+for (const cmllCase of cases) {
+  const caseState = applyMoves(solved, invertMoveSequence(cmllCase.algorithm));
+  const recognized = roux.recognizeCMLLCase(caseState);
+  if (blocks(caseState) === solvedBlocks && recognized?.name === cmllCase.name && recognized.preAdjustment === '') {
+    goodAlgorithms++;
+  } else {
+    console.log(`   ❌ ${cmllCase.name}: ${cmllCase.algorithm} (recognized as ${recognized?.name})`);
+  }
+}
+check(`${goodAlgorithms}/42 algorithms keep both blocks and are recognized as their case`, goodAlgorithms === 42);
+
+console.log('\n📋 Every U corner state:');
+// 24 permutations x 27 twists of the four U corners, mixed by last layer algorithms that keep F2L
+const LAST_LAYER_MOVES = ["R U R' U R U2 R'", "F R U R' U' F'", "R' F R' B2 R F' R' B2 R2", "R U R' U' R' F R2 U' R' U' R U R' F'", 'U'];
+const corners = new Set();
+let states = 0;
+let solvedInOne = 0;
+for (let i = 0; i < 20000 && corners.size < 648; i++) {
+  const scramble = Array.from({ length: 10 }, () => pick(LAST_LAYER_MOVES)).join(' ');
+  const cube = applyMoves(solved, scramble);
+  const pattern = roux.getCMLLPattern(cube);
+  if (corners.has(pattern)) continue;
+  corners.add(pattern);
+  states++;
+
+  const match = roux.recognizeCMLLCase(cube);
+  const after = match && applyMoves(cube, match.moves);
+  if (after && blocks(after) === solvedBlocks && cornersSolvedUpToU(after)) {
+    solvedInOne++;
+  } else {
+    console.log(`   ❌ ${scramble}: ${pattern} → ${match?.name}`);
+  }
+}
+check(`${solvedInOne}/${states} corner states solved by one algorithm`, solvedInOne === states && states === 648);
+
+console.log('\n🔀 Random scrambles:');
+const numScrambles = 30;
+let solvedCount = 0;
+let totalMoves = 0;
+let sliceOnlyL6E = true;
+let blockSafeSecondBlock = true;
+for (let i = 0; i < numScrambles; i++) {
+  const scramble = generateScramble(3, 25, random);
+  const cube = applyMoves(solved, scramble);
+  const result = solver.solveCube3x3(cube, { method: 'roux' });
+
+  if (result.success && cubeUtils.compareCubeStates(applyMoves(cube, result.moveSequence), solved)) {
+    solvedCount++;
+  } else {
+    console.log(`   ❌ ${scramble}: ${result.error}`);
+  }
+  totalMoves += result.totalMoves;
+  sliceOnlyL6E = sliceOnlyL6E && result.phases.slice(3).every(phase => phase.moveSequence.every(move => /^[MU]/.test(move)));
+  blockSafeSecondBlock = blockSafeSecondBlock && result.phases[1].moveSequence.every(move => /^[URrM]/.test(move));
+}
+check(`${solvedCount}/${numScrambles} solved, average ${(totalMoves / numScrambles).toFixed(1)} moves`, solvedCount === numScrambles);
+check('second block uses only R, r, U and M', blockSafeSecondBlock);
+check('L6E uses only M and U', sliceOnlyL6E);
+
+const sample = solver.solveCube3x3(applyMoves(solved, "D2 F' R U2 L B' D R2 F U' L2 B"), { method: 'roux' });
+check(`six phases with move counts (${sample.phases.map(phase => `${phase.name}: ${phase.moves}`).join(', ')})`,
+  sample.method === 'Roux' && sample.phases.length === 6 &&
+  sample.phases.every(phase => phase.success && phase.moves === phase.moveSequence.length) &&
+  sample.phases[2].casesUsed.length === 1);
+
+console.log('\n📋 Edge cases:');
+const solvedResult = solver.solveCube3x3(solved, { method: 'roux' });
+check('a solved cube needs no moves and skips CMLL',
+  solvedResult.success && solvedResult.totalMoves === 0 && solvedResult.phases[2].casesUsed[0] === 'CMLL Skip');
+
+const twisted = cubeUtils.cloneCubeState(solved);
+[twisted.faces.U[8], twisted.faces.R[0], twisted.faces.F[2]] = [solved.faces.F[2], solved.faces.U[8], solved.faces.R[0]];
+const twistedResult = solver.solveCube3x3(twisted, { method: 'roux' });
+check(`a twisted corner stops at CMLL (${twistedResult.error})`,
+  !twistedResult.success && twistedResult.phases.at(-1).name === 'CMLL' && /not a CMLL case/.test(twistedResult.error));
+
+finish('Roux method');
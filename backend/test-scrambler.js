@@ -0,0 +1,172 @@
+import { getScramble } from './controllers/scrambleController.js';
+import scrambler from './services/scrambler.js';
+import solver2x2 from './services/solver2x2x2.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { getCubieError, stickersToCubie } from './utils/cubieModel.js';
+import { getOptimalDistance } from './services/solverOptimal2x2x2.js';
+import { createRandom } from './utils/random.js';
+import { applyMoves } from './utils/moveEngine.js';
+import { callHandler, check, finish } from './testHelpers.js';
+
+console.log('🎲 Testing the scramblers...\n');
+
+const cancels = moves => moves.some((move, i) => i > 0 && move[0] === moves[i - 1][0]);
+const errorOf = fn => { try { fn(); return null; } catch (error) { return error; } };
+
+/**
+ * Whether a base move repeats within a run of moves on one axis (R R, R L R, Rw R Rw)
+ * @param {string[]} moves - Scramble moves
+ * @returns {boolean} True if some move is redundant
+ */
+function repeatsOnAxis(moves) {
+  const axisOf = move => ({ R: 'x', L: 'x', U: 'y', D: 'y', F: 'z', B: 'z' })[move.replace(/\d|w|'/g, '')];
+  let run = [];
+  return moves.some(move => {
+    const base = move.replace(/['2]$/, '').replace(/^(\d?[RLUDFB]w?)2$/, '$1');
+    if (run.length && axisOf(run[0]) !== axisOf(base)) run = [];
+    const repeated = run.includes(base);
+    run.push(base);
+    return repeated;
+  });
+}
+
+console.log('📋 Seeded generator:');
+const first = createRandom(42);
+const second = createRandom(42);
+check('the same seed gives the same numbers', Array.from({ length: 5 }, () => first()).join() === Array.from({ length: 5 }, () => second()).join());
+check('string seeds are accepted and differ from each other', createRandom('a')() !== createRandom('b')());
+
+console.log('\n📋 Random states:');
+// Where the URF corner ends up should be spread evenly over the seven free slots
+const random = createRandom(7);
+const slotCounts = new Array(8).fill(0);
+let validStates = 0;
+const draws = 7000;
+for (let i = 0; i < draws; i++) {
+  const cubie = scrambler.getRandomCubie('2x2x2', random);
+  slotCounts[cubie.cp.indexOf(0)]++;
+  if (!getCubieError(cubie) && cubie.cp[6] === 6 && cubie.co[6] === 0) validStates++;
+}
+check(`${validStates}/${draws} 2x2x2 states legal with DBL fixed`, validStates === draws);
+check(`URF corner spread over the free slots (${slotCounts.join(', ')})`,
+  slotCounts[6] === 0 && slotCounts.every((count, slot) => slot === 6 || Math.abs(count - draws / 7) < 150));
+
+let legal3x3 = 0;
+let flipped = 0;
+for (let i = 0; i < 2000; i++) {
+  const cubie = scrambler.getRandomCubie('3x3x3', random);
+  if (!getCubieError(cubie)) legal3x3++;
+  flipped += cubie.eo[0];
+}
+check(`2000/2000 3x3x3 states legal, UR flipped ${flipped} times`, legal3x3 === 2000 && Math.abs(flipped - 1000) < 120);
+
+console.log('\n🔀 Scrambles:');
+for (const [cubeType, maxLength, minDistance] of [['2x2x2', 11, 4], ['3x3x3', 21, 2]]) {
+  const solved = cubeUtils.createSolvedCube(cubeType);
+  let good = 0;
+  const lengths = [];
+  for (let seed = 0; seed < 10; seed++) {
+    const scramble = scrambler.generateRandomStateScramble(cubeType, { seed });
+    lengths.push(scramble.moveSequence.length);
+    const farEnough = cubeType === '2x2x2' ? getOptimalDistance(scramble.cubeState) >= minDistance : scramble.moveSequence.length >= minDistance;
+    if (cubeUtils.compareCubeStates(applyMoves(solved, scramble.scramble), scramble.cubeState) &&
+      scramble.moveSequence.length <= maxLength && farEnough && !cancels(scramble.moveSequence) &&
+      (cubeType === '3x3x3' || scramble.moveSequence.every(move => /^[RUF]/.test(move)))) {
+      good++;
+    } else {
+      console.log(`   ❌ seed ${seed}: ${scramble.scramble}`);
+    }
+  }
+  check(`${cubeType}: 10/10 scrambles reach their state in ${Math.min(...lengths)}-${Math.max(...lengths)} moves`, good === 10);
+}
+
+const again = scrambler.generateRandomStateScramble('3x3x3', { seed: 'club-night' });
+check('a seed reproduces its scramble',
+  again.scramble === scrambler.generateRandomStateScramble('3x3x3', { seed: 'club-night' }).scramble &&
+  again.seed === 'club-night');
+const fresh = solver2x2.createScrambledCube();
+check(`createScrambledCube is random-state and reports its seed (${fresh.scrambleMoves})`,
+  Number.isInteger(fresh.seed) && solver2x2.createScrambledCube({ seed: fresh.seed }).scrambleMoves === fresh.scrambleMoves &&
+  fresh.scrambleMoves.split(' ').every(move => /^[RUF]/.test(move)));
+
+console.log('\n🎯 Random-move scrambles:');
+for (let size = 2; size <= 7; size++) {
+  const cubeType = `${size}x${size}x${size}`;
+  const scramble = scrambler.generateRandomMoveScramble(cubeType, { seed: size });
+  const moves = scramble.moveSequence;
+  const wide = moves.some(move => move.includes('w'));
+  const threeLayer = moves.some(move => move.startsWith('3'));
+  check(`${cubeType}: ${moves.length} moves, ${wide ? 'with' : 'no'} wide turns, ${moves.slice(0, 6).join(' ')} ...`,
+    moves.length === scrambler.RANDOM_MOVE_LENGTHS[size] && !repeatsOnAxis(moves) &&
+    wide === size >= 4 && threeLayer === size >= 6 &&
+    scrambler.generateRandomMoveScramble(cubeType, { seed: size }).scramble === scramble.scramble &&
+    cubeUtils.compareCubeStates(applyMoves(cubeUtils.createSolvedCube(cubeType), scramble.scramble), scramble.cubeState));
+}
+check('different seeds give different scrambles',
+  scrambler.generateRandomMoveScramble('3x3x3', { seed: 1 }).scramble !== scrambler.generateRandomMoveScramble('3x3x3', { seed: 2 }).scramble);
+check('a length can be chosen', scrambler.generateRandomMoveScramble('5x5x5', { seed: 3, length: 12 }).moveSequence.length === 12);
+
+let axisRepeats = 0;
+for (let seed = 0; seed < 200; seed++) {
+  if (repeatsOnAxis(scrambler.generateRandomMoveScramble('3x3x3', { seed }).moveSequence)) axisRepeats++;
+}
+check(`200 3x3x3 scrambles without same-axis redundancy (${axisRepeats} found)`, axisRepeats === 0);
+
+console.log('\n📋 Subsets:');
+const ru = scrambler.generateRandomMoveScramble('4x4x4', { seed: 5, subset: 'ru', length: 30 });
+check(`ru: ${ru.moveSequence.slice(0, 8).join(' ')} ...`,
+  ru.moveSequence.length === 30 && ru.moveSequence.every(move => /^[RU]['2]?$/.test(move)) && !cancels(ru.moveSequence));
+
+const subsetsHold = (subset, holds, lengths) => lengths.every((length, seed) => {
+  const scramble = scrambler.generateRandomMoveScramble('3x3x3', { seed, subset, length });
+  const cubie = stickersToCubie(scramble.cubeState);
+  return scramble.subset === subset && scramble.moveSequence.length === (length ?? 25) && holds(cubie) &&
+    !cancels(scramble.moveSequence) &&
+    cubeUtils.compareCubeStates(applyMoves(cubeUtils.createSolvedCube('3x3x3'), scramble.scramble), scramble.cubeState);
+});
+const home = (permutation, orientation, slots) => slots.every(slot => permutation[slot] === slot && orientation[slot] === 0);
+const lengthsFrom = min => [undefined, ...Array.from({ length: 30 - min }, (_, i) => min + i)];
+check('last-layer: first two layers stay solved, every length from 6 is exact',
+  subsetsHold('last-layer', cubie => home(cubie.cp, cubie.co, [4, 5, 6, 7]) && home(cubie.ep, cubie.eo, [4, 5, 6, 7, 8, 9, 10, 11]), lengthsFrom(6)));
+check('f2l: the cross stays solved, every length from 3 is exact',
+  subsetsHold('f2l', cubie => home(cubie.ep, cubie.eo, [4, 5, 6, 7]), lengthsFrom(3)));
+
+const bigLastLayer = scrambler.generateRandomMoveScramble('5x5x5', { seed: 3, subset: 'last-layer', length: 40 });
+const bigSolved = cubeUtils.createSolvedCube('5x5x5');
+check(`last-layer on a 5x5x5: 40 moves, only the U layer scrambled (${bigLastLayer.moveSequence.slice(0, 8).join(' ')} ...)`,
+  bigLastLayer.moveSequence.length === 40 && !cubeUtils.compareCubeStates(bigLastLayer.cubeState, bigSolved) &&
+  ['L', 'F', 'R', 'B'].every(face => bigLastLayer.cubeState.faces[face].slice(5).join() === bigSolved.faces[face].slice(5).join()) &&
+  bigLastLayer.cubeState.faces.D.join() === bigSolved.faces.D.join());
+
+const smallF2L = scrambler.generateRandomMoveScramble('2x2x2', { seed: 8, subset: 'f2l', length: 9 });
+check(`f2l on a 2x2x2: ${smallF2L.scramble}`, smallF2L.moveSequence.length === 9 && !cancels(smallF2L.moveSequence));
+
+check('unknown subsets and bad lengths are rejected',
+  errorOf(() => scrambler.generateRandomMoveScramble('3x3x3', { subset: 'oll' }))?.message.includes('Unknown scramble subset') &&
+  errorOf(() => scrambler.generateRandomMoveScramble('3x3x3', { subset: 'last-layer', length: 5 }))?.message.includes('No last-layer scramble has exactly 5 moves') &&
+  errorOf(() => scrambler.generateRandomMoveScramble('3x3x3', { subset: 'f2l', length: 2 }))?.message.includes('No f2l scramble') &&
+  errorOf(() => scrambler.generateRandomMoveScramble('3x3x3', { length: 0 }))?.message.includes('positive integer') &&
+  errorOf(() => scrambler.generateRandomMoveScramble('8x8x8')) !== null);
+
+check('prototype keys are not subsets',
+  ['toString', 'constructor', '__proto__'].every(subset =>
+    errorOf(() => scrambler.generateRandomStateScramble('3x3x3', { subset }))?.message === `No ${subset} random-state scrambles for 3x3x3` &&
+    errorOf(() => scrambler.generateRandomMoveScramble('3x3x3', { subset }))?.message.includes('Unknown scramble subset')));
+
+console.log('\n📋 GET /api/scramble/:cubeType:');
+const response = callHandler(getScramble, { params: { cubeType: '3x3x3' }, query: { seed: '2024' } });
+check(`3x3x3 seed=2024 → ${response.body.scramble}`,
+  response.status === 200 && response.body.seed === 2024 && response.body.length === response.body.moveSequence.length &&
+  response.body.scramble === scrambler.generateRandomStateScramble('3x3x3', { seed: 2024 }).scramble &&
+  cubeUtils.compareCubeStates(applyMoves(cubeUtils.createSolvedCube('3x3x3'), response.body.scramble), response.body.cubeState));
+
+const unseeded = callHandler(getScramble, { params: { cubeType: '2x2x2' } });
+check('no seed → a fresh seed is reported', unseeded.status === 200 && Number.isInteger(unseeded.body.seed));
+
+const unsupported = callHandler(getScramble, { params: { cubeType: '5x5x5' } });
+check('unsupported cube type → 400 INVALID_CUBE_TYPE', unsupported.status === 400 && unsupported.body.error.type === 'INVALID_CUBE_TYPE');
+
+const emptySeed = callHandler(getScramble, { params: { cubeType: '3x3x3' }, query: { seed: '' } });
+check('empty seed → 400 INVALID_PARAMETER', emptySeed.status === 400 && emptySeed.body.error.type === 'INVALID_PARAMETER');
+
+finish('scrambler');
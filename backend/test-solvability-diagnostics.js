@@ -0,0 +1,129 @@
+import { validateCube } from './controllers/validationController.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { DIAGNOSIS_ISSUES, diagnoseCube } from './utils/solvabilityDiagnostics.js';
+import { applyMoves } from './utils/moveEngine.js';
+import { callHandler, check, finish } from './testHelpers.js';
+
+console.log('🩺 Testing solvability diagnostics...\n');
+
+const copy = cubeState => ({ ...cubeState, faces: Object.fromEntries(Object.entries(cubeState.faces).map(([face, colors]) => [face, [...colors]])) });
+const cycle = (cubeState, ...positions) => {
+  const colors = positions.map(([face, index]) => cubeState.faces[face][index]);
+  positions.forEach(([face, index], i) => { cubeState.faces[face][index] = colors[(i + colors.length - 1) % colors.length]; });
+  return cubeState;
+};
+const applyFix = (cubeState, changes) => {
+  const fixed = copy(cubeState);
+  changes.forEach(({ face, index, to }) => { fixed.faces[face][index] = to; });
+  return fixed;
+};
+
+/**
+ * Diagnose a broken cube and check the first issue and that the suggestion fixes it
+ * @param {string} name - Test name
+ * @param {Object} cubeState - Broken cube
+ * @param {string} type - Expected issue type
+ * @param {number} stickerChanges - Expected number of suggested changes
+ * @param {Function} [expect] - Extra check on the diagnosis
+ */
+function checkDiagnosis(name, cubeState, type, stickerChanges, expect = () => true) {
+  const diagnosis = diagnoseCube(cubeState);
+  const first = diagnosis.issues[0]?.candidates[0]?.message;
+  check(`${name}: ${first}`,
+    !diagnosis.isSolvable && diagnosis.issues[0].type === type && diagnosis.stickerChanges === stickerChanges &&
+    diagnoseCube(applyFix(cubeState, diagnosis.suggestedChanges)).isSolvable && expect(diagnosis));
+}
+
+const solved3x3 = cubeUtils.createSolvedCube('3x3x3');
+const scrambled3x3 = applyMoves(solved3x3, "R U2 F' L D' B2 M E' S");
+
+console.log('📋 Solvable cubes:');
+for (const cubeState of [solved3x3, scrambled3x3, applyMoves(cubeUtils.createSolvedCube('2x2x2'), "R U2 F' x"), applyMoves(cubeUtils.createSolvedCube('4x4x4'), "R U2 Rw' 2F y")]) {
+  const diagnosis = diagnoseCube(cubeState);
+  check(`${cubeState.cubeType}: no issues`, diagnosis.isSolvable && diagnosis.issues.length === 0 && diagnosis.stickerChanges === 0);
+}
+
+console.log('\n📋 Piece problems:');
+checkDiagnosis('twisted corner on a solved cube', cycle(copy(solved3x3), ['U', 8], ['R', 0], ['F', 2]), DIAGNOSIS_ISSUES.TWISTED_CORNER, 3,
+  diagnosis => diagnosis.issues[0].candidates[0].message === 'Corner UFR looks twisted clockwise');
+checkDiagnosis('twisted corner on a scrambled cube', cycle(copy(scrambled3x3), ['D', 6], ['B', 8], ['L', 6]), DIAGNOSIS_ISSUES.TWISTED_CORNER, 3,
+  diagnosis => diagnosis.issues[0].candidates.length === 5);
+checkDiagnosis('flipped edge', cycle(copy(solved3x3), ['U', 7], ['F', 1]), DIAGNOSIS_ISSUES.FLIPPED_EDGE, 2,
+  diagnosis => diagnosis.issues[0].candidates[0].pieces.join() === 'UF');
+// The UF and UR pieces trade all four stickers, but the whites stay put; of all the
+// two-sticker swaps, only this one brings both edges home
+checkDiagnosis('swapped edges', cycle(cycle(copy(solved3x3), ['U', 5], ['U', 7]), ['R', 1], ['F', 1]), DIAGNOSIS_ISSUES.SWAPPED_PIECES, 2,
+  diagnosis => diagnosis.issues[0].candidates[0].message === 'Edges UR and UF appear swapped' &&
+    diagnosis.suggestedChanges.map(change => `${change.face}${change.index}${change.from}${change.to}`).sort().join() === 'F1RG,R1GR');
+// Swapping back two edges that share a color changes fewer stickers than swapping the corners back
+checkDiagnosis('swapped corners on a held cube', cycle(cycle(cycle(applyMoves(copy(solved3x3), 'x y'), ['U', 8], ['U', 6]), ['R', 0], ['F', 0]), ['F', 2], ['L', 2]),
+  DIAGNOSIS_ISSUES.SWAPPED_PIECES, 2, diagnosis => diagnosis.issues[0].candidates.every((candidate, i, all) => i === 0 ||
+    all[i - 1].changes.length <= candidate.changes.length));
+
+const twistedAndFlipped = cycle(cycle(copy(solved3x3), ['D', 2], ['F', 8], ['R', 6]), ['D', 3], ['L', 7]);
+checkDiagnosis('twisted corner and flipped edge', twistedAndFlipped, DIAGNOSIS_ISSUES.TWISTED_CORNER, 5,
+  diagnosis => diagnosis.issues.map(issue => issue.type).join() === 'TWISTED_CORNER,FLIPPED_EDGE');
+
+console.log('\n📋 Sticker problems:');
+const misread = copy(scrambled3x3);
+misread.faces.F[5] = misread.faces.F[5] === 'W' ? 'Y' : 'W';
+checkDiagnosis('one wrong color', misread, DIAGNOSIS_ISSUES.WRONG_STICKERS, 1,
+  diagnosis => diagnosis.suggestedChanges[0].face === 'F' && diagnosis.suggestedChanges[0].index === 5 &&
+    diagnosis.suggestedChanges[0].to === scrambled3x3.faces.F[5]);
+
+checkDiagnosis('two stickers of one corner entered the wrong way round', cycle(copy(scrambled3x3), ['U', 0], ['L', 0]), DIAGNOSIS_ISSUES.WRONG_STICKERS, 2,
+  diagnosis => diagnosis.issues[0].candidates[0].message.includes('look swapped'));
+
+const twoWrong = copy(solved3x3);
+twoWrong.faces.U[1] = 'G';
+twoWrong.faces.D[7] = 'R';
+checkDiagnosis('two wrong colors', twoWrong, DIAGNOSIS_ISSUES.WRONG_STICKERS, 2,
+  diagnosis => diagnosis.suggestedChanges.map(change => `${change.face}${change.index}${change.to}`).sort().join() === 'D7Y,U1W');
+
+const misread2x2 = applyMoves(cubeUtils.createSolvedCube('2x2x2'), "R U2 F'");
+misread2x2.faces.D[1] = misread2x2.faces.D[1] === 'O' ? 'W' : 'O';
+checkDiagnosis('2x2x2 wrong color', misread2x2, DIAGNOSIS_ISSUES.WRONG_STICKERS, 1);
+
+const twisted2x2 = cycle(cubeUtils.createSolvedCube('2x2x2'), ['D', 2], ['B', 3], ['L', 2]);
+checkDiagnosis('2x2x2 with its DBL corner twisted', twisted2x2, DIAGNOSIS_ISSUES.TWISTED_CORNER, 3,
+  diagnosis => diagnosis.issues[0].candidates[0].pieces.join() === 'DBL');
+
+checkDiagnosis('4x4x4 twisted corner', cycle(applyMoves(cubeUtils.createSolvedCube('4x4x4'), 'Rw U'), ['U', 15], ['R', 0], ['F', 3]),
+  DIAGNOSIS_ISSUES.TWISTED_CORNER, 3);
+
+const hopeless = copy(solved3x3);
+['U', 'F'].forEach(face => [0, 1, 2, 3].forEach(index => { hopeless.faces[face][index] = 'R'; }));
+const hopelessDiagnosis = diagnoseCube(hopeless);
+check(`too many wrong stickers: ${hopelessDiagnosis.issues[0].message}`,
+  hopelessDiagnosis.issues[0].type === DIAGNOSIS_ISSUES.IMPOSSIBLE_PIECES && hopelessDiagnosis.stickerChanges === 0 &&
+  hopelessDiagnosis.issues[0].candidates.every(candidate => candidate.stickers.length > 0));
+
+console.log('\n📋 POST /api/validate/:cubeType:');
+const valid = callHandler(validateCube, { params: { cubeType: '3x3x3' }, body: { cubeState: scrambled3x3 } });
+check('solvable cube → 200, valid', valid.status === 200 && valid.body.isValid && valid.body.isSolvable && valid.body.errors.length === 0);
+
+const twisted = callHandler(validateCube, { params: { cubeType: '3x3x3' }, body: { cubeState: cycle(copy(solved3x3), ['U', 8], ['R', 0], ['F', 2]) } });
+check('twisted corner → 200, unsolvable with a suggested fix',
+  twisted.status === 200 && !twisted.body.isValid && !twisted.body.isSolvable &&
+  twisted.body.diagnosis.issues[0].type === DIAGNOSIS_ISSUES.TWISTED_CORNER && twisted.body.diagnosis.suggestedChanges.length === 3);
+
+const miscounted = callHandler(validateCube, { params: { cubeType: '3x3x3' }, body: { cubeState: misread } });
+check('wrong color → color count errors and the sticker to change',
+  miscounted.status === 200 && miscounted.body.errors[0].type === 'INVALID_COLOR_DISTRIBUTION' &&
+  miscounted.body.diagnosis.suggestedChanges.length === 1);
+
+const asCompact = callHandler(validateCube, { params: { cubeType: '2x2x2' }, body: { format: 'compact', cubeState: cubeUtils.cubeStateToCompactString(twisted2x2) } });
+check('interchange formats are accepted', asCompact.status === 200 && asCompact.body.diagnosis.issues[0].type === DIAGNOSIS_ISSUES.TWISTED_CORNER);
+
+const empty = copy(solved3x3);
+empty.faces.U[0] = '';
+const unreadable = callHandler(validateCube, { params: { cubeType: '3x3x3' }, body: { cubeState: empty } });
+check('empty stickers → 200, no diagnosis', unreadable.status === 200 && unreadable.body.diagnosis === null && unreadable.body.errors[0].type === 'EMPTY_FACELETS');
+
+const shapeless = callHandler(validateCube, { params: { cubeType: '3x3x3' }, body: { cubeState: { faces: { U: [] } } } });
+check('missing faces → 400', shapeless.status === 400);
+
+const unsupported = callHandler(validateCube, { params: { cubeType: '5x5x5' }, body: { cubeState: cubeUtils.createSolvedCube('5x5x5') } });
+check('unsupported cube type → 400 INVALID_CUBE_TYPE', unsupported.status === 400 && unsupported.body.error.type === 'INVALID_CUBE_TYPE');
+
+finish('diagnostics');
@@ -0,0 +1,272 @@
+import { solve2x2x2, solve3x3x3, solve4x4x4 } from './controllers/solverController.js';
+import solver from './services/solver3x3x3.js';
+import solver2x2 from './services/solver2x2x2.js';
+import solver4x4 from './services/solver4x4x4.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { exportCubeState } from './utils/cubeFormats.js';
+import { applyMoves } from './utils/moveEngine.js';
+import { callHandler, check, finish, quiet } from './testHelpers.js';
+
+console.log('🌐 Testing solver controllers...\n');
+
+console.log('📋 Validation errors are typed 4xx responses:');
+
+const wrongType = callHandler(solve3x3x3, { body: { cubeType: '2x2x2', faces: {} } });
+check('wrong cube type → 400 INVALID_CUBE_TYPE', wrongType.status === 400 && wrongType.body.error.type === 'INVALID_CUBE_TYPE');
+
+const noFaces = callHandler(solve3x3x3, { body: { cubeType: '3x3x3' } });
+check('missing faces → 400', noFaces.status === 400, JSON.stringify(noFaces.body));
+
+const badColors = cubeUtils.createSolvedCube('3x3x3');
+badColors.faces.U[0] = 'G';
+const colorResult = callHandler(solve3x3x3, { body: { cubeState: badColors } });
+check('wrong color counts → 422 INVALID_COLOR_DISTRIBUTION', colorResult.status === 422 && colorResult.body.error.type === 'INVALID_COLOR_DISTRIBUTION');
+
+const flipped = cubeUtils.createSolvedCube('3x3x3');
+solver.applyMoveSequence3x3(flipped, "R U F'");
+[flipped.faces.U[7], flipped.faces.F[1]] = [flipped.faces.F[1], flipped.faces.U[7]];
+const flipResult = callHandler(solve3x3x3, { body: { cubeState: flipped } });
+check('single flipped edge → 422 EDGE_ORIENTATION_PARITY', flipResult.status === 422 && flipResult.body.error.type === 'EDGE_ORIENTATION_PARITY');
+
+const twisted = cubeUtils.createSolvedCube('3x3x3');
+[twisted.faces.U[8], twisted.faces.R[0], twisted.faces.F[2]] = [twisted.faces.R[0], twisted.faces.F[2], twisted.faces.U[8]];
+const twistResult = callHandler(solve3x3x3, { body: { cubeState: twisted } });
+check('single twisted corner → 422 CORNER_ORIENTATION_PARITY', twistResult.status === 422 && twistResult.body.error.type === 'CORNER_ORIENTATION_PARITY');
+
+console.log('\n📋 Solvable cubes are accepted:');
+
+const solved = quiet(() => callHandler(solve3x3x3, { body: cubeUtils.createSolvedCube('3x3x3') }));
+check('solved cube → 200 with 0 moves', solved.status === 200 && solved.body.totalMoves === 0);
+
+const scrambles = ["F'", "R U R' U R U2 R'", "R U R' F D F' L U L'"];
+for (const scramble of scrambles) {
+  const cube = cubeUtils.createSolvedCube('3x3x3');
+  solver.applyMoveSequence3x3(cube, scramble);
+  const result = quiet(() => callHandler(solve3x3x3, { body: { cubeState: cube } }));
+  const replay = cubeUtils.cloneCubeState(cube);
+  const phaseReplay = cubeUtils.cloneCubeState(cube);
+  if (result.status === 200) {
+    solver.applyMoveSequence3x3(replay, result.body.solution);
+    solver.applyMoveSequence3x3(phaseReplay, result.body.phases.map(phase => phase.moves).join(' '));
+  }
+  check(`"${scramble}" → 200, solution and phase moves solve the cube`,
+    result.status === 200 && solver.isCubeSolved3x3(replay) && solver.isCubeSolved3x3(phaseReplay), JSON.stringify(result.body).slice(0, 200));
+}
+
+const scrambled3x3 = cubeUtils.applyMoveSequence(cubeUtils.createSolvedCube('3x3x3'), "D2 F' R U2 L B' D R2 F U' L2 B");
+const kociemba = callHandler(solve3x3x3, { body: { cubeState: scrambled3x3, method: 'kociemba' } });
+check('method=kociemba → 200, two phases, solution solves the cube',
+  kociemba.status === 200 && kociemba.body.method === 'Kociemba' && kociemba.body.phases.length === 2 &&
+  cubeUtils.compareCubeStates(cubeUtils.applyMoveSequence(scrambled3x3, kociemba.body.solution), cubeUtils.createSolvedCube('3x3x3')),
+  JSON.stringify(kociemba.body).slice(0, 200));
+
+const kociembaNeutral = callHandler(solve3x3x3, { body: { cubeState: scrambled3x3, method: 'kociemba', colorNeutral: true } });
+const kociembaOptimized = callHandler(solve3x3x3, { body: { cubeState: scrambled3x3, method: 'kociemba' }, query: { optimize: 'compact' } });
+check('method=kociemba with colorNeutral or an optimize style → 400 INVALID_PARAMETER',
+  kociembaNeutral.status === 400 && kociembaNeutral.body.error.type === 'INVALID_PARAMETER' &&
+  kociembaNeutral.body.error.details.parameter === 'colorNeutral' &&
+  kociembaOptimized.status === 400 && kociembaOptimized.body.error.details.parameter === 'optimize',
+  JSON.stringify(kociembaNeutral.body).slice(0, 200));
+check('method=kociemba with optimize=false or colorNeutral=false → 200',
+  callHandler(solve3x3x3, { body: { cubeState: scrambled3x3, method: 'kociemba', optimize: false, colorNeutral: false } }).status === 200);
+
+const layered3x3 = cubeUtils.applyMoveSequence(cubeUtils.createSolvedCube('3x3x3'), "R U R' U R U2 R' F R U R' U' F' U2 R U' R'");
+const beginner = callHandler(solve3x3x3, { body: { cubeState: layered3x3, method: 'beginner' } });
+check('method=beginner → 200, seven explained steps, solution solves the cube',
+  beginner.status === 200 && beginner.body.method === 'Beginner' && beginner.body.phases.length === 7 &&
+  beginner.body.phases.every(phase => phase.explanation) &&
+  cubeUtils.compareCubeStates(cubeUtils.applyMoveSequence(layered3x3, beginner.body.solution), cubeUtils.createSolvedCube('3x3x3')),
+  JSON.stringify(beginner.body).slice(0, 200));
+
+const roux = callHandler(solve3x3x3, { body: { cubeState: scrambled3x3, method: 'roux' } });
+check('method=roux → 200, blocks, CMLL and three L6E steps, solution solves the cube',
+  roux.status === 200 && roux.body.method === 'Roux' &&
+  roux.body.phases.map(phase => phase.name).join() ===
+    'First Block,Second Block,CMLL,L6E Edge Orientation,L6E UL/UR,L6E Edge Permutation' &&
+  cubeUtils.compareCubeStates(cubeUtils.applyMoveSequence(scrambled3x3, roux.body.solution), cubeUtils.createSolvedCube('3x3x3')),
+  JSON.stringify(roux.body).slice(0, 200));
+
+const zz = callHandler(solve3x3x3, { body: { cubeState: scrambled3x3, method: 'zz' } });
+check('method=zz → 200, EOLine, two blocks and a two-step last layer with move counts, solution solves the cube',
+  zz.status === 200 && zz.body.method === 'ZZ' && zz.body.phases.length === 5 &&
+  zz.body.phases.slice(0, 3).map(phase => phase.name).join() === 'EOLine,Left Block,Right Block' &&
+  zz.body.phases.every(phase => phase.success && Number.isInteger(phase.moveCount)) &&
+  cubeUtils.compareCubeStates(cubeUtils.applyMoveSequence(scrambled3x3, zz.body.solution), cubeUtils.createSolvedCube('3x3x3')),
+  JSON.stringify(zz.body).slice(0, 200));
+
+const neutral = quiet(() => callHandler(solve3x3x3, { body: { cubeState: scrambled3x3, colorNeutral: true } }));
+const inspectionMoves = neutral.body.inspection ? neutral.body.inspection.split(' ') : [];
+check(`colorNeutral=true → 200, shortest of 6 cross colors after inspection "${neutral.body.inspection}", solution solves the cube`,
+  neutral.status === 200 && neutral.body.colorNeutral.length === 6 &&
+  neutral.body.totalMoves === Math.min(...neutral.body.colorNeutral.map(attempt => attempt.totalMoves)) &&
+  neutral.body.moveSequence.slice(0, inspectionMoves.length).join(' ') === inspectionMoves.join(' ') &&
+  neutral.body.totalMoves === neutral.body.moveSequence.length - inspectionMoves.length &&
+  solver.isCubeSolved3x3(cubeUtils.applyMoveSequence(scrambled3x3, neutral.body.solution)),
+  JSON.stringify(neutral.body).slice(0, 200));
+
+const someColors = quiet(() => callHandler(solve3x3x3, { body: { cubeState: scrambled3x3 }, query: { colorNeutral: 'W,Y' } }));
+check('colorNeutral=W,Y → 200, only the white and yellow crosses tried',
+  someColors.status === 200 && someColors.body.colorNeutral.map(attempt => attempt.color).join() === 'W,Y' &&
+  ['W', 'Y'].includes(someColors.body.crossColor));
+
+const badColor = callHandler(solve3x3x3, { body: { cubeState: scrambled3x3, colorNeutral: ['W', 'P'] } });
+check('unknown cross color → 400 INVALID_PARAMETER', badColor.status === 400 && badColor.body.error.type === 'INVALID_PARAMETER');
+
+const raw = quiet(() => callHandler(solve3x3x3, { body: { cubeState: scrambled3x3, optimize: false } }));
+const optimized = quiet(() => callHandler(solve3x3x3, { body: { cubeState: scrambled3x3 } }));
+check(`optimize (default) → ${optimized.body.optimization?.movesSaved} moves saved, per phase, solution still solves the cube`,
+  raw.status === 200 && optimized.status === 200 && raw.body.optimization === undefined &&
+  optimized.body.totalMoves === raw.body.totalMoves - optimized.body.optimization.movesSaved &&
+  optimized.body.phases.reduce((saved, phase) => saved + phase.movesSaved, 0) === optimized.body.optimization.movesSaved &&
+  cubeUtils.compareCubeStates(cubeUtils.applyMoveSequence(scrambled3x3, optimized.body.solution), cubeUtils.createSolvedCube('3x3x3')),
+  JSON.stringify(optimized.body.optimization));
+
+check(`moveMetrics → ${JSON.stringify(optimized.body.moveMetrics)}, ETM matches the move count`,
+  optimized.body.moveMetrics?.etm === optimized.body.moveSequence.length && optimized.body.moveMetrics.stm <= optimized.body.moveMetrics.htm &&
+  optimized.body.moveMetrics.htm <= optimized.body.moveMetrics.qtm && kociemba.body.moveMetrics?.htm === kociemba.body.totalMoves);
+
+const badStyle = callHandler(solve3x3x3, { body: { cubeState: scrambled3x3 }, query: { optimize: 'shortest' } });
+check('unknown optimizer style → 400 INVALID_PARAMETER', badStyle.status === 400 && badStyle.body.error.type === 'INVALID_PARAMETER');
+
+const badMethod3x3 = callHandler(solve3x3x3, { body: { cubeState: scrambled3x3 }, query: { method: 'petrus' } });
+check('unknown 3x3x3 method → 400 INVALID_PARAMETER', badMethod3x3.status === 400 && badMethod3x3.body.error.type === 'INVALID_PARAMETER');
+
+console.log('\n📋 POST /api/solve/2x2x2:');
+
+const scrambled2x2 = solver2x2.applyMoveSequence(cubeUtils.createSolvedCube('2x2x2'), "R U2 F' L D' B2 R' U");
+
+for (const method of ['ortega', 'cll', 'auto']) {
+  const result = callHandler(solve2x2x2, { body: { cubeState: scrambled2x2, method } });
+  const replay = result.status === 200
+    ? solver2x2.applyMoveSequence(scrambled2x2, result.body.phases.map(phase => phase.moves).join(' '))
+    : null;
+  check(`method=${method} → 200, phase moves solve the cube, analysis included`,
+    result.status === 200 && solver2x2.isCubeSolved(replay) && !!result.body.analysis?.quality,
+    JSON.stringify(result.body).slice(0, 200));
+}
+
+const optimal = callHandler(solve2x2x2, { body: { cubeState: scrambled2x2, method: 'optimal' } });
+check('method=optimal → 200, as short as the scramble, analysis reports 0 moves above optimal',
+  optimal.status === 200 && optimal.body.totalMoves <= 8 && optimal.body.optimalDistance === optimal.body.totalMoves &&
+  optimal.body.analysis.metrics.movesAboveOptimal === 0,
+  JSON.stringify(optimal.body).slice(0, 200));
+
+const optimalQTM = callHandler(solve2x2x2, { body: { cubeState: scrambled2x2, method: 'optimal' }, query: { metric: 'qtm' } });
+check('metric=qtm → 200 with the QTM distance',
+  optimalQTM.status === 200 && optimalQTM.body.metric === 'qtm' && optimalQTM.body.optimalDistance >= optimal.body.optimalDistance);
+
+const badMetric = callHandler(solve2x2x2, { body: { cubeState: scrambled2x2, method: 'optimal', metric: 'stm' } });
+check('unknown metric → 400 INVALID_PARAMETER', badMetric.status === 400 && badMetric.body.error.type === 'INVALID_PARAMETER');
+
+const compared = callHandler(solve2x2x2, { body: { cubeState: scrambled2x2 }, query: { compare: 'true' } });
+check('compare=true → every method side by side',
+  compared.status === 200 && ['ortega', 'cll', 'auto', 'optimal'].every(method => compared.body.comparison[method]?.success) &&
+  !!compared.body.recommendation?.bestMethod);
+
+const comparedQTM = callHandler(solve2x2x2, { body: { cubeState: scrambled2x2 }, query: { compare: 'true', sortBy: 'qtm' } });
+const qtmCounts = comparedQTM.body.recommendation?.ranking.map(method => comparedQTM.body.comparison[method].moveMetrics.qtm);
+check(`compare sortBy=qtm → ranked ${comparedQTM.body.recommendation?.ranking.join(', ')} (${qtmCounts?.join(', ')} QTM)`,
+  comparedQTM.status === 200 && comparedQTM.body.recommendation.metric === 'qtm' &&
+  qtmCounts.every((count, i) => i === 0 || qtmCounts[i - 1] <= count) &&
+  comparedQTM.body.recommendation.bestMethod === comparedQTM.body.recommendation.ranking[0]);
+
+const badSortBy = callHandler(solve2x2x2, { body: { cubeState: scrambled2x2, compare: true, sortBy: 'moves' } });
+check('unknown sortBy metric → 400 INVALID_PARAMETER', badSortBy.status === 400 && badSortBy.body.error.type === 'INVALID_PARAMETER');
+
+const badMethod = callHandler(solve2x2x2, { body: { cubeState: scrambled2x2, method: 'roux' } });
+check('unknown method → 400 INVALID_PARAMETER', badMethod.status === 400 && badMethod.body.error.type === 'INVALID_PARAMETER');
+
+const twisted2x2 = cubeUtils.createSolvedCube('2x2x2');
+[twisted2x2.faces.U[3], twisted2x2.faces.R[0], twisted2x2.faces.F[1]] = [twisted2x2.faces.R[0], twisted2x2.faces.F[1], twisted2x2.faces.U[3]];
+const twist2x2 = callHandler(solve2x2x2, { body: { cubeState: twisted2x2 } });
+check('twisted 2x2x2 corner → 422 CORNER_ORIENTATION_PARITY', twist2x2.status === 422 && twist2x2.body.error.type === 'CORNER_ORIENTATION_PARITY');
+
+console.log('\n📋 POST /api/solve/4x4x4:');
+
+const scrambled4x4 = cubeUtils.createSolvedCube('4x4x4');
+solver4x4.applyMoveSequence4x4(scrambled4x4, "R 2U F' 2L2 D Rw B' 2F U2 2R'");
+const result4x4 = quiet(() => callHandler(solve4x4x4, { body: { cubeState: scrambled4x4 } }));
+const replay4x4 = cubeUtils.cloneCubeState(scrambled4x4);
+if (result4x4.status === 200) {
+  solver4x4.applyMoveSequence4x4(replay4x4, result4x4.body.solution);
+}
+check('scrambled centers accepted → 200, solution solves the cube',
+  result4x4.status === 200 && solver4x4.isCubeSolved4x4(replay4x4), JSON.stringify(result4x4.body).slice(0, 200));
+
+const easy4x4 = cubeUtils.createSolvedCube('4x4x4');
+solver4x4.applyMoveSequence4x4(easy4x4, solver4x4.PLL_PARITY_ALGORITHM);
+const parity4x4 = quiet(() => callHandler(solve4x4x4, { body: { cubeState: easy4x4 } }));
+check('PLL parity case → 200 with parity reported', parity4x4.status === 200 && parity4x4.body.parity.pll === true);
+
+const twisted4x4 = cubeUtils.createSolvedCube('4x4x4');
+[twisted4x4.faces.U[15], twisted4x4.faces.R[0], twisted4x4.faces.F[3]] = [twisted4x4.faces.R[0], twisted4x4.faces.F[3], twisted4x4.faces.U[15]];
+const twist4x4 = callHandler(solve4x4x4, { body: { cubeState: twisted4x4 } });
+check('twisted 4x4x4 corner → 422 CORNER_ORIENTATION_PARITY', twist4x4.status === 422 && twist4x4.body.error.type === 'CORNER_ORIENTATION_PARITY');
+
+const extraCenter = cubeUtils.createSolvedCube('4x4x4');
+extraCenter.faces.U[5] = 'Y';
+extraCenter.faces.D[5] = 'W';
+extraCenter.faces.F[6] = 'W';
+extraCenter.faces.B[6] = 'G';
+const centers4x4 = callHandler(solve4x4x4, { body: { cubeState: extraCenter } });
+check('wrong center counts → 422', centers4x4.status === 422, JSON.stringify(centers4x4.body).slice(0, 200));
+
+console.log('\n📋 Interchange formats:');
+
+const formatted3x3 = cubeUtils.createSolvedCube('3x3x3');
+solver.applyMoveSequence3x3(formatted3x3, "R U R' U R U2 R'");
+for (const format of ['kociemba', 'visualcube', 'compact', 'grid']) {
+  const result = quiet(() => callHandler(solve3x3x3, { body: { format, cubeState: exportCubeState(formatted3x3, format) } }));
+  const replay = cubeUtils.cloneCubeState(formatted3x3);
+  if (result.status === 200) solver.applyMoveSequence3x3(replay, result.body.solution);
+  check(`3x3x3 as ${format} → 200, solution solves the cube`, result.status === 200 && solver.isCubeSolved3x3(replay));
+}
+
+const kociemba2x2 = quiet(() => callHandler(solve2x2x2, { body: { format: 'kociemba', cubeState: exportCubeState(scrambled2x2, 'kociemba') } }));
+check('2x2x2 as kociemba → 200, solution solves the cube', kociemba2x2.status === 200 &&
+  solver2x2.isCubeSolved(solver2x2.applyMoveSequence(scrambled2x2, kociemba2x2.body.solution)));
+
+const grid4x4 = quiet(() => callHandler(solve4x4x4, { body: { format: 'grid', cubeState: exportCubeState(easy4x4, 'grid') } }));
+check('4x4x4 as grid → 200', grid4x4.status === 200 && grid4x4.body.parity.pll === true);
+
+const shortString = callHandler(solve3x3x3, { body: { format: 'kociemba', cubeState: 'UUUUUUUUU' } });
+check('facelet string of the wrong length → 400 INVALID_STRUCTURE',
+  shortString.status === 400 && shortString.body.error.type === 'INVALID_STRUCTURE' && shortString.body.error.details.format === 'kociemba');
+
+const unknownFormat = callHandler(solve3x3x3, { body: { format: 'fen', cubeState: 'x' } });
+check('unknown format → 400 INVALID_PARAMETER', unknownFormat.status === 400 && unknownFormat.body.error.type === 'INVALID_PARAMETER');
+
+console.log('\n📋 Orientation and color schemes:');
+
+const JAPANESE = { U: 'W', D: 'B', F: 'G', B: 'Y', R: 'R', L: 'O' };
+const isUniform = cubeState => Object.values(cubeState.faces).every(colors => colors.every(color => color === colors[0]));
+
+const yellowUp = applyMoves(scrambled3x3, 'x2 y');
+const heldUpsideDown = quiet(() => callHandler(solve3x3x3, { body: { cubeState: yellowUp } }));
+check(`3x3x3 held yellow up → 200, rotation ${heldUpsideDown.body.orientation?.rotation}, solution solves the cube as held`,
+  heldUpsideDown.status === 200 && heldUpsideDown.body.orientation.faceColors.U === 'Y' &&
+  heldUpsideDown.body.orientation.rotation !== '' && !/[xyz]/.test(heldUpsideDown.body.solution) &&
+  isUniform(applyMoves(yellowUp, heldUpsideDown.body.solution)),
+  JSON.stringify(heldUpsideDown.body).slice(0, 200));
+
+const yellowCross = quiet(() => callHandler(solve3x3x3, { body: { cubeState: yellowUp, colorNeutral: ['Y'] } }));
+check('colorNeutral=Y on a yellow-up cube → the cross color is the user\'s yellow',
+  yellowCross.status === 200 && yellowCross.body.crossColor === 'Y' &&
+  isUniform(applyMoves(yellowUp, yellowCross.body.solution)));
+
+for (const [handler, size, scramble] of [[solve2x2x2, 2, "R U2 F' L D' B2 R' U"], [solve3x3x3, 3, "D2 F' R U2 L B' D R2 F U' L2 B"], [solve4x4x4, 4, "R U R' U R U2 R' z y"]]) {
+  const cubeType = `${size}x${size}x${size}`;
+  const japanese = applyMoves(cubeUtils.createSolvedCube(cubeType, JAPANESE), scramble);
+  const result = quiet(() => callHandler(handler, { body: { cubeState: japanese } }));
+  check(`${cubeType} in the japanese scheme → 200, solution solves the cube`,
+    result.status === 200 && result.body.orientation.colorScheme === 'japanese' && isUniform(applyMoves(japanese, result.body.solution)),
+    JSON.stringify(result.body).slice(0, 200));
+}
+
+const repeatedCorner = cubeUtils.createSolvedCube('2x2x2');
+[repeatedCorner.faces.L[2], repeatedCorner.faces.B[0]] = [repeatedCorner.faces.B[0], repeatedCorner.faces.L[2]];
+const noScheme = callHandler(solve2x2x2, { body: { cubeState: repeatedCorner } });
+check('2x2x2 whose reference corner repeats a color → 422 INVALID_COLOR_SCHEME',
+  noScheme.status === 422 && noScheme.body.error.type === 'INVALID_COLOR_SCHEME', JSON.stringify(noScheme.body).slice(0, 200));
+
+finish('solver controller');
@@ -1,11 +1,18 @@
 /**
  * Test success rate with different scramble types 
+ * Random scrambles come from a seed; pass it back to replay a run exactly:
+ *   node test-success-rate.js <seed>
  */
 
 import { createSolvedCube } from './utils/cubeStructures.js';
 import { solveCube3x3, applyMoveSequence3x3, parseMoveNotation3x3 } from './services/solver3x3x3.js';
+import { generateRandomMoveScramble } from './services/scrambler.js';
+import { createSeed } from './utils/random.js';
+
+const seed = process.argv[2] ?? createSeed();
 
 console.log('=== Testing CFOP Success Rate with Various Scrambles ===');
+console.log(`Seed: ${seed} (replay with: node test-success-rate.js ${seed})`);
 
 const testScrambles = [
     "", // Already solved
@@ -18,6 +25,9 @@ const testScrambles = [
     "U R U' R'", // Simple F2L
     "R2 U2 R2 U2 R2 U2", // 180-degree moves
     "R U2 R' D R U2 R' D'", // More complex but structured
+    // Seeded random scrambles: full, <R,U> and last layer only
+    ...['full', 'full', 'ru', 'last-layer'].map((subset, i) =>
+        generateRandomMoveScramble('3x3x3', { seed: `${seed}-${i}`, subset }).scramble),
 ];
 
 let successCount = 0;
@@ -54,4 +64,5 @@ for (let i = 0; i < testScrambles.length; i++) {
 const successRate = (successCount / totalTests * 100).toFixed(1);
 console.log(`\n=== OVERALL RESULTS ===`);
 console.log(`Success Rate: ${successCount}/${totalTests} = ${successRate}%`);
+console.log(`Seed: ${seed}`);
 console.log(`Status: ${successRate >= 50 ? '🎉 GOOD!' : successRate >= 20 ? '🔄 PROGRESS' : '❌ NEEDS WORK'}`);
\ No newline at end of file
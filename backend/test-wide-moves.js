@@ -40,7 +40,7 @@ import { matchOLLPattern } from './services/solver3x3x3.js';
 const pattern = getOLLPattern(cube2);
 const match = matchOLLPattern(pattern);
 if (match) {
-    console.log(`Pattern ${pattern} matches OLL Case ${match.id}: ${match.name}`);
+    console.log(`Pattern ${pattern} matches OLL Case ${match.number}: ${match.name}`);
     console.log(`Algorithm: ${match.rotatedAlgorithm}`);
 } else {
     console.log(`Pattern ${pattern} - no match found in database`);
@@ -0,0 +1,85 @@
+import solver from './services/solver3x3x3.js';
+import zz from './services/solverZZ.js';
+import cubeUtils from './utils/cubeStructures.js';
+import { checkSolvability3x3x3 } from './utils/solvability.js';
+import { applyMoves, generateScramble, invertMoveSequence } from './utils/moveEngine.js';
+import { check, finish, random } from './testHelpers.js';
+
+console.log('🧩 Testing the ZZ method...\n');
+
+const solved = cubeUtils.createSolvedCube('3x3x3');
+const EPLL_CASES = ['Solved', 'Ua Perm', 'Ub Perm', 'H Perm', 'Z Perm'];
+
+console.log('📋 COLL dataset:');
+const { cases, groups, version } = zz.getCOLLAlgorithms();
+check(`version ${version}, 40 cases`, Number.isInteger(version) && cases.length === 40);
+check('H 4, and 6 each of Pi, U, T, Sune, Antisune, L',
+  Object.entries(groups).map(([group, groupCases]) => `${group}${groupCases.length}`).join() === 'H4,Pi6,U6,T6,Sune6,Antisune6,L6');
+
+let goodAlgorithms = 0;
+for (const collCase of cases) {
+  const caseState = applyMoves(solved, invertMoveSequence(collCase.algorithm));
+  const recognized = zz.recognizeCOLLCase(caseState);
+  const after = recognized && applyMoves(caseState, recognized.moves);
+  const epll = after && solver.analyzePLLState(after);
+  if (solver.isF2LComplete(caseState) && recognized?.name === collCase.name && solver.isOLLComplete(after) &&
+      EPLL_CASES.includes(epll.caseName)) {
+    goodAlgorithms++;
+  } else {
+    console.log(`   ❌ ${collCase.name}: ${collCase.algorithm} (recognized as ${recognized?.name}, leaves ${epll?.caseName})`);
+  }
+}
+check(`${goodAlgorithms}/40 algorithms keep F2L and leave an EPLL`, goodAlgorithms === 40);
+
+console.log('\n🔀 Random scrambles:');
+const numScrambles = 30;
+let solvedCount = 0;
+let totalMoves = 0;
+let eoLines = 0;
+let ruLBlocks = 0;
+for (let i = 0; i < numScrambles; i++) {
+  const scramble = generateScramble(3, 25, random);
+  const cube = applyMoves(solved, scramble);
+  const result = solver.solveCube3x3(cube, { method: 'zz' });
+
+  if (result.success && cubeUtils.compareCubeStates(applyMoves(cube, result.moveSequence), solved)) {
+    solvedCount++;
+  } else {
+    console.log(`   ❌ ${scramble}: ${result.error}`);
+  }
+  totalMoves += result.totalMoves;
+
+  const afterEOLine = applyMoves(cube, result.phases[0].moveSequence);
+  if (zz.isEOLineComplete(afterEOLine) &&
+      checkSolvability3x3x3(afterEOLine).checks.edgeOrientation.totalOrientation === 0) {
+    eoLines++;
+  }
+  if (result.phases.slice(1, 3).every(phase => phase.moveSequence.every(move => /^[RUL]/.test(move)))) {
+    ruLBlocks++;
+  }
+}
+check(`${solvedCount}/${numScrambles} solved, average ${(totalMoves / numScrambles).toFixed(1)} moves`, solvedCount === numScrambles);
+check(`${eoLines}/${numScrambles} EOLines orient every edge and place DF/DB`, eoLines === numScrambles);
+check(`${ruLBlocks}/${numScrambles} F2Ls use only R, U and L`, ruLBlocks === numScrambles);
+
+console.log('\n📋 Last layer:');
+const collState = applyMoves(solved, "R U R' U R U2 R' U");
+const collResult = solver.solveCube3x3(collState, { method: 'zz' });
+check(`unoriented corners: COLL + EPLL (${collResult.phases.map(phase => `${phase.name}: ${phase.moves}`).join(', ')})`,
+  collResult.success && collResult.phases.slice(3).map(phase => phase.name).join() === 'COLL,EPLL' &&
+  collResult.phases[3].casesUsed.length === 1);
+
+const ocllState = applyMoves(solved, invertMoveSequence("R U R' U' R' F R2 U' R' U' R U R' F'"));
+const ocllResult = solver.solveCube3x3(ocllState, { method: 'zz' });
+check(`oriented corners: OCLL skip + PLL (${ocllResult.phases.slice(3).map(phase => `${phase.name}: ${phase.casesUsed}`).join(', ')})`,
+  ocllResult.success && ocllResult.phases.slice(3).map(phase => phase.name).join() === 'OCLL,PLL' &&
+  ocllResult.phases[3].moves === 0 && ocllResult.phases[4].casesUsed[0] === 'T Perm');
+
+console.log('\n📋 Errors:');
+const flipped = cubeUtils.cloneCubeState(solved);
+[flipped.faces.U[7], flipped.faces.F[1]] = [solved.faces.F[1], solved.faces.U[7]];
+const flippedResult = solver.solveCube3x3(flipped, { method: 'zz' });
+check(`a single flipped edge stops at EOLine (${flippedResult.error})`,
+  !flippedResult.success && flippedResult.phases.length === 1 && /edge orientation/.test(flippedResult.error));
+
+finish('ZZ method');
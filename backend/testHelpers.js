@@ -0,0 +1,102 @@
+/**
+ * Shared harness of the backend test scripts
+ *
+ * Every test-*.js in the suite (scripts/run-tests.js) is a plain node script:
+ * it prints a ✅ or ❌ line per check, ends with finish(), and exits with 1 if
+ * any check failed. Random scrambles come from `random`, seeded by TEST_SEED
+ * (or a fresh seed), and failures print the seed so they can be replayed.
+ */
+
+import { ApiError } from './utils/errorHandlers.js';
+import { createRandom, createSeed, randomInt } from './utils/random.js';
+
+let failures = 0;
+
+/**
+ * Seed of this run: TEST_SEED if set, otherwise a fresh one
+ */
+export const seed = process.env.TEST_SEED || String(createSeed());
+
+/**
+ * Random number generator every test scramble is drawn from
+ */
+export const random = createRandom(seed);
+
+/**
+ * Pick a random element
+ * @param {Array} items - Items to pick from
+ * @returns {*} One of the items
+ */
+export function pick(items) {
+  return items[randomInt(random, items.length)];
+}
+
+/**
+ * Record a check and print its outcome
+ * @param {string} name - What was checked
+ * @param {boolean} condition - Whether it holds
+ * @param {string} [info] - Printed after the name when the check fails
+ */
+export function check(name, condition, info = '') {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${name}${!condition && info ? ` ${info}` : ''}${!condition ? ` (TEST_SEED=${seed})` : ''}`);
+}
+
+/**
+ * Record a failure found outside a check, e.g. one of many random scrambles
+ * @param {string} message - What went wrong
+ */
+export function fail(message) {
+  failures++;
+  console.log(`   ❌ ${message} (TEST_SEED=${seed})`);
+}
+
+/**
+ * Print the summary and exit with 1 if anything failed
+ * @param {string} subject - What the script tests (e.g. 'move engine')
+ */
+export function finish(subject) {
+  console.log(`\n📊 ${failures === 0 ? `All ${subject} tests passed` : `${failures} failures`} (TEST_SEED=${seed})`);
+  if (failures > 0) process.exit(1);
+}
+
+/**
+ * Run a function with console.log silenced, e.g. a solver that logs its phases
+ * @param {Function} fn - Function to run
+ * @returns {*} What the function returned
+ */
+export function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Call a controller the way express would and capture the outcome
+ * @param {Function} handler - Controller function
+ * @param {Object} [request] - Request parts
+ * @param {Object} [request.params] - Route parameters
+ * @param {Object} [request.body] - Request body
+ * @param {Object} [request.query] - Query string
+ * @returns {Object} { status, body } of the response or thrown ApiError
+ */
+export function callHandler(handler, { params = {}, body, query = {} } = {}) {
+  const response = { status: 200, body: null };
+  const res = {
+    status(code) { response.status = code; return this; },
+    json(payload) { response.body = payload; return this; }
+  };
+
+  try {
+    handler({ params, body, query }, res);
+  } catch (error) {
+    if (!(error instanceof ApiError)) throw error;
+    response.status = error.statusCode;
+    response.body = error.toJSON();
+  }
+  return response;
+}
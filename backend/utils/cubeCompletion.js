@@ -0,0 +1,444 @@
+/**
+ * Cube Completion
+ *
+ * Fills in the stickers a user left unknown (null or '') from the ones they
+ * entered. Every piece slot can only hold a real piece that agrees with its
+ * known stickers, no piece appears twice, and the finished cube must pass the
+ * same constraints as the solvability checks:
+ *   1. The frame is fixed first: the center colors (odd cubes) or the DBL
+ *      corner, which defines the frame of an even cube. Unknown centers and
+ *      unknown DBL stickers are tried with every color they could have.
+ *   2. Slots are filled with the pieces that fit them, the most constrained
+ *      slot first, until every corner, edge and wing is placed
+ *   3. Corner twists, edge flips and corner/edge permutation parity are
+ *      checked as soon as their pieces are all placed; 4x4x4 centers then
+ *      take the colors left over, four of each
+ * The search stops once more completions are found than are reported, so an
+ * answer is `forced` (exactly one completion), `ambiguous` (several) or
+ * `impossible` (none).
+ */
+
+import { FACE_NAMES, STANDARD_FACE_COLORS, VALID_COLORS, getCubeConfig } from './cubeStructures.js';
+import { CORNER_NAMES, EDGE_NAMES, REFERENCE_CORNER, permutationParity } from './cubieModel.js';
+import { readWingEdge } from './solvability.js';
+import {
+    DIAGNOSABLE_CUBE_TYPES,
+    getCornerPositions,
+    getEdgePositions,
+    getWingPositions,
+    getSlotName,
+    readCorner,
+    readEdge
+} from './solvabilityDiagnostics.js';
+
+// ========================= COMPLETION TYPES =========================
+
+/**
+ * Cube types that can be completed
+ */
+export const COMPLETION_CUBE_TYPES = DIAGNOSABLE_CUBE_TYPES;
+
+/**
+ * Outcome of a completion
+ */
+export const COMPLETION_STATUS = {
+    FORCED: 'forced',
+    AMBIGUOUS: 'ambiguous',
+    IMPOSSIBLE: 'impossible'
+};
+
+/**
+ * Most completions listed for an ambiguous cube
+ */
+const MAX_COMPLETIONS = 10;
+
+/**
+ * Most pieces placed while searching before giving up
+ */
+const MAX_SEARCH_STEPS = 500000;
+
+/**
+ * Inner center stickers of a 4x4x4 face
+ */
+const CENTER_INDICES_4x4x4 = [5, 6, 9, 10];
+
+// ========================= ERRORS =========================
+
+/**
+ * Thrown when too few stickers are known to finish the search
+ */
+export class CompletionLimitError extends Error {
+    /**
+     * @param {number} unknownStickers - Number of unknown stickers in the cube
+     */
+    constructor(unknownStickers) {
+        super(`Could not decide between completions of ${unknownStickers} unknown stickers within ${MAX_SEARCH_STEPS} steps`);
+        this.name = 'CompletionLimitError';
+        this.unknownStickers = unknownStickers;
+    }
+}
+
+// ========================= FRAMES =========================
+
+/**
+ * Whether a sticker is unknown
+ * @param {string|null} color - Sticker color
+ * @returns {boolean} True for null, undefined and ''
+ */
+function isUnknown(color) {
+    return color === null || color === undefined || color === '';
+}
+
+/**
+ * Every ordering of a list
+ * @param {Array} items - Items to order
+ * @returns {Array[]} All permutations
+ */
+function permutations(items) {
+    if (items.length <= 1) {
+        return [items];
+    }
+    return items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+}
+
+/**
+ * Face colors the known stickers allow
+ * On odd cubes the centers give the frame; on even cubes the DBL corner does,
+ * since its own colors name the D, B and L faces.
+ * @param {Object} cubeState - Cube state with unknown stickers
+ * @param {number} size - Cube size
+ * @returns {Object[]} Color of each face, per possible frame, the closest to the standard scheme first
+ */
+function getFrames(cubeState, size) {
+    const { faceletsPerFace } = getCubeConfig(cubeState.cubeType);
+    const anchors = size % 2 === 1
+        ? FACE_NAMES.map(face => ({ face, index: (faceletsPerFace - 1) / 2 }))
+        : getCornerPositions(size)[REFERENCE_CORNER];
+
+    return permutations(VALID_COLORS)
+        .map(colors => Object.fromEntries(FACE_NAMES.map((face, i) => [face, colors[i]])))
+        .filter(frame => anchors.every(({ face, index }) => isUnknown(cubeState.faces[face][index]) ||
+            cubeState.faces[face][index] === frame[face]))
+        .map(frame => ({ frame, standard: FACE_NAMES.filter(face => frame[face] === STANDARD_FACE_COLORS[face]).length }))
+        .sort((a, b) => b.standard - a.standard)
+        .map(({ frame }) => frame);
+}
+
+/**
+ * Pieces that fit every slot of a cube in one frame
+ * Each option is a piece as it would sit in the slot: its identity, its
+ * twist or flip, and the colors it shows there.
+ * @param {Object} cubeState - Cube state with unknown stickers
+ * @param {number} size - Cube size
+ * @param {Object} frame - Color of each face
+ * @returns {Object[]} { kind, slot, positions, options } per corner, edge and wing slot
+ */
+function getSlotOptions(cubeState, size, frame) {
+    const colorFaces = Object.fromEntries(Object.entries(frame).map(([face, color]) => [color, face]));
+    const cornerColors = CORNER_NAMES.flatMap(name => [0, 1, 2].map(turn => [0, 1, 2].map(i => frame[name[(i + turn) % 3]])));
+    const edgeColors = EDGE_NAMES.flatMap(name => [[frame[name[0]], frame[name[1]]], [frame[name[1]], frame[name[0]]]]);
+
+    const fits = (positions, colors) => positions.every(({ face, index }, i) =>
+        isUnknown(cubeState.faces[face][index]) || cubeState.faces[face][index] === colors[i]);
+
+    // The DBL corner of an even cube is what names its faces, so it sits home untwisted
+    const isAnchor = (slot, piece, twist) => size % 2 === 1 || slot !== REFERENCE_CORNER || (piece === slot && twist === 0);
+    const corners = getCornerPositions(size).map((positions, slot) => ({
+        kind: 'corner',
+        slot,
+        positions,
+        options: cornerColors.filter(colors => fits(positions, colors))
+            .map(colors => {
+                const { piece, twist } = readCorner(colors, colorFaces);
+                return { piece, value: twist, colors };
+            })
+            .filter(({ piece, value }) => isAnchor(slot, piece, value))
+    }));
+    const edges = getEdgePositions(size).map((positions, slot) => ({
+        kind: 'edge',
+        slot,
+        positions,
+        options: edgeColors.filter(colors => fits(positions, colors)).map(colors => {
+            const { piece, flip } = readEdge(colors, colorFaces);
+            return { piece, value: flip, colors };
+        })
+    }));
+    const wings = getWingPositions(size).map((positions, slot) => ({
+        kind: 'wing',
+        slot,
+        positions,
+        options: edgeColors.filter(colors => fits(positions, colors))
+            .map(colors => ({ piece: readWingEdge(colors, slot, frame), value: 0, colors }))
+    }));
+
+    return [...corners, ...edges, ...wings];
+}
+
+// ========================= SEARCH =========================
+
+/**
+ * Find the completions of a cube in one frame
+ * @param {Object[]} slots - Result of getSlotOptions
+ * @param {Object} frame - Color of each face
+ * @param {Object} search - Shared { steps, completions, unknown, centerPool } state, updated in place
+ */
+function searchFrame(slots, frame, search) {
+    const order = [...slots].sort((a, b) => a.options.length - b.options.length);
+    const remaining = { corner: 0, edge: 0, wing: 0 };
+    slots.forEach(slot => { remaining[slot.kind]++; });
+    const used = { corner: new Set(), edge: new Set(), wing: new Set() };
+    const totals = { corner: 0, edge: 0, wing: 0 };
+    const pieces = { corner: [], edge: [] };
+    const placed = new Map();
+
+    const hasEdges = slots.some(slot => slot.kind === 'edge');
+    const groupHolds = kind => {
+        if (kind === 'corner' && totals.corner % 3 !== 0) return false;
+        if (kind === 'edge' && totals.edge % 2 !== 0) return false;
+        if (kind === 'wing' || !hasEdges || remaining.corner > 0 || remaining.edge > 0) return true;
+        return permutationParity(pieces.corner) === permutationParity(pieces.edge);
+    };
+
+    const visit = depth => {
+        if (search.completions.length > MAX_COMPLETIONS) return;
+        if (depth === order.length) {
+            fillCenters(frame, placed, search);
+            return;
+        }
+
+        const slot = order[depth];
+        for (const option of slot.options) {
+            if (used[slot.kind].has(option.piece)) continue;
+            if (++search.steps > MAX_SEARCH_STEPS) {
+                throw new CompletionLimitError(search.unknown.length);
+            }
+
+            used[slot.kind].add(option.piece);
+            totals[slot.kind] += option.value;
+            remaining[slot.kind]--;
+            if (pieces[slot.kind]) pieces[slot.kind][slot.slot] = option.piece;
+            slot.positions.forEach(({ face, index }, i) => placed.set(`${face}${index}`, option.colors[i]));
+
+            if (remaining[slot.kind] > 0 || groupHolds(slot.kind)) {
+                visit(depth + 1);
+            }
+
+            used[slot.kind].delete(option.piece);
+            totals[slot.kind] -= option.value;
+            remaining[slot.kind]++;
+            if (search.completions.length > MAX_COMPLETIONS) return;
+        }
+    };
+    visit(0);
+}
+
+/**
+ * Record the completions of a cube whose pieces are all placed
+ * Odd cubes take their center colors from the frame; the inner centers of a
+ * 4x4x4 take every arrangement of the colors not yet used four times.
+ * @param {Object} frame - Color of each face
+ * @param {Map} placed - Color of every piece sticker, keyed by face and index
+ * @param {Object} search - Shared search state, updated in place
+ */
+function fillCenters(frame, placed, search) {
+    const record = centers => {
+        search.completions.push(search.unknown.map(({ face, index }) => ({
+            face,
+            index,
+            color: placed.get(`${face}${index}`) ?? centers.get(`${face}${index}`) ?? frame[face]
+        })));
+    };
+
+    const openCenters = search.centerPool ? search.unknown.filter(({ index }) => CENTER_INDICES_4x4x4.includes(index)) : [];
+    if (openCenters.length === 0) {
+        record(new Map());
+        return;
+    }
+
+    const pool = { ...search.centerPool };
+    const centers = new Map();
+    const arrange = i => {
+        if (search.completions.length > MAX_COMPLETIONS) return;
+        if (i === openCenters.length) {
+            record(centers);
+            return;
+        }
+        for (const color of VALID_COLORS) {
+            if (pool[color] === 0) continue;
+            pool[color]--;
+            centers.set(`${openCenters[i].face}${openCenters[i].index}`, color);
+            arrange(i + 1);
+            pool[color]++;
+        }
+    };
+    arrange(0);
+}
+
+// ========================= COMPLETION =========================
+
+/**
+ * Say why a cube has no completion before searching, if the known stickers already show it
+ * @param {Object} cubeState - Cube state with unknown stickers
+ * @param {number} size - Cube size
+ * @returns {string|null} Reason, or null if the search has to decide
+ */
+function findCountProblem(cubeState, size) {
+    const { colorsPerType } = getCubeConfig(cubeState.cubeType);
+    const counts = Object.fromEntries(VALID_COLORS.map(color => [color, 0]));
+    FACE_NAMES.forEach(face => cubeState.faces[face].forEach(color => { if (!isUnknown(color)) counts[color]++; }));
+
+    const excess = VALID_COLORS.find(color => counts[color] > colorsPerType);
+    if (excess) {
+        return `${counts[excess]} stickers are ${excess}, but a cube has only ${colorsPerType}`;
+    }
+
+    if (size === 4) {
+        const centerCounts = getCenterPool(cubeState);
+        const crowded = VALID_COLORS.find(color => centerCounts[color] < 0);
+        if (crowded) {
+            return `${4 - centerCounts[crowded]} centers are ${crowded}, but every color owns four`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Center colors of a 4x4x4 still to be placed
+ * @param {Object} cubeState - 4x4x4 cube state with unknown stickers
+ * @returns {Object} Number of centers of each color not yet known
+ */
+function getCenterPool(cubeState) {
+    const pool = Object.fromEntries(VALID_COLORS.map(color => [color, 4]));
+    FACE_NAMES.forEach(face => CENTER_INDICES_4x4x4.forEach(index => {
+        const color = cubeState.faces[face][index];
+        if (!isUnknown(color)) pool[color]--;
+    }));
+    return pool;
+}
+
+/**
+ * @typedef {Object} Completion
+ * @property {string} cubeType - Cube type completed
+ * @property {string} status - 'forced', 'ambiguous' or 'impossible'
+ * @property {number} unknownStickers - Number of stickers that were unknown
+ * @property {Object|null} cubeState - The completed cube when it is forced
+ * @property {Object[]} completions - Up to MAX_COMPLETIONS completions, each
+ *   { stickers: [{ face, index, color }], cubeState }
+ * @property {boolean} exhaustive - Whether every completion is listed
+ * @property {Object[]} stickers - { face, index, colors } per unknown sticker, with
+ *   the colors it takes across the listed completions
+ * @property {string|null} reason - Why no completion exists
+ */
+
+/**
+ * Fill in the unknown stickers of a cube
+ * Every completion is a cube that could be reached by turning a solved cube
+ * of some color scheme, whose stickers agree with every known one.
+ * @param {Object} cubeState - 2x2x2, 3x3x3 or 4x4x4 cube state; unknown stickers are null or ''
+ * @returns {Completion} Status and completions
+ * @throws {CompletionLimitError} If the search runs too long to decide
+ * @throws {Error} For cube types that cannot be completed
+ */
+export function completeCubeState(cubeState) {
+    if (!COMPLETION_CUBE_TYPES.includes(cubeState.cubeType)) {
+        throw new Error(`Completion supports ${COMPLETION_CUBE_TYPES.join(', ')}, got ${cubeState.cubeType}`);
+    }
+
+    const { size } = getCubeConfig(cubeState.cubeType);
+    const unknown = FACE_NAMES.flatMap(face => cubeState.faces[face]
+        .map((color, index) => (isUnknown(color) ? { face, index } : null))
+        .filter(Boolean));
+
+    const countProblem = findCountProblem(cubeState, size);
+    if (countProblem) {
+        return createCompletion(cubeState, unknown, [], true, countProblem);
+    }
+
+    const frames = getFrames(cubeState, size);
+    if (frames.length === 0) {
+        return createCompletion(cubeState, unknown, [], true,
+            size % 2 === 1 ? 'Two centers show the same color' : 'Corner DBL shows the same color twice');
+    }
+
+    const search = {
+        steps: 0,
+        completions: [],
+        unknown,
+        centerPool: size === 4 ? getCenterPool(cubeState) : null
+    };
+    // A slot no piece fits rules out its frame; when that happens in every
+    // frame at the same slot, that slot is the one to blame
+    const emptySlots = new Set();
+    for (const frame of frames) {
+        const slots = getSlotOptions(cubeState, size, frame);
+        const empty = slots.find(slot => slot.options.length === 0);
+        if (empty) {
+            emptySlots.add(`${empty.kind} ${getSlotName(empty)}`);
+            continue;
+        }
+        emptySlots.add(null);
+        searchFrame(slots, frame, search);
+        if (search.completions.length > MAX_COMPLETIONS) break;
+    }
+
+    let reason = null;
+    if (search.completions.length === 0) {
+        const [slot] = emptySlots;
+        reason = emptySlots.size === 1 && slot
+            ? `No piece has the known colors of ${slot}`
+            : 'No completion has every piece once with the corner twists, edge flips and permutation parity of a real cube';
+    }
+    const exhaustive = search.completions.length <= MAX_COMPLETIONS;
+    return createCompletion(cubeState, unknown, search.completions.slice(0, MAX_COMPLETIONS), exhaustive, reason);
+}
+
+/**
+ * Assemble a completion result
+ * @param {Object} cubeState - Cube state with unknown stickers
+ * @param {Object[]} unknown - { face, index } of every unknown sticker
+ * @param {Object[][]} completions - { face, index, color } of the unknown stickers, per completion
+ * @param {boolean} exhaustive - Whether no other completion exists
+ * @param {string|null} reason - Why no completion exists
+ * @returns {Completion} Completion result
+ */
+function createCompletion(cubeState, unknown, completions, exhaustive, reason) {
+    const fill = stickers => {
+        const faces = Object.fromEntries(FACE_NAMES.map(face => [face, [...cubeState.faces[face]]]));
+        stickers.forEach(({ face, index, color }) => { faces[face][index] = color; });
+        return { cubeType: cubeState.cubeType, faces };
+    };
+
+    let status = COMPLETION_STATUS.AMBIGUOUS;
+    if (completions.length === 0) {
+        status = COMPLETION_STATUS.IMPOSSIBLE;
+    } else if (completions.length === 1 && exhaustive) {
+        status = COMPLETION_STATUS.FORCED;
+    }
+
+    return {
+        cubeType: cubeState.cubeType,
+        status,
+        unknownStickers: unknown.length,
+        cubeState: status === COMPLETION_STATUS.FORCED ? fill(completions[0]) : null,
+        completions: completions.map(stickers => ({ stickers, cubeState: fill(stickers) })),
+        exhaustive,
+        stickers: unknown.map(({ face, index }, i) => ({
+            face,
+            index,
+            colors: [...new Set(completions.map(stickers => stickers[i].color))].sort()
+        })),
+        reason
+    };
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Completion types
+    COMPLETION_CUBE_TYPES,
+    COMPLETION_STATUS,
+    CompletionLimitError,
+
+    // Completion
+    completeCubeState
+};
@@ -0,0 +1,362 @@
+/**
+ * Cube State Interchange Formats
+ *
+ * Converts cube states to and from the formats the solve endpoints accept
+ * (with a `format` field). kociemba and visualcube are shared with other cube
+ * tools; the others are this repo's own shapes:
+ *   - state:     our own { cubeType, faces: { U, L, F, R, B, D } } object
+ *   - kociemba:  facelet string in U, R, F, D, L, B face order that names
+ *                every facelet after the center it matches, e.g.
+ *                "UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB" when
+ *                solved. 54 characters on a 3x3x3, 6 x N x N on any other
+ *                size, like the NxN solvers that extend Kociemba's notation.
+ *   - visualcube: the `fc` parameter of the VisualCube image generator: the
+ *                color letter (w, y, g, b, r, o) of every facelet in the same
+ *                U, R, F, D, L, B order, e.g. "wwwwwwwwwrrrrrrrrrggg..." for
+ *                our solved cube. It names colors, so any scheme round-trips.
+ *   - compact:   our own sticker string (cubeStateToCompactString): the color
+ *                letter of every facelet in U, L, F, R, B, D face order. It
+ *                names colors, not faces, so it is not a Kociemba string.
+ *   - grid:      our own { U: [['W', 'W', 'W'], ...], ... }, every face as rows of colors
+ * Faces are read row by row in the layout of our faces, which is also
+ * Kociemba's and VisualCube's: U and D with B (for U) or F (for D) at the top, the side faces
+ * with U at the top.
+ *
+ * Facelet strings name centers, not colors. Colors map to faces through the
+ * centers of odd cubes and through the DBL corner of even cubes (which have
+ * no fixed centers); face letters map back to the colors of a color scheme,
+ * the standard one unless another is given.
+ */
+
+import {
+    FACE_NAMES,
+    KOCIEMBA_FACE_ORDER,
+    cloneCubeState,
+    compactStringToCubeState,
+    createSolvedCube,
+    cubeStateToCompactString,
+    getCubeConfig,
+    getCubeTypeFromFacelets
+} from './cubeStructures.js';
+import { getReferenceFaceColors } from './cubieModel.js';
+
+// ========================= FORMATS =========================
+
+/**
+ * Formats a cube state can be exported to and imported from
+ */
+export const CUBE_FORMATS = ['state', 'kociemba', 'visualcube', 'compact', 'grid'];
+
+/**
+ * Shape of each format, for error messages
+ */
+export const CUBE_FORMAT_DESCRIPTIONS = {
+    state: '{ cubeType, faces: { U, L, F, R, B, D } }',
+    kociemba: 'URFDLB facelet string of face letters (54 characters on a 3x3x3)',
+    visualcube: 'VisualCube fc string: URFDLB facelet string of color letters w, y, g, b, r, o',
+    compact: "this API's own ULFRBD facelet string of color letters (not Kociemba's URFDLB face letters)",
+    grid: '{ U: [[row], ...], L, F, R, B, D } with every face as rows of colors'
+};
+
+// ========================= COLOR MAPPING =========================
+
+/**
+ * Standard color of every face, as on a solved cube
+ * @returns {Object} Map of face to color
+ */
+function getStandardFaceColors() {
+    const solved = createSolvedCube('3x3x3');
+    return Object.fromEntries(FACE_NAMES.map(face => [face, solved.faces[face][0]]));
+}
+
+/**
+ * Color of every face of a cube state
+ * Odd cubes use their centers. Even cubes have no fixed centers, so their
+ * corners are read as a 2x2x2 and the DBL corner names the faces.
+ * @param {Object} cubeState - Cube state
+ * @returns {Object} Map of face to color
+ * @throws {Error} If the colors do not form six faces
+ */
+export function getFaceColors(cubeState) {
+    const { size, faceletsPerFace } = getCubeConfig(cubeState.cubeType);
+
+    if (size % 2 === 1) {
+        const center = (faceletsPerFace - 1) / 2;
+        return Object.fromEntries(FACE_NAMES.map(face => [face, cubeState.faces[face][center]]));
+    }
+
+    const corners = [0, size - 1, size * (size - 1), faceletsPerFace - 1];
+    return getReferenceFaceColors({
+        cubeType: '2x2x2',
+        faces: Object.fromEntries(FACE_NAMES.map(face => [face, corners.map(index => cubeState.faces[face][index])]))
+    });
+}
+
+/**
+ * Cube type of a facelet string, checked against the expected one
+ * @param {number} length - Number of facelets
+ * @param {string} [cubeType] - Expected cube type (default: inferred from the length)
+ * @returns {string} Cube type
+ * @throws {Error} If no cube (or not the expected one) has that many facelets
+ */
+function getFaceletStringCubeType(length, cubeType) {
+    if (cubeType) {
+        const { totalFacelets } = getCubeConfig(cubeType);
+        if (length !== totalFacelets) {
+            throw new Error(`A ${cubeType} has ${totalFacelets} facelets, got ${length}`);
+        }
+        return cubeType;
+    }
+
+    const inferred = getCubeTypeFromFacelets(length);
+    if (!inferred) {
+        throw new Error(`No cube has ${length} facelets`);
+    }
+    return inferred;
+}
+
+// ========================= KOCIEMBA FACELET STRINGS =========================
+
+/**
+ * Write a cube state as a Kociemba facelet string
+ * @param {Object} cubeState - Cube state of any size
+ * @returns {string} URFDLB facelet string of face letters
+ * @throws {Error} If a facelet's color matches no face
+ */
+export function toKociembaString(cubeState) {
+    const faceColors = getFaceColors(cubeState);
+    const faceByColor = Object.fromEntries(Object.entries(faceColors).map(([face, color]) => [color, face]));
+
+    return KOCIEMBA_FACE_ORDER
+        .flatMap(face => cubeState.faces[face].map(color => {
+            const facelet = faceByColor[color];
+            if (!facelet) {
+                throw new Error(`Color ${color} on ${face} does not match any face`);
+            }
+            return facelet;
+        }))
+        .join('');
+}
+
+/**
+ * Read a Kociemba facelet string
+ * On odd cubes every center must name its own face, as Kociemba strings do.
+ * @param {string} text - URFDLB facelet string of face letters
+ * @param {Object} [options] - Import options
+ * @param {string} [options.cubeType] - Expected cube type (default: inferred from the length)
+ * @param {Object} [options.faceColors] - Color of each face (default: standard scheme)
+ * @returns {Object} Cube state
+ * @throws {Error} On a length no cube has, an unknown letter or a misplaced center
+ */
+export function fromKociembaString(text, { cubeType, faceColors = getStandardFaceColors() } = {}) {
+    if (typeof text !== 'string') {
+        throw new Error('Kociemba facelets must be a string');
+    }
+
+    const type = getFaceletStringCubeType(text.length, cubeType);
+    const { size, faceletsPerFace } = getCubeConfig(type);
+    const faces = {};
+
+    KOCIEMBA_FACE_ORDER.forEach((face, faceIndex) => {
+        const letters = text.slice(faceIndex * faceletsPerFace, (faceIndex + 1) * faceletsPerFace).split('');
+        letters.forEach((letter, index) => {
+            if (!KOCIEMBA_FACE_ORDER.includes(letter)) {
+                throw new Error(`Unexpected '${letter}' at position ${faceIndex * faceletsPerFace + index + 1}, expected one of ${KOCIEMBA_FACE_ORDER.join('')}`);
+            }
+        });
+        if (size % 2 === 1 && letters[(faceletsPerFace - 1) / 2] !== face) {
+            throw new Error(`Center of ${face} is ${letters[(faceletsPerFace - 1) / 2]}; faces must come in URFDLB order`);
+        }
+        faces[face] = letters.map(letter => faceColors[letter]);
+    });
+
+    return {
+        cubeType: type,
+        faces: Object.fromEntries(FACE_NAMES.map(face => [face, faces[face]]))
+    };
+}
+
+// ========================= VISUALCUBE FACELET COLORS =========================
+
+/**
+ * VisualCube letter of each of our colors
+ */
+const VISUALCUBE_COLOR_LETTERS = { W: 'w', Y: 'y', G: 'g', B: 'b', R: 'r', O: 'o' };
+
+/**
+ * Write a cube state as a VisualCube facelet color string (its `fc` parameter)
+ * @param {Object} cubeState - Cube state of any size
+ * @returns {string} URFDLB facelet string of color letters
+ * @throws {Error} If a facelet has a color VisualCube has no letter for
+ */
+export function toVisualCubeString(cubeState) {
+    return KOCIEMBA_FACE_ORDER
+        .flatMap(face => cubeState.faces[face].map(color => {
+            const letter = VISUALCUBE_COLOR_LETTERS[color];
+            if (!letter) {
+                throw new Error(`Color ${color} on ${face} has no VisualCube letter`);
+            }
+            return letter;
+        }))
+        .join('');
+}
+
+/**
+ * Read a VisualCube facelet color string
+ * Only the six cube colors are accepted; VisualCube's grey and transparent
+ * facelets stand for unknown stickers, which a cube state cannot hold.
+ * @param {string} text - URFDLB facelet string of color letters
+ * @param {Object} [options] - Import options
+ * @param {string} [options.cubeType] - Expected cube type (default: inferred from the length)
+ * @returns {Object} Cube state
+ * @throws {Error} On a length no cube has or a letter that is not a cube color
+ */
+export function fromVisualCubeString(text, { cubeType } = {}) {
+    if (typeof text !== 'string') {
+        throw new Error('VisualCube facelets must be a string');
+    }
+
+    const type = getFaceletStringCubeType(text.length, cubeType);
+    const { faceletsPerFace } = getCubeConfig(type);
+    const colorByLetter = Object.fromEntries(Object.entries(VISUALCUBE_COLOR_LETTERS).map(([color, letter]) => [letter, color]));
+    const faces = {};
+
+    KOCIEMBA_FACE_ORDER.forEach((face, faceIndex) => {
+        faces[face] = text.slice(faceIndex * faceletsPerFace, (faceIndex + 1) * faceletsPerFace).split('').map((letter, index) => {
+            if (!colorByLetter[letter]) {
+                throw new Error(`Unexpected '${letter}' at position ${faceIndex * faceletsPerFace + index + 1}, expected one of ${Object.keys(colorByLetter).join('')}`);
+            }
+            return colorByLetter[letter];
+        });
+    });
+
+    return {
+        cubeType: type,
+        faces: Object.fromEntries(FACE_NAMES.map(face => [face, faces[face]]))
+    };
+}
+
+// ========================= FACE GRIDS =========================
+
+/**
+ * Write every face of a cube state as rows of colors
+ * @param {Object} cubeState - Cube state
+ * @returns {Object} Map of face to an array of rows
+ */
+export function toFaceGrid(cubeState) {
+    const { size } = getCubeConfig(cubeState.cubeType);
+    return Object.fromEntries(FACE_NAMES.map(face => [
+        face,
+        Array.from({ length: size }, (_, row) => cubeState.faces[face].slice(row * size, (row + 1) * size))
+    ]));
+}
+
+/**
+ * Read a per-face grid of colors
+ * @param {Object} grid - Map of face to an array of rows
+ * @param {Object} [options] - Import options
+ * @param {string} [options.cubeType] - Expected cube type (default: from the number of rows)
+ * @returns {Object} Cube state
+ * @throws {Error} If a face is missing or not a square of the cube's size
+ */
+export function fromFaceGrid(grid, { cubeType } = {}) {
+    if (!grid || typeof grid !== 'object' || Array.isArray(grid)) {
+        throw new Error('Face grid must be an object of faces');
+    }
+
+    const size = cubeType ? getCubeConfig(cubeType).size : grid.U?.length;
+    const type = cubeType || `${size}x${size}x${size}`;
+    getCubeConfig(type);
+
+    const faces = {};
+    for (const face of FACE_NAMES) {
+        const rows = grid[face];
+        if (!Array.isArray(rows) || rows.length !== size || !rows.every(row => Array.isArray(row) && row.length === size)) {
+            throw new Error(`Face ${face} must be ${size} rows of ${size} colors`);
+        }
+        faces[face] = rows.flat();
+    }
+
+    return { cubeType: type, faces };
+}
+
+// ========================= CONVERSION =========================
+
+/**
+ * Write a cube state in an interchange format
+ * @param {Object} cubeState - Cube state
+ * @param {string} format - One of CUBE_FORMATS
+ * @returns {Object|string} Cube in that format
+ * @throws {Error} On an unknown format, or colors the format cannot express
+ */
+export function exportCubeState(cubeState, format) {
+    switch (format) {
+        case 'state':
+            return cloneCubeState(cubeState);
+        case 'kociemba':
+            return toKociembaString(cubeState);
+        case 'visualcube':
+            return toVisualCubeString(cubeState);
+        case 'compact':
+            return cubeStateToCompactString(cubeState);
+        case 'grid':
+            return toFaceGrid(cubeState);
+        default:
+            throw new Error(`Unknown cube format: ${format}`);
+    }
+}
+
+/**
+ * Read a cube state from an interchange format
+ * @param {Object|string} value - Cube in that format
+ * @param {string} format - One of CUBE_FORMATS
+ * @param {string} [cubeType] - Expected cube type (default: inferred where the format allows)
+ * @returns {Object} Cube state
+ * @throws {Error} On an unknown format or a value that does not match it
+ */
+export function importCubeState(value, format, cubeType) {
+    switch (format) {
+        case 'state':
+            return { ...value, cubeType: cubeType || value?.cubeType };
+        case 'kociemba':
+            return fromKociembaString(value, { cubeType });
+        case 'visualcube':
+            return fromVisualCubeString(value, { cubeType });
+        case 'compact':
+            if (typeof value !== 'string') {
+                throw new Error('Compact facelets must be a string');
+            }
+            return compactStringToCubeState(value, getFaceletStringCubeType(value.length, cubeType));
+        case 'grid':
+            return fromFaceGrid(value, { cubeType });
+        default:
+            throw new Error(`Unknown cube format: ${format}`);
+    }
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Formats
+    CUBE_FORMATS,
+    CUBE_FORMAT_DESCRIPTIONS,
+
+    // Color mapping
+    getFaceColors,
+
+    // Kociemba facelet strings
+    toKociembaString,
+    fromKociembaString,
+
+    // VisualCube facelet colors
+    toVisualCubeString,
+    fromVisualCubeString,
+
+    // Face grids
+    toFaceGrid,
+    fromFaceGrid,
+
+    // Conversion
+    exportCubeState,
+    importCubeState
+};
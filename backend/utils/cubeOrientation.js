@@ -0,0 +1,248 @@
+/**
+ * Cube Orientation and Color Schemes
+ *
+ * Cubes arrive held any way up and stickered with any color scheme, while the
+ * validators and solvers expect white up, green front and the western scheme.
+ * A cube state is therefore normalized before it is checked or solved:
+ *   1. The color of every face is read from the centers (odd cubes) or the
+ *      DBL corner (even cubes), and the scheme is named by its opposite pairs
+ *   2. The whole-cube rotation that brings it closest to white up, green
+ *      front is applied and recorded
+ *   3. A scheme other than the western one is recolored to it, face by face
+ * Solutions for the normalized cube are re-expressed in the user's own
+ * orientation by relabeling their faces through the recorded rotation, so the
+ * answer never starts with a rotation the user has to perform first.
+ */
+
+import { FACE_NAMES, STANDARD_FACE_COLORS, cloneCubeState } from './cubeStructures.js';
+import { getFaceColors } from './cubeFormats.js';
+import { applyMoves, MAX_CUBE_SIZE, parseMove } from './moveEngine.js';
+
+// ========================= COLOR SCHEMES =========================
+
+/**
+ * Known color schemes by their pairs of opposite colors
+ */
+export const COLOR_SCHEMES = {
+    western: [['W', 'Y'], ['G', 'B'], ['R', 'O']],
+    japanese: [['W', 'B'], ['Y', 'G'], ['R', 'O']]
+};
+
+/**
+ * Opposite faces, one of each pair
+ */
+const OPPOSITE_FACES = { U: 'D', F: 'B', R: 'L' };
+
+/**
+ * Name the color scheme of a set of face colors
+ * @param {Object} faceColors - Color of each face
+ * @returns {string} Key of COLOR_SCHEMES, or 'custom'
+ */
+function getSchemeName(faceColors) {
+    const pairs = Object.entries(OPPOSITE_FACES).map(([face, opposite]) => [faceColors[face], faceColors[opposite]].sort().join());
+    const name = Object.keys(COLOR_SCHEMES).find(scheme =>
+        COLOR_SCHEMES[scheme].every(pair => pairs.includes([...pair].sort().join())));
+    return name || 'custom';
+}
+
+/**
+ * Detect the color scheme of a cube state as it is held
+ * Odd cubes read it from their centers; even cubes have no fixed centers and
+ * read it from their DBL corner, the piece the 2x2x2 solvers keep in place.
+ * @param {Object} cubeState - Cube state of any size
+ * @returns {Object} { name, faceColors } with the color of every face
+ * @throws {Error} If the colors do not form six faces
+ */
+export function detectColorScheme(cubeState) {
+    const faceColors = getFaceColors(cubeState);
+    if (new Set(Object.values(faceColors)).size !== FACE_NAMES.length) {
+        throw new Error(`Faces must show six different colors, found ${FACE_NAMES.map(face => faceColors[face]).join(', ')}`);
+    }
+    return { name: getSchemeName(faceColors), faceColors };
+}
+
+// ========================= ROTATIONS =========================
+
+/**
+ * The 24 whole-cube rotations, each as few turns as possible
+ * Every up face ('', x, x2, x', z, z') is combined with every y turn.
+ */
+export const ROTATIONS = ['', 'x', 'x2', "x'", 'z', "z'"]
+    .flatMap(up => ['', 'y', 'y2', "y'"].map(turn => `${up} ${turn}`.trim()));
+
+/**
+ * Face of the original cube that every face shows after each rotation
+ */
+const ROTATION_FACES = new Map(ROTATIONS.map(rotation => {
+    const labeled = {
+        cubeType: '3x3x3',
+        faces: Object.fromEntries(FACE_NAMES.map(face => [face, new Array(9).fill(face)]))
+    };
+    const rotated = applyMoves(labeled, rotation);
+    return [rotation, Object.fromEntries(FACE_NAMES.map(face => [face, rotated.faces[face][4]]))];
+}));
+
+/**
+ * Weight of a matching color on each face when choosing a rotation: up first, then front
+ */
+const MATCH_WEIGHTS = { U: 32, F: 16, R: 8, D: 4, B: 2, L: 1 };
+
+/**
+ * Face of the original cube that every face shows after a rotation
+ * @param {string} rotation - One of ROTATIONS
+ * @returns {Object} Map of face to the original face now in its place
+ * @throws {Error} If the rotation is not one of ROTATIONS
+ */
+export function getRotationFaces(rotation) {
+    const faces = ROTATION_FACES.get(rotation);
+    if (!faces) {
+        throw new Error(`Unknown rotation: ${rotation}`);
+    }
+    return faces;
+}
+
+// ========================= NORMALIZATION =========================
+
+/**
+ * @typedef {Object} NormalizedCube
+ * @property {Object} cubeState - Cube turned white up, green front, in the western scheme
+ * @property {string} rotation - Rotation applied to the user's cube ('' if none)
+ * @property {string} colorScheme - Scheme of the user's cube (western, japanese or custom)
+ * @property {Object} faceColors - Color of every face as the user held the cube
+ * @property {Object} colorMap - Western color each of the user's colors became
+ */
+
+/**
+ * Turn a cube to the standard orientation and recolor it to the western scheme
+ * The rotation whose face colors match the most standard ones wins, up and
+ * front first. Colors are read again after rotating, since an even cube takes
+ * them from whichever corner the rotation brought to DBL; a western cube
+ * always has a rotation matching every face.
+ * @param {Object} cubeState - Cube state of any size
+ * @returns {NormalizedCube} Normalized cube and how it was reached
+ * @throws {Error} If the colors do not form six faces
+ */
+export function normalizeOrientation(cubeState) {
+    const { name, faceColors } = detectColorScheme(cubeState);
+
+    let best = null;
+    for (const rotation of ROTATIONS) {
+        const rotated = rotation ? applyMoves(cubeState, rotation) : cloneCubeState(cubeState);
+        const rotatedColors = getFaceColors(rotated);
+        const score = FACE_NAMES.reduce((total, face) =>
+            total + (rotatedColors[face] === STANDARD_FACE_COLORS[face] ? MATCH_WEIGHTS[face] : 0), 0);
+        if (!best || score > best.score) {
+            best = { rotation, rotated, rotatedColors, score };
+        }
+    }
+
+    const colorMap = Object.fromEntries(FACE_NAMES.map(face => [best.rotatedColors[face], STANDARD_FACE_COLORS[face]]));
+    const recolored = Object.entries(colorMap).some(([from, to]) => from !== to);
+
+    return {
+        cubeState: recolored ? recolorCubeState(best.rotated, colorMap) : best.rotated,
+        rotation: best.rotation,
+        colorScheme: name,
+        faceColors,
+        colorMap
+    };
+}
+
+/**
+ * Replace the colors of a cube state
+ * @param {Object} cubeState - Cube state
+ * @param {Object} colorMap - New color of each color
+ * @returns {Object} Recolored cube state
+ */
+export function recolorCubeState(cubeState, colorMap) {
+    return {
+        ...cubeState,
+        faces: Object.fromEntries(FACE_NAMES.map(face => [face, cubeState.faces[face].map(color => colorMap[color] ?? color)]))
+    };
+}
+
+// ========================= RE-EXPRESSING MOVES =========================
+
+/**
+ * Slice move turning like each face, and whether it turns the other way
+ */
+const FACE_SLICES = { L: ['M', false], R: ['M', true], D: ['E', false], U: ['E', true], F: ['S', false], B: ['S', true] };
+
+/**
+ * Rotation turning like each face, and whether it turns the other way
+ */
+const FACE_ROTATIONS = { R: ['x', false], L: ['x', true], U: ['y', false], D: ['y', true], F: ['z', false], B: ['z', true] };
+
+/**
+ * Write a move with a plain modifier
+ * @param {string} base - Move without its modifier
+ * @param {number} turns - Quarter turns (1, 2, -1)
+ * @returns {string} Notation
+ */
+function writeMove(base, turns) {
+    return base + (turns === 2 ? '2' : (turns === -1 ? "'" : ''));
+}
+
+/**
+ * Re-express one move through a face relabeling
+ * The move is parsed as for the largest cube, so any layer the solvers turn
+ * is accepted, and written back the way it came in: slice, rotation, r or Rw.
+ * @param {string} move - Move in the normalized orientation
+ * @param {Object} faces - Original face now in the place of each face
+ * @returns {string} Same turn of the cube as the user holds it
+ * @throws {Error} If the move is not in standard notation
+ */
+function relabelMove(move, faces) {
+    const { face, layers, turns, notation } = parseMove(move, MAX_CUBE_SIZE);
+    const turnedFace = faces[face];
+    const letter = notation[0];
+
+    if ('xyz'.includes(letter) || 'MES'.includes(letter)) {
+        const [relabeled, reversed] = ('xyz'.includes(letter) ? FACE_ROTATIONS : FACE_SLICES)[turnedFace];
+        return writeMove(relabeled, reversed && turns !== 2 ? -turns : turns);
+    }
+    if (letter !== letter.toUpperCase()) {
+        return writeMove(turnedFace.toLowerCase(), turns);
+    }
+    if (notation.includes('w')) {
+        return writeMove(`${layers.length === 2 ? '' : layers.length}${turnedFace}w`, turns);
+    }
+    return writeMove(`${layers[0] > 0 ? layers[0] + 1 : ''}${turnedFace}`, turns);
+}
+
+/**
+ * Re-express moves for the normalized cube in the user's orientation
+ * Turning face X of the rotated cube turns the face of the user's cube that
+ * the rotation brought to X, in the same direction.
+ * @param {string|string[]} moves - Moves for the normalized cube
+ * @param {string} rotation - Rotation that normalized the cube
+ * @returns {string[]} The same turns as the user holds the cube
+ */
+export function reorientMoves(moves, rotation) {
+    const list = Array.isArray(moves) ? moves : String(moves || '').split(/\s+/).filter(Boolean);
+    if (!rotation) {
+        return [...list];
+    }
+
+    const faces = getRotationFaces(rotation);
+    return list.map(move => relabelMove(move, faces));
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Color schemes
+    COLOR_SCHEMES,
+    detectColorScheme,
+
+    // Rotations
+    ROTATIONS,
+    getRotationFaces,
+
+    // Normalization
+    normalizeOrientation,
+    recolorCubeState,
+
+    // Re-expressing moves
+    reorientMoves
+};
@@ -1,16 +1,18 @@
 /**
  * Cube Data Structures and Schemas for Multi-Cube Solver
  * 
- * This module defines standardized data structures for 2x2x2, 3x3x3, and 4x4x4 Rubik's cubes.
+ * This module defines standardized data structures for 2x2x2 through 7x7x7 Rubik's cubes.
  * Each cube type has specific facelet counts, color distributions, and validation requirements.
  */
 
+import { applyMoves, generateScramble } from './moveEngine.js';
+
 // ========================= CUBE SIZE CONFIGURATIONS =========================
 
 /**
  * @typedef {Object} CubeConfig
  * @property {string} name - Human-readable cube name
- * @property {number} size - Cube dimension (2, 3, or 4)
+ * @property {number} size - Cube dimension (2-7)
  * @property {number} faceletsPerFace - Number of facelets on each face
  * @property {number} totalFacelets - Total facelets on the cube
  * @property {number} colorsPerType - How many facelets of each color
@@ -45,6 +47,33 @@ export const CUBE_CONFIGS = {
         colorsPerType: 16,
         standardColors: ['W', 'Y', 'G', 'B', 'R', 'O'],
         faces: ['U', 'L', 'F', 'R', 'B', 'D']
+    },
+    '5x5x5': {
+        name: "5x5x5 Professor's Cube",
+        size: 5,
+        faceletsPerFace: 25,
+        totalFacelets: 150,
+        colorsPerType: 25,
+        standardColors: ['W', 'Y', 'G', 'B', 'R', 'O'],
+        faces: ['U', 'L', 'F', 'R', 'B', 'D']
+    },
+    '6x6x6': {
+        name: '6x6x6 V-Cube 6',
+        size: 6,
+        faceletsPerFace: 36,
+        totalFacelets: 216,
+        colorsPerType: 36,
+        standardColors: ['W', 'Y', 'G', 'B', 'R', 'O'],
+        faces: ['U', 'L', 'F', 'R', 'B', 'D']
+    },
+    '7x7x7': {
+        name: '7x7x7 V-Cube 7',
+        size: 7,
+        faceletsPerFace: 49,
+        totalFacelets: 294,
+        colorsPerType: 49,
+        standardColors: ['W', 'Y', 'G', 'B', 'R', 'O'],
+        faces: ['U', 'L', 'F', 'R', 'B', 'D']
     }
 };
 
@@ -114,26 +143,30 @@ export const FACE_RELATIONSHIPS = {
  * @property {string[]} faces.D - Down face facelets
  */
 
+/**
+ * Color of every face of a solved cube in the standard orientation and western scheme
+ */
+export const STANDARD_FACE_COLORS = {
+    U: 'W', // White on top
+    D: 'Y', // Yellow on bottom  
+    F: 'G', // Green in front
+    B: 'B', // Blue in back
+    R: 'R', // Red on right
+    L: 'O'  // Orange on left
+};
+
 /**
  * Create a solved cube state for any cube type
  * @param {string} cubeType - Type of cube (2x2x2, 3x3x3, 4x4x4)
+ * @param {Object} [faceColors] - Color of each face (default: STANDARD_FACE_COLORS)
  * @returns {CubeState} Solved cube state
  */
-export function createSolvedCube(cubeType) {
+export function createSolvedCube(cubeType, faceColors = STANDARD_FACE_COLORS) {
     const config = CUBE_CONFIGS[cubeType];
     if (!config) {
         throw new Error(`Invalid cube type: ${cubeType}`);
     }
 
-    const faceColors = {
-        U: 'W', // White on top
-        D: 'Y', // Yellow on bottom  
-        F: 'G', // Green in front
-        B: 'B', // Blue in back
-        R: 'R', // Red on right
-        L: 'O'  // Orange on left
-    };
-
     const faces = {};
     for (const face of FACE_NAMES) {
         faces[face] = new Array(config.faceletsPerFace).fill(faceColors[face]);
@@ -459,36 +492,38 @@ export function extractCornerPieces(cubeState) {
     const corners = {};
     
     // Corner positions by cube type (0-indexed)
+    // Stickers are listed clockwise starting with the U/D facelet, matching the
+    // face layout used by the move engines (U bottom row touches F, D top row touches F)
     const cornerMaps = {
         '2x2x2': {
             // All pieces are corners in 2x2x2
-            'UFR': [['U', 0], ['F', 1], ['R', 0]], // Top-front-right
-            'UFL': [['U', 1], ['F', 0], ['L', 1]], // Top-front-left  
-            'UBR': [['U', 3], ['B', 0], ['R', 1]], // Top-back-right
-            'UBL': [['U', 2], ['B', 1], ['L', 0]], // Top-back-left
+            'UFR': [['U', 3], ['R', 0], ['F', 1]], // Top-front-right
+            'UFL': [['U', 2], ['F', 0], ['L', 1]], // Top-front-left  
+            'UBR': [['U', 1], ['B', 0], ['R', 1]], // Top-back-right
+            'UBL': [['U', 0], ['L', 0], ['B', 1]], // Top-back-left
             'DFR': [['D', 1], ['F', 3], ['R', 2]], // Bottom-front-right
-            'DFL': [['D', 0], ['F', 2], ['L', 3]], // Bottom-front-left
-            'DBR': [['D', 2], ['B', 3], ['R', 3]], // Bottom-back-right
-            'DBL': [['D', 3], ['B', 2], ['L', 2]]  // Bottom-back-left
+            'DFL': [['D', 0], ['L', 3], ['F', 2]], // Bottom-front-left
+            'DBR': [['D', 3], ['R', 3], ['B', 2]], // Bottom-back-right
+            'DBL': [['D', 2], ['B', 3], ['L', 2]]  // Bottom-back-left
         },
         '3x3x3': {
-            'UFR': [['U', 2], ['F', 2], ['R', 0]], // Top-front-right
-            'UFL': [['U', 0], ['F', 0], ['L', 2]], // Top-front-left
-            'UBR': [['U', 8], ['B', 0], ['R', 2]], // Top-back-right
-            'UBL': [['U', 6], ['B', 2], ['L', 0]], // Top-back-left
+            'UFR': [['U', 8], ['R', 0], ['F', 2]], // Top-front-right
+            'UFL': [['U', 6], ['F', 0], ['L', 2]], // Top-front-left
+            'UBR': [['U', 2], ['B', 0], ['R', 2]], // Top-back-right
+            'UBL': [['U', 0], ['L', 0], ['B', 2]], // Top-back-left
             'DFR': [['D', 2], ['F', 8], ['R', 6]], // Bottom-front-right
-            'DFL': [['D', 0], ['F', 6], ['L', 8]], // Bottom-front-left
-            'DBR': [['D', 8], ['B', 6], ['R', 8]], // Bottom-back-right
+            'DFL': [['D', 0], ['L', 8], ['F', 6]], // Bottom-front-left
+            'DBR': [['D', 8], ['R', 8], ['B', 6]], // Bottom-back-right
             'DBL': [['D', 6], ['B', 8], ['L', 6]]  // Bottom-back-left
         },
         '4x4x4': {
-            'UFR': [['U', 3], ['F', 3], ['R', 0]], // Top-front-right
-            'UFL': [['U', 0], ['F', 0], ['L', 3]], // Top-front-left
-            'UBR': [['U', 15], ['B', 0], ['R', 3]], // Top-back-right
-            'UBL': [['U', 12], ['B', 3], ['L', 0]], // Top-back-left
+            'UFR': [['U', 15], ['R', 0], ['F', 3]], // Top-front-right
+            'UFL': [['U', 12], ['F', 0], ['L', 3]], // Top-front-left
+            'UBR': [['U', 3], ['B', 0], ['R', 3]], // Top-back-right
+            'UBL': [['U', 0], ['L', 0], ['B', 3]], // Top-back-left
             'DFR': [['D', 3], ['F', 15], ['R', 12]], // Bottom-front-right
-            'DFL': [['D', 0], ['F', 12], ['L', 15]], // Bottom-front-left
-            'DBR': [['D', 15], ['B', 12], ['R', 15]], // Bottom-back-right
+            'DFL': [['D', 0], ['L', 15], ['F', 12]], // Bottom-front-left
+            'DBR': [['D', 15], ['R', 15], ['B', 12]], // Bottom-back-right
             'DBL': [['D', 12], ['B', 15], ['L', 12]]  // Bottom-back-left
         }
     };
@@ -555,9 +590,9 @@ export function extractEdgePieces(cubeState) {
     // Edge positions by cube type
     const edgeMaps = {
         '3x3x3': {
-            'UF': [['U', 1], ['F', 1]], // Top-front
+            'UF': [['U', 7], ['F', 1]], // Top-front
             'UR': [['U', 5], ['R', 1]], // Top-right
-            'UB': [['U', 7], ['B', 1]], // Top-back
+            'UB': [['U', 1], ['B', 1]], // Top-back
             'UL': [['U', 3], ['L', 1]], // Top-left
             'DF': [['D', 1], ['F', 7]], // Bottom-front
             'DR': [['D', 5], ['R', 7]], // Bottom-right
@@ -569,12 +604,31 @@ export function extractEdgePieces(cubeState) {
             'BL': [['B', 5], ['L', 3]]  // Back-left
         },
         '4x4x4': {
-            // 4x4x4 has wing pieces (dedges) - simplified extraction
-            'UF1': [['U', 1], ['F', 1]], // Top-front wing 1
-            'UF2': [['U', 2], ['F', 2]], // Top-front wing 2
-            'UR1': [['U', 7], ['R', 1]], // Top-right wing 1
-            'UR2': [['U', 11], ['R', 2]], // Top-right wing 2
-            // ... (more wing pieces would be defined)
+            // 4x4x4 has two wing pieces per edge, numbered along the second face
+            'UF1': [['U', 13], ['F', 1]], // Top-front wing 1
+            'UF2': [['U', 14], ['F', 2]], // Top-front wing 2
+            'UR1': [['U', 11], ['R', 1]], // Top-right wing 1
+            'UR2': [['U', 7], ['R', 2]], // Top-right wing 2
+            'UB1': [['U', 2], ['B', 1]], // Top-back wing 1
+            'UB2': [['U', 1], ['B', 2]], // Top-back wing 2
+            'UL1': [['U', 4], ['L', 1]], // Top-left wing 1
+            'UL2': [['U', 8], ['L', 2]], // Top-left wing 2
+            'DF1': [['D', 1], ['F', 13]], // Bottom-front wing 1
+            'DF2': [['D', 2], ['F', 14]], // Bottom-front wing 2
+            'DR1': [['D', 7], ['R', 13]], // Bottom-right wing 1
+            'DR2': [['D', 11], ['R', 14]], // Bottom-right wing 2
+            'DB1': [['D', 14], ['B', 13]], // Bottom-back wing 1
+            'DB2': [['D', 13], ['B', 14]], // Bottom-back wing 2
+            'DL1': [['D', 8], ['L', 13]], // Bottom-left wing 1
+            'DL2': [['D', 4], ['L', 14]], // Bottom-left wing 2
+            'FR1': [['F', 7], ['R', 4]], // Front-right wing 1
+            'FR2': [['F', 11], ['R', 8]], // Front-right wing 2
+            'FL1': [['F', 4], ['L', 7]], // Front-left wing 1
+            'FL2': [['F', 8], ['L', 11]], // Front-left wing 2
+            'BR1': [['B', 4], ['R', 7]], // Back-right wing 1
+            'BR2': [['B', 8], ['R', 11]], // Back-right wing 2
+            'BL1': [['B', 7], ['L', 4]], // Back-left wing 1
+            'BL2': [['B', 11], ['L', 8]] // Back-left wing 2
         }
     };
     
@@ -596,17 +650,18 @@ export function extractEdgePieces(cubeState) {
 
 // ========================= COORDINATE SYSTEM CONVERSIONS =========================
 
+/**
+ * Face order of a Kociemba facelet string
+ */
+export const KOCIEMBA_FACE_ORDER = ['U', 'R', 'F', 'D', 'L', 'B'];
+
 /**
  * Convert between different coordinate systems for cube representation
  * @param {Object} cubeState - Cube state to convert
- * @param {string} targetFormat - Target coordinate format ('kociemba', 'standard', 'solver')
- * @returns {Object} Converted cube state
+ * @param {string} targetFormat - Target coordinate format ('kociemba', 'standard')
+ * @returns {Object|string} Converted cube state ('kociemba' returns a facelet string)
  */
 export function convertCoordinateSystem(cubeState, targetFormat) {
-    // Placeholder for coordinate system conversions
-    // This would implement conversions for different solver formats
-    // (e.g., Kociemba notation, different face orientations, etc.)
-    
     switch (targetFormat) {
         case 'kociemba':
             // Convert to Kociemba solver format
@@ -620,14 +675,32 @@ export function convertCoordinateSystem(cubeState, targetFormat) {
 }
 
 /**
- * Convert cube state to Kociemba solver format (placeholder)
- * @param {Object} cubeState - Cube state to convert
- * @returns {Object} Kociemba-formatted cube state
+ * Convert a 3x3x3 cube state to a Kociemba facelet string
+ * The string lists the U, R, F, D, L, B faces (9 facelets each, row-major in
+ * the same layout as our faces) and names every facelet after the face whose
+ * center has its color, e.g. "UUUUUUUUURRRRRRRRRFFFFFFFFF..." when solved.
+ * @param {Object} cubeState - 3x3x3 cube state
+ * @returns {string} 54 character facelet string
  */
 function convertToKociembaFormat(cubeState) {
-    // This would implement specific conversion logic for Kociemba notation
-    // For now, return cloned standard format
-    return cloneCubeState(cubeState);
+    if (cubeState.cubeType !== '3x3x3') {
+        throw new Error(`Kociemba format only supports 3x3x3 cubes, got ${cubeState.cubeType}`);
+    }
+
+    const faceByCenterColor = {};
+    for (const face of FACE_NAMES) {
+        faceByCenterColor[cubeState.faces[face][4]] = face;
+    }
+
+    return KOCIEMBA_FACE_ORDER
+        .flatMap(face => cubeState.faces[face].map(color => {
+            const facelet = faceByCenterColor[color];
+            if (!facelet) {
+                throw new Error(`Color ${color} does not match any center`);
+            }
+            return facelet;
+        }))
+        .join('');
 }
 
 // ========================= VALIDATION HELPERS =========================
@@ -708,29 +781,28 @@ export function calculateCubeStateDifference(cubeState1, cubeState2) {
 // ========================= SCRAMBLING UTILITIES =========================
 
 /**
- * Apply a sequence of moves to a cube state (placeholder)
- * @param {Object} cubeState - Initial cube state
- * @param {string[]} moves - Array of move notations
+ * Apply a sequence of moves to a cube state of any supported size
+ * Uses the generic NxN move engine, so outer, numbered layer (3R), wide (Rw,
+ * 3Rw), slice (M, E, S) and rotation (x, y, z) moves all work, and text is
+ * read as an algorithm: "(R U R' U')6", "[R, U]" and "[F: R U]" expand first.
+ * @param {Object} cubeState - Initial cube state (not modified)
+ * @param {string|string[]} moves - Algorithm text or array of move notations
  * @returns {Object} Cube state after applying moves
  */
 export function applyMoveSequence(cubeState, moves) {
-    // Placeholder for move application logic
-    // This would implement actual cube move mechanics
-    console.warn('applyMoveSequence not yet implemented');
-    return cloneCubeState(cubeState);
+    return applyMoves(cubeState, moves);
 }
 
 /**
- * Generate a scrambled cube state (placeholder)
+ * Generate a scrambled cube state from random moves
  * @param {string} cubeType - Type of cube to scramble
  * @param {number} moveCount - Number of scramble moves (default: 20)
+ * @param {Function} random - Random number generator returning [0, 1) (default Math.random)
  * @returns {Object} Scrambled cube state
  */
-export function generateScrambledCube(cubeType, moveCount = 20) {
-    // Placeholder for scrambling logic
-    // This would generate random valid scrambles
-    console.warn('generateScrambledCube not yet implemented');
-    return createSolvedCube(cubeType);
+export function generateScrambledCube(cubeType, moveCount = 20, random = Math.random) {
+    const config = getCubeConfig(cubeType);
+    return applyMoves(createSolvedCube(cubeType), generateScramble(config.size, moveCount, random));
 }
 
 // ========================= EXPORTS =========================
@@ -739,6 +811,7 @@ export default {
     // Configuration
     CUBE_CONFIGS,
     CUBE_COLORS,
+    STANDARD_FACE_COLORS,
     VALID_COLORS,
     FACE_NAMES,
     FACE_RELATIONSHIPS,
@@ -779,13 +852,14 @@ export default {
     extractEdgePieces,
     
     // Coordinate system conversions
+    KOCIEMBA_FACE_ORDER,
     convertCoordinateSystem,
     
     // Validation helpers
     compareCubeStates,
     calculateCubeStateDifference,
     
-    // Scrambling utilities (placeholders)
+    // Scrambling utilities
     applyMoveSequence,
     generateScrambledCube
 };
\ No newline at end of file
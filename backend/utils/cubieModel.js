@@ -0,0 +1,402 @@
+/**
+ * Cubie Level Cube Model
+ *
+ * Describes a 2x2x2 or 3x3x3 by its pieces instead of its stickers:
+ *   - cp / co: which corner sits in each corner slot, and its twist (0-2)
+ *   - ep / eo: which edge sits in each edge slot, and its flip (0-1)
+ *
+ * Slots and pieces follow Kociemba's numbering (URF, UFL, ... and UR, UF, ...),
+ * with every corner listed clockwise from its U/D sticker. Conversion to and
+ * from the { cubeType, faces } sticker state is lossless: the cubie keeps the
+ * color of each face (its 3x3x3 centers, or the colors a 2x2x2 would show
+ * when solved) and moves are composed directly on the pieces.
+ */
+
+import { createSolvedCube, FACE_NAMES } from './cubeStructures.js';
+import { applyMoves, parseMove, parseMoveSequence } from './moveEngine.js';
+
+// ========================= SLOTS =========================
+
+/**
+ * @typedef {Object} CubieCube
+ * @property {string} cubeType - '2x2x2' or '3x3x3'
+ * @property {number[]} cp - Corner permutation: cp[slot] = corner
+ * @property {number[]} co - Corner orientation (0-2) per slot
+ * @property {number[]} ep - Edge permutation: ep[slot] = edge (empty on a 2x2x2)
+ * @property {number[]} eo - Edge orientation (0-1) per slot (empty on a 2x2x2)
+ * @property {Object} faceColors - Color of each face when solved, e.g. { U: 'W', ... }
+ */
+
+export const CORNER_NAMES = ['URF', 'UFL', 'ULB', 'UBR', 'DFR', 'DLF', 'DBL', 'DRB'];
+export const EDGE_NAMES = ['UR', 'UF', 'UL', 'UB', 'DR', 'DF', 'DL', 'DB', 'FR', 'FL', 'BL', 'BR'];
+
+/**
+ * Corner slot of a 2x2x2 that keeps its colors when the solvers fix the cube's orientation
+ */
+export const REFERENCE_CORNER = CORNER_NAMES.indexOf('DBL');
+
+/**
+ * Stickers of each corner slot as [face, 3x3x3 index], U/D sticker first, clockwise
+ */
+export const CORNER_STICKERS = [
+    [['U', 8], ['R', 0], ['F', 2]], [['U', 6], ['F', 0], ['L', 2]],
+    [['U', 0], ['L', 0], ['B', 2]], [['U', 2], ['B', 0], ['R', 2]],
+    [['D', 2], ['F', 8], ['R', 6]], [['D', 0], ['L', 8], ['F', 6]],
+    [['D', 6], ['B', 8], ['L', 6]], [['D', 8], ['R', 8], ['B', 6]]
+];
+
+/**
+ * Stickers of each edge slot as [face, 3x3x3 index], U/D (or F/B) sticker first
+ */
+export const EDGE_STICKERS = [
+    [['U', 5], ['R', 1]], [['U', 7], ['F', 1]], [['U', 3], ['L', 1]], [['U', 1], ['B', 1]],
+    [['D', 5], ['R', 7]], [['D', 1], ['F', 7]], [['D', 3], ['L', 7]], [['D', 7], ['B', 7]],
+    [['F', 5], ['R', 3]], [['F', 3], ['L', 5]], [['B', 5], ['L', 3]], [['B', 3], ['R', 5]]
+];
+
+/**
+ * Sticker index of each 3x3x3 corner sticker on a 2x2x2 face
+ */
+const CORNER_INDEX_2x2x2 = { 0: 0, 2: 1, 6: 2, 8: 3 };
+
+/**
+ * Cube sizes the cubie model describes
+ */
+const CUBIE_SIZES = { '2x2x2': 2, '3x3x3': 3 };
+
+/**
+ * Size of a cube type supported by the cubie model
+ * @param {string} cubeType - Cube type
+ * @returns {number} 2 or 3
+ * @throws {Error} For any other cube type
+ */
+function getCubieSize(cubeType) {
+    const size = CUBIE_SIZES[cubeType];
+    if (!size) {
+        throw new Error(`Cubie model only supports 2x2x2 and 3x3x3 cubes, got ${cubeType}`);
+    }
+    return size;
+}
+
+/**
+ * Sticker index of a slot sticker on a cube of the given size
+ * @param {number} index - 3x3x3 sticker index
+ * @param {number} size - 2 or 3
+ * @returns {number} Index into the face array
+ */
+function getStickerIndex(index, size) {
+    return size === 3 ? index : CORNER_INDEX_2x2x2[index];
+}
+
+// ========================= FACE COLORS =========================
+
+/**
+ * Colors of each face on a solved cube of the standard scheme
+ * @param {string} cubeType - '2x2x2' or '3x3x3'
+ * @returns {Object} Map of face to color
+ */
+function getStandardFaceColors(cubeType) {
+    const solved = createSolvedCube(cubeType);
+    return Object.fromEntries(FACE_NAMES.map(face => [face, solved.faces[face][0]]));
+}
+
+/**
+ * Face colors of a 2x2x2 taken from its DBL corner
+ * The DBL colors name D, B and L; each opposite face gets the one color that
+ * never shares a corner with its partner, so any color scheme and any
+ * orientation of the cube is accepted.
+ * @param {Object} cubeState - 2x2x2 cube state
+ * @returns {Object} Map of face to color
+ * @throws {Error} If the colors do not form three pairs of opposite faces
+ */
+export function getReferenceFaceColors(cubeState) {
+    const neighbours = {};
+    for (const stickers of CORNER_STICKERS) {
+        const colors = stickers.map(([face, index]) => cubeState.faces[face][getStickerIndex(index, 2)]);
+        colors.forEach(color => {
+            neighbours[color] = neighbours[color] || new Set();
+            colors.forEach(other => neighbours[color].add(other));
+        });
+    }
+
+    const colors = Object.keys(neighbours);
+    if (colors.length !== 6) {
+        throw new Error(`Expected 6 colors, found ${colors.length}`);
+    }
+
+    const faceColors = {};
+    const opposites = { D: 'U', B: 'F', L: 'R' };
+    CORNER_STICKERS[REFERENCE_CORNER].forEach(([face, index]) => {
+        const color = cubeState.faces[face][getStickerIndex(index, 2)];
+        const opposite = colors.filter(other => !neighbours[color].has(other));
+        if (opposite.length !== 1) {
+            throw new Error(`Cannot find the color opposite ${color}`);
+        }
+        faceColors[face] = color;
+        faceColors[opposites[face]] = opposite[0];
+    });
+
+    if (new Set(Object.values(faceColors)).size !== 6) {
+        throw new Error('Reference corner DBL does not show three different color pairs');
+    }
+    return faceColors;
+}
+
+/**
+ * Face colors a cube state is read with by default
+ * A 3x3x3 uses its centers; a 2x2x2 has none and uses its DBL corner.
+ * @param {Object} cubeState - 2x2x2 or 3x3x3 cube state
+ * @returns {Object} Map of face to color
+ */
+function getDefaultFaceColors(cubeState) {
+    if (getCubieSize(cubeState.cubeType) === 2) {
+        return getReferenceFaceColors(cubeState);
+    }
+    return Object.fromEntries(FACE_NAMES.map(face => [face, cubeState.faces[face][4]]));
+}
+
+// ========================= CONVERSION =========================
+
+/**
+ * Read the cubies of a sticker cube state
+ * Pass the faceColors of an earlier cubie to read a later state of the same
+ * cube in the same frame (e.g. a 2x2x2 whose DBL corner has moved).
+ * @param {Object} cubeState - 2x2x2 or 3x3x3 cube state
+ * @param {Object} options - Conversion options
+ * @param {Object} options.faceColors - Color of each face (default: centers, or the DBL corner of a 2x2x2)
+ * @returns {CubieCube} Cubie representation
+ * @throws {Error} If a corner or edge does not exist on a real cube
+ */
+export function stickersToCubie(cubeState, { faceColors = getDefaultFaceColors(cubeState) } = {}) {
+    const size = getCubieSize(cubeState.cubeType);
+    const colorFaces = Object.fromEntries(Object.entries(faceColors).map(([face, color]) => [color, face]));
+    if (Object.keys(colorFaces).length !== 6) {
+        throw new Error('Face colors must name six different colors');
+    }
+
+    const cubie = { cubeType: cubeState.cubeType, cp: [], co: [], ep: [], eo: [], faceColors: { ...faceColors } };
+    const readFaces = stickers => stickers.map(([face, index]) => colorFaces[cubeState.faces[face][getStickerIndex(index, size)]]);
+
+    CORNER_STICKERS.forEach((stickers, slot) => {
+        const faces = readFaces(stickers);
+        const twist = faces.findIndex(face => face === 'U' || face === 'D');
+        const corner = CORNER_NAMES.indexOf(faces.slice(twist).concat(faces.slice(0, twist)).join(''));
+        if (twist === -1 || corner === -1) {
+            throw new Error(`Invalid corner at position ${CORNER_NAMES[slot]}: ${faces.join('')}`);
+        }
+        cubie.cp.push(corner);
+        cubie.co.push(twist);
+    });
+
+    if (size === 3) {
+        EDGE_STICKERS.forEach((stickers, slot) => {
+            const faces = readFaces(stickers).join('');
+            const edge = EDGE_NAMES.indexOf(faces);
+            const flipped = EDGE_NAMES.indexOf(faces.split('').reverse().join(''));
+            if (edge === -1 && flipped === -1) {
+                throw new Error(`Invalid edge at position ${EDGE_NAMES[slot]}: ${faces}`);
+            }
+            cubie.ep.push(edge === -1 ? flipped : edge);
+            cubie.eo.push(edge === -1 ? 1 : 0);
+        });
+    }
+
+    return cubie;
+}
+
+/**
+ * Paint the stickers of a cubie cube
+ * @param {CubieCube} cubie - Cubie cube
+ * @returns {Object} Cube state with the same stickers stickersToCubie read
+ */
+export function cubieToStickers(cubie) {
+    const size = getCubieSize(cubie.cubeType);
+    const cubeState = createSolvedCube(cubie.cubeType);
+    const paint = ([face, index], pieceFace) => {
+        cubeState.faces[face][getStickerIndex(index, size)] = cubie.faceColors[pieceFace];
+    };
+
+    for (const face of FACE_NAMES) {
+        cubeState.faces[face].fill(cubie.faceColors[face]);
+    }
+    CORNER_STICKERS.forEach((stickers, slot) => {
+        const name = CORNER_NAMES[cubie.cp[slot]];
+        stickers.forEach((sticker, i) => paint(sticker, name[(i - cubie.co[slot] + 3) % 3]));
+    });
+    if (size === 3) {
+        EDGE_STICKERS.forEach((stickers, slot) => {
+            const name = EDGE_NAMES[cubie.ep[slot]];
+            stickers.forEach((sticker, i) => paint(sticker, name[(i + cubie.eo[slot]) % 2]));
+        });
+    }
+
+    return cubeState;
+}
+
+// ========================= CUBIE OPERATIONS =========================
+
+/**
+ * Solved cubie cube
+ * @param {string} cubeType - '2x2x2' or '3x3x3'
+ * @param {Object} faceColors - Color of each face (default: standard scheme)
+ * @returns {CubieCube} Identity
+ */
+export function createSolvedCubie(cubeType, faceColors = getStandardFaceColors(cubeType)) {
+    const edgeCount = getCubieSize(cubeType) === 3 ? EDGE_NAMES.length : 0;
+    return {
+        cubeType,
+        cp: CORNER_NAMES.map((_, corner) => corner),
+        co: new Array(CORNER_NAMES.length).fill(0),
+        ep: Array.from({ length: edgeCount }, (_, edge) => edge),
+        eo: new Array(edgeCount).fill(0),
+        faceColors: { ...faceColors }
+    };
+}
+
+/**
+ * Compose two cubie cubes: the result is `a` followed by `b`
+ * @param {CubieCube} a - First cube
+ * @param {CubieCube} b - Second cube (usually a move)
+ * @returns {CubieCube} Product a * b, in the frame of `a`
+ */
+export function multiplyCubies(a, b) {
+    return {
+        cubeType: a.cubeType,
+        cp: b.cp.map(corner => a.cp[corner]),
+        co: b.cp.map((corner, i) => (a.co[corner] + b.co[i]) % 3),
+        ep: b.ep.map(edge => a.ep[edge]),
+        eo: b.ep.map((edge, i) => (a.eo[edge] + b.eo[i]) % 2),
+        faceColors: a.faceColors
+    };
+}
+
+/**
+ * Inverse of a cubie cube, so that multiplyCubies(a, invertCubie(a)) is solved
+ * @param {CubieCube} cubie - Cube to invert
+ * @returns {CubieCube} Inverse
+ */
+export function invertCubie(cubie) {
+    const inverse = { ...cubie, cp: [], co: [], ep: [], eo: [] };
+    cubie.cp.forEach((corner, slot) => {
+        inverse.cp[corner] = slot;
+        inverse.co[corner] = (3 - cubie.co[slot]) % 3;
+    });
+    cubie.ep.forEach((edge, slot) => {
+        inverse.ep[edge] = slot;
+        inverse.eo[edge] = cubie.eo[slot];
+    });
+    return inverse;
+}
+
+/**
+ * Whether every piece of a cubie cube is home and unturned
+ * @param {CubieCube} cubie - Cube to check
+ * @returns {boolean} True if solved
+ */
+export function isCubieSolved(cubie) {
+    return cubie.cp.every((corner, slot) => corner === slot && cubie.co[slot] === 0) &&
+        cubie.ep.every((edge, slot) => edge === slot && cubie.eo[slot] === 0);
+}
+
+// ========================= MOVES =========================
+
+const moveCubieCache = new Map();
+
+/**
+ * Cubie cube of a single move, derived from the sticker move engine
+ * Any 2x2x2 move is a corner move. On a 3x3x3 only turns of an outer layer
+ * qualify: slices and rotations move the centers the cubies are read against.
+ * @param {string} move - Move notation (e.g. "R", "U2", "F'")
+ * @param {string} cubeType - '2x2x2' or '3x3x3'
+ * @returns {CubieCube} Move cubie
+ * @throws {Error} If the notation is invalid or the move turns a center
+ */
+export function getMoveCubie(move, cubeType) {
+    const size = getCubieSize(cubeType);
+    const { face, layers, turns } = parseMove(move, size);
+    const key = `${cubeType}:${face}:${layers.join(',')}:${turns}`;
+
+    if (!moveCubieCache.has(key)) {
+        if (size === 3 && layers.includes(1)) {
+            throw new Error(`Move ${move} turns the centers, which the cubie model keeps fixed`);
+        }
+        moveCubieCache.set(key, stickersToCubie(applyMoves(createSolvedCube(cubeType), move), {
+            faceColors: getStandardFaceColors(cubeType)
+        }));
+    }
+    return moveCubieCache.get(key);
+}
+
+/**
+ * Apply a move sequence to a cubie cube
+ * @param {CubieCube} cubie - Starting cube (not modified)
+ * @param {string|string[]} moves - Space separated moves or an array of notations
+ * @returns {CubieCube} Cube after the moves
+ */
+export function applyCubieMoves(cubie, moves) {
+    return parseMoveSequence(moves, getCubieSize(cubie.cubeType))
+        .reduce((current, move) => multiplyCubies(current, getMoveCubie(move.notation, cubie.cubeType)), cubie);
+}
+
+// ========================= SOLVABILITY =========================
+
+/**
+ * Parity of a permutation (0 = even, 1 = odd)
+ * @param {number[]} permutation - Permutation to check
+ * @returns {number} Parity
+ */
+export function permutationParity(permutation) {
+    let parity = 0;
+    for (let i = 0; i < permutation.length; i++) {
+        for (let j = i + 1; j < permutation.length; j++) {
+            if (permutation[i] > permutation[j]) parity ^= 1;
+        }
+    }
+    return parity;
+}
+
+/**
+ * Check that a cubie cube can be reached by legal moves
+ * @param {CubieCube} cubie - Cube to check
+ * @returns {string|null} Reason the cube is unsolvable, or null
+ */
+export function getCubieError(cubie) {
+    if (new Set(cubie.cp).size !== CORNER_NAMES.length) return 'Some corners appear more than once';
+    if (cubie.co.reduce((sum, twist) => sum + twist, 0) % 3 !== 0) return 'Corner orientation sum must be divisible by 3';
+    if (cubie.ep.length === 0) return null;
+
+    if (new Set(cubie.ep).size !== EDGE_NAMES.length) return 'Some edges appear more than once';
+    if (cubie.eo.reduce((sum, flip) => sum + flip, 0) % 2 !== 0) return 'Edge orientation sum must be even';
+    if (permutationParity(cubie.cp) !== permutationParity(cubie.ep)) return 'Corner and edge permutation parities differ';
+    return null;
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Slots
+    CORNER_NAMES,
+    EDGE_NAMES,
+    CORNER_STICKERS,
+    EDGE_STICKERS,
+    REFERENCE_CORNER,
+
+    // Conversion
+    getReferenceFaceColors,
+    stickersToCubie,
+    cubieToStickers,
+
+    // Cubie operations
+    createSolvedCubie,
+    multiplyCubies,
+    invertCubie,
+    isCubieSolved,
+
+    // Moves
+    getMoveCubie,
+    applyCubieMoves,
+
+    // Solvability
+    permutationParity,
+    getCubieError
+};
@@ -0,0 +1,182 @@
+/**
+ * Centralized Error Handling Utilities
+ *
+ * This module turns validation, solvability and solver failures into typed
+ * API errors. Every error response has the same shape:
+ *   { success: false, error: { type, message, details } }
+ * where `type` is one of the VALIDATION_ERRORS codes (or an API_ERRORS code
+ * for failures that are not caused by the submitted cube state).
+ */
+
+import { VALIDATION_ERRORS } from './validator.js';
+
+// ========================= ERROR TYPES =========================
+
+/**
+ * API level error types that are not covered by VALIDATION_ERRORS
+ */
+export const API_ERRORS = {
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_PARAMETER: 'INVALID_PARAMETER',
+    SOLVE_FAILED: 'SOLVE_FAILED',
+    NOT_FOUND: 'NOT_FOUND',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * HTTP status code for each error type
+ * 400 - the request itself is malformed (wrong structure, bad colors, ...)
+ * 422 - the request is well formed but describes an impossible cube
+ */
+export const ERROR_STATUS_CODES = {
+    [VALIDATION_ERRORS.INVALID_CUBE_TYPE]: 400,
+    [VALIDATION_ERRORS.INVALID_STRUCTURE]: 400,
+    [VALIDATION_ERRORS.INVALID_FACELET_COUNT]: 400,
+    [VALIDATION_ERRORS.INVALID_COLOR]: 400,
+    [VALIDATION_ERRORS.MISSING_FACES]: 400,
+    [VALIDATION_ERRORS.EMPTY_FACELETS]: 400,
+    [VALIDATION_ERRORS.INVALID_COLOR_DISTRIBUTION]: 422,
+    [VALIDATION_ERRORS.UNSOLVABLE_STATE]: 422,
+    [VALIDATION_ERRORS.INVALID_COLOR_SCHEME]: 422,
+    [VALIDATION_ERRORS.CORNER_ORIENTATION_PARITY]: 422,
+    [VALIDATION_ERRORS.EDGE_ORIENTATION_PARITY]: 422,
+    [VALIDATION_ERRORS.CORNER_PERMUTATION_PARITY]: 422,
+    [VALIDATION_ERRORS.EDGE_PERMUTATION_PARITY]: 422,
+    [VALIDATION_ERRORS.INVALID_PIECE_CONFIGURATION]: 422,
+    [VALIDATION_ERRORS.IMPOSSIBLE_PIECE_POSITIONS]: 422,
+    [VALIDATION_ERRORS.INVALID_CENTER_COUNT]: 422,
+    [VALIDATION_ERRORS.INVALID_WING_EDGE]: 422,
+    [VALIDATION_ERRORS.DUPLICATE_WING_EDGE]: 422,
+    [API_ERRORS.INVALID_JSON]: 400,
+    [API_ERRORS.INVALID_PARAMETER]: 400,
+    [API_ERRORS.SOLVE_FAILED]: 500,
+    [API_ERRORS.NOT_FOUND]: 404,
+    [API_ERRORS.INTERNAL_ERROR]: 500
+};
+
+/**
+ * Get the HTTP status code for an error type
+ * @param {string} type - Error type (VALIDATION_ERRORS or API_ERRORS code)
+ * @returns {number} HTTP status code (defaults to 500)
+ */
+export function getStatusCodeForError(type) {
+    return ERROR_STATUS_CODES[type] || 500;
+}
+
+// ========================= API ERROR CLASS =========================
+
+/**
+ * Error carrying an HTTP status code and a typed error code
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} type - Error type (VALIDATION_ERRORS or API_ERRORS code)
+     * @param {string} message - Human-readable error message
+     * @param {any} details - Additional error details
+     * @param {number} [statusCode] - HTTP status code (derived from type if omitted)
+     */
+    constructor(type, message, details = null, statusCode = getStatusCodeForError(type)) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.details = details;
+        this.statusCode = statusCode;
+    }
+
+    /**
+     * Serialize the error for a JSON response body
+     * @returns {Object} Response body
+     */
+    toJSON() {
+        return {
+            success: false,
+            error: {
+                type: this.type,
+                message: this.message,
+                details: this.details
+            }
+        };
+    }
+}
+
+/**
+ * Build an ApiError from a failed validation or solvability result
+ * The first error decides the type and status code, all errors are kept in details.
+ * @param {Object} result - Result with an `errors` array ({type, message, details})
+ * @param {string} cubeType - Cube type that was validated
+ * @returns {ApiError} Typed API error
+ */
+export function createValidationError(result, cubeType) {
+    const errors = result.errors || [];
+    const primary = errors[0] || {
+        type: VALIDATION_ERRORS.INVALID_STRUCTURE,
+        message: 'Invalid cube state'
+    };
+
+    return new ApiError(primary.type, primary.message, {
+        cubeType,
+        errors
+    });
+}
+
+// ========================= EXPRESS MIDDLEWARE =========================
+
+/**
+ * Express error handling middleware
+ * Converts ApiErrors and body parser failures into typed JSON responses.
+ * @param {Error} err - Error thrown by a route handler
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    if (err instanceof ApiError) {
+        return res.status(err.statusCode).json(err.toJSON());
+    }
+
+    // Malformed JSON bodies are rejected by express.json() before reaching a controller
+    if (err.type === 'entity.parse.failed') {
+        const parseError = new ApiError(API_ERRORS.INVALID_JSON, 'Request body is not valid JSON', {
+            reason: err.message
+        });
+        return res.status(parseError.statusCode).json(parseError.toJSON());
+    }
+
+    console.error(err.stack);
+    const internalError = new ApiError(API_ERRORS.INTERNAL_ERROR, 'Something went wrong!');
+    res.status(internalError.statusCode).json(internalError.toJSON());
+}
+
+/**
+ * Express handler for unknown endpoints
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export function notFoundHandler(req, res) {
+    const notFound = new ApiError(API_ERRORS.NOT_FOUND, 'Endpoint not found', {
+        method: req.method,
+        path: req.originalUrl
+    });
+    res.status(notFound.statusCode).json(notFound.toJSON());
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Error types
+    API_ERRORS,
+    ERROR_STATUS_CODES,
+    getStatusCodeForError,
+
+    // Error construction
+    ApiError,
+    createValidationError,
+
+    // Express middleware
+    errorHandler,
+    notFoundHandler
+};
@@ -8,6 +8,6 @@
 //   - Solvability checks for each cube type
 // - logger.js - Logging utilities for debugging and monitoring
 // - constants.js - Common constants and configuration values  
-// - errorHandlers.js - Centralized error handling utilities
+// - errorHandlers.js - Centralized error handling utilities (typed API errors, express middleware)
 
 export default {};
\ No newline at end of file
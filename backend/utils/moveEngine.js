@@ -0,0 +1,400 @@
+/**
+ * Generic NxN Move Engine
+ *
+ * One size-parametric sticker model shared by every cube size. Layer turns are
+ * described by the same strip cycles the hand-written 2x2x2/3x3x3 tables used,
+ * generated for any N, and every move is turned into a cached sticker
+ * permutation the first time it is applied.
+ *
+ * Supported notation (each with ', 2, 2' or '2 modifiers):
+ *   - Outer turns:          R L U D F B
+ *   - Numbered layer turns: 2R, 3R ... (only that layer)
+ *   - Wide turns:           Rw, 3Rw ... (that many outer layers), r = Rw
+ *   - Slices:               M E S (every inner layer, following L, D and F)
+ *   - Cube rotations:       x y z (following R, U and F)
+ *
+ * Move sequences given as text are read by the algorithm notation parser,
+ * so grouping, repetition, commutators and conjugates work everywhere moves
+ * are applied.
+ *
+ * Cube states use the standard { cubeType, faces } shape with faces in
+ * U, L, F, R, B, D order (FACE_NAMES in cubeStructures.js).
+ */
+
+import { parseMove } from './moveNotation.js';
+import { parseAlgorithm } from './notationParser.js';
+
+// ========================= FACE GEOMETRY =========================
+
+/**
+ * Face order used for flattened sticker arrays
+ */
+const FACE_ORDER = ['U', 'L', 'F', 'R', 'B', 'D'];
+
+/**
+ * Opposite face of each face
+ */
+const OPPOSITE_FACES = { U: 'D', D: 'U', F: 'B', B: 'F', R: 'L', L: 'R' };
+
+/**
+ * Smallest and largest supported cube sizes
+ */
+export const MIN_CUBE_SIZE = 2;
+export const MAX_CUBE_SIZE = 7;
+
+/**
+ * Row of a face, left to right
+ * @param {number} size - Cube size
+ * @param {number} row - Row index
+ * @returns {number[]} Sticker indices
+ */
+function rowIndices(size, row) {
+    return Array.from({ length: size }, (_, col) => row * size + col);
+}
+
+/**
+ * Column of a face, top to bottom
+ * @param {number} size - Cube size
+ * @param {number} col - Column index
+ * @returns {number[]} Sticker indices
+ */
+function columnIndices(size, col) {
+    return Array.from({ length: size }, (_, row) => row * size + col);
+}
+
+/**
+ * Adjacent sticker strips moved by a clockwise quarter turn of one layer
+ * Each strip receives the stickers of the previous strip in the list.
+ * `depth` counts layers inward from the named face (0 = outer layer).
+ */
+const LAYER_CYCLES = {
+    R: (size, depth) => [
+        ['F', columnIndices(size, size - 1 - depth)],
+        ['U', columnIndices(size, size - 1 - depth)],
+        ['B', columnIndices(size, depth).reverse()],
+        ['D', columnIndices(size, size - 1 - depth)]
+    ],
+    L: (size, depth) => [
+        ['U', columnIndices(size, depth)],
+        ['F', columnIndices(size, depth)],
+        ['D', columnIndices(size, depth)],
+        ['B', columnIndices(size, size - 1 - depth).reverse()]
+    ],
+    U: (size, depth) => [
+        ['B', rowIndices(size, depth)],
+        ['R', rowIndices(size, depth)],
+        ['F', rowIndices(size, depth)],
+        ['L', rowIndices(size, depth)]
+    ],
+    D: (size, depth) => [
+        ['F', rowIndices(size, size - 1 - depth)],
+        ['R', rowIndices(size, size - 1 - depth)],
+        ['B', rowIndices(size, size - 1 - depth)],
+        ['L', rowIndices(size, size - 1 - depth)]
+    ],
+    F: (size, depth) => [
+        ['U', rowIndices(size, size - 1 - depth)],
+        ['R', columnIndices(size, depth)],
+        ['D', rowIndices(size, depth).reverse()],
+        ['L', columnIndices(size, size - 1 - depth).reverse()]
+    ],
+    B: (size, depth) => [
+        ['U', rowIndices(size, depth).reverse()],
+        ['L', columnIndices(size, depth)],
+        ['D', rowIndices(size, size - 1 - depth)],
+        ['R', columnIndices(size, size - 1 - depth).reverse()]
+    ]
+};
+
+// ========================= MOVE NOTATION PARSER =========================
+
+/**
+ * @typedef {import('./moveNotation.js').EngineMove} EngineMove
+ */
+
+export { parseMove };
+
+/**
+ * Parse a move sequence for a cube of the given size
+ * Strings are read as algorithms, so groups, repetitions, commutators and
+ * conjugates ("(R U R' U')6", "[R, U]") expand to their moves.
+ * @param {string|string[]} moves - Algorithm text or an array of notations
+ * @param {number} size - Cube size (2-7)
+ * @returns {EngineMove[]} Parsed moves
+ * @throws {Error} If any move is invalid for this size (a NotationError for algorithm text)
+ */
+export function parseMoveSequence(moves, size) {
+    if (!moves) {
+        return [];
+    }
+
+    if (!Array.isArray(moves)) {
+        return parseAlgorithm(moves, size);
+    }
+    return moves.filter(move => move.length > 0).map(move => parseMove(move, size));
+}
+
+/**
+ * Normalize a move to an EngineMove
+ * Accepts notation strings, EngineMoves and the `{ face, turns }` objects
+ * produced by the per-size parsers (where face may be M, x, r, ...).
+ * @param {string|Object} move - Move to normalize
+ * @param {number} size - Cube size
+ * @returns {EngineMove} Normalized move
+ */
+function normalizeMove(move, size) {
+    if (typeof move === 'string') {
+        return parseMove(move, size);
+    }
+    if (!move || !move.face) {
+        throw new Error('Invalid move object');
+    }
+    if (Array.isArray(move.layers) && OPPOSITE_FACES[move.face]) {
+        return move;
+    }
+    return { ...parseMove(move.face, size), turns: move.turns, notation: move.notation || move.face };
+}
+
+/**
+ * Invert a move sequence
+ * @param {string|string[]} moves - Space separated moves or an array of notations
+ * @returns {string} Inverse sequence
+ */
+export function invertMoveSequence(moves) {
+    const notations = Array.isArray(moves) ? moves : (moves || '').trim().split(/\s+/).filter(Boolean);
+
+    return notations
+        .map(move => {
+            const match = move.match(/^(.*?)(2'|['2])?$/);
+            const [, base, modifier] = match;
+            if (modifier === '2' || modifier === "2'") return `${base}2`;
+            return modifier === "'" ? base : `${base}'`;
+        })
+        .reverse()
+        .join(' ');
+}
+
+// ========================= STICKER PERMUTATIONS =========================
+
+/**
+ * Cached permutations keyed by size, face, layers and turns
+ */
+const permutationCache = new Map();
+
+/**
+ * Cube size of a cube state, from the length of its U face
+ * @param {Object} cubeState - Cube state
+ * @returns {number} Cube size
+ * @throws {Error} If the faces do not form a supported NxN cube
+ */
+export function getCubeSize(cubeState) {
+    const size = Math.round(Math.sqrt(cubeState?.faces?.U?.length || 0));
+    if (size < MIN_CUBE_SIZE || size > MAX_CUBE_SIZE ||
+        FACE_ORDER.some(face => cubeState.faces[face]?.length !== size * size)) {
+        throw new Error('Cube state does not describe a supported NxN cube');
+    }
+    return size;
+}
+
+/**
+ * Build the sticker permutation of one clockwise quarter turn of one layer
+ * Turning the outer layer also rotates the named face, turning the innermost
+ * layer from the far side rotates the opposite face counter-clockwise.
+ * @param {number} size - Cube size
+ * @param {string} face - Face the layer is counted from
+ * @param {number} depth - Layer index (0 = outer layer)
+ * @returns {number[]} permutation where new[i] = old[permutation[i]]
+ */
+function buildLayerPermutation(size, face, depth) {
+    const stickersPerFace = size * size;
+    const offset = name => FACE_ORDER.indexOf(name) * stickersPerFace;
+    const permutation = Array.from({ length: 6 * stickersPerFace }, (_, index) => index);
+
+    const rotateFace = (name, turns) => {
+        for (let index = 0; index < stickersPerFace; index++) {
+            let row = Math.floor(index / size);
+            let col = index % size;
+            // A clockwise turn moves the sticker at (size-1-col, row) to (row, col)
+            for (let turn = 0; turn < turns; turn++) {
+                [row, col] = [size - 1 - col, row];
+            }
+            permutation[offset(name) + index] = offset(name) + row * size + col;
+        }
+    };
+
+    if (depth === 0) {
+        rotateFace(face, 1);
+    }
+    if (depth === size - 1) {
+        rotateFace(OPPOSITE_FACES[face], 3);
+    }
+
+    const cycle = LAYER_CYCLES[face](size, depth);
+    cycle.forEach(([cycleFace, indices], i) => {
+        const [sourceFace, sourceIndices] = cycle[(i + cycle.length - 1) % cycle.length];
+        indices.forEach((index, j) => {
+            permutation[offset(cycleFace) + index] = offset(sourceFace) + sourceIndices[j];
+        });
+    });
+
+    return permutation;
+}
+
+/**
+ * Get the sticker permutation of a move
+ * @param {string|Object} move - Move notation or parsed move
+ * @param {number} size - Cube size (2-7)
+ * @returns {number[]} permutation where new[i] = old[permutation[i]] over the flattened faces
+ */
+export function getMovePermutation(move, size) {
+    const { face, layers, turns } = normalizeMove(move, size);
+    const normalizedTurns = ((turns % 4) + 4) % 4;
+    const key = `${size}:${face}:${layers.join(',')}:${normalizedTurns}`;
+
+    if (!permutationCache.has(key)) {
+        let permutation = Array.from({ length: 6 * size * size }, (_, index) => index);
+        for (const depth of layers) {
+            const layerPermutation = buildLayerPermutation(size, face, depth);
+            for (let turn = 0; turn < normalizedTurns; turn++) {
+                permutation = layerPermutation.map(index => permutation[index]);
+            }
+        }
+        permutationCache.set(key, permutation);
+    }
+
+    return permutationCache.get(key);
+}
+
+// ========================= CUBE STATE MANIPULATION =========================
+
+/**
+ * Apply a single move to a cube state of any size
+ * @param {Object} cubeState - Current cube state (not modified)
+ * @param {string|Object} move - Move notation or parsed move
+ * @returns {Object} New cube state with the move applied
+ */
+export function applyMove(cubeState, move) {
+    return applyMoves(cubeState, [move]);
+}
+
+/**
+ * Apply a sequence of moves to a cube state of any size
+ * @param {Object} cubeState - Initial cube state (not modified)
+ * @param {string|Array<string|Object>} moves - Algorithm text, notations or parsed moves
+ * @returns {Object} New cube state with every move applied
+ * @throws {Error} If a move is invalid for the cube's size
+ */
+export function applyMoves(cubeState, moves) {
+    const size = getCubeSize(cubeState);
+    const stickersPerFace = size * size;
+    const moveList = typeof moves === 'string' ? parseMoveSequence(moves, size) : moves;
+
+    let stickers = FACE_ORDER.flatMap(face => cubeState.faces[face]);
+    for (const move of moveList) {
+        const permutation = getMovePermutation(move, size);
+        stickers = permutation.map(index => stickers[index]);
+    }
+
+    return {
+        ...cubeState,
+        faces: Object.fromEntries(FACE_ORDER.map((face, i) => [
+            face,
+            stickers.slice(i * stickersPerFace, (i + 1) * stickersPerFace)
+        ]))
+    };
+}
+
+/**
+ * Test if every face of a cube state shows a single color
+ * @param {Object} cubeState - Cube state of any size
+ * @returns {boolean} True if the cube is solved
+ */
+export function isCubeSolved(cubeState) {
+    return FACE_ORDER.every(face => {
+        const faceStickers = cubeState.faces[face];
+        return faceStickers.every(color => color === faceStickers[0]);
+    });
+}
+
+// ========================= SCRAMBLE GENERATION =========================
+
+/**
+ * Moves used for random-move scrambles of a given size
+ * Follows the WCA move sets: outer turns, plus two-layer wide turns from 4x4x4
+ * and three-layer wide turns from 6x6x6.
+ * @param {number} size - Cube size (2-7)
+ * @returns {string[]} Base moves without modifiers
+ */
+export function getScrambleMoves(size) {
+    const faces = ['R', 'L', 'U', 'D', 'F', 'B'];
+    const moves = [...faces];
+
+    if (size >= 4) {
+        moves.push(...faces.map(face => `${face}w`));
+    }
+    if (size >= 6) {
+        moves.push(...faces.map(face => `3${face}w`));
+    }
+
+    return moves;
+}
+
+/**
+ * Generate a random-move scramble
+ * Consecutive moves never turn the same axis twice in a row with the same
+ * base move, so no move cancels or merges with the previous one.
+ * @param {number} size - Cube size (2-7)
+ * @param {number} length - Number of moves
+ * @param {Function} random - Random number generator returning [0, 1) (default Math.random)
+ * @param {string[]} [baseMoves] - Base moves to draw from (default: getScrambleMoves(size))
+ * @returns {string} Space separated scramble
+ */
+export function generateScramble(size, length, random = Math.random, baseMoves = getScrambleMoves(size)) {
+    const modifiers = ['', "'", '2'];
+    const axisOf = move => ({ R: 'x', L: 'x', U: 'y', D: 'y', F: 'z', B: 'z' })[move.replace(/\d|w/g, '')];
+    const scramble = [];
+    const usedOnAxis = new Set();
+    let currentAxis = null;
+
+    while (scramble.length < length) {
+        const move = baseMoves[Math.floor(random() * baseMoves.length)];
+        const axis = axisOf(move);
+
+        if (axis === currentAxis && usedOnAxis.has(move)) {
+            continue;
+        }
+        if (axis !== currentAxis) {
+            currentAxis = axis;
+            usedOnAxis.clear();
+        }
+
+        usedOnAxis.add(move);
+        scramble.push(move + modifiers[Math.floor(random() * modifiers.length)]);
+    }
+
+    return scramble.join(' ');
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Limits
+    MIN_CUBE_SIZE,
+    MAX_CUBE_SIZE,
+
+    // Notation
+    parseMove,
+    parseMoveSequence,
+    invertMoveSequence,
+
+    // Cube state manipulation
+    getCubeSize,
+    getMovePermutation,
+    applyMove,
+    applyMoves,
+    isCubeSolved,
+
+    // Scrambles
+    getScrambleMoves,
+    generateScramble
+};
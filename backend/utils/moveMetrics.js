@@ -0,0 +1,194 @@
+/**
+ * Move Count Metrics
+ *
+ * A solution's token count treats R, U2, M and y alike. The usual metrics
+ * count them differently:
+ *   - HTM (half turn):      any turn of an outer block is one move, a middle
+ *                           layer is two (M = R L' x'), rotations are free
+ *   - QTM (quarter turn):   like HTM, but a half turn counts twice
+ *   - STM (slice turn):     any turn of any block of layers is one move
+ *   - ETM (execution turn): every token is one move, rotations included
+ *
+ * Moves are read with the move engine, so any notation it knows can be
+ * counted: algorithm text (groups and commutators are expanded first), arrays
+ * of notations, or the parsed moves returned by parseMoveNotation3x3 and the
+ * other per-size parsers.
+ */
+
+import { parseMove } from './moveNotation.js';
+import { parseAlgorithm } from './notationParser.js';
+
+// ========================= METRICS =========================
+
+/**
+ * @typedef {Object} MoveMetrics
+ * @property {number} htm - Half turn metric
+ * @property {number} qtm - Quarter turn metric
+ * @property {number} stm - Slice turn metric
+ * @property {number} etm - Execution turn metric
+ */
+
+/**
+ * Supported metrics
+ */
+export const MOVE_METRICS = ['htm', 'qtm', 'stm', 'etm'];
+
+/**
+ * Metric used when none is given
+ */
+export const DEFAULT_METRIC = 'htm';
+
+/**
+ * Count one move in every metric
+ * @param {string|Object} move - Notation or a parsed move with a `notation`
+ * @param {number} size - Cube size
+ * @returns {MoveMetrics} Cost of the move
+ * @throws {Error} If the notation is invalid for the cube size
+ */
+function measureMove(move, size) {
+    const { layers, turns } = parseMove(typeof move === 'string' ? move : move?.notation, size);
+
+    // A rotation turns the whole cube and no layer against another
+    if (layers.length === size) {
+        return { htm: 0, qtm: 0, stm: 0, etm: 1 };
+    }
+
+    // A block touching a face is one turn; a middle block needs one turn from each side
+    const blockTurns = layers.includes(0) || layers.includes(size - 1) ? 1 : 2;
+    const quarterTurns = Math.abs(turns) === 2 ? 2 : 1;
+    return { htm: blockTurns, qtm: blockTurns * quarterTurns, stm: 1, etm: 1 };
+}
+
+/**
+ * Read a move sequence as a list of moves
+ * @param {string|Array<string|Object>} moves - Algorithm text, notations or parsed moves
+ * @param {number} size - Cube size
+ * @returns {Array<string|Object>} Moves
+ * @throws {NotationError} If algorithm text is not valid notation
+ */
+function toMoveList(moves, size) {
+    if (!moves) {
+        return [];
+    }
+    return typeof moves === 'string' ? parseAlgorithm(moves, size) : moves;
+}
+
+/**
+ * Count a move sequence in every metric
+ * @param {string|Array<string|Object>} moves - Algorithm text, notations or parsed moves
+ * @param {number} [size=3] - Cube size
+ * @returns {MoveMetrics} Move counts
+ * @throws {Error} If a move is invalid for the cube size
+ */
+export function getMoveMetrics(moves, size = 3) {
+    const metrics = { htm: 0, qtm: 0, stm: 0, etm: 0 };
+    for (const move of toMoveList(moves, size)) {
+        const cost = measureMove(move, size);
+        for (const metric of MOVE_METRICS) {
+            metrics[metric] += cost[metric];
+        }
+    }
+    return metrics;
+}
+
+/**
+ * Count a move sequence in the half turn metric
+ * @param {string|Array<string|Object>} moves - Moves to count
+ * @param {number} [size=3] - Cube size
+ * @returns {number} HTM count
+ */
+export function countHTM(moves, size = 3) {
+    return getMoveMetrics(moves, size).htm;
+}
+
+/**
+ * Count a move sequence in the quarter turn metric
+ * @param {string|Array<string|Object>} moves - Moves to count
+ * @param {number} [size=3] - Cube size
+ * @returns {number} QTM count
+ */
+export function countQTM(moves, size = 3) {
+    return getMoveMetrics(moves, size).qtm;
+}
+
+/**
+ * Count a move sequence in the slice turn metric
+ * @param {string|Array<string|Object>} moves - Moves to count
+ * @param {number} [size=3] - Cube size
+ * @returns {number} STM count
+ */
+export function countSTM(moves, size = 3) {
+    return getMoveMetrics(moves, size).stm;
+}
+
+/**
+ * Count a move sequence in the execution turn metric
+ * @param {string|Array<string|Object>} moves - Moves to count
+ * @param {number} [size=3] - Cube size
+ * @returns {number} ETM count
+ */
+export function countETM(moves, size = 3) {
+    return getMoveMetrics(moves, size).etm;
+}
+
+// ========================= SORTING =========================
+
+/**
+ * Check a metric name
+ * @param {string} metric - Metric name
+ * @throws {Error} If the metric is not supported
+ */
+function assertMetric(metric) {
+    if (!MOVE_METRICS.includes(metric)) {
+        throw new Error(`Unknown move metric: ${metric}. Use one of ${MOVE_METRICS.join(', ')}`);
+    }
+}
+
+/**
+ * Build a comparator ordering results by a metric, failed results last
+ * Results carry `moveMetrics`; ties fall back to the execution turn count.
+ * @param {string} [metric='htm'] - Metric to sort by
+ * @returns {function(Object, Object): number} Comparator
+ * @throws {Error} If the metric is not supported
+ */
+export function compareByMetric(metric = DEFAULT_METRIC) {
+    assertMetric(metric);
+    const cost = result => (result?.success === false || !result?.moveMetrics
+        ? [Infinity, Infinity]
+        : [result.moveMetrics[metric], result.moveMetrics.etm]);
+
+    return (a, b) => {
+        const [costA, tieA] = cost(a);
+        const [costB, tieB] = cost(b);
+        if (costA !== costB) {
+            return costA === Infinity ? 1 : (costB === Infinity ? -1 : costA - costB);
+        }
+        return costA === Infinity ? 0 : tieA - tieB;
+    };
+}
+
+/**
+ * Sort results by a metric without changing the input
+ * @param {Object[]} results - Results with `moveMetrics` (solutions, method runs, benchmark rows)
+ * @param {string} [metric='htm'] - Metric to sort by
+ * @returns {Object[]} Sorted copy
+ * @throws {Error} If the metric is not supported
+ */
+export function sortByMetric(results, metric = DEFAULT_METRIC) {
+    return [...results].sort(compareByMetric(metric));
+}
+
+export default {
+    // Metrics
+    MOVE_METRICS,
+    DEFAULT_METRIC,
+    getMoveMetrics,
+    countHTM,
+    countQTM,
+    countSTM,
+    countETM,
+
+    // Sorting
+    compareByMetric,
+    sortByMetric
+};
@@ -0,0 +1,116 @@
+/**
+ * Single Move Notation
+ *
+ * The token table every move reader shares: what a move looks like, which
+ * modifiers it may carry, and how it maps to the layers it turns. It imports
+ * nothing, so both the move engine and the algorithm notation parser can
+ * build on it.
+ *
+ * Supported notation (each with ', 2, 2' or '2 modifiers):
+ *   - Outer turns:          R L U D F B
+ *   - Numbered layer turns: 2R, 3R ... (only that layer)
+ *   - Wide turns:           Rw, 3Rw ... (that many outer layers), r = Rw
+ *   - Slices:               M E S (every inner layer, following L, D and F)
+ *   - Cube rotations:       x y z (following R, U and F)
+ */
+
+// ========================= TOKEN TABLE =========================
+
+/**
+ * @typedef {Object} EngineMove
+ * @property {string} face - Face whose clockwise direction the move follows (R, L, U, D, F, B)
+ * @property {number[]} layers - Layers turned, counted from that face (0 = outer layer)
+ * @property {number} turns - Number of 90° clockwise turns (1, 2, -1 for prime)
+ * @property {string} notation - Original notation string
+ * @property {boolean} wide - Whether more than one layer is turned
+ */
+
+/**
+ * A move without its modifier: numbered/wide face turns, lowercase wide turns, slices or rotations
+ */
+const MOVE_BASE = String.raw`(\d+)?([RLUDFB])(w)?|([rludfb])|([MES])|([xyz])`;
+
+/**
+ * Turn modifier: R2' and R'2 are half turns like R2
+ */
+const MOVE_MODIFIER = String.raw`2'|'2|2|'`;
+
+/**
+ * Sticky patterns for reading moves out of longer text
+ */
+export const MOVE_PATTERN = new RegExp(`(?:${MOVE_BASE})`, 'y');
+export const MODIFIER_PATTERN = new RegExp(MOVE_MODIFIER, 'y');
+
+/**
+ * A whole single move, modifier included
+ */
+const MOVE_REGEX = new RegExp(`^(?:${MOVE_BASE})(${MOVE_MODIFIER})?$`);
+
+/**
+ * Face each slice and rotation follows
+ */
+const SLICE_FACES = { M: 'L', E: 'D', S: 'F' };
+const ROTATION_FACES = { x: 'R', y: 'U', z: 'F' };
+
+// ========================= PARSER =========================
+
+/**
+ * Parse a single move for a cube of the given size
+ * @param {string} move - Single move notation (e.g. "R", "3Rw'", "M2", "y")
+ * @param {number} size - Cube size (2-7)
+ * @returns {EngineMove} Parsed move
+ * @throws {Error} If the notation is invalid or turns a layer the cube does not have
+ */
+export function parseMove(move, size) {
+    const match = typeof move === 'string' ? move.match(MOVE_REGEX) : null;
+    if (!match) {
+        throw new Error(`Invalid move notation: ${move}`);
+    }
+
+    const [, layerPrefix, face, wideSuffix, lowercaseWide, slice, rotation, modifier] = match;
+    const turns = modifier === "'" ? -1 : (modifier ? 2 : 1);
+    let moveFace;
+    let layers;
+
+    if (rotation) {
+        moveFace = ROTATION_FACES[rotation];
+        layers = Array.from({ length: size }, (_, layer) => layer);
+    } else if (slice) {
+        if (size < 3) {
+            throw new Error(`Slice move ${move} needs at least a 3x3x3 cube`);
+        }
+        moveFace = SLICE_FACES[slice];
+        layers = Array.from({ length: size - 2 }, (_, layer) => layer + 1);
+    } else if (lowercaseWide) {
+        // r is the same as Rw: outer layer plus the inner slice next to it
+        moveFace = lowercaseWide.toUpperCase();
+        layers = [0, 1];
+    } else {
+        const depth = layerPrefix ? Number(layerPrefix) : (wideSuffix ? 2 : 1);
+        if (depth < 1 || depth > size) {
+            throw new Error(`Move ${move} turns layer ${depth}, but a ${size}x${size}x${size} cube has ${size} layers`);
+        }
+        moveFace = face;
+
+        // 3R turns only the third layer, 3Rw turns the three outer layers
+        layers = wideSuffix
+            ? Array.from({ length: depth }, (_, layer) => layer)
+            : [depth - 1];
+    }
+
+    return {
+        face: moveFace,
+        layers,
+        turns,
+        notation: move,
+        wide: layers.length > 1
+    };
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    MOVE_PATTERN,
+    MODIFIER_PATTERN,
+    parseMove
+};
@@ -0,0 +1,446 @@
+/**
+ * NxN Move Sequence Optimizer
+ *
+ * Every move turns layers around one of three axes, so a move is written as a
+ * vector of quarter turns per layer (counted from R, U or F) on its axis.
+ * Moves on the same axis commute, so a run of them is one vector, and the
+ * optimizer:
+ *   1. Sums each run of same-axis moves (R L R' → L, R M' → r when allowed)
+ *   2. Writes each sum back with as few moves as the chosen style allows
+ *   3. Pushes rotations to the end of the sequence, renaming the moves they
+ *      pass (x U → F x), so moves on either side of a rotation can merge
+ * and repeats until nothing shrinks. The result turns the cube exactly like
+ * the input, including the final orientation unless it is dropped.
+ *
+ * Styles:
+ *   - preserve: outer turns plus the kinds of move (inner layer, wide, slice,
+ *     rotation) already used on that axis
+ *   - outer:    single layer turns from either face, plus rotations where an
+ *     odd cube's middle layer needs one (M → R L' x')
+ *   - compact:  any notation, fewest moves (R L' x' → M)
+ */
+
+import { MAX_CUBE_SIZE, MIN_CUBE_SIZE, parseMove } from './moveEngine.js';
+import { parseAlgorithm } from './notationParser.js';
+
+/**
+ * @typedef {import('./moveNotation.js').EngineMove} EngineMove
+ */
+
+// ========================= AXES AND LAYER VECTORS =========================
+
+/**
+ * @typedef {Object} AxisMove
+ * @property {string} axis - x, y or z
+ * @property {number[]} vector - Quarter turns (0-3) of each layer, counted from the axis's first face
+ * @property {string[]} kinds - Kinds of move it was written with (outer, inner, wide, slice, rotation)
+ */
+
+/**
+ * Faces at both ends of each axis, the slice and the rotation that follow it
+ * The slice sign is +1 when the slice turns like the first face.
+ */
+const AXES = {
+    x: { face: 'R', opposite: 'L', slice: 'M', sliceSign: -1 },
+    y: { face: 'U', opposite: 'D', slice: 'E', sliceSign: -1 },
+    z: { face: 'F', opposite: 'B', slice: 'S', sliceSign: 1 }
+};
+
+/**
+ * Rotation and slice letters
+ */
+const ROTATIONS = Object.keys(AXES);
+const SLICES = Object.values(AXES).map(({ slice }) => slice);
+
+/**
+ * Axis and end of every face
+ */
+const FACE_AXES = Object.fromEntries(Object.entries(AXES).flatMap(([axis, { face, opposite }]) => [
+    [face, { axis, reversed: false }],
+    [opposite, { axis, reversed: true }]
+]));
+
+/**
+ * For each face after a rotation, the face that was there before it
+ */
+const ROTATION_FACE_MAPS = {
+    x: { U: 'F', F: 'D', D: 'B', B: 'U', R: 'R', L: 'L' },
+    y: { F: 'R', R: 'B', B: 'L', L: 'F', U: 'U', D: 'D' },
+    z: { U: 'L', R: 'U', D: 'R', L: 'D', F: 'F', B: 'B' }
+};
+
+/**
+ * Style used when none is given
+ */
+export const DEFAULT_STYLE = 'preserve';
+
+/**
+ * Accepted styles
+ */
+export const OPTIMIZER_STYLES = ['preserve', 'outer', 'compact'];
+
+/**
+ * Modifier written for 1, 2 and 3 quarter turns
+ */
+const TURN_SUFFIXES = ['', '', '2', "'"];
+
+/**
+ * Kind of move a parsed move was written as
+ * @param {EngineMove} move - Parsed move
+ * @returns {string} outer, inner, wide, slice or rotation
+ */
+function getMoveKind({ notation, layers }) {
+    if (ROTATIONS.includes(notation[0])) return 'rotation';
+    if (SLICES.includes(notation[0])) return 'slice';
+    if (layers.length > 1) return 'wide';
+    return layers[0] > 0 ? 'inner' : 'outer';
+}
+
+/**
+ * Read a parsed move as a layer vector on its axis
+ * @param {EngineMove} move - Move from the move engine's parser
+ * @param {number} size - Cube size
+ * @returns {AxisMove} Axis move
+ */
+function toAxisMove(move, size) {
+    const { axis, reversed } = FACE_AXES[move.face];
+    const turns = (move.turns + 4) % 4;
+    const vector = new Array(size).fill(0);
+    for (const layer of move.layers) {
+        // A layer counted from the far face turns the other way
+        const index = reversed ? size - 1 - layer : layer;
+        vector[index] = (vector[index] + (reversed ? 4 - turns : turns)) % 4;
+    }
+    return { axis, vector, kinds: [getMoveKind(move)] };
+}
+
+/**
+ * How two-layer wide turns are written: as they first appear in the moves,
+ * otherwise r on a 3x3x3 and Rw on bigger cubes
+ * @param {EngineMove[]} moves - Parsed moves
+ * @param {number} size - Cube size
+ * @returns {string} lowercase (r) or suffix (Rw)
+ */
+function getWideForm(moves, size) {
+    const wide = moves.find(move => getMoveKind(move) === 'wide' && move.layers.length === 2);
+    if (wide) {
+        return wide.notation.includes('w') ? 'suffix' : 'lowercase';
+    }
+    return size === 3 ? 'lowercase' : 'suffix';
+}
+
+// ========================= MINIMAL REWRITING =========================
+
+/**
+ * @typedef {Object} AxisGenerator
+ * @property {string} base - Move without modifier (e.g. "R", "3Lw", "M")
+ * @property {string} kind - outer, inner, wide, slice or rotation
+ * @property {number[]} vector - Layer vector of one clockwise quarter turn
+ */
+
+/**
+ * Every move that turns layers around an axis, preferred moves first
+ * @param {string} axis - x, y or z
+ * @param {number} size - Cube size
+ * @param {string} wideForm - How two-layer wide turns are written (lowercase or suffix)
+ * @returns {AxisGenerator[]} Generators
+ */
+function getAxisGenerators(axis, size, wideForm) {
+    const { face, opposite, slice, sliceSign } = AXES[axis];
+    const unit = layers => Array.from({ length: size }, (_, layer) => (layers.includes(layer) ? 1 : 0));
+    const fromFar = layers => layers.map(layer => size - 1 - layer);
+    const negate = vector => vector.map(turns => (4 - turns) % 4);
+    const firstLayers = count => Array.from({ length: count }, (_, layer) => layer);
+    const generators = [];
+
+    const addLayers = (depth, kind, name, layers) => {
+        generators.push({ base: name(face, depth), kind, vector: unit(layers) });
+        generators.push({ base: name(opposite, depth), kind, vector: negate(unit(fromFar(layers))) });
+    };
+
+    addLayers(1, 'outer', side => side, [0]);
+    for (let depth = 2; depth < size; depth++) {
+        const name = side => (depth === 2 && wideForm === 'lowercase' ? side.toLowerCase() : `${depth === 2 ? '' : depth}${side}w`);
+        addLayers(depth, 'wide', name, firstLayers(depth));
+    }
+    if (size >= 3) {
+        const inner = unit(firstLayers(size - 2).map(layer => layer + 1));
+        generators.push({ base: slice, kind: 'slice', vector: sliceSign > 0 ? inner : negate(inner) });
+    }
+    // On a 3x3x3 the middle layer reads better as a slice, so numbered layers come after it
+    for (let depth = 2; depth < size; depth++) {
+        addLayers(depth, 'inner', (side, layerDepth) => `${layerDepth}${side}`, [depth - 1]);
+    }
+    generators.push({ base: axis, kind: 'rotation', vector: unit(firstLayers(size)) });
+
+    return generators;
+}
+
+/**
+ * Shortest ways to write every layer vector, per axis, size, allowed moves and wide form
+ */
+const rewriteCache = new Map();
+
+/**
+ * Shortest way to write every layer vector with the given moves, by
+ * breadth-first search over the 4^size vectors (each move used at most once)
+ * @param {string} axis - x, y or z
+ * @param {number} size - Cube size
+ * @param {string[]} kinds - Kinds of move that may be used
+ * @param {boolean} outerOnly - Only single layers up to the middle of the cube, plus rotations
+ * @param {string} wideForm - How two-layer wide turns are written (lowercase or suffix)
+ * @returns {Map<string, string[]>} Vector key → moves
+ */
+function getRewriteTable(axis, size, kinds, outerOnly, wideForm) {
+    const key = `${axis}:${size}:${[...kinds].sort().join(',')}:${outerOnly}:${wideForm}`;
+    if (!rewriteCache.has(key)) {
+        const generators = getAxisGenerators(axis, size, wideForm).filter(generator => kinds.includes(generator.kind) &&
+            (!outerOnly || generator.kind === 'rotation' || Number(generator.base.match(/^\d+/)?.[0] || 1) <= Math.floor(size / 2)));
+        const table = new Map([[new Array(size).fill(0).join(''), []]]);
+        let frontier = [new Array(size).fill(0)];
+
+        while (frontier.length > 0) {
+            const next = [];
+            for (const vector of frontier) {
+                const moves = table.get(vector.join(''));
+                for (const generator of generators) {
+                    if (moves.some(move => move.replace(/['2]+$/, '') === generator.base)) continue;
+                    for (let turns = 1; turns <= 3; turns++) {
+                        const moved = vector.map((layerTurns, layer) => (layerTurns + turns * generator.vector[layer]) % 4);
+                        const movedKey = moved.join('');
+                        if (!table.has(movedKey)) {
+                            table.set(movedKey, [...moves, `${generator.base}${TURN_SUFFIXES[turns]}`]);
+                            next.push(moved);
+                        }
+                    }
+                }
+            }
+            frontier = next;
+        }
+        rewriteCache.set(key, table);
+    }
+    return rewriteCache.get(key);
+}
+
+/**
+ * Write a summed run of same-axis moves with as few moves as the style allows
+ * @param {AxisMove} axisMove - Summed moves
+ * @param {number} size - Cube size
+ * @param {string} style - preserve, outer or compact
+ * @param {string} wideForm - How two-layer wide turns are written (lowercase or suffix)
+ * @returns {string[]} Moves
+ */
+function rewriteAxisMove({ axis, vector, kinds }, size, style, wideForm) {
+    const allKinds = ['outer', 'inner', 'wide', 'slice', 'rotation'];
+    const allowed = {
+        preserve: ['outer', ...kinds],
+        outer: ['outer', 'inner', 'rotation'],
+        compact: allKinds
+    }[style];
+    const moves = getRewriteTable(axis, size, allowed, style === 'outer', wideForm).get(vector.join(''));
+    return moves || getRewriteTable(axis, size, allKinds, false, wideForm).get(vector.join(''));
+}
+
+// ========================= ROTATION PUSHING =========================
+
+/**
+ * Shortest rotation sequences for each of the 24 orientations, by the key of
+ * their face map
+ */
+let orientationTable = null;
+
+/**
+ * Face map after applying a rotation on top of a frame
+ * @param {Object} frame - Current face map (face → original face)
+ * @param {string} rotation - x, y or z
+ * @param {number} turns - Quarter turns (1-3)
+ * @returns {Object} New face map
+ */
+function rotateFrame(frame, rotation, turns) {
+    let rotated = frame;
+    for (let turn = 0; turn < turns; turn++) {
+        const previous = rotated;
+        rotated = Object.fromEntries(Object.keys(previous).map(face =>
+            [face, previous[ROTATION_FACE_MAPS[rotation][face]]]));
+    }
+    return rotated;
+}
+
+/**
+ * Key of a face map
+ * @param {Object} frame - Face map
+ * @returns {string} Key
+ */
+function getFrameKey(frame) {
+    return Object.keys(FACE_AXES).map(face => frame[face]).join('');
+}
+
+/**
+ * Shortest rotation sequence that gives a face map
+ * @param {Object} frame - Face map
+ * @returns {string[]} Rotations
+ */
+function getRotationMoves(frame) {
+    if (!orientationTable) {
+        const identity = Object.fromEntries(Object.keys(FACE_AXES).map(face => [face, face]));
+        orientationTable = new Map([[getFrameKey(identity), { frame: identity, moves: [] }]]);
+        let frontier = [identity];
+
+        while (frontier.length > 0) {
+            const next = [];
+            for (const current of frontier) {
+                const { moves } = orientationTable.get(getFrameKey(current));
+                for (const rotation of Object.keys(ROTATION_FACE_MAPS)) {
+                    for (let turns = 1; turns <= 3; turns++) {
+                        const rotated = rotateFrame(current, rotation, turns);
+                        if (!orientationTable.has(getFrameKey(rotated))) {
+                            orientationTable.set(getFrameKey(rotated), { frame: rotated, moves: [...moves, `${rotation}${TURN_SUFFIXES[turns]}`] });
+                            next.push(rotated);
+                        }
+                    }
+                }
+            }
+            frontier = next;
+        }
+    }
+    return orientationTable.get(getFrameKey(frame)).moves;
+}
+
+/**
+ * Move every rotation to the end, renaming the moves it passes
+ * A turn of the face that a rotation brought to the front is a turn of the
+ * face that was there before it, made before the rotation.
+ * @param {AxisMove[]} axisMoves - Moves in order
+ * @returns {{moves: AxisMove[], frame: Object}} Moves without rotations and the final face map
+ */
+function pushRotations(axisMoves) {
+    let frame = Object.fromEntries(Object.keys(FACE_AXES).map(face => [face, face]));
+    const moves = [];
+
+    for (const axisMove of axisMoves) {
+        const { axis, vector } = axisMove;
+        if (vector.every(turns => turns === vector[0])) {
+            // A whole-cube turn (a rotation however it was written)
+            if (vector[0] !== 0) {
+                frame = rotateFrame(frame, axis, vector[0]);
+            }
+            continue;
+        }
+
+        const { axis: originalAxis, reversed } = FACE_AXES[frame[AXES[axis].face]];
+        moves.push({
+            ...axisMove,
+            axis: originalAxis,
+            vector: reversed ? [...vector].reverse().map(turns => (4 - turns) % 4) : vector
+        });
+    }
+
+    return { moves, frame };
+}
+
+/**
+ * Sum each run of moves on the same axis
+ * @param {AxisMove[]} axisMoves - Moves in order
+ * @returns {AxisMove[]} One move per run, runs that cancel completely removed
+ */
+function mergeAxisRuns(axisMoves) {
+    const merged = [];
+    for (const axisMove of axisMoves) {
+        const last = merged[merged.length - 1];
+        if (last && last.axis === axisMove.axis) {
+            last.vector = last.vector.map((turns, layer) => (turns + axisMove.vector[layer]) % 4);
+            last.kinds = [...new Set([...last.kinds, ...axisMove.kinds])];
+        } else {
+            merged.push({ ...axisMove, vector: [...axisMove.vector], kinds: [...axisMove.kinds] });
+        }
+    }
+    return merged.filter(axisMove => axisMove.vector.some(turns => turns !== 0));
+}
+
+// ========================= OPTIMIZER =========================
+
+/**
+ * Shorten a move sequence without changing what it does to the cube
+ * Wide turns keep the form they were written in (r or Rw).
+ * @param {string|string[]} moves - Algorithm text (see notationParser) or an array of notations
+ * @param {Object} [options] - Optimizer options
+ * @param {number} [options.size=3] - Cube size (2-7)
+ * @param {string} [options.style='preserve'] - preserve, outer or compact
+ * @param {boolean} [options.dropFinalRotation=false] - Leave out the net rotation at the end
+ *     (the cube ends solved either way, just held differently)
+ * @returns {string[]} Optimized moves
+ * @throws {Error} If a move is invalid or the size or style is unknown
+ */
+export function optimizeMoves(moves, options = {}) {
+    const { size = 3, style = DEFAULT_STYLE, dropFinalRotation = false } = options;
+    if (!Number.isInteger(size) || size < MIN_CUBE_SIZE || size > MAX_CUBE_SIZE) {
+        throw new Error(`Unsupported cube size: ${size}`);
+    }
+    if (!OPTIMIZER_STYLES.includes(style)) {
+        throw new Error(`Unknown optimizer style: ${style} (expected ${OPTIMIZER_STYLES.join(', ')})`);
+    }
+
+    const parsed = Array.isArray(moves) ? moves.map(move => parseMove(move, size)) : parseAlgorithm(moves || '', size);
+    const wideForm = getWideForm(parsed, size);
+    const rewrite = axisMove => rewriteAxisMove(axisMove, size, style, wideForm);
+    const read = notations => notations.map(move => toAxisMove(parseMove(move, size), size));
+    let axisMoves = parsed.map(move => toAxisMove(move, size));
+    let best = null;
+
+    // Each pass can bring new moves together, so repeat until nothing shrinks
+    for (let pass = 0; pass < parsed.length + 1; pass++) {
+        const pushed = pushRotations(read(mergeAxisRuns(axisMoves).flatMap(rewrite)));
+        const rotation = dropFinalRotation ? [] : getRotationMoves(pushed.frame);
+        const result = [...mergeAxisRuns(pushed.moves).flatMap(rewrite), ...rotation];
+
+        if (best && result.length >= best.length) {
+            break;
+        }
+        best = result;
+        axisMoves = read(result);
+    }
+
+    return best;
+}
+
+/**
+ * Optimize a solution made of phases, and count what each phase saved
+ * Phases are added one at a time, so moves that cancel across a boundary
+ * count for the later phase.
+ * @param {Array<{name: string, moveSequence: string[]}>} phases - Phases in order
+ * @param {Object} [options] - Optimizer options (see optimizeMoves)
+ * @returns {{moveSequence: string[], originalMoves: number, movesSaved: number, phases: Array<{name: string, movesSaved: number}>}}
+ *     Optimized moves and the savings per phase
+ */
+export function optimizePhases(phases, options = {}) {
+    let moveSequence = [];
+    let originalMoves = 0;
+
+    const phaseSavings = phases.map(phase => {
+        const phaseMoves = phase.moveSequence || [];
+        const combined = [...moveSequence, ...phaseMoves];
+        const optimized = optimizeMoves(combined, options);
+        originalMoves += phaseMoves.length;
+        moveSequence = optimized;
+        return { name: phase.name, movesSaved: combined.length - optimized.length };
+    });
+
+    return {
+        moveSequence,
+        originalMoves,
+        movesSaved: originalMoves - moveSequence.length,
+        phases: phaseSavings
+    };
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Options
+    DEFAULT_STYLE,
+    OPTIMIZER_STYLES,
+
+    // Optimizer
+    optimizeMoves,
+    optimizePhases
+};
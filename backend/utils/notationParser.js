@@ -0,0 +1,315 @@
+/**
+ * Algorithm Notation Parser
+ *
+ * Reads algorithms the way they are written on algorithm sheets and expands
+ * them to flat move lists. Shared by the per-size parsers (2x2x2, 3x3x3,
+ * 4x4x4) so every engine accepts the same notation:
+ *   - Moves:        R U' F2 R2' U'2 M x 2R Rw 3Rw r (’ is read as ')
+ *   - Grouping:     (R U R' U') and [R U R' U']
+ *   - Repetition:   (R U R' U')3, and ' after a group inverts it: (R U)2'
+ *   - Commutators:  [A, B] = A B A' B'
+ *   - Conjugates:   [A: B] = A B A'
+ *   - Comments:     // to the end of the line, and C-style block comments
+ * Brackets nest, and a number written right after a closing bracket is its
+ * repetition count, not a layer prefix.
+ *
+ * Mistakes are reported as NotationErrors carrying the position of the
+ * offending character instead of being skipped.
+ */
+
+import { MODIFIER_PATTERN, MOVE_PATTERN, parseMove } from './moveNotation.js';
+
+// ========================= ERRORS =========================
+
+/**
+ * Error in algorithm notation, with the position it was found at
+ */
+export class NotationError extends Error {
+    /**
+     * @param {string} message - What is wrong
+     * @param {string} input - Text being parsed
+     * @param {number} position - Index of the offending character in the text
+     */
+    constructor(message, input, position) {
+        const before = input.slice(0, position).split('\n');
+        const line = before.length;
+        const column = before[before.length - 1].length + 1;
+        super(`${message} at ${line > 1 ? `line ${line}, ` : ''}column ${column}`);
+        this.name = 'NotationError';
+        this.input = input;
+        this.position = position;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+// ========================= TOKENIZER =========================
+
+/**
+ * @typedef {Object} NotationToken
+ * @property {string} type - move, open, close, comma or colon
+ * @property {string} value - Bracket or separator character, or the move without its modifier
+ * @property {number} position - Index of the token in the text
+ * @property {number} [turns] - Quarter turns of a move (1, 2, -1 for prime)
+ * @property {number} [count] - Repetition count written after a closing bracket
+ * @property {boolean} [inverse] - Whether a closing bracket is followed by '
+ */
+
+/**
+ * Repetition count and inversion after a closing bracket
+ */
+const SUFFIX_PATTERN = /(\d+)?(')?/y;
+
+/**
+ * Closing bracket of each opening bracket
+ */
+const CLOSING_BRACKETS = { '(': ')', '[': ']' };
+
+/**
+ * Largest number of moves an algorithm may expand to
+ */
+const MAX_EXPANDED_MOVES = 10000;
+
+/**
+ * Read typographic primes (’ and ′) as '
+ * Both are single characters, so positions in the text do not change.
+ * @param {string} text - Algorithm text
+ * @returns {string} Text with plain primes
+ */
+function normalizePrimes(text) {
+    return String(text ?? '').replace(/[’′]/g, "'");
+}
+
+/**
+ * Match a sticky pattern at a position
+ * @param {RegExp} pattern - Sticky regular expression
+ * @param {string} text - Text to match in
+ * @param {number} position - Index to match at
+ * @returns {RegExpExecArray|null} Match, if any
+ */
+function matchAt(pattern, text, position) {
+    pattern.lastIndex = position;
+    return pattern.exec(text);
+}
+
+/**
+ * Split algorithm text into tokens, dropping whitespace and comments
+ * Typographic primes (’ and ′) are read as '.
+ * @param {string} text - Algorithm text
+ * @returns {NotationToken[]} Tokens in order
+ * @throws {NotationError} On a character that cannot start a token, or an unclosed comment
+ */
+export function tokenizeNotation(text) {
+    const source = normalizePrimes(text);
+    const tokens = [];
+    let position = 0;
+
+    while (position < source.length) {
+        const char = source[position];
+
+        if (/\s/.test(char)) {
+            position++;
+        } else if (source.startsWith('//', position)) {
+            const end = source.indexOf('\n', position);
+            position = end === -1 ? source.length : end;
+        } else if (source.startsWith('/*', position)) {
+            const end = source.indexOf('*/', position + 2);
+            if (end === -1) {
+                throw new NotationError('Unclosed comment', source, position);
+            }
+            position = end + 2;
+        } else if (char in CLOSING_BRACKETS) {
+            tokens.push({ type: 'open', value: char, position });
+            position++;
+        } else if (char === ')' || char === ']') {
+            const [suffix, count, prime] = matchAt(SUFFIX_PATTERN, source, position + 1);
+            tokens.push({
+                type: 'close',
+                value: char,
+                position,
+                count: count === undefined ? 1 : Number(count),
+                inverse: prime !== undefined
+            });
+            position += 1 + suffix.length;
+        } else if (char === ',' || char === ':') {
+            tokens.push({ type: char === ',' ? 'comma' : 'colon', value: char, position });
+            position++;
+        } else {
+            const move = matchAt(MOVE_PATTERN, source, position);
+            if (!move) {
+                throw new NotationError(`Unexpected '${char}'`, source, position);
+            }
+            const modifier = matchAt(MODIFIER_PATTERN, source, position + move[0].length)?.[0] || '';
+            const turns = modifier.includes('2') ? 2 : (modifier === "'" ? -1 : 1);
+            tokens.push({ type: 'move', value: move[0], position, turns });
+            position += move[0].length + modifier.length;
+        }
+    }
+
+    return tokens;
+}
+
+// ========================= PARSER =========================
+
+/**
+ * @typedef {Object} NotationMove
+ * @property {string} notation - Move written with a plain modifier (R, R2 or R')
+ * @property {number} position - Index of the move in the text
+ */
+
+/**
+ * Write a move with a plain modifier
+ * @param {string} base - Move without its modifier
+ * @param {number} turns - Quarter turns (1, 2, -1)
+ * @returns {string} Notation
+ */
+function writeMove(base, turns) {
+    return base + (turns === 2 ? '2' : (turns === -1 ? "'" : ''));
+}
+
+/**
+ * Invert a list of moves: reverse order, opposite direction
+ * @param {Object[]} moves - Moves with base and turns
+ * @returns {Object[]} Inverse moves
+ */
+function invertMoves(moves) {
+    return moves.map(move => ({ ...move, turns: move.turns === 2 ? 2 : -move.turns })).reverse();
+}
+
+/**
+ * Recursive descent over the tokens of one algorithm
+ * @param {string} source - Algorithm text, for error positions
+ * @param {NotationToken[]} tokens - Tokens of the text
+ * @returns {Object[]} Expanded moves with base, turns and position
+ * @throws {NotationError} On unbalanced brackets, misplaced separators or oversized repetitions
+ */
+function expandTokens(source, tokens) {
+    let index = 0;
+
+    const fail = (message, position) => {
+        throw new NotationError(message, source, position);
+    };
+
+    const checkSize = (length, position) => {
+        if (length > MAX_EXPANDED_MOVES) {
+            fail(`Algorithm expands to more than ${MAX_EXPANDED_MOVES} moves`, position);
+        }
+    };
+
+    // A run of moves and groups, up to a separator or closing bracket
+    const parseSequence = () => {
+        const moves = [];
+        while (index < tokens.length && ['move', 'open'].includes(tokens[index].type)) {
+            const token = tokens[index];
+            if (token.type === 'move') {
+                moves.push({ base: token.value, turns: token.turns, position: token.position });
+                index++;
+            } else {
+                moves.push(...parseGroup());
+            }
+            checkSize(moves.length, token.position);
+        }
+        return moves;
+    };
+
+    // ( A ), [ A ], [ A, B ] or [ A: B ], with its repetition suffix
+    const parseGroup = () => {
+        const open = tokens[index++];
+        const first = parseSequence();
+        let moves = first;
+        const separator = tokens[index];
+
+        if (separator && (separator.type === 'comma' || separator.type === 'colon')) {
+            if (open.value !== '[') {
+                fail(`'${separator.value}' is only allowed inside [ ]`, separator.position);
+            }
+            index++;
+            const second = parseSequence();
+            moves = separator.type === 'comma'
+                ? [...first, ...second, ...invertMoves(first), ...invertMoves(second)]
+                : [...first, ...second, ...invertMoves(first)];
+        }
+
+        const close = tokens[index];
+        if (!close) {
+            fail(`Unclosed '${open.value}'`, open.position);
+        }
+        if (close.type !== 'close') {
+            fail(`Unexpected '${close.value}', expected '${CLOSING_BRACKETS[open.value]}'`, close.position);
+        }
+        if (close.value !== CLOSING_BRACKETS[open.value]) {
+            fail(`Expected '${CLOSING_BRACKETS[open.value]}' but found '${close.value}'`, close.position);
+        }
+        if (close.count < 1) {
+            fail('Repetition count must be at least 1', close.position + 1);
+        }
+        index++;
+
+        const group = close.inverse ? invertMoves(moves) : moves;
+        checkSize(group.length * close.count, close.position);
+        return Array.from({ length: close.count }, () => group).flat();
+    };
+
+    const moves = parseSequence();
+    if (index < tokens.length) {
+        const token = tokens[index];
+        fail(token.type === 'close'
+            ? `Unmatched '${token.value}'`
+            : `'${token.value}' is only allowed inside [ ]`, token.position);
+    }
+    return moves;
+}
+
+/**
+ * Expand algorithm text to a flat list of moves with their positions
+ * @param {string} text - Algorithm text
+ * @returns {NotationMove[]} Moves in order
+ * @throws {NotationError} If the text is not valid notation
+ */
+export function expandNotation(text) {
+    const source = normalizePrimes(text);
+    return expandTokens(source, tokenizeNotation(source))
+        .map(({ base, turns, position }) => ({ notation: writeMove(base, turns), position }));
+}
+
+/**
+ * Expand algorithm text to plain move notations
+ * @param {string} text - Algorithm text (e.g. "[F: (R U R' U')2]")
+ * @returns {string[]} Move notations (e.g. ['F', 'R', 'U', "R'", "U'", ...])
+ * @throws {NotationError} If the text is not valid notation
+ */
+export function expandAlgorithm(text) {
+    return expandNotation(text).map(move => move.notation);
+}
+
+/**
+ * Parse algorithm text into move engine moves for a cube size
+ * Each move also keeps the position it was written at.
+ * @param {string} text - Algorithm text
+ * @param {number} [size=3] - Cube size
+ * @returns {Array<import('./moveNotation.js').EngineMove & { position: number }>} Parsed moves
+ * @throws {NotationError} If the text is not valid notation, or a move does not exist on this size
+ */
+export function parseAlgorithm(text, size = 3) {
+    const source = normalizePrimes(text);
+    return expandNotation(source).map(({ notation, position }) => {
+        try {
+            return { ...parseMove(notation, size), position };
+        } catch (error) {
+            throw new NotationError(error.message, source, position);
+        }
+    });
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Errors
+    NotationError,
+
+    // Parsing
+    tokenizeNotation,
+    expandNotation,
+    expandAlgorithm,
+    parseAlgorithm
+};
@@ -0,0 +1,243 @@
+/**
+ * Piece Tracking for 3x3x3 Searches
+ *
+ * Follows a handful of pieces by one sticker each, so a search only has to
+ * move a few numbers per node instead of a whole cube. Moves are taken from
+ * the move engine as sticker permutations, so any notation it knows (outer,
+ * wide and slice turns) can be searched.
+ *
+ * Used by the cross search and the Roux and ZZ block builders: pruning tables over
+ * four pieces at a time give exact distances, and IDA* over all the pieces of
+ * a step uses the largest of them as its lower bound.
+ */
+
+import { FACE_NAMES } from './cubeStructures.js';
+import { CORNER_NAMES, CORNER_STICKERS, EDGE_NAMES, EDGE_STICKERS } from './cubieModel.js';
+import { getMovePermutation } from './moveEngine.js';
+
+// ========================= PIECE TRACKING =========================
+
+/**
+ * @typedef {Object} TrackedPiece
+ * @property {string} slot - Home slot of the piece (e.g. 'DL', 'DLF', or a face name for a center)
+ * @property {string[]} faces - Faces of its stickers when solved
+ * @property {string} face - Face of the sticker that is followed
+ * @property {number} home - Sticker index of the followed sticker when solved
+ */
+
+/**
+ * Stickers of every corner, edge and center slot, by slot name
+ */
+export const PIECE_SLOTS = Object.fromEntries([
+    ...CORNER_NAMES.map((name, slot) => [name, CORNER_STICKERS[slot]]),
+    ...EDGE_NAMES.map((name, slot) => [name, EDGE_STICKERS[slot]]),
+    ...FACE_NAMES.map(face => [face, [[face, 4]]])
+]);
+
+/**
+ * Index of a sticker in the flattened U, L, F, R, B, D faces of the move engine
+ * @param {string} face - Face name
+ * @param {number} index - Sticker index on the face (0-8)
+ * @returns {number} Flat sticker index (0-53)
+ */
+export function getFlatIndex(face, index) {
+    return FACE_NAMES.indexOf(face) * 9 + index;
+}
+
+/**
+ * Face a flat sticker index lies on
+ * @param {number} position - Flat sticker index
+ * @returns {string} Face name
+ */
+export function getFaceOf(position) {
+    return FACE_NAMES[Math.floor(position / 9)];
+}
+
+/**
+ * Describe a piece that is followed by one of its stickers
+ * The position of that sticker alone tells both the slot the piece is in and
+ * how it is twisted or flipped there.
+ * @param {string} slot - Home slot name
+ * @param {string} face - Face of the followed sticker
+ * @returns {TrackedPiece} Tracked piece
+ */
+export function trackPiece(slot, face) {
+    const stickers = PIECE_SLOTS[slot];
+    const [, index] = stickers.find(([stickerFace]) => stickerFace === face);
+    return { slot, faces: stickers.map(([stickerFace]) => stickerFace), face, home: getFlatIndex(face, index) };
+}
+
+/**
+ * Find where the followed sticker of each piece is
+ * @param {Object} cubeState - 3x3x3 cube state
+ * @param {TrackedPiece[]} pieces - Pieces to find
+ * @param {Object} faceColors - Color of each face when solved
+ * @returns {number[]} Flat sticker index of each followed sticker
+ * @throws {Error} If a piece is missing from the cube
+ */
+export function locatePieces(cubeState, pieces, faceColors) {
+    const sortedColors = colors => [...colors].sort().join('');
+
+    return pieces.map(piece => {
+        const pieceColors = sortedColors(piece.faces.map(face => faceColors[face]));
+        for (const stickers of Object.values(PIECE_SLOTS)) {
+            const colors = stickers.map(([face, index]) => cubeState.faces[face][index]);
+            if (colors.length === piece.faces.length && sortedColors(colors) === pieceColors) {
+                const [face, index] = stickers[colors.indexOf(faceColors[piece.face])];
+                return getFlatIndex(face, index);
+            }
+        }
+        throw new Error(`The ${piece.slot} piece is missing from the cube`);
+    });
+}
+
+/**
+ * Cached sticker destinations per move
+ */
+const moveTableCache = new Map();
+
+/**
+ * Where every sticker goes when a move is applied
+ * @param {string} move - Move notation
+ * @returns {number[]} table[position] = position after the move
+ */
+export function getMoveTable(move) {
+    if (!moveTableCache.has(move)) {
+        const table = new Array(54);
+        getMovePermutation(move, 3).forEach((source, target) => {
+            table[source] = target;
+        });
+        moveTableCache.set(move, table);
+    }
+    return moveTableCache.get(move);
+}
+
+/**
+ * Quarter, half and prime turns of each base move
+ * @param {string[]} baseMoves - Base moves (e.g. ['R', 'U'])
+ * @returns {string[]} Moves with every modifier
+ */
+export function withTurns(baseMoves) {
+    return baseMoves.flatMap(move => [move, `${move}2`, `${move}'`]);
+}
+
+// ========================= PRUNED SEARCH =========================
+
+/**
+ * @typedef {Object} PieceStep
+ * @property {string} name - Step name, also the key of its cached pruning tables
+ * @property {TrackedPiece[]} pieces - Pieces that must end up solved
+ * @property {string[]} moves - Moves the search may use
+ * @property {number[][]} pruningSubsets - Subsets of pieces (indices) that get a pruning table;
+ *     together they must cover every piece
+ */
+
+/**
+ * Pruning tables per step, generated on first use
+ */
+const pruningTableCache = new Map();
+
+/**
+ * Index of tracked positions in a pruning table
+ * @param {number[]} positions - Positions of every piece of the step
+ * @param {number[]} subset - The pieces the table covers
+ * @returns {number} Table index
+ */
+function getPruningIndex(positions, subset) {
+    return subset.reduce((index, piece) => index * 54 + positions[piece], 0);
+}
+
+/**
+ * Exact move counts to solve each subset of a step's pieces, by breadth-first
+ * search from the solved positions
+ * @param {PieceStep} step - Search step
+ * @returns {Array<{subset: number[], distances: Uint8Array}>} One table per pruning subset
+ */
+function getPruningTables(step) {
+    if (!pruningTableCache.has(step.name)) {
+        const moveTables = step.moves.map(getMoveTable);
+        const solvedPositions = step.pieces.map(piece => piece.home);
+
+        pruningTableCache.set(step.name, step.pruningSubsets.map(subset => {
+            const distances = new Uint8Array(54 ** subset.length).fill(255);
+            distances[getPruningIndex(solvedPositions, subset)] = 0;
+
+            let frontier = [solvedPositions];
+            for (let depth = 1; frontier.length > 0; depth++) {
+                const next = [];
+                for (const positions of frontier) {
+                    for (const table of moveTables) {
+                        const moved = positions.map(position => table[position]);
+                        const index = getPruningIndex(moved, subset);
+                        if (distances[index] === 255) {
+                            distances[index] = depth;
+                            next.push(moved);
+                        }
+                    }
+                }
+                frontier = next;
+            }
+
+            return { subset, distances };
+        }));
+    }
+    return pruningTableCache.get(step.name);
+}
+
+/**
+ * Shortest move sequence that solves every piece of a step, by IDA*
+ * The largest subset distance is a lower bound for the whole step, and
+ * consecutive turns of the same layer are skipped.
+ * @param {PieceStep} step - Search step
+ * @param {number[]} start - Current positions of the step's pieces
+ * @param {number} maxDepth - Longest solution searched for
+ * @returns {string[]|null} Moves, or null if no solution within maxDepth
+ */
+export function searchPieces(step, start, maxDepth) {
+    const tables = getPruningTables(step);
+    const moveTables = step.moves.map(getMoveTable);
+    const estimate = positions => Math.max(...tables.map(({ subset, distances }) =>
+        distances[getPruningIndex(positions, subset)]));
+    const path = [];
+
+    const search = (positions, depth, bound, lastLayer) => {
+        const remaining = estimate(positions);
+        if (remaining === 0) return true;
+        if (depth + remaining > bound) return false;
+
+        for (let move = 0; move < step.moves.length; move++) {
+            const layer = step.moves[move][0];
+            if (layer === lastLayer) continue;
+
+            path.push(step.moves[move]);
+            if (search(positions.map(position => moveTables[move][position]), depth + 1, bound, layer)) {
+                return true;
+            }
+            path.pop();
+        }
+        return false;
+    };
+
+    for (let bound = estimate(start); bound <= maxDepth; bound++) {
+        if (search(start, 0, bound, null)) {
+            return path;
+        }
+    }
+    return null;
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Tracking
+    PIECE_SLOTS,
+    getFlatIndex,
+    getFaceOf,
+    trackPiece,
+    locatePieces,
+    getMoveTable,
+    withTurns,
+
+    // Search
+    searchPieces
+};
@@ -0,0 +1,99 @@
+/**
+ * Seedable Random Numbers
+ *
+ * Scrambles and tests draw from a small deterministic generator (mulberry32)
+ * instead of Math.random, so a seed reproduces the exact same scrambles.
+ * Seeds may be integers or strings; strings are hashed to an integer first.
+ */
+
+// ========================= SEEDS =========================
+
+/**
+ * Largest seed plus one: seeds are unsigned 32-bit integers
+ */
+const SEED_RANGE = 2 ** 32;
+
+/**
+ * Pick a fresh seed, for callers that did not ask for one but should report it
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * SEED_RANGE);
+}
+
+/**
+ * Turn a seed into an unsigned 32-bit integer
+ * Integers are taken modulo 2^32; any other value is hashed from its string form.
+ * @param {number|string} seed - Seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function normalizeSeed(seed) {
+    if (Number.isSafeInteger(seed)) {
+        return ((seed % SEED_RANGE) + SEED_RANGE) % SEED_RANGE;
+    }
+
+    // FNV-1a over the characters of the seed
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+        hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// ========================= GENERATOR =========================
+
+/**
+ * Create a random number generator
+ * @param {number|string} seed - Seed; the same seed always gives the same numbers
+ * @returns {function(): number} Generator returning numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+    let state = normalizeSeed(seed);
+
+    // mulberry32
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / SEED_RANGE;
+    };
+}
+
+/**
+ * Random integer in [0, count)
+ * @param {function(): number} random - Generator returning numbers in [0, 1)
+ * @param {number} count - Number of possible values
+ * @returns {number} Integer
+ */
+export function randomInt(random, count) {
+    return Math.floor(random() * count);
+}
+
+/**
+ * Shuffle an array with Fisher-Yates, every order equally likely
+ * @param {Array} items - Items to shuffle (not modified)
+ * @param {function(): number} random - Generator returning numbers in [0, 1)
+ * @returns {Array} Shuffled copy
+ */
+export function shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = randomInt(random, i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Seeds
+    createSeed,
+    normalizeSeed,
+
+    // Generator
+    createRandom,
+    randomInt,
+    shuffle
+};
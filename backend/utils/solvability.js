@@ -6,6 +6,7 @@
  */
 
 import {
+    createSolvedCube,
     extractCornerPieces,
     extractCenterPieces,
     extractEdgePieces,
@@ -13,6 +14,8 @@ import {
     VALID_COLORS,
     FACE_NAMES
 } from './cubeStructures.js';
+import { getReferenceFaceColors } from './cubieModel.js';
+import { applyMoves } from './moveEngine.js';
 
 // ========================= SOLVABILITY ERROR TYPES =========================
 
@@ -22,11 +25,21 @@ export const SOLVABILITY_ERRORS = {
     CORNER_PERMUTATION_PARITY: 'CORNER_PERMUTATION_PARITY',
     EDGE_PERMUTATION_PARITY: 'EDGE_PERMUTATION_PARITY',
     INVALID_PIECE_CONFIGURATION: 'INVALID_PIECE_CONFIGURATION',
-    IMPOSSIBLE_PIECE_POSITIONS: 'IMPOSSIBLE_PIECE_POSITIONS'
+    IMPOSSIBLE_PIECE_POSITIONS: 'IMPOSSIBLE_PIECE_POSITIONS',
+    INVALID_CENTER_COUNT: 'INVALID_CENTER_COUNT',
+    INVALID_WING_EDGE: 'INVALID_WING_EDGE',
+    DUPLICATE_WING_EDGE: 'DUPLICATE_WING_EDGE'
 };
 
 // ========================= PIECE IDENTIFICATION UTILITIES =========================
 
+/**
+ * Standard color mapping: U=W, L=O, F=G, R=R, B=B, D=Y
+ */
+const STANDARD_FACE_COLORS = {
+    'U': 'W', 'L': 'O', 'F': 'G', 'R': 'R', 'B': 'B', 'D': 'Y'
+};
+
 /**
  * Get the expected colors for a piece based on its position
  * @param {string} piecePosition - Position identifier (e.g., 'UFR', 'UF')
@@ -34,58 +47,69 @@ export const SOLVABILITY_ERRORS = {
  * @returns {string[]} Array of expected colors in order
  */
 function getExpectedPieceColors(piecePosition, cubeType) {
-    // Standard color mapping: U=W, L=O, F=G, R=R, B=B, D=Y
-    const colorMap = {
-        'U': 'W', 'L': 'O', 'F': 'G', 'R': 'R', 'B': 'B', 'D': 'Y'
-    };
-    
-    return piecePosition.split('').map(face => colorMap[face]);
+    return piecePosition.split('').map(face => STANDARD_FACE_COLORS[face]);
+}
+
+/**
+ * Get the solved colors of a piece slot in the same sticker order as the slot's facelets
+ * @param {Object[]} facelets - Facelets of the slot (from extractCornerPieces/extractEdgePieces)
+ * @returns {string[]} Colors the slot shows when the cube is solved
+ */
+function getHomeColors(facelets) {
+    return facelets.map(facelet => STANDARD_FACE_COLORS[facelet.face]);
 }
 
 /**
  * Calculate corner orientation value
- * Corners can be oriented 0, 1, or 2 (clockwise rotations)
+ * Corners can be oriented 0, 1, or 2 (clockwise twists of the U/D sticker)
+ * Corner stickers are listed clockwise starting with the U/D facelet, so the
+ * orientation is simply where the piece's U/D colored sticker currently sits.
  * @param {Object} corner - Corner piece data
  * @param {string} position - Corner position (e.g., 'UFR')
  * @returns {number} Orientation value (0, 1, or 2)
  */
 function getCornerOrientation(corner, position) {
-    const expectedColors = getExpectedPieceColors(position);
+    const udColors = [STANDARD_FACE_COLORS.U, STANDARD_FACE_COLORS.D];
     const actualColors = corner.map(facelet => facelet.color);
+    const udIndices = actualColors
+        .map((color, index) => udColors.includes(color) ? index : -1)
+        .filter(index => index !== -1);
     
-    // Find which rotation of expected colors matches actual colors
-    for (let rotation = 0; rotation < 3; rotation++) {
-        const rotatedExpected = expectedColors.slice(rotation).concat(expectedColors.slice(0, rotation));
-        if (JSON.stringify(rotatedExpected) === JSON.stringify(actualColors)) {
-            return rotation;
-        }
+    if (udIndices.length !== 1) {
+        return -1; // Invalid corner configuration (no or several U/D stickers)
     }
     
-    return -1; // Invalid corner configuration
+    return udIndices[0];
 }
 
 /**
  * Calculate edge orientation value (for 3x3x3)
- * Edges can be oriented 0 (good) or 1 (flipped)
+ * Edges can be oriented 0 (good) or 1 (flipped). An edge is good when its
+ * primary sticker (U/D color, or F/B color for E-slice edges) sits on the
+ * slot's primary facelet, which is always listed first.
  * @param {Object} edge - Edge piece data
  * @param {string} position - Edge position (e.g., 'UF')
+ * @param {Object} [faceColors] - Center color of each face (standard scheme by default)
  * @returns {number} Orientation value (0 or 1)
  */
-function getEdgeOrientation(edge, position) {
-    const expectedColors = getExpectedPieceColors(position);
+function getEdgeOrientation(edge, position, faceColors = STANDARD_FACE_COLORS) {
+    const udColors = [faceColors.U, faceColors.D];
+    const fbColors = [faceColors.F, faceColors.B];
     const actualColors = edge.map(facelet => facelet.color);
     
-    // Check if colors match in correct order (orientation 0)
-    if (JSON.stringify(expectedColors) === JSON.stringify(actualColors)) {
-        return 0;
+    const udCount = actualColors.filter(color => udColors.includes(color)).length;
+    if (udCount > 1) {
+        return -1; // Invalid edge configuration (two U/D stickers)
     }
     
-    // Check if colors match in flipped order (orientation 1)
-    if (JSON.stringify(expectedColors.reverse()) === JSON.stringify(actualColors)) {
-        return 1;
+    const primaryColors = udCount === 1 ? udColors : fbColors;
+    const primaryIndex = actualColors.findIndex(color => primaryColors.includes(color));
+    
+    if (primaryIndex === -1 || actualColors.filter(color => primaryColors.includes(color)).length > 1) {
+        return -1; // Invalid edge configuration (e.g. two opposite colors)
     }
     
-    return -1; // Invalid edge configuration
+    return primaryIndex === 0 ? 0 : 1;
 }
 
 /**
@@ -145,16 +169,24 @@ function check2x2x2CornerPermutationParity(cubeState) {
             };
         }
         
-        // Find where this piece belongs
-        const actualColors = corner.map(f => f.color).sort().join('');
+        // Find where this piece belongs: rotate its colors so the U/D sticker
+        // comes first, then compare against each slot's clockwise home colors
+        const colors = corner.map(f => f.color);
+        const twist = getCornerOrientation(corner, position);
+        const normalizedColors = twist === -1 ? colors : colors.slice(twist).concat(colors.slice(0, twist));
+        const actualColors = [...colors].sort().join('');
         let targetIndex = -1;
+        let mirrored = false;
         
         for (let j = 0; j < cornerPositions.length; j++) {
-            const expectedColors = getExpectedPieceColors(cornerPositions[j]).sort().join('');
-            if (actualColors === expectedColors) {
+            const homeColors = getHomeColors(corners[cornerPositions[j]]);
+            if (homeColors.join('') === normalizedColors.join('')) {
                 targetIndex = j;
                 break;
             }
+            if ([...homeColors].sort().join('') === actualColors) {
+                mirrored = true;
+            }
         }
         
         if (targetIndex === -1) {
@@ -162,7 +194,19 @@ function check2x2x2CornerPermutationParity(cubeState) {
                 isValid: false,
                 error: {
                     type: SOLVABILITY_ERRORS.IMPOSSIBLE_PIECE_POSITIONS,
-                    message: `Corner at position ${position} has impossible color combination: ${actualColors}`
+                    message: mirrored
+                        ? `Corner at position ${position} has its colors in mirrored order: ${colors.join('')}`
+                        : `Corner at position ${position} has impossible color combination: ${actualColors}`
+                }
+            };
+        }
+        
+        if (permutation.includes(targetIndex)) {
+            return {
+                isValid: false,
+                error: {
+                    type: SOLVABILITY_ERRORS.IMPOSSIBLE_PIECE_POSITIONS,
+                    message: `Corner ${cornerPositions[targetIndex]} appears more than once (again at position ${position})`
                 }
             };
         }
@@ -172,13 +216,13 @@ function check2x2x2CornerPermutationParity(cubeState) {
     
     const parity = calculatePermutationParity(permutation);
     
+    // Every corner permutation is reachable on its own (a single quarter turn is
+    // odd), so parity only matters when compared against the edges on a 3x3x3
     return {
-        isValid: parity === 0,
+        isValid: true,
         parity: parity,
-        error: parity !== 0 ? {
-            type: SOLVABILITY_ERRORS.CORNER_PERMUTATION_PARITY,
-            message: '2x2x2 corner permutation parity is odd - cube is unsolvable'
-        } : null
+        permutation: permutation,
+        error: null
     };
 }
 
@@ -262,11 +306,14 @@ export function checkSolvability2x2x2(cubeState) {
 
 /**
  * Check edge orientation parity for 3x3x3 cube
+ * Orientation is read against the cube's own centers, so a rotated cube is
+ * measured along its current U/D and F/B axes.
  * @param {Object} cubeState - Cube state to check
  * @returns {Object} Solvability result
  */
-function check3x3x3EdgeOrientationParity(cubeState) {
+export function check3x3x3EdgeOrientationParity(cubeState) {
     const edges = extractEdgePieces(cubeState);
+    const faceColors = Object.fromEntries(Object.entries(cubeState.faces).map(([face, stickers]) => [face, stickers[4]]));
     const edgePositions = ['UF', 'UR', 'UB', 'UL', 'DF', 'DR', 'DB', 'DL', 'FR', 'FL', 'BR', 'BL'];
     
     let totalOrientation = 0;
@@ -276,7 +323,7 @@ function check3x3x3EdgeOrientationParity(cubeState) {
         const edge = edges[position];
         if (!edge) continue;
         
-        const orientation = getEdgeOrientation(edge, position);
+        const orientation = getEdgeOrientation(edge, position, faceColors);
         
         if (orientation === -1) {
             return {
@@ -353,6 +400,16 @@ function check3x3x3EdgePermutationParity(cubeState) {
             };
         }
         
+        if (permutation.includes(targetIndex)) {
+            return {
+                isValid: false,
+                error: {
+                    type: SOLVABILITY_ERRORS.IMPOSSIBLE_PIECE_POSITIONS,
+                    message: `Edge ${edgePositions[targetIndex]} appears more than once (again at position ${position})`
+                }
+            };
+        }
+        
         permutation[i] = targetIndex;
     }
     
@@ -365,6 +422,25 @@ function check3x3x3EdgePermutationParity(cubeState) {
     };
 }
 
+/**
+ * Calculate the parity of the center permutation for 3x3x3 cube
+ * @param {Object} cubeState - Cube state to check
+ * @returns {number} 0 (even), 1 (odd) or -1 if the centers are not a valid set
+ */
+function getCenterPermutationParity(cubeState) {
+    const faces = Object.keys(STANDARD_FACE_COLORS);
+    const permutation = faces.map(face => {
+        const color = cubeState.faces[face][4];
+        return faces.findIndex(homeFace => STANDARD_FACE_COLORS[homeFace] === color);
+    });
+    
+    if (permutation.includes(-1) || new Set(permutation).size !== faces.length) {
+        return -1;
+    }
+    
+    return calculatePermutationParity(permutation);
+}
+
 /**
  * Complete solvability check for 3x3x3 cube
  * @param {Object} cubeState - Cube state to check
@@ -404,12 +480,28 @@ export function checkSolvability3x3x3(cubeState) {
         if (!cornerPermutationResult.isValid) {
             results.isSolvable = false;
             results.errors.push(cornerPermutationResult.error);
-        } else if (cornerPermutationResult.parity !== edgePermutationResult.parity) {
+        } else if (!edgePermutationResult.isValid) {
             results.isSolvable = false;
-            results.errors.push({
-                type: SOLVABILITY_ERRORS.CORNER_PERMUTATION_PARITY,
-                message: `Corner and edge permutation parities don't match (corner: ${cornerPermutationResult.parity}, edge: ${edgePermutationResult.parity})`
-            });
+            results.errors.push(edgePermutationResult.error);
+        } else {
+            // Slice moves and rotations also cycle the centers, so the corner and
+            // edge parities must differ exactly by the parity of the center permutation
+            const centerParity = getCenterPermutationParity(cubeState);
+            results.checks.centerPermutation = { parity: centerParity };
+            
+            if (centerParity === -1) {
+                results.isSolvable = false;
+                results.errors.push({
+                    type: SOLVABILITY_ERRORS.INVALID_PIECE_CONFIGURATION,
+                    message: 'Center pieces do not show six different standard colors'
+                });
+            } else if ((cornerPermutationResult.parity + edgePermutationResult.parity) % 2 !== centerParity) {
+                results.isSolvable = false;
+                results.errors.push({
+                    type: SOLVABILITY_ERRORS.CORNER_PERMUTATION_PARITY,
+                    message: `Corner and edge permutation parities don't match (corner: ${cornerPermutationResult.parity}, edge: ${edgePermutationResult.parity})`
+                });
+            }
         }
     }
     
@@ -419,60 +511,197 @@ export function checkSolvability3x3x3(cubeState) {
 // ========================= 4x4x4 SOLVABILITY CHECKS =========================
 
 /**
- * Check solvability for 4x4x4 cube (simplified)
- * 4x4x4 cubes have additional parity cases that are complex to detect
+ * Project the corners of a 4x4x4 cube onto a 2x2x2 cube state
+ * The outer corner stickers of each 4x4 face (indices 0, 3, 12, 15) move
+ * exactly like the stickers of a 2x2x2 under outer turns.
+ * @param {Object} cubeState - 4x4x4 cube state
+ * @returns {Object} 2x2x2 cube state holding only the corners
+ */
+function get4x4x4CornerCube(cubeState) {
+    const cornerIndices = [0, 3, 12, 15];
+    const faces = {};
+    for (const face of FACE_NAMES) {
+        faces[face] = cornerIndices.map(index => cubeState.faces[face][index]);
+    }
+    return { cubeType: '2x2x2', faces };
+}
+
+/**
+ * Wing edge slots of a 4x4x4, each as [face, index] stickers with the U/D (or F/B) sticker first
+ */
+export const WING_SLOTS = Object.entries(extractEdgePieces(createSolvedCube('4x4x4')))
+    .map(([name, facelets]) => ({ name, stickers: facelets.map(({ face, index }) => [face, index]) }));
+
+/**
+ * Handedness (1 or -1) of every wing slot
+ * The two wings of an edge are mirror images, and no move flips a wing in
+ * its slot: a wing shows its colors in edge order (U/D or F/B color first)
+ * only in slots of its own handedness. Starting from UF1, the handedness of
+ * every slot is found by following wings through outer and inner turns; a
+ * wing that lands with its colors the other way round changes handedness.
+ */
+const WING_HANDEDNESS = (() => {
+    const labeled = {
+        cubeType: '4x4x4',
+        faces: Object.fromEntries(FACE_NAMES.map(face => [face, Array.from({ length: 16 }, (_, index) => `${face}${index}`)]))
+    };
+    const destinations = ['R', 'L', 'U', 'D', 'F', 'B', '2R', '2L', '2U', '2D', '2F', '2B'].map(move => {
+        const moved = applyMoves(labeled, move);
+        const position = {};
+        FACE_NAMES.forEach(face => moved.faces[face].forEach((label, index) => { position[label] = `${face}${index}`; }));
+        return position;
+    });
+    const slotAt = Object.fromEntries(WING_SLOTS.map((slot, i) => [slot.stickers.map(([face, index]) => `${face}${index}`).join(), i]));
+
+    const handedness = new Array(WING_SLOTS.length).fill(0);
+    handedness[0] = 1;
+    const queue = [0];
+    while (queue.length > 0) {
+        const slot = queue.shift();
+        for (const position of destinations) {
+            const [primary, secondary] = WING_SLOTS[slot].stickers.map(([face, index]) => position[`${face}${index}`]);
+            const same = slotAt[`${primary},${secondary}`];
+            const next = same ?? slotAt[`${secondary},${primary}`];
+            if (handedness[next] === 0) {
+                handedness[next] = same === undefined ? -handedness[slot] : handedness[slot];
+                queue.push(next);
+            }
+        }
+    }
+    return handedness;
+})();
+
+/**
+ * Identify the wing in a wing slot
+ * @param {string[]} colors - Colors of the slot, U/D (or F/B) sticker first
+ * @param {number} slot - Index into WING_SLOTS
+ * @param {Object} faceColors - Color of each face
+ * @returns {number} Index of the wing's home slot, or -1 if no wing has these colors
+ */
+export function readWingEdge(colors, slot, faceColors) {
+    const colorFaces = Object.fromEntries(Object.entries(faceColors).map(([face, color]) => [color, face]));
+    const faces = colors.map(color => colorFaces[color]).join('');
+    const reversed = faces.split('').reverse().join('');
+    const handedness = WING_HANDEDNESS[slot];
+
+    return WING_SLOTS.findIndex((home, i) => {
+        const edge = home.name.slice(0, 2);
+        return (edge === faces && WING_HANDEDNESS[i] === handedness) || (edge === reversed && WING_HANDEDNESS[i] === -handedness);
+    });
+}
+
+/**
+ * Read every wing of a 4x4x4 and check that each of the 24 wings appears once
+ * Each edge color pair must show up twice, once as each of its mirror wings.
+ * @param {Object} cubeState - 4x4x4 cube state
+ * @param {Object} faceColors - Color of each face
+ * @returns {Object} Check result with the wing found in every slot
+ */
+function check4x4x4WingEdges(cubeState, faceColors) {
+    const wings = WING_SLOTS.map(({ name, stickers }, slot) => {
+        const colors = stickers.map(([face, index]) => cubeState.faces[face][index]);
+        const wing = readWingEdge(colors, slot, faceColors);
+        return { slot: name, colors, wing: wing === -1 ? null : WING_SLOTS[wing].name };
+    });
+
+    const errors = [];
+    const impossible = wings.filter(({ wing }) => wing === null);
+    if (impossible.length > 0) {
+        errors.push({
+            type: SOLVABILITY_ERRORS.INVALID_WING_EDGE,
+            message: `No wing edge has the colors at ${impossible.map(({ slot, colors }) => `${slot} (${colors.join('')})`).join(', ')}`
+        });
+    }
+
+    const seen = new Map();
+    wings.filter(({ wing }) => wing !== null).forEach(({ slot, wing }) => seen.set(wing, [...(seen.get(wing) || []), slot]));
+    for (const [wing, slots] of seen) {
+        if (slots.length > 1) {
+            errors.push({
+                type: SOLVABILITY_ERRORS.DUPLICATE_WING_EDGE,
+                message: `Wing ${wing} appears at ${slots.join(' and ')}: the two ${wing.slice(0, 2)} wings must be mirror images, so one of them is flipped in place`
+            });
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        wings,
+        errors
+    };
+}
+
+/**
+ * Check solvability for 4x4x4 cube
+ * Inner slice moves scatter center pieces freely, so the centers only need
+ * four pieces of each color. The corners obey the same constraints as a
+ * 2x2x2. Any permutation of the 24 wings can be reached (an inner quarter
+ * turn is an odd permutation of them), but a wing cannot be flipped in its
+ * slot, so every wing must be present exactly once. Wings are read against
+ * the face colors of the DBL corner, so any orientation and color scheme is
+ * accepted.
  * @param {Object} cubeState - Cube state to check
  * @returns {Object} Solvability result
  */
 export function checkSolvability4x4x4(cubeState) {
-    // For 4x4x4, we'll do a simplified check focusing on center blocks
     const results = {
         isSolvable: true,
         errors: [],
         checks: {}
     };
     
-    // Check that center blocks are uniform and different colors
+    // Check that each color owns exactly four center pieces
     const centers = extractCenterPieces(cubeState);
-    const centerColors = new Set();
+    const centerCounts = {};
     
-    for (const [face, centerBlock] of Object.entries(centers)) {
+    for (const centerBlock of Object.values(centers)) {
         if (!Array.isArray(centerBlock)) continue;
-        
-        // Check uniformity within each center block
-        const colors = centerBlock.map(p => p.color);
-        const uniqueColors = new Set(colors);
-        
-        if (uniqueColors.size !== 1) {
-            results.isSolvable = false;
-            results.errors.push({
-                type: SOLVABILITY_ERRORS.INVALID_PIECE_CONFIGURATION,
-                message: `4x4x4 center block on face ${face} is not uniform`
-            });
-            continue;
-        }
-        
-        const centerColor = colors[0];
-        
-        // Check for duplicate center colors
-        if (centerColors.has(centerColor)) {
-            results.isSolvable = false;
-            results.errors.push({
-                type: SOLVABILITY_ERRORS.INVALID_PIECE_CONFIGURATION,
-                message: `4x4x4 has duplicate center color: ${centerColor}`
-            });
+        for (const piece of centerBlock) {
+            centerCounts[piece.color] = (centerCounts[piece.color] || 0) + 1;
         }
-        
-        centerColors.add(centerColor);
     }
     
-    // Note: Full 4x4x4 solvability requires checking OLL and PLL parity
-    // This is a simplified version for basic validation
-    results.checks.centerBlocks = {
-        isValid: results.errors.length === 0,
-        centerColors: Array.from(centerColors)
+    const wrongCenterColors = VALID_COLORS.filter(color => centerCounts[color] !== 4);
+    for (const color of wrongCenterColors) {
+        results.isSolvable = false;
+        results.errors.push({
+            type: SOLVABILITY_ERRORS.INVALID_CENTER_COUNT,
+            message: `4x4x4 has ${centerCounts[color] || 0} ${color} center pieces, expected 4`
+        });
+    }
+    
+    results.checks.centerPieces = {
+        isValid: wrongCenterColors.length === 0,
+        centerCounts
     };
     
+    // Corners follow the 2x2x2 orientation and piece constraints
+    const cornerCube = get4x4x4CornerCube(cubeState);
+    const cornerResult = checkSolvability2x2x2(cornerCube);
+    results.checks.cornerOrientation = cornerResult.checks.cornerOrientation;
+    results.checks.cornerPermutation = cornerResult.checks.cornerPermutation;
+    if (!cornerResult.isSolvable) {
+        results.isSolvable = false;
+        results.errors.push(...cornerResult.errors);
+    }
+    
+    // Wings need a frame to be read in, which broken corners may not give
+    let faceColors;
+    try {
+        faceColors = getReferenceFaceColors(cornerCube);
+    } catch {
+        faceColors = STANDARD_FACE_COLORS;
+    }
+    
+    const wingResult = check4x4x4WingEdges(cubeState, faceColors);
+    results.checks.wingEdges = { isValid: wingResult.isValid, wings: wingResult.wings };
+    if (!wingResult.isValid) {
+        results.isSolvable = false;
+        results.errors.push(...wingResult.errors);
+    }
+    
+    // OLL and PLL parity are reachable states that the reduction solver fixes
+    // with its parity algorithms, so they are not rejected here
     return results;
 }
 
@@ -530,5 +759,8 @@ export default {
     checkSolvability,
     checkSolvability2x2x2,
     checkSolvability3x3x3,
-    checkSolvability4x4x4
+    checkSolvability4x4x4,
+    check3x3x3EdgeOrientationParity,
+    WING_SLOTS,
+    readWingEdge
 };
\ No newline at end of file
@@ -0,0 +1,651 @@
+/**
+ * Solvability Diagnostics
+ *
+ * The solvability checks tell that a cube cannot be solved; this module tells
+ * which pieces are to blame and the fewest sticker changes that would fix it.
+ * Most impossible inputs are one sticker entered in the wrong color, two
+ * stickers entered the wrong way round, or one real piece put back twisted,
+ * flipped or in another piece's slot:
+ *   1. Every piece is read in the cube's own frame: the colors of its centers
+ *      (odd cubes) or of the corner the most other corners agree with
+ *   2. Pieces no real cube has, pieces that appear twice and wrong color
+ *      counts are repaired by recoloring one or two stickers, or by swapping
+ *      two stickers
+ *   3. What is left on a cube of real pieces is a twisted corner, a flipped
+ *      edge or two swapped pieces. The cube alone cannot tell which piece it
+ *      was, so every candidate is listed, the likeliest first.
+ * A 4x4x4 wing cannot be flipped in place, so a flipped wing reads as its
+ * mirror twin appearing twice and is fixed like any other repeated piece.
+ * Sticker positions are { face, index } into the faces of the cube as sent,
+ * so a frontend can highlight them without rotating anything.
+ */
+
+import { FACE_NAMES, VALID_COLORS, getCubeConfig } from './cubeStructures.js';
+import {
+    CORNER_NAMES,
+    CORNER_STICKERS,
+    EDGE_NAMES,
+    EDGE_STICKERS,
+    REFERENCE_CORNER,
+    permutationParity
+} from './cubieModel.js';
+import { WING_SLOTS, readWingEdge } from './solvability.js';
+
+// ========================= DIAGNOSIS TYPES =========================
+
+/**
+ * Cube types the diagnostics can read
+ */
+export const DIAGNOSABLE_CUBE_TYPES = ['2x2x2', '3x3x3', '4x4x4'];
+
+/**
+ * Kinds of issue a diagnosis reports
+ */
+export const DIAGNOSIS_ISSUES = {
+    WRONG_STICKERS: 'WRONG_STICKERS',
+    IMPOSSIBLE_PIECES: 'IMPOSSIBLE_PIECES',
+    TWISTED_CORNER: 'TWISTED_CORNER',
+    FLIPPED_EDGE: 'FLIPPED_EDGE',
+    SWAPPED_PIECES: 'SWAPPED_PIECES'
+};
+
+/**
+ * Most candidates listed for one issue
+ */
+const MAX_CANDIDATES = 5;
+
+/**
+ * Most stickers recolored when looking for a mis-entered color
+ */
+const MAX_RECOLORED_STICKERS = 2;
+
+/**
+ * Usual names of the corner slots, which cubieModel lists clockwise
+ */
+const CORNER_LABELS = { URF: 'UFR', UFL: 'UFL', ULB: 'UBL', UBR: 'UBR', DFR: 'DFR', DLF: 'DFL', DBL: 'DBL', DRB: 'DBR' };
+
+const OPPOSITE_FACES = { U: 'D', D: 'U', F: 'B', B: 'F', R: 'L', L: 'R' };
+
+// ========================= READING PIECES =========================
+
+/**
+ * Sticker positions of every corner slot on a cube of the given size
+ * @param {number} size - Cube size
+ * @returns {Object[][]} Per slot, its { face, index } positions clockwise from the U/D sticker
+ */
+export function getCornerPositions(size) {
+    return CORNER_STICKERS.map(stickers => stickers.map(([face, index]) => ({
+        face,
+        index: Math.floor(index / 3) / 2 * (size - 1) * size + (index % 3) / 2 * (size - 1)
+    })));
+}
+
+/**
+ * Sticker positions of every edge slot; only a 3x3x3 has single edges
+ * @param {number} size - Cube size
+ * @returns {Object[][]} Per slot, its { face, index } positions, U/D (or F/B) sticker first
+ */
+export function getEdgePositions(size) {
+    return size === 3 ? EDGE_STICKERS.map(stickers => stickers.map(([face, index]) => ({ face, index }))) : [];
+}
+
+/**
+ * Sticker positions of every wing slot; only a 4x4x4 has wings
+ * @param {number} size - Cube size
+ * @returns {Object[][]} Per slot, its { face, index } positions, U/D (or F/B) sticker first
+ */
+export function getWingPositions(size) {
+    return size === 4 ? WING_SLOTS.map(({ stickers }) => stickers.map(([face, index]) => ({ face, index }))) : [];
+}
+
+/**
+ * Read a corner against a frame
+ * @param {string[]} colors - Colors of the slot, clockwise from its U/D sticker
+ * @param {Object} colorFaces - Face of each color
+ * @returns {Object|null} { piece, twist }, or null if no real corner looks like this
+ */
+export function readCorner(colors, colorFaces) {
+    const faces = colors.map(color => colorFaces[color]);
+    const twist = faces.findIndex(face => face === 'U' || face === 'D');
+    if (faces.includes(undefined) || twist === -1) {
+        return null;
+    }
+    const piece = CORNER_NAMES.indexOf(faces.slice(twist).concat(faces.slice(0, twist)).join(''));
+    return piece === -1 ? null : { piece, twist };
+}
+
+/**
+ * Read an edge against a frame
+ * @param {string[]} colors - Colors of the slot, U/D (or F/B) sticker first
+ * @param {Object} colorFaces - Face of each color
+ * @returns {Object|null} { piece, flip }, or null if no real edge looks like this
+ */
+export function readEdge(colors, colorFaces) {
+    const faces = colors.map(color => colorFaces[color]);
+    if (faces.includes(undefined)) {
+        return null;
+    }
+    const piece = EDGE_NAMES.indexOf(faces.join(''));
+    const flipped = EDGE_NAMES.indexOf([...faces].reverse().join(''));
+    if (piece === -1 && flipped === -1) {
+        return null;
+    }
+    return piece === -1 ? { piece: flipped, flip: 1 } : { piece, flip: 0 };
+}
+
+/**
+ * Invert a map of face to color
+ * @param {Object} faceColors - Color of each face
+ * @returns {Object} Face of each color
+ */
+function toColorFaces(faceColors) {
+    return Object.fromEntries(Object.entries(faceColors).map(([face, color]) => [color, face]));
+}
+
+/**
+ * Face colors implied by the corners, for cubes without usable centers
+ * Opposite colors are the three pairs that share the fewest corners; each
+ * corner made of one color of every pair then names the faces of its slot.
+ * The naming under which the most corners are real pieces wins, then the one
+ * with the most corners solved in place, so a nearly solved cube keeps its
+ * own frame even if its DBL corner is the wrong one.
+ * @param {string[][]} cornerColors - Colors of every corner slot
+ * @returns {Object|null} Color of each face, or null if the corners show no six colors
+ */
+function getCornerFrame(cornerColors) {
+    const colors = [...new Set(cornerColors.flat())].sort();
+    if (colors.length !== FACE_NAMES.length) {
+        return null;
+    }
+
+    const shared = (a, b) => cornerColors.filter(corner => corner.includes(a) && corner.includes(b)).length;
+    const matchings = [];
+    const pairUp = (remaining, pairs) => {
+        if (remaining.length === 0) {
+            matchings.push(pairs);
+            return;
+        }
+        const [first, ...rest] = remaining;
+        rest.forEach(other => pairUp(rest.filter(color => color !== other), [...pairs, [first, other]]));
+    };
+    pairUp(colors, []);
+
+    const score = pairs => pairs.reduce((total, [a, b]) => total + shared(a, b), 0);
+    const pairs = matchings.reduce((best, matching) => (score(matching) < score(best) ? matching : best));
+    const opposite = Object.fromEntries(pairs.flatMap(([a, b]) => [[a, b], [b, a]]));
+
+    let best = null;
+    const slots = [REFERENCE_CORNER, ...CORNER_NAMES.keys()].filter((slot, i, all) => all.indexOf(slot) === i);
+    for (const slot of slots) {
+        const colorsOfSlot = cornerColors[slot];
+        if (new Set(colorsOfSlot.flatMap(color => [color, opposite[color]])).size !== FACE_NAMES.length) {
+            continue;
+        }
+        const faceColors = {};
+        CORNER_STICKERS[slot].forEach(([face], i) => {
+            faceColors[face] = colorsOfSlot[i];
+            faceColors[OPPOSITE_FACES[face]] = opposite[colorsOfSlot[i]];
+        });
+        const colorFaces = toColorFaces(faceColors);
+        const corners = cornerColors.map(corner => readCorner(corner, colorFaces));
+        const real = corners.filter(Boolean).length;
+        const home = corners.filter((corner, i) => corner && corner.piece === i && corner.twist === 0).length;
+        if (!best || real > best.real || (real === best.real && home > best.home)) {
+            best = { faceColors, real, home };
+        }
+    }
+    return best ? best.faceColors : null;
+}
+
+/**
+ * Read every piece of a cube and everything that keeps it from being solvable
+ * @param {Object} cubeState - 2x2x2, 3x3x3 or 4x4x4 cube state
+ * @returns {Object} Frame, pieces and problems of the cube
+ */
+function analyzeCube(cubeState) {
+    const { size, faceletsPerFace, colorsPerType } = getCubeConfig(cubeState.cubeType);
+    const colorAt = ({ face, index }) => cubeState.faces[face][index];
+
+    const readSlots = (kind, slots) => slots.map((positions, slot) => ({ kind, slot, positions, colors: positions.map(colorAt) }));
+    const corners = readSlots('corner', getCornerPositions(size));
+    const edges = readSlots('edge', getEdgePositions(size));
+    const wings = readSlots('wing', getWingPositions(size));
+
+    let faceColors = null;
+    if (size % 2 === 1) {
+        const centers = Object.fromEntries(FACE_NAMES.map(face => [face, cubeState.faces[face][(faceletsPerFace - 1) / 2]]));
+        faceColors = new Set(Object.values(centers)).size === FACE_NAMES.length ? centers : null;
+    }
+    faceColors = faceColors || getCornerFrame(corners.map(corner => corner.colors));
+    const colorFaces = faceColors ? toColorFaces(faceColors) : {};
+
+    corners.forEach(corner => Object.assign(corner, readCorner(corner.colors, colorFaces) || { piece: -1, twist: 0 }));
+    edges.forEach(edge => Object.assign(edge, readEdge(edge.colors, colorFaces) || { piece: -1, flip: 0 }));
+    wings.forEach(wing => { wing.piece = faceColors ? readWingEdge(wing.colors, wing.slot, faceColors) : -1; });
+
+    const counts = Object.fromEntries(VALID_COLORS.map(color => [color, 0]));
+    FACE_NAMES.forEach(face => cubeState.faces[face].forEach(color => { counts[color] = (counts[color] ?? 0) + 1; }));
+    const surplus = Object.entries(counts).filter(([, count]) => count > colorsPerType)
+        .flatMap(([color, count]) => new Array(count - colorsPerType).fill(color));
+    const deficit = Object.entries(counts).filter(([, count]) => count < colorsPerType)
+        .flatMap(([color, count]) => new Array(colorsPerType - count).fill(color));
+
+    // Inner slices scatter the centers of a 4x4x4, but every color still owns four of them
+    let centersBalanced = true;
+    if (size === 4) {
+        const centerCounts = {};
+        FACE_NAMES.forEach(face => [5, 6, 9, 10].forEach(index => {
+            const color = cubeState.faces[face][index];
+            centerCounts[color] = (centerCounts[color] || 0) + 1;
+        }));
+        centersBalanced = VALID_COLORS.every(color => centerCounts[color] === 4);
+    }
+
+    const duplicates = pieces => pieces.filter(piece => piece.piece !== -1 &&
+        pieces.some(other => other !== piece && other.piece === piece.piece));
+    const impossible = [...corners, ...edges, ...wings].filter(piece => piece.piece === -1);
+    const repeated = [...duplicates(corners), ...duplicates(edges), ...duplicates(wings)];
+
+    const sound = faceColors !== null && impossible.length === 0 && repeated.length === 0 &&
+        surplus.length === 0 && centersBalanced;
+    const twist = corners.reduce((sum, corner) => sum + corner.twist, 0) % 3;
+    const flip = edges.reduce((sum, edge) => sum + edge.flip, 0) % 2;
+    const solved = [...corners, ...edges, ...wings].filter(piece => piece.piece === piece.slot && !piece.twist && !piece.flip).length;
+    const parity = edges.length > 0 &&
+        permutationParity(corners.map(corner => corner.piece)) !== permutationParity(edges.map(edge => edge.piece));
+
+    return {
+        size,
+        faceColors,
+        corners,
+        edges,
+        wings,
+        surplus,
+        deficit,
+        centersBalanced,
+        impossible,
+        repeated,
+        sound,
+        twist,
+        flip,
+        parity,
+        solved,
+        solvable: sound && twist === 0 && flip === 0 && !parity
+    };
+}
+
+// ========================= DESCRIBING PIECES =========================
+
+/**
+ * Name of a piece slot, e.g. 'UFR', 'UF' or, for a wing, 'UF1'
+ * @param {Object} piece - Corner, edge or wing read by analyzeCube
+ * @returns {string} Slot name
+ */
+export function getSlotName(piece) {
+    if (piece.kind === 'wing') {
+        return WING_SLOTS[piece.slot].name;
+    }
+    return piece.kind === 'corner' ? CORNER_LABELS[CORNER_NAMES[piece.slot]] : EDGE_NAMES[piece.slot];
+}
+
+/**
+ * Describe a piece for a message
+ * @param {Object} piece - Corner, edge or wing read by analyzeCube
+ * @returns {string} e.g. 'corner UFR'
+ */
+function describePiece(piece) {
+    return `${piece.kind} ${getSlotName(piece)}`;
+}
+
+/**
+ * Describe a sticker position for a message
+ * @param {Object} position - { face, index }
+ * @returns {string} e.g. 'F[5]'
+ */
+function describeSticker({ face, index }) {
+    return `${face}[${index}]`;
+}
+
+/**
+ * Piece slots a sticker belongs to
+ * @param {Object} analysis - Result of analyzeCube
+ * @param {Object} position - { face, index }
+ * @returns {Object[]} Corners, edges and wings holding the sticker (none for centers)
+ */
+function getPiecesAt(analysis, { face, index }) {
+    return [...analysis.corners, ...analysis.edges, ...analysis.wings]
+        .filter(piece => piece.positions.some(position => position.face === face && position.index === index));
+}
+
+// ========================= STICKER CHANGES =========================
+
+/**
+ * Apply sticker changes to a copy of a cube state
+ * @param {Object} cubeState - Cube state
+ * @param {Object[]} changes - { face, index, from, to } changes
+ * @returns {Object} Changed cube state
+ */
+function applyChanges(cubeState, changes) {
+    const faces = Object.fromEntries(FACE_NAMES.map(face => [face, [...cubeState.faces[face]]]));
+    changes.forEach(({ face, index, to }) => { faces[face][index] = to; });
+    return { ...cubeState, faces };
+}
+
+/**
+ * Merge changes made one after the other into one change per sticker
+ * @param {Object[]} changes - { face, index, from, to } changes in order
+ * @returns {Object[]} Changes that still change a color
+ */
+function mergeChanges(changes) {
+    const merged = new Map();
+    changes.forEach(change => {
+        const key = describeSticker(change);
+        merged.set(key, { ...change, from: merged.get(key)?.from ?? change.from });
+    });
+    return [...merged.values()].filter(change => change.from !== change.to);
+}
+
+/**
+ * Build a candidate fix
+ * @param {string} message - What the fix assumes went wrong
+ * @param {string[]} pieces - Slots of the pieces involved
+ * @param {Object[]} changes - { face, index, from, to } changes
+ * @returns {Object} Candidate with the stickers to highlight
+ */
+function createCandidate(message, pieces, changes) {
+    return {
+        message,
+        pieces,
+        changes,
+        stickers: changes.map(({ face, index }) => ({ face, index }))
+    };
+}
+
+/**
+ * Sticker recolorings and swaps that turn every piece into a real, unique piece
+ * With too many or too few stickers of some colors, up to two stickers of a
+ * surplus color are given a missing one; with the right counts, a sticker of
+ * an impossible or repeated piece is swapped with another sticker.
+ * @param {Object} cubeState - Cube state
+ * @param {Object} analysis - Result of analyzeCube
+ * @returns {Object[]} Candidates: the ones that make the cube solvable first, then the
+ *   fewest changes, then the most pieces left solved in place
+ */
+function findStickerFixes(cubeState, analysis) {
+    const { faceletsPerFace } = getCubeConfig(cubeState.cubeType);
+    const isCenter = (face, index) => analysis.size % 2 === 1 && index === (faceletsPerFace - 1) / 2;
+    const stickers = FACE_NAMES.flatMap(face => cubeState.faces[face].map((color, index) => ({ face, index, color })));
+    const attempts = [];
+
+    if (analysis.surplus.length > 0 && analysis.surplus.length <= MAX_RECOLORED_STICKERS &&
+        analysis.surplus.length === analysis.deficit.length) {
+        const [first, second] = analysis.deficit;
+        const suspects = stickers.filter(sticker => analysis.surplus.includes(sticker.color));
+        if (analysis.surplus.length === 1) {
+            suspects.forEach(sticker => attempts.push([{ ...sticker, from: sticker.color, to: first }]));
+        } else {
+            suspects.forEach((a, i) => suspects.slice(i + 1).forEach(b => {
+                if ([a.color, b.color].sort().join() !== [...analysis.surplus].sort().join()) return;
+                attempts.push([{ ...a, from: a.color, to: first }, { ...b, from: b.color, to: second }]);
+                if (first !== second) {
+                    attempts.push([{ ...a, from: a.color, to: second }, { ...b, from: b.color, to: first }]);
+                }
+            }));
+        }
+    } else if (analysis.surplus.length === 0) {
+        const suspects = [...analysis.impossible, ...analysis.repeated].flatMap(piece => piece.positions);
+        const tried = new Set();
+        suspects.forEach(position => {
+            const a = { ...position, color: cubeState.faces[position.face][position.index] };
+            stickers.forEach(b => {
+                const key = [describeSticker(a), describeSticker(b)].sort().join();
+                if (a.color === b.color || isCenter(b.face, b.index) || tried.has(key)) return;
+                tried.add(key);
+                attempts.push([{ ...a, from: a.color, to: b.color }, { ...b, from: b.color, to: a.color }]);
+            });
+        });
+    }
+
+    return attempts
+        .map(changes => ({ changes: changes.map(({ face, index, from, to }) => ({ face, index, from, to })), result: analyzeCube(applyChanges(cubeState, changes)) }))
+        .filter(({ result }) => result.sound)
+        .sort((a, b) => Number(b.result.solvable) - Number(a.result.solvable) || a.changes.length - b.changes.length ||
+            b.result.solved - a.result.solved)
+        .map(({ changes }) => createCandidate(describeStickerFix(analysis, changes), changes.flatMap(change => getPiecesAt(analysis, change).map(getSlotName)), changes));
+}
+
+/**
+ * Describe a sticker fix
+ * @param {Object} analysis - Result of analyzeCube before the fix
+ * @param {Object[]} changes - The fix
+ * @returns {string} e.g. 'Sticker F[5] of edge FR reads G; R would fit'
+ */
+function describeStickerFix(analysis, changes) {
+    const where = change => {
+        const pieces = getPiecesAt(analysis, change);
+        return pieces.length > 0 ? `${describeSticker(change)} of ${describePiece(pieces[0])}` : describeSticker(change);
+    };
+
+    if (changes.length === 2 && changes[0].from === changes[1].to && changes[0].to === changes[1].from) {
+        const [first, second] = changes.map(change => getPiecesAt(analysis, change)[0]);
+        if (first && first === second) {
+            return `Stickers ${describeSticker(changes[0])} and ${describeSticker(changes[1])} of ${describePiece(first)} look swapped`;
+        }
+        return `Stickers ${where(changes[0])} and ${where(changes[1])} look swapped`;
+    }
+    return changes.map(change => `Sticker ${where(change)} reads ${change.from}; ${change.to} would fit`).join(', ');
+}
+
+// ========================= PIECE FIXES =========================
+
+/**
+ * Corners that may have been put back twisted, the ones a twist would orient first
+ * @param {Object} analysis - Result of analyzeCube on a cube of real pieces
+ * @returns {Object} Issue with its candidates
+ */
+function diagnoseTwist(analysis) {
+    const excess = analysis.twist;
+    const direction = excess === 1 ? 'clockwise' : 'counterclockwise';
+    const candidates = analysis.corners
+        .map(corner => ({
+            corner,
+            score: ((corner.twist - excess + 3) % 3 === 0 ? 2 : 0) + (corner.piece === corner.slot ? 1 : 0)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .map(({ corner }) => createCandidate(
+            `Corner ${getSlotName(corner)} looks twisted ${direction}`,
+            [getSlotName(corner)],
+            corner.positions.map((position, i) => ({ ...position, from: corner.colors[i], to: corner.colors[(i + excess) % 3] }))
+        ));
+
+    return {
+        type: DIAGNOSIS_ISSUES.TWISTED_CORNER,
+        message: `One corner looks twisted ${direction}: corner twists must add up to a multiple of three turns`,
+        candidates
+    };
+}
+
+/**
+ * Edges that may have been put back flipped, flipped and home ones first
+ * @param {Object} analysis - Result of analyzeCube on a cube of real pieces
+ * @returns {Object} Issue with its candidates
+ */
+function diagnoseFlip(analysis) {
+    const candidates = analysis.edges
+        .map(edge => ({ edge, score: (edge.flip === 1 ? 2 : 0) + (edge.piece === edge.slot ? 1 : 0) }))
+        .sort((a, b) => b.score - a.score)
+        .map(({ edge }) => createCandidate(
+            `Edge ${getSlotName(edge)} looks flipped`,
+            [getSlotName(edge)],
+            edge.positions.map((position, i) => ({ ...position, from: edge.colors[i], to: edge.colors[1 - i] }))
+        ));
+
+    return {
+        type: DIAGNOSIS_ISSUES.FLIPPED_EDGE,
+        message: 'One edge looks flipped: an even number of edges must be flipped',
+        candidates
+    };
+}
+
+/**
+ * Pairs of pieces that may have been put back in each other's slots
+ * Swaps that change the fewest stickers come first; among those, pairs a swap
+ * would bring home.
+ * @param {Object} analysis - Result of analyzeCube on a cube of real pieces
+ * @returns {Object} Issue with its candidates
+ */
+function diagnoseSwap(analysis) {
+    const pairs = [];
+    for (const pieces of [analysis.edges, analysis.corners]) {
+        pieces.forEach((a, i) => pieces.slice(i + 1).forEach(b => {
+            const home = (a.piece === b.slot ? 1 : 0) + (b.piece === a.slot ? 1 : 0);
+            pairs.push({ a, b, home });
+        }));
+    }
+
+    const candidates = pairs
+        .map(({ a, b, home }) => ({
+            home,
+            candidate: createCandidate(
+                `${a.kind === 'corner' ? 'Corners' : 'Edges'} ${getSlotName(a)} and ${getSlotName(b)} appear swapped`,
+                [getSlotName(a), getSlotName(b)],
+                mergeChanges([
+                    ...a.positions.map((position, i) => ({ ...position, from: a.colors[i], to: b.colors[i] })),
+                    ...b.positions.map((position, i) => ({ ...position, from: b.colors[i], to: a.colors[i] }))
+                ])
+            )
+        }))
+        .sort((x, y) => x.candidate.changes.length - y.candidate.changes.length || y.home - x.home)
+        .map(({ candidate }) => candidate);
+
+    return {
+        type: DIAGNOSIS_ISSUES.SWAPPED_PIECES,
+        message: 'Two pieces appear swapped: corner and edge permutations must have the same parity',
+        candidates
+    };
+}
+
+// ========================= DIAGNOSIS =========================
+
+/**
+ * @typedef {Object} Diagnosis
+ * @property {string} cubeType - Cube type diagnosed
+ * @property {boolean} isSolvable - Whether the cube can be solved as it is
+ * @property {Object|null} faceColors - Color of each face the pieces were read against
+ * @property {Object[]} issues - { type, message, candidates } per problem found, where every
+ *   candidate is one way to fix it: { message, pieces, changes, stickers }
+ * @property {Object[]} suggestedChanges - { face, index, from, to } changes of the first candidate of every issue
+ * @property {number} stickerChanges - Number of suggested changes
+ */
+
+/**
+ * Explain why a cube cannot be solved and suggest the smallest fix
+ * Sticker problems are fixed first; the twist, flip and swap issues are then
+ * read from the cube with the first sticker fix applied.
+ * @param {Object} cubeState - 2x2x2, 3x3x3 or 4x4x4 cube state with valid colors
+ * @returns {Diagnosis} Issues and suggested changes
+ * @throws {Error} For cube types the diagnostics cannot read
+ */
+export function diagnoseCube(cubeState) {
+    if (!DIAGNOSABLE_CUBE_TYPES.includes(cubeState.cubeType)) {
+        throw new Error(`Diagnostics support ${DIAGNOSABLE_CUBE_TYPES.join(', ')}, got ${cubeState.cubeType}`);
+    }
+
+    let analysis = analyzeCube(cubeState);
+    const faceColors = analysis.faceColors;
+    const issues = [];
+
+    if (!analysis.sound) {
+        const fixes = findStickerFixes(cubeState, analysis);
+        if (fixes.length === 0) {
+            const suspects = [...analysis.impossible, ...analysis.repeated];
+            issues.push({
+                type: DIAGNOSIS_ISSUES.IMPOSSIBLE_PIECES,
+                message: describeImpossibleCube(analysis),
+                candidates: suspects.map(piece => ({
+                    message: `${describePiece(piece)} shows ${piece.colors.join(', ')}`,
+                    pieces: [getSlotName(piece)],
+                    changes: [],
+                    stickers: piece.positions
+                }))
+            });
+            return createDiagnosis(cubeState, faceColors, issues);
+        }
+
+        issues.push({
+            type: DIAGNOSIS_ISSUES.WRONG_STICKERS,
+            message: fixes[0].changes.length === 1 ? 'One sticker looks mis-entered' : 'Two stickers look mis-entered',
+            candidates: fixes.slice(0, MAX_CANDIDATES)
+        });
+        analysis = analyzeCube(applyChanges(cubeState, fixes[0].changes));
+    }
+
+    if (analysis.twist !== 0) {
+        issues.push(diagnoseTwist(analysis));
+    }
+    if (analysis.flip !== 0) {
+        issues.push(diagnoseFlip(analysis));
+    }
+    if (analysis.parity) {
+        issues.push(diagnoseSwap(analysis));
+    }
+
+    issues.forEach(issue => { issue.candidates = issue.candidates.slice(0, MAX_CANDIDATES); });
+    return createDiagnosis(cubeState, faceColors, issues);
+}
+
+/**
+ * Say why no sticker fix was found
+ * @param {Object} analysis - Result of analyzeCube
+ * @returns {string} Message for the IMPOSSIBLE_PIECES issue
+ */
+function describeImpossibleCube(analysis) {
+    if (!analysis.faceColors) {
+        return 'Cannot tell which color belongs to which face';
+    }
+    if (analysis.surplus.length > MAX_RECOLORED_STICKERS) {
+        return `${analysis.surplus.length} stickers have the wrong color, too many to guess which`;
+    }
+    if (!analysis.centersBalanced && analysis.impossible.length === 0 && analysis.repeated.length === 0) {
+        return 'Every color must own four center pieces';
+    }
+    return `${analysis.impossible.length + analysis.repeated.length} pieces cannot exist on a real cube and no small fix was found`;
+}
+
+/**
+ * Assemble a diagnosis
+ * @param {Object} cubeState - Cube state diagnosed
+ * @param {Object|null} faceColors - Frame the pieces were read in
+ * @param {Object[]} issues - Issues found
+ * @returns {Diagnosis} Diagnosis
+ */
+function createDiagnosis(cubeState, faceColors, issues) {
+    const suggestedChanges = mergeChanges(issues.flatMap(issue => issue.candidates[0]?.changes ?? []));
+    return {
+        cubeType: cubeState.cubeType,
+        isSolvable: issues.length === 0,
+        faceColors,
+        issues,
+        suggestedChanges,
+        stickerChanges: suggestedChanges.length
+    };
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    // Diagnosis types
+    DIAGNOSABLE_CUBE_TYPES,
+    DIAGNOSIS_ISSUES,
+
+    // Reading pieces
+    getCornerPositions,
+    getEdgePositions,
+    getWingPositions,
+    readCorner,
+    readEdge,
+    getSlotName,
+
+    // Diagnosis
+    diagnoseCube
+};
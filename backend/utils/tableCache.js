@@ -0,0 +1,96 @@
+/**
+ * Versioned Table Cache
+ *
+ * Solvers that precompute large lookup tables (the optimal 2x2x2 distance
+ * tables, the Kociemba move and pruning tables) cache them in backend/data so
+ * later processes only read them. A cache file is a 4-byte little-endian
+ * version followed by every table's bytes in layout order; a file with another
+ * version or size is stale and ignored, so bumping the version rebuilds it.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+// ========================= LAYOUT =========================
+
+/**
+ * @typedef {Array} TableLayoutEntry
+ * @property {string} 0 - Table name
+ * @property {Function} 1 - Typed array constructor (Uint8Array, Uint16Array, ...)
+ * @property {number} 2 - Number of entries
+ */
+
+/**
+ * Bytes taken by the version header
+ */
+const HEADER_BYTES = 4;
+
+/**
+ * Size of a cache file with this layout
+ * @param {TableLayoutEntry[]} layout - Tables in file order
+ * @returns {number} Bytes, header included
+ */
+function getCacheSize(layout) {
+    return HEADER_BYTES + layout.reduce((sum, [, Type, length]) => sum + Type.BYTES_PER_ELEMENT * length, 0);
+}
+
+// ========================= READ AND WRITE =========================
+
+/**
+ * Read cached tables from disk
+ * @param {string} path - Cache file
+ * @param {number} version - Version the tables must have been written with
+ * @param {TableLayoutEntry[]} layout - Tables in file order
+ * @returns {Object|null} Typed arrays keyed by table name, or null if the cache is missing or stale
+ */
+export function readTableCache(path, version, layout) {
+    if (!existsSync(path)) {
+        return null;
+    }
+
+    const buffer = readFileSync(path);
+    if (buffer.length !== getCacheSize(layout) || buffer.readUInt32LE(0) !== version) {
+        return null;
+    }
+
+    const cached = {};
+    let offset = HEADER_BYTES;
+    for (const [name, Type, length] of layout) {
+        const bytes = Type.BYTES_PER_ELEMENT * length;
+        // Copy into an aligned buffer so the typed array view is valid
+        cached[name] = new Type(buffer.buffer.slice(buffer.byteOffset + offset, buffer.byteOffset + offset + bytes));
+        offset += bytes;
+    }
+    return cached;
+}
+
+/**
+ * Write tables to the disk cache
+ * Failing to write (e.g. read-only deployment) only costs a rebuild next time.
+ * @param {string} path - Cache file
+ * @param {number} version - Version to stamp the file with
+ * @param {TableLayoutEntry[]} layout - Tables in file order
+ * @param {Object} tables - Typed arrays keyed by table name
+ * @param {string} description - What the tables are, for the warning
+ */
+export function writeTableCache(path, version, layout, tables, description) {
+    try {
+        const header = Buffer.alloc(HEADER_BYTES);
+        header.writeUInt32LE(version, 0);
+        const parts = layout.map(([name]) => Buffer.from(tables[name].buffer, tables[name].byteOffset, tables[name].byteLength));
+        // Write then rename so a concurrent reader never sees a partial file
+        const temporaryPath = `${path}.${process.pid}.tmp`;
+        mkdirSync(dirname(path), { recursive: true });
+        writeFileSync(temporaryPath, Buffer.concat([header, ...parts]));
+        renameSync(temporaryPath, path);
+    } catch (error) {
+        console.warn(`Could not cache ${description}: ${error.message}`);
+    }
+}
+
+// ========================= EXPORTS =========================
+
+export default {
+    readTableCache,
+    writeTableCache
+};
@@ -40,6 +40,7 @@ export const VALIDATION_ERRORS = {
     MISSING_FACES: 'MISSING_FACES',
     EMPTY_FACELETS: 'EMPTY_FACELETS',
     UNSOLVABLE_STATE: 'UNSOLVABLE_STATE',
+    INVALID_COLOR_SCHEME: 'INVALID_COLOR_SCHEME',
     // Include solvability error types
     ...SOLVABILITY_ERRORS
 };
@@ -674,8 +675,10 @@ export function validateColorDistribution4x4x4(cubeState) {
 }
 
 /**
- * Validate center blocks for 4x4x4 cube
- * 4x4x4 cubes have 2x2 center blocks (indices 5,6,9,10 in a 4x4 grid)
+ * Validate center pieces for 4x4x4 cube
+ * 4x4x4 cubes have 2x2 center blocks (indices 5,6,9,10 in a 4x4 grid). Inner
+ * slice moves scatter center pieces across faces, so a scrambled cube only
+ * needs four center pieces of each color, not uniform blocks.
  * @param {Object} cubeState - Cube state to validate
  * @returns {ValidationError[]} Array of validation errors
  */
@@ -696,75 +699,6 @@ export function validateCenters4x4x4(cubeState) {
         centerBlocks[face] = centerIndices.map(index => cubeState.faces[face][index]);
     }
 
-    // Validate each face's center block has all same color
-    const invalidCenterBlocks = [];
-    for (const [face, centers] of Object.entries(centerBlocks)) {
-        const uniqueColors = new Set(centers);
-        if (uniqueColors.size !== 1) {
-            invalidCenterBlocks.push({
-                face,
-                centers,
-                uniqueColorCount: uniqueColors.size,
-                colors: Array.from(uniqueColors)
-            });
-        }
-    }
-
-    if (invalidCenterBlocks.length > 0) {
-        errors.push({
-            type: VALIDATION_ERRORS.INVALID_COLOR_DISTRIBUTION,
-            message: '4x4x4 cube center blocks must be uniform (all 4 center pieces same color)',
-            details: {
-                invalidCenterBlocks,
-                centerPositions: centerIndices,
-                expectedUniformity: '4 pieces per center block should be same color'
-            }
-        });
-    }
-
-    // Check that all faces have different center colors
-    const faceColors = {};
-    const validCenterBlocks = [];
-    
-    for (const [face, centers] of Object.entries(centerBlocks)) {
-        const uniqueColors = new Set(centers);
-        if (uniqueColors.size === 1) {
-            const centerColor = centers[0];
-            faceColors[face] = centerColor;
-            validCenterBlocks.push(face);
-        }
-    }
-
-    // Check for duplicate center colors across faces
-    if (validCenterBlocks.length > 1) {
-        const colorToFaces = {};
-        for (const [face, color] of Object.entries(faceColors)) {
-            if (!colorToFaces[color]) {
-                colorToFaces[color] = [];
-            }
-            colorToFaces[color].push(face);
-        }
-
-        const duplicateCenters = [];
-        for (const [color, faces] of Object.entries(colorToFaces)) {
-            if (faces.length > 1) {
-                duplicateCenters.push({ color, faces });
-            }
-        }
-
-        if (duplicateCenters.length > 0) {
-            errors.push({
-                type: VALIDATION_ERRORS.INVALID_COLOR_DISTRIBUTION,
-                message: '4x4x4 cube center blocks must all be different colors',
-                details: {
-                    duplicateCenters,
-                    faceColors,
-                    validCenterBlocks
-                }
-            });
-        }
-    }
-
     // Validate center colors are valid
     const invalidCenterColors = [];
     for (const [face, centers] of Object.entries(centerBlocks)) {
@@ -789,6 +723,27 @@ export function validateCenters4x4x4(cubeState) {
                 validColors: VALID_COLORS
             }
         });
+        return errors;
+    }
+
+    // Each color must own exactly four of the 24 center pieces
+    const centerCounts = Object.fromEntries(VALID_COLORS.map(color => [color, 0]));
+    Object.values(centerBlocks).flat().forEach(color => { centerCounts[color]++; });
+
+    const wrongCenterCounts = VALID_COLORS
+        .filter(color => centerCounts[color] !== centerIndices.length)
+        .map(color => ({ color, expected: centerIndices.length, actual: centerCounts[color] }));
+
+    if (wrongCenterCounts.length > 0) {
+        errors.push({
+            type: VALIDATION_ERRORS.INVALID_COLOR_DISTRIBUTION,
+            message: '4x4x4 cube must have exactly 4 center pieces of each color',
+            details: {
+                wrongCenterCounts,
+                centerBlocks,
+                centerPositions: centerIndices
+            }
+        });
     }
 
     return errors;
@@ -886,12 +841,11 @@ export function validate4x4x4(cubeState) {
         };
     }
 
-    // Extract center block colors for summary
+    // Extract center block colors for summary (blocks may still be scrambled)
     const centerIndices = [5, 6, 9, 10];
     const centerBlocks = {};
     for (const face of FACE_NAMES) {
-        const centers = centerIndices.map(index => cubeState.faces[face][index]);
-        centerBlocks[face] = centers[0]; // All should be same color, so take first
+        centerBlocks[face] = centerIndices.map(index => cubeState.faces[face][index]);
     }
 
     return {